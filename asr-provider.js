@@ -0,0 +1,420 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const ffmpeg = require('fluent-ffmpeg');
+
+/**
+ * 語音轉文字（ASR）提供者模塊
+ * 轉錄流程只透過提供者介面呼叫：OpenAI、任何 OpenAI 相容伺服器（可設定端點與模型），
+ * 或本機的 whisper.cpp／faster-whisper 命令列工具（音檔不離開伺服器）。
+ * 每個提供者宣告自己的檔案大小上限與片段並行數，並把回應正規化成相同的結構：
+ * { text, language, duration, segments: [{ id, start, end, text, words }], words: [{ word, start, end }] }
+ */
+
+// 可用的提供者（ASR_PROVIDER）
+const ASR_PROVIDERS = ['openai', 'openai-compatible', 'whisper.cpp', 'faster-whisper'];
+
+// OpenAI 音訊 API 的上傳大小上限
+const OPENAI_MAX_FILE_BYTES = 25 * 1024 * 1024;
+
+// 本機轉錄單一檔案的時間上限
+const LOCAL_TIMEOUT_MS = 3 * 60 * 60 * 1000;
+
+// whisper.cpp 的特殊 token（[_BEG_]、[_TT_150] 等），不屬於轉錄文字
+const WHISPER_CPP_SPECIAL_TOKEN = /^\[_.*\]$/;
+
+// 中日韓文字（whisper.cpp 的 token 之間沒有空白，每個 token 各自視為一個字）
+const CJK_PATTERN = /[\u3000-\u30ff\u3400-\u9fff\uac00-\ud7af\uff00-\uffef]/;
+
+class AsrProvider {
+
+  /**
+   * 依環境變數建立提供者
+   * @param {Object} env - process.env
+   * @param {Object} deps
+   * @param {Object} deps.openai - 已初始化的 OpenAI 客戶端（沒有金鑰時為 null），ASR_PROVIDER=openai 時共用
+   * @param {Function} deps.createClient - (options) => OpenAI 客戶端，用於 OpenAI 相容伺服器
+   * @param {string} deps.tempDir - 本機轉錄的暫存目錄
+   */
+  static fromEnv(env, { openai, createClient, tempDir }) {
+    const name = (env.ASR_PROVIDER || 'openai').trim().toLowerCase();
+    const maxFileBytes = env.ASR_MAX_FILE_MB ? parseFloat(env.ASR_MAX_FILE_MB) * 1024 * 1024 : undefined;
+    const concurrency = parseInt(env.ASR_CONCURRENCY, 10) || undefined;
+
+    switch (name) {
+      case 'openai':
+        return new OpenAIAsrProvider({
+          client: openai,
+          model: env.ASR_MODEL || 'whisper-1',
+          responseFormat: env.ASR_RESPONSE_FORMAT,
+          maxFileBytes,
+          concurrency
+        });
+      case 'openai-compatible':
+        return new OpenAIAsrProvider({
+          name,
+          client: env.ASR_BASE_URL
+            ? createClient({
+                // 自架伺服器通常不檢查金鑰，但 SDK 需要一個值
+                apiKey: env.ASR_API_KEY || env.OPENAI_API_KEY || 'not-needed',
+                baseURL: env.ASR_BASE_URL,
+                timeout: 20 * 60 * 1000,
+                maxRetries: 2
+              })
+            : null,
+          model: env.ASR_MODEL || 'whisper-1',
+          responseFormat: env.ASR_RESPONSE_FORMAT,
+          maxFileBytes,
+          concurrency,
+          missingClientError: 'ASR_BASE_URL 未設置（OpenAI 相容伺服器的端點）'
+        });
+      case 'whisper.cpp':
+        return new WhisperCppAsrProvider({ command: env.ASR_COMMAND, model: env.ASR_MODEL, tempDir, maxFileBytes, concurrency });
+      case 'faster-whisper':
+        return new FasterWhisperAsrProvider({ command: env.ASR_COMMAND, model: env.ASR_MODEL, tempDir, maxFileBytes, concurrency });
+      default:
+        throw new Error(`不支援的 ASR_PROVIDER: ${name}（可用: ${ASR_PROVIDERS.join(', ')}）`);
+    }
+  }
+
+  /**
+   * 把各提供者的回應正規化；沒有逐段 words 時依時間把整體的 words 分配到各段
+   */
+  static normalizeResult({ text = '', language = null, duration = null, segments = [], words = [] } = {}) {
+    const normalizeWords = (items) => (items || []).map(item => ({
+      word: String(item.word || '').trim(),
+      start: Number(item.start) || 0,
+      end: Number(item.end) || 0
+    }));
+    const allWords = normalizeWords(words);
+
+    const normalizedSegments = (segments || []).map((segment, index) => {
+      const start = Number(segment.start) || 0;
+      const end = Number(segment.end) || start;
+      return {
+        id: index,
+        start,
+        end,
+        text: String(segment.text || '').trim(),
+        words: segment.words
+          ? normalizeWords(segment.words)
+          : allWords.filter(word => word.start >= start && word.start < end)
+      };
+    });
+
+    const lastSegment = normalizedSegments[normalizedSegments.length - 1];
+    return {
+      text: String(text || (segments || []).map(segment => segment.text || '').join('')).trim(),
+      language: language || null,
+      duration: Number(duration) || (lastSegment ? lastSegment.end : null),
+      segments: normalizedSegments,
+      words: allWords.length > 0 ? allWords : normalizedSegments.flatMap(segment => segment.words)
+    };
+  }
+
+  /**
+   * 執行本機命令列工具；找不到執行檔或執行失敗時重試也不會成功，錯誤標記 retryable = false
+   */
+  static async runLocalCommand(run, command, args, timeoutMs) {
+    try {
+      await run(command, args, { timeout: timeoutMs });
+    } catch (error) {
+      const detail = String(error.stderr || '').trim().split('\n').slice(-3).join(' ');
+      const wrapped = new Error(error.code === 'ENOENT'
+        ? `找不到轉錄執行檔: ${command}（請安裝後以 ASR_COMMAND 指定路徑）`
+        : `${command} 執行失敗: ${detail || error.message}`);
+      wrapped.retryable = false;
+      throw wrapped;
+    }
+  }
+
+  static execFile(command, args, { timeout }) {
+    return new Promise((resolve, reject) => {
+      execFile(command, args, { timeout, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          error.stderr = stderr;
+          reject(error);
+          return;
+        }
+        resolve({ stdout, stderr });
+      });
+    });
+  }
+
+  /**
+   * 在暫存目錄中建立這次轉錄的工作目錄，結束後連同輸出檔一起刪除
+   */
+  static async withWorkDir(tempDir, task) {
+    fs.mkdirSync(tempDir, { recursive: true });
+    const workDir = fs.mkdtempSync(path.join(tempDir, 'asr_'));
+    try {
+      return await task(workDir);
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+class OpenAIAsrProvider {
+
+  /**
+   * @param {Object} options
+   * @param {string} options.name - openai 或 openai-compatible
+   * @param {Object} options.client - OpenAI 客戶端，null 表示尚未設定
+   * @param {string} options.model - 例如 whisper-1、gpt-4o-transcribe
+   * @param {string} options.responseFormat - 未指定時依模型決定（gpt-4o 系列不支援 verbose_json，沒有時間戳）
+   * @param {number} options.maxFileBytes - 單一檔案上限，超過時先壓縮／分割
+   * @param {number} options.concurrency - 同時轉錄的片段數
+   * @param {string} options.missingClientError - 沒有客戶端時的錯誤訊息
+   */
+  constructor({
+    name = 'openai',
+    client,
+    model = 'whisper-1',
+    responseFormat,
+    maxFileBytes = OPENAI_MAX_FILE_BYTES,
+    concurrency = 3,
+    missingClientError = 'OpenAI API 金鑰未設置'
+  }) {
+    this.name = name;
+    this.client = client;
+    this.model = model;
+    this.responseFormat = responseFormat || OpenAIAsrProvider.defaultResponseFormat(model);
+    this.maxFileBytes = maxFileBytes;
+    this.concurrency = concurrency;
+    this.missingClientError = missingClientError;
+    this.local = false;
+  }
+
+  static defaultResponseFormat(model) {
+    return /^gpt-4o/i.test(model) ? 'json' : 'verbose_json';
+  }
+
+  get label() {
+    return `${this.name === 'openai' ? 'OpenAI API' : 'OpenAI 相容 API'} (${this.model})`;
+  }
+
+  getConfigError() {
+    return this.client ? null : this.missingClientError;
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      model: this.model,
+      baseURL: this.client ? this.client.baseURL : null,
+      responseFormat: this.responseFormat,
+      maxFileBytes: this.maxFileBytes,
+      concurrency: this.concurrency,
+      local: this.local
+    };
+  }
+
+  /**
+   * @param {string} filePath - 音檔路徑（每次呼叫都重新開啟檔案串流，可安全重試）
+   * @param {Object} options - { prompt, language }，language 為 null 時自動偵測
+   */
+  async transcribe(filePath, { prompt, language } = {}) {
+    const params = {
+      file: fs.createReadStream(filePath),
+      model: this.model,
+      response_format: this.responseFormat
+    };
+    if (this.responseFormat === 'verbose_json') {
+      params.timestamp_granularities = ['word', 'segment'];
+    }
+    if (prompt) params.prompt = prompt;
+    if (language) params.language = language;
+
+    const response = await this.client.audio.transcriptions.create(params);
+    return AsrProvider.normalizeResult(typeof response === 'string' ? { text: response } : response);
+  }
+}
+
+class WhisperCppAsrProvider {
+
+  /**
+   * @param {Object} options
+   * @param {string} options.command - whisper.cpp 執行檔（預設 whisper-cli）
+   * @param {string} options.model - ggml 模型檔路徑
+   * @param {string} options.tempDir - 暫存目錄
+   * @param {number} options.maxFileBytes - 單一檔案上限，0 表示不限制（不需要上傳）
+   * @param {number} options.concurrency - 同時轉錄的片段數
+   * @param {Function} options.run - (command, args, { timeout }) => Promise，測試時可替換
+   * @param {Function} options.convertToWav - (inputPath, outputPath) => Promise，轉成 16kHz 單聲道 WAV
+   */
+  constructor({
+    command = 'whisper-cli',
+    model,
+    tempDir,
+    maxFileBytes = 0,
+    concurrency = 1,
+    timeoutMs = LOCAL_TIMEOUT_MS,
+    run = AsrProvider.execFile,
+    convertToWav = WhisperCppAsrProvider.convertToWav
+  }) {
+    this.name = 'whisper.cpp';
+    this.command = command;
+    this.model = model;
+    this.tempDir = tempDir;
+    this.maxFileBytes = maxFileBytes;
+    this.concurrency = concurrency;
+    this.timeoutMs = timeoutMs;
+    this.run = run;
+    this.convertToWav = convertToWav;
+    this.local = true;
+  }
+
+  get label() {
+    return `whisper.cpp (${this.model ? path.basename(this.model) : '未設定模型'})`;
+  }
+
+  getConfigError() {
+    return this.model ? null : 'ASR_MODEL 未設置（whisper.cpp 的 ggml 模型檔路徑）';
+  }
+
+  describe() {
+    return { name: this.name, model: this.model, command: this.command, maxFileBytes: this.maxFileBytes, concurrency: this.concurrency, local: this.local };
+  }
+
+  /**
+   * whisper.cpp 只讀取 16kHz WAV，先以 ffmpeg 轉換
+   */
+  static convertToWav(inputPath, outputPath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .noVideo()
+        .audioChannels(1)
+        .audioFrequency(16000)
+        .audioCodec('pcm_s16le')
+        .format('wav')
+        .on('end', resolve)
+        .on('error', reject)
+        .save(outputPath);
+    });
+  }
+
+  /**
+   * 把 `-ojf` 輸出的 token（BPE 片段）合併成字：以空白開頭的 token 開始新的字，
+   * 中日韓文字每個 token 各自成為一個字，其他片段接在前一個字後面並延長結束時間
+   */
+  static tokensToWords(tokens = []) {
+    const words = [];
+    tokens.forEach(token => {
+      const text = String(token.text || '');
+      if (!text.trim() || WHISPER_CPP_SPECIAL_TOKEN.test(text.trim())) return;
+
+      const start = (token.offsets?.from || 0) / 1000;
+      const end = (token.offsets?.to || 0) / 1000;
+      const last = words[words.length - 1];
+      if (!last || /^\s/.test(text) || CJK_PATTERN.test(text.trim()[0]) || CJK_PATTERN.test(last.word[last.word.length - 1])) {
+        words.push({ word: text.trim(), start, end });
+      } else {
+        last.word += text;
+        last.end = end;
+      }
+    });
+    return words;
+  }
+
+  /**
+   * 解析 `-ojf` 輸出的 JSON（offsets 單位為毫秒），token 的時間戳轉成逐字時間戳
+   */
+  static parseOutput(data) {
+    const segments = (data.transcription || []).map(item => ({
+      start: (item.offsets?.from || 0) / 1000,
+      end: (item.offsets?.to || 0) / 1000,
+      text: item.text || '',
+      words: WhisperCppAsrProvider.tokensToWords(item.tokens)
+    }));
+    return AsrProvider.normalizeResult({ language: data.result?.language, segments });
+  }
+
+  async transcribe(filePath, { prompt, language } = {}) {
+    return AsrProvider.withWorkDir(this.tempDir, async (workDir) => {
+      const wavPath = path.join(workDir, 'input.wav');
+      const outputBase = path.join(workDir, 'output');
+      await this.convertToWav(filePath, wavPath);
+
+      // -ojf 輸出完整 JSON（含 token 與其時間戳），合併重疊片段時需要逐字時間戳
+      const args = ['-m', this.model, '-f', wavPath, '-ojf', '-of', outputBase, '-np', '-l', language || 'auto'];
+      if (prompt) args.push('--prompt', prompt);
+      await AsrProvider.runLocalCommand(this.run, this.command, args, this.timeoutMs);
+
+      return WhisperCppAsrProvider.parseOutput(JSON.parse(fs.readFileSync(`${outputBase}.json`, 'utf8')));
+    });
+  }
+}
+
+class FasterWhisperAsrProvider {
+
+  /**
+   * 透過 whisper-ctranslate2（faster-whisper 的命令列工具，參數與輸出與 openai-whisper 相同）
+   * @param {Object} options
+   * @param {string} options.command - 執行檔（預設 whisper-ctranslate2）
+   * @param {string} options.model - 模型名稱或路徑（預設 small）
+   * @param {string} options.tempDir - 暫存目錄
+   * @param {number} options.maxFileBytes - 單一檔案上限，0 表示不限制（不需要上傳）
+   * @param {number} options.concurrency - 同時轉錄的片段數
+   * @param {Function} options.run - (command, args, { timeout }) => Promise，測試時可替換
+   */
+  constructor({
+    command = 'whisper-ctranslate2',
+    model = 'small',
+    tempDir,
+    maxFileBytes = 0,
+    concurrency = 1,
+    timeoutMs = LOCAL_TIMEOUT_MS,
+    run = AsrProvider.execFile
+  }) {
+    this.name = 'faster-whisper';
+    this.command = command;
+    this.model = model;
+    this.tempDir = tempDir;
+    this.maxFileBytes = maxFileBytes;
+    this.concurrency = concurrency;
+    this.timeoutMs = timeoutMs;
+    this.run = run;
+    this.local = true;
+  }
+
+  get label() {
+    return `faster-whisper (${this.model})`;
+  }
+
+  getConfigError() {
+    return null;
+  }
+
+  describe() {
+    return { name: this.name, model: this.model, command: this.command, maxFileBytes: this.maxFileBytes, concurrency: this.concurrency, local: this.local };
+  }
+
+  async transcribe(filePath, { prompt, language } = {}) {
+    return AsrProvider.withWorkDir(this.tempDir, async (workDir) => {
+      const args = [
+        filePath,
+        '--model', this.model,
+        '--output_format', 'json',
+        '--output_dir', workDir,
+        '--word_timestamps', 'True',
+        '--verbose', 'False'
+      ];
+      if (language) args.push('--language', language);
+      if (prompt) args.push('--initial_prompt', prompt);
+      await AsrProvider.runLocalCommand(this.run, this.command, args, this.timeoutMs);
+
+      const outputPath = path.join(workDir, `${path.parse(filePath).name}.json`);
+      return AsrProvider.normalizeResult(JSON.parse(fs.readFileSync(outputPath, 'utf8')));
+    });
+  }
+}
+
+module.exports = {
+  ASR_PROVIDERS,
+  OPENAI_MAX_FILE_BYTES,
+  AsrProvider,
+  OpenAIAsrProvider,
+  WhisperCppAsrProvider,
+  FasterWhisperAsrProvider
+};
@@ -0,0 +1,153 @@
+/**
+ * 音檔格式判斷模塊
+ * 依檔案簽名（magic bytes）、來源 Content-Type 與網址副檔名判斷實際音檔格式，並產生下載檔名標頭
+ */
+
+// 支援的音檔格式：MIME type 與副檔名
+const AUDIO_FORMATS = {
+  mp3: { label: 'MP3', mimeType: 'audio/mpeg', extension: '.mp3' },
+  m4a: { label: 'M4A/MP4', mimeType: 'audio/mp4', extension: '.m4a' },
+  mp4: { label: 'MP4 影片', mimeType: 'video/mp4', extension: '.mp4' },
+  aac: { label: 'AAC', mimeType: 'audio/aac', extension: '.aac' },
+  ogg: { label: 'OGG', mimeType: 'audio/ogg', extension: '.ogg' },
+  opus: { label: 'Opus', mimeType: 'audio/ogg; codecs=opus', extension: '.opus' },
+  wav: { label: 'WAV', mimeType: 'audio/wav', extension: '.wav' },
+  flac: { label: 'FLAC', mimeType: 'audio/flac', extension: '.flac' },
+  webm: { label: 'WebM', mimeType: 'audio/webm', extension: '.webm' }
+};
+
+// Whisper API 以副檔名判斷格式，只接受這些副檔名
+const TRANSCRIPTION_EXTENSIONS = ['.flac', '.m4a', '.mp3', '.mp4', '.mpeg', '.mpga', '.oga', '.ogg', '.wav', '.webm'];
+
+// 判斷檔案簽名所需的最少位元組數（Opus 的 OpusHead 位於第一個 Ogg page 內）
+const SNIFF_BYTES = 64;
+
+// Content-Type 對應的格式（依序比對，較精確的放前面）
+const CONTENT_TYPE_PATTERNS = [
+  [/opus/i, 'opus'],
+  [/ogg/i, 'ogg'],
+  [/^video\/mp4/i, 'mp4'],
+  [/mp4|m4a|x-m4a/i, 'm4a'],
+  [/aac/i, 'aac'],
+  [/wav|wave/i, 'wav'],
+  [/flac/i, 'flac'],
+  [/webm/i, 'webm'],
+  [/mpeg|mp3/i, 'mp3']
+];
+
+class AudioFormat {
+
+  /**
+   * 依檔案簽名判斷格式，無法識別時回傳 null
+   * @param {Buffer} buffer - 檔案開頭的位元組（至少 12 bytes，Opus 需要約 64 bytes）
+   */
+  static detect(buffer) {
+    if (!buffer || buffer.length < 4) return null;
+
+    const ascii = (start, end) => buffer.slice(start, end).toString('latin1');
+
+    // ID3v2 標籤（MP3）
+    if (ascii(0, 3) === 'ID3') return 'mp3';
+
+    // ADTS AAC：12 bits 同步字，layer 為 00
+    if (buffer[0] === 0xFF && (buffer[1] & 0xF6) === 0xF0) return 'aac';
+
+    // MPEG 音訊 frame header
+    if (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0) return 'mp3';
+
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+
+    // ISO BMFF：第 4-8 bytes 為 ftyp，後面接品牌；只有 M4A/M4B/M4P 品牌確定是音訊，
+    // 其他品牌（isom、mp42、dash 等）只能確定是 MP4 容器，由 resolve 再判斷
+    if (ascii(4, 8) === 'ftyp') {
+      const brand = ascii(8, 12);
+      return /^M4[ABP] $/.test(brand) ? 'm4a' : 'mp4';
+    }
+
+    if (ascii(0, 4) === 'OggS') {
+      return ascii(0, Math.min(buffer.length, SNIFF_BYTES)).includes('OpusHead') ? 'opus' : 'ogg';
+    }
+
+    if (ascii(0, 4) === 'fLaC') return 'flac';
+
+    // EBML（WebM / Matroska）
+    if (buffer[0] === 0x1A && buffer[1] === 0x45 && buffer[2] === 0xDF && buffer[3] === 0xA3) return 'webm';
+
+    return null;
+  }
+
+  /**
+   * 依 Content-Type 判斷格式（application/octet-stream 等不明確的類型回傳 null）
+   */
+  static fromContentType(contentType) {
+    const type = (contentType || '').split(';')[0].trim();
+    if (!/^(audio|video)\//i.test(type)) return null;
+    const match = CONTENT_TYPE_PATTERNS.find(([pattern]) => pattern.test(contentType));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * 依網址副檔名判斷格式
+   */
+  static fromUrl(url) {
+    let pathname = url || '';
+    try {
+      pathname = new URL(url).pathname;
+    } catch (error) {
+      // 非完整網址時直接比對字串
+    }
+    const match = pathname.toLowerCase().match(/\.(mp3|m4a|mp4|aac|ogg|oga|opus|wav|flac|webm)$/);
+    if (!match) return null;
+    return match[1] === 'oga' ? 'ogg' : match[1];
+  }
+
+  /**
+   * 綜合判斷：檔案簽名 > 來源 Content-Type > 網址副檔名，都無法判斷時視為 MP3
+   * MP4 容器的品牌無法確定是音訊或影片時，依 Content-Type、網址副檔名判斷，兩者都沒有指明影片時視為音訊
+   */
+  static resolve({ buffer, contentType, url }) {
+    const sniffed = this.detect(buffer);
+    const declared = this.fromContentType(contentType);
+
+    let format = sniffed || declared || this.fromUrl(url) || 'mp3';
+    if (sniffed === 'mp4') {
+      format = (declared || this.fromUrl(url)) === 'mp4' ? 'mp4' : 'm4a';
+    }
+
+    return { format, ...AUDIO_FORMATS[format], sniffed: Boolean(sniffed) };
+  }
+
+  /**
+   * 轉錄用的副檔名：Opus 改用 .ogg 容器副檔名，其他 Whisper 不接受的副檔名沿用 .mp3
+   */
+  static transcriptionExtension(format) {
+    const extension = AUDIO_FORMATS[format]?.extension || '.mp3';
+    if (TRANSCRIPTION_EXTENSIONS.includes(extension)) return extension;
+    return format === 'opus' ? '.ogg' : '.mp3';
+  }
+
+  /**
+   * 產生 Content-Disposition：ASCII 後備檔名加上 RFC 5987 的 filename*（支援中文標題）
+   */
+  static contentDisposition(title, extension, disposition = 'attachment') {
+    const baseName = String(title || 'audio')
+      .replace(/[<>:"/\\|?*\r\n]/g, '_')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 150) || 'audio';
+    const fileName = `${baseName}${extension}`;
+
+    const asciiName = fileName.replace(/[^\x20-\x7E]/g, '_').replace(/[%;]/g, '_');
+    const encodedName = encodeURIComponent(fileName)
+      .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    return `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodedName}`;
+  }
+}
+
+module.exports = {
+  AUDIO_FORMATS,
+  TRANSCRIPTION_EXTENSIONS,
+  SNIFF_BYTES,
+  AudioFormat
+};
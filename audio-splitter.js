@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+
+/**
+ * 依靜音分割音檔模塊
+ * 以 ffmpeg silencedetect 找出靜音，在接近目標長度的靜音中點切開，避免把一個字切成兩半；
+ * 可選擇讓相鄰片段重疊幾秒，合併時依逐字時間戳只保留各片段「負責」範圍內的字，重疊部分不會重複
+ */
+
+// 預設片段長度（秒）
+const DEFAULT_TARGET_SECONDS = 300;
+
+// 在目標長度前後多少秒內尋找靜音
+const DEFAULT_SEARCH_SECONDS = 30;
+
+// 視為靜音的音量與最短長度
+const SILENCE_NOISE = '-35dB';
+const SILENCE_MIN_SECONDS = 0.5;
+
+// 依輸入格式決定片段的輸出格式（與壓縮後的音檔相同）
+const OUTPUT_FORMATS = {
+  '.m4a': { ext: '.m4a', format: 'ipod', audioCodec: 'aac', audioBitrate: '64k' },
+  '.mp4': { ext: '.m4a', format: 'ipod', audioCodec: 'aac', audioBitrate: '64k' },
+  '.ogg': { ext: '.ogg', format: 'ogg', audioCodec: 'libvorbis', audioBitrate: '64k' },
+  '.wav': { ext: '.wav', format: 'wav', audioCodec: 'pcm_s16le', audioBitrate: null },
+  '.mp3': { ext: '.mp3', format: 'mp3', audioCodec: 'libmp3lame', audioBitrate: '64k' }
+};
+
+// 中日韓文字之間不加空格
+const CJK_PATTERN = /[\u3000-\u30ff\u3400-\u9fff\uac00-\ud7af\uff00-\uffef]/;
+
+class AudioSplitter {
+
+  /**
+   * @param {Object} options
+   * @param {number} options.targetSeconds - 目標片段長度（秒）
+   * @param {number} options.overlapSeconds - 相鄰片段重疊的秒數，0 表示不重疊
+   * @param {number} options.searchSeconds - 在目標長度前後多少秒內尋找靜音
+   */
+  constructor({ targetSeconds = DEFAULT_TARGET_SECONDS, overlapSeconds = 0, searchSeconds = DEFAULT_SEARCH_SECONDS } = {}) {
+    this.targetSeconds = targetSeconds;
+    this.overlapSeconds = overlapSeconds;
+    this.searchSeconds = Math.min(searchSeconds, targetSeconds / 2);
+  }
+
+  /**
+   * 解析 silencedetect 的輸出（silence_start／silence_end 成對出現，結尾的靜音可能只有開始）
+   */
+  static parseSilences(output, duration = null) {
+    const silences = [];
+    let start = null;
+    String(output).split(/\r?\n/).forEach(line => {
+      const startMatch = line.match(/silence_start:\s*(-?[\d.]+)/);
+      const endMatch = line.match(/silence_end:\s*([\d.]+)/);
+      if (startMatch) {
+        start = Math.max(0, parseFloat(startMatch[1]));
+      } else if (endMatch && start !== null) {
+        silences.push({ start, end: parseFloat(endMatch[1]) });
+        start = null;
+      }
+    });
+    if (start !== null && duration) {
+      silences.push({ start, end: duration });
+    }
+    return silences;
+  }
+
+  /**
+   * 從 ffmpeg 輸出的 `Duration: 00:52:13.45` 取得長度（秒）
+   */
+  static parseDuration(output) {
+    const match = String(output).match(/Duration:\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+    if (!match) return null;
+    return Number(match[1]) * 3600 + Number(match[2]) * 60 + parseFloat(match[3]);
+  }
+
+  /**
+   * 規劃切點：從上一個切點算起目標長度附近、最接近目標的靜音中點；找不到靜音時在目標長度切開。
+   * 每個片段負責 [cutStart, cutEnd)，實際擷取的範圍再往前後各延伸一半的重疊秒數
+   * @returns {Array<{ index, start, end, cutStart, cutEnd, silenceCut }>}
+   */
+  planSegments({ duration, silences = [] }) {
+    const midpoints = silences.map(silence => (silence.start + silence.end) / 2);
+    const cuts = [{ time: 0, silenceCut: true }];
+
+    while (duration - cuts[cuts.length - 1].time > this.targetSeconds + this.searchSeconds) {
+      const last = cuts[cuts.length - 1].time;
+      const target = last + this.targetSeconds;
+      const nearest = midpoints
+        .filter(midpoint => Math.abs(midpoint - target) <= this.searchSeconds)
+        .sort((a, b) => Math.abs(a - target) - Math.abs(b - target))[0];
+      cuts.push({ time: nearest !== undefined ? nearest : target, silenceCut: nearest !== undefined });
+    }
+
+    const halfOverlap = this.overlapSeconds / 2;
+    return cuts.map((cut, index) => {
+      const cutEnd = index + 1 < cuts.length ? cuts[index + 1].time : duration;
+      return {
+        index,
+        start: Math.max(0, cut.time - (index > 0 ? halfOverlap : 0)),
+        end: Math.min(duration, cutEnd + (index + 1 < cuts.length ? halfOverlap : 0)),
+        cutStart: cut.time,
+        cutEnd,
+        silenceCut: cut.silenceCut
+      };
+    });
+  }
+
+  static getOutputFormat(inputPath) {
+    return OUTPUT_FORMATS[path.extname(inputPath).toLowerCase()] || OUTPUT_FORMATS['.mp3'];
+  }
+
+  /**
+   * 以 silencedetect 掃描整個音檔，回傳長度與靜音區間
+   */
+  static detectSilences(inputPath) {
+    return new Promise((resolve, reject) => {
+      const lines = [];
+      ffmpeg(inputPath)
+        .noVideo()
+        .audioFilters(`silencedetect=noise=${SILENCE_NOISE}:d=${SILENCE_MIN_SECONDS}`)
+        .format('null')
+        .on('start', (commandLine) => {
+          console.log(`🔇 FFmpeg 靜音偵測命令: ${commandLine}`);
+        })
+        .on('stderr', line => lines.push(line))
+        .on('end', () => {
+          const output = lines.join('\n');
+          const duration = AudioSplitter.parseDuration(output);
+          resolve({ duration, silences: AudioSplitter.parseSilences(output, duration) });
+        })
+        .on('error', reject)
+        .save('-');
+    });
+  }
+
+  static extractSegment(inputPath, outputPath, start, end) {
+    const { format, audioCodec, audioBitrate } = AudioSplitter.getOutputFormat(inputPath);
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(inputPath)
+        .seekInput(start.toFixed(3))
+        .duration((end - start).toFixed(3))
+        .noVideo()
+        .audioCodec(audioCodec)
+        .format(format);
+      if (audioBitrate) {
+        command.audioBitrate(audioBitrate);
+      }
+      command
+        .on('end', resolve)
+        .on('error', reject)
+        .save(outputPath);
+    });
+  }
+
+  /**
+   * 分割音檔
+   * @returns {Promise<{ duration, segments: Array<{ file, index, start, end, cutStart, cutEnd, silenceCut }> }>}
+   */
+  async split(inputPath, outputDir) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    const { duration, silences } = await AudioSplitter.detectSilences(inputPath);
+    if (!duration) {
+      throw new Error('無法取得音檔長度');
+    }
+
+    const plan = this.planSegments({ duration, silences });
+    const silenceCuts = plan.filter(segment => segment.index > 0 && segment.silenceCut).length;
+    console.log(`    偵測到 ${silences.length} 段靜音，${plan.length - 1} 個切點中有 ${silenceCuts} 個落在靜音`);
+
+    const { ext } = AudioSplitter.getOutputFormat(inputPath);
+    const segments = [];
+    for (const segment of plan) {
+      const file = path.join(outputDir, `segment_${String(segment.index).padStart(3, '0')}${ext}`);
+      await AudioSplitter.extractSegment(inputPath, file, segment.start, segment.end);
+      segments.push({ ...segment, file });
+    }
+    return { duration, segments };
+  }
+
+  static joinWords(words) {
+    return words.reduce((text, item) => {
+      const word = String(item.word || '').trim();
+      if (!text || !word) return text + word;
+      return CJK_PATTERN.test(text[text.length - 1]) || CJK_PATTERN.test(word[0]) ? text + word : `${text} ${word}`;
+    }, '');
+  }
+
+  /**
+   * 把片段的轉錄結果換成整個音檔的時間，並只保留這個片段負責的範圍：
+   * 有逐字時間戳時依每個字的中點判斷（重疊部分的字只會被其中一個片段保留），否則依整段的中點判斷
+   */
+  static trimTranscription(transcription, { start, cutStart, cutEnd }) {
+    const owns = (from, to) => {
+      const midpoint = (from + to) / 2;
+      return midpoint >= cutStart && midpoint < cutEnd;
+    };
+
+    const segments = [];
+    (transcription.segments || []).forEach(segment => {
+      const words = (segment.words || []).map(word => ({ ...word, start: word.start + start, end: word.end + start }));
+      const absolute = { ...segment, start: segment.start + start, end: segment.end + start, words };
+
+      if (words.length === 0) {
+        if (owns(absolute.start, absolute.end)) segments.push(absolute);
+        return;
+      }
+
+      const kept = words.filter(word => owns(word.start, word.end));
+      if (kept.length === words.length) {
+        segments.push(absolute);
+      } else if (kept.length > 0) {
+        segments.push({
+          ...absolute,
+          start: kept[0].start,
+          end: kept[kept.length - 1].end,
+          text: AudioSplitter.joinWords(kept),
+          words: kept
+        });
+      }
+    });
+
+    // 沒有時間戳（例如只回傳純文字的模型）時無法去除重疊，保留原文字
+    const hasTimestamps = (transcription.segments || []).length > 0;
+    return {
+      ...transcription,
+      text: hasTimestamps ? AudioSplitter.joinWords(segments.map(segment => ({ word: segment.text }))) : transcription.text,
+      segments,
+      words: segments.flatMap(segment => segment.words)
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_TARGET_SECONDS,
+  AudioSplitter
+};
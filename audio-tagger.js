@@ -0,0 +1,197 @@
+const fs = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+
+/**
+ * 音檔標籤模塊
+ * 以 ffmpeg 把集數資訊（標題、節目、發布日期、集數、封面、說明）與章節寫入下載的音檔：
+ * MP3 寫成 ID3v2.4（章節為 CHAP/CTOC），M4A 寫成 MP4 metadata 與章節 atom；只複製串流，不重新編碼
+ */
+
+// 支援寫入標籤的格式
+const TAGGABLE_FORMATS = ['mp3', 'm4a'];
+
+// 說明欄（comment）最大長度
+const MAX_COMMENT_LENGTH = 4000;
+
+class AudioTagger {
+
+  static canTag(format) {
+    return TAGGABLE_FORMATS.includes(format);
+  }
+
+  /**
+   * 解析 timeline 的時間點（SS、MM:SS 或 HH:MM:SS），無法解析時回傳 null
+   */
+  static parseTimestamp(value) {
+    const match = String(value || '').trim().match(/^(?:(\d+):)?(\d{1,3}):(\d{1,2})(?:[.,]\d+)?$|^(\d+)$/);
+    if (!match) return null;
+    if (match[4] !== undefined) return Number(match[4]);
+    return Number(match[1] || 0) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+  }
+
+  /**
+   * 把 /api/generate-content 產生的 timeline 轉成章節（依時間排序，結束時間為下一章的開始或音檔長度）
+   * @returns {Array<{ start, end, title }>} 秒數
+   */
+  static buildChapters(timeline, durationSeconds) {
+    const points = (Array.isArray(timeline) ? timeline : [])
+      .map(item => ({ start: this.parseTimestamp(item?.time), title: String(item?.label || '').trim() }))
+      .filter(point => point.start !== null && point.title && (!durationSeconds || point.start < durationSeconds))
+      .sort((a, b) => a.start - b.start)
+      .filter((point, index, sorted) => index === 0 || point.start > sorted[index - 1].start);
+
+    return points.map((point, index) => ({
+      start: point.start,
+      end: index + 1 < points.length ? points[index + 1].start : (durationSeconds || point.start + 1),
+      title: point.title
+    }));
+  }
+
+  /**
+   * 集數資訊對應的 ffmpeg metadata 鍵（ffmpeg 依輸出格式轉成 ID3 frame 或 MP4 atom）
+   */
+  static buildTags({ title, podcastTitle, author, pubDate, season, episodeNumber, description }) {
+    const tags = { genre: 'Podcast' };
+    if (title) tags.title = title;
+    if (podcastTitle) {
+      tags.album = podcastTitle;
+      tags.album_artist = author || podcastTitle;
+    }
+    if (author || podcastTitle) tags.artist = author || podcastTitle;
+
+    const date = pubDate ? new Date(pubDate) : null;
+    if (date && !isNaN(date.getTime())) tags.date = date.toISOString().slice(0, 10);
+    if (episodeNumber) tags.track = String(episodeNumber);
+    if (season) tags.disc = String(season);
+    if (description) tags.comment = String(description).trim().slice(0, MAX_COMMENT_LENGTH);
+    return tags;
+  }
+
+  /**
+   * ffmetadata 格式的值需要跳脫 = ; # \ 與換行
+   */
+  static escapeMetadataValue(value) {
+    return String(value).replace(/[=;#\\\n]/g, char => `\\${char}`);
+  }
+
+  /**
+   * 產生 ffmetadata 檔內容（章節以毫秒為單位）
+   */
+  static buildFfmetadata(chapters = []) {
+    const lines = [';FFMETADATA1'];
+    chapters.forEach(chapter => {
+      lines.push(
+        '[CHAPTER]',
+        'TIMEBASE=1/1000',
+        `START=${Math.round(chapter.start * 1000)}`,
+        `END=${Math.round(chapter.end * 1000)}`,
+        `title=${this.escapeMetadataValue(chapter.title)}`
+      );
+    });
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * ffmpeg 輸出參數：輸入 0 為音檔、1 為 ffmetadata 章節、2 為封面（選填）
+   */
+  static buildOutputOptions({ format, tags, hasChapters, hasArtwork }) {
+    const options = [
+      '-map', hasArtwork ? '0:a' : '0',
+      '-map_metadata', '0',
+      '-map_chapters', hasChapters ? '1' : '0',
+      '-c', 'copy'
+    ];
+
+    if (hasArtwork) {
+      options.push(
+        '-map', '2:v',
+        '-disposition:v:0', 'attached_pic',
+        '-metadata:s:v', 'title=Album cover',
+        '-metadata:s:v', 'comment=Cover (front)'
+      );
+    }
+
+    Object.entries(tags).forEach(([key, value]) => {
+      options.push('-metadata', `${key}=${value}`);
+    });
+
+    if (format === 'mp3') {
+      options.push('-id3v2_version', '4', '-write_id3v1', '0');
+    } else {
+      options.push('-f', 'ipod');
+    }
+    return options;
+  }
+
+  /**
+   * 取得音檔長度（秒）
+   */
+  static probeDuration(inputPath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(inputPath, (error, data) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(Number(data?.format?.duration) || null);
+      });
+    });
+  }
+
+  /**
+   * 寫入標籤、封面與章節到新檔案
+   * @param {Object} options
+   * @param {string} options.inputPath - 原始音檔
+   * @param {string} options.outputPath - 輸出檔案（副檔名需與格式一致）
+   * @param {string} options.format - mp3 | m4a
+   * @param {Object} options.metadata - 集數資訊（title、podcastTitle、pubDate、season、episodeNumber、description、timeline）
+   * @param {string} options.artworkPath - （選填）封面圖片檔
+   * @returns {Promise<{ tags, chapters }>}
+   */
+  static async tag({ inputPath, outputPath, format, metadata = {}, artworkPath = null }) {
+    if (!this.canTag(format)) {
+      throw new Error(`不支援寫入 ${format} 格式的標籤`);
+    }
+
+    let chapters = [];
+    if (Array.isArray(metadata.timeline) && metadata.timeline.length > 0) {
+      const durationSeconds = await this.probeDuration(inputPath).catch(() => null);
+      chapters = this.buildChapters(metadata.timeline, durationSeconds);
+    }
+
+    const tags = this.buildTags(metadata);
+    const metadataPath = `${outputPath}.ffmeta`;
+    fs.writeFileSync(metadataPath, this.buildFfmetadata(chapters));
+
+    try {
+      await new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath).input(metadataPath).inputFormat('ffmetadata');
+        if (artworkPath) command.input(artworkPath);
+
+        command
+          .outputOptions(this.buildOutputOptions({
+            format,
+            tags,
+            hasChapters: chapters.length > 0,
+            hasArtwork: Boolean(artworkPath)
+          }))
+          .on('start', (commandLine) => {
+            console.log(`🏷️ FFmpeg 標籤命令: ${commandLine}`);
+          })
+          .on('end', resolve)
+          .on('error', reject)
+          .save(outputPath);
+      });
+    } finally {
+      fs.rmSync(metadataPath, { force: true });
+    }
+
+    console.log(`🏷️ 已寫入標籤${chapters.length > 0 ? `與 ${chapters.length} 個章節` : ''}: ${outputPath}`);
+    return { tags, chapters };
+  }
+}
+
+module.exports = {
+  TAGGABLE_FORMATS,
+  AudioTagger
+};
@@ -0,0 +1,408 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SNIFF_BYTES, AudioFormat } = require('./audio-format');
+const { FilenameTemplate } = require('./filename-template');
+
+/**
+ * 伺服器端下載佇列模塊
+ * 依設定的並行數下載音檔到磁碟，支援逐項暫停／繼續／取消；未完成的檔案以 HTTP Range 續傳
+ */
+
+// 計算下載速度的取樣間隔
+const SPEED_SAMPLE_MS = 1000;
+
+// 伺服器端下載佇列（項目狀態：queued、downloading、processing、paused、completed、error、cancelled）
+class DownloadQueue {
+
+  /**
+   * @param {Object} options
+   * @param {string} options.downloadDir - 下載檔案存放目錄
+   * @param {string} options.stateFile - 佇列狀態檔（JSON）
+   * @param {Function} options.openStream - (url, { range }, callback(error, response)) 開啟上游音檔串流
+   * @param {number} options.concurrency - 同時下載數量
+   * @param {Function} options.processFile - （選填）async (item, filePath) 下載完成後處理檔案（例如寫入標籤），只對帶有 metadata 的項目執行
+   * @param {Function} options.getFileName - （選填）(item, extension) 下載完成後的相對檔名（可包含子目錄），重複時自動加序號
+   */
+  constructor({ downloadDir, stateFile, openStream, concurrency = 2, processFile = null, getFileName = null }) {
+    this.downloadDir = downloadDir;
+    this.stateFile = stateFile;
+    this.openStream = openStream;
+    this.concurrency = concurrency;
+    this.processFile = processFile;
+    this.getFileName = getFileName;
+    this.transfers = new Map();
+    // 尚未關閉的 .part 寫入串流（項目 ID → 關閉的 Promise）
+    this.closingFiles = new Map();
+    this.items = this.load();
+
+    // 伺服器重啟時中斷的下載重新排隊（會從已下載的位置續傳），處理到一半的檔案保留原樣
+    this.items.forEach(item => {
+      if (item.status === 'downloading') {
+        item.status = 'queued';
+        item.speed = 0;
+      }
+      if (item.status === 'processing') {
+        item.status = 'completed';
+      }
+    });
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.stateFile)) {
+        const data = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+        return Array.isArray(data.items) ? data.items : [];
+      }
+    } catch (error) {
+      console.warn(`⚠️ 讀取下載佇列失敗，將使用空佇列: ${error.message}`);
+    }
+    return [];
+  }
+
+  /**
+   * 寫回磁碟（先寫暫存檔再改名，避免寫到一半損毀）
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    const tempPath = `${this.stateFile}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ items: this.items }, null, 2));
+    fs.renameSync(tempPath, this.stateFile);
+  }
+
+  list() {
+    return this.items;
+  }
+
+  get(id) {
+    return this.items.find(item => item.id === id);
+  }
+
+  setConcurrency(concurrency) {
+    this.concurrency = concurrency;
+    this.pump();
+  }
+
+  /**
+   * 加入下載；同一集已在佇列中（未取消）時回傳既有項目，暫停或失敗的項目會重新排隊
+   * episodeInfo（節目名稱、發布日期、季／集數）用於產生檔名；metadata 會在下載完成後交給 processFile（例如寫入 ID3／MP4 標籤）
+   */
+  add({ episodeId = null, title = '', audioUrl, episodeInfo = {}, metadata = null }) {
+    const existing = this.items.find(item => item.audioUrl === audioUrl && item.status !== 'cancelled');
+    if (existing) {
+      return ['paused', 'error'].includes(existing.status) ? this.resume(existing.id) : existing;
+    }
+
+    const item = {
+      id: crypto.randomBytes(6).toString('hex'),
+      episodeId,
+      title,
+      audioUrl,
+      status: 'queued',
+      bytesDownloaded: 0,
+      totalBytes: null,
+      speed: 0,
+      contentType: null,
+      fileName: null,
+      error: null,
+      episodeInfo,
+      metadata,
+      processError: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    };
+    this.items.push(item);
+    this.save();
+    this.pump();
+    return item;
+  }
+
+  pause(id) {
+    const item = this.get(id);
+    if (!item || !['queued', 'downloading'].includes(item.status)) return item || null;
+    this.abortTransfer(id);
+    Object.assign(item, { status: 'paused', speed: 0 });
+    this.save();
+    this.pump();
+    return item;
+  }
+
+  resume(id) {
+    const item = this.get(id);
+    if (!item || !['paused', 'error'].includes(item.status)) return item || null;
+    Object.assign(item, { status: 'queued', error: null });
+    this.save();
+    this.pump();
+    return item;
+  }
+
+  /**
+   * 取消下載並刪除未完成的檔案
+   */
+  cancel(id) {
+    const item = this.get(id);
+    if (!item || ['processing', 'completed', 'cancelled'].includes(item.status)) return item || null;
+    this.abortTransfer(id);
+    this.removeFile(this.getPartPath(item));
+    Object.assign(item, { status: 'cancelled', speed: 0, bytesDownloaded: 0 });
+    this.save();
+    this.pump();
+    return item;
+  }
+
+  /**
+   * 從佇列移除項目，並刪除已下載或未完成的檔案
+   */
+  remove(id) {
+    const item = this.get(id);
+    if (!item) return false;
+    this.abortTransfer(id);
+    this.removeFile(this.getPartPath(item));
+    if (item.fileName) this.removeFile(this.getFilePath(item));
+    this.items = this.items.filter(entry => entry.id !== id);
+    this.save();
+    this.pump();
+    return true;
+  }
+
+  getPartPath(item) {
+    return path.join(this.downloadDir, `${item.id}.part`);
+  }
+
+  getFilePath(item) {
+    return item.fileName ? path.join(this.downloadDir, item.fileName) : null;
+  }
+
+  removeFile(filePath) {
+    try {
+      if (filePath && fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    } catch (error) {
+      console.warn(`⚠️ 刪除下載檔案失敗: ${filePath} - ${error.message}`);
+    }
+  }
+
+  /**
+   * 依並行數啟動排隊中的下載（上一次的寫入串流還沒關閉的項目等關閉後再開始）
+   */
+  pump() {
+    const queued = this.items.filter(item => (
+      item.status === 'queued' && !this.transfers.has(item.id) && !this.closingFiles.has(item.id)
+    ));
+    while (this.transfers.size < this.concurrency && queued.length > 0) {
+      this.start(queued.shift());
+    }
+  }
+
+  abortTransfer(id) {
+    const transfer = this.transfers.get(id);
+    if (!transfer) return;
+    transfer.aborted = true;
+    if (transfer.response) transfer.response.destroy();
+    this.closeFile(id, transfer.file);
+    this.transfers.delete(id);
+  }
+
+  /**
+   * 結束 .part 的寫入串流；緩衝中的資料寫完、串流關閉前不會重新開始同一項目，
+   * 否則續傳位置會少算，舊串流之後寫入的資料也會接在新資料後面
+   */
+  closeFile(id, file) {
+    if (!file || file.closed) return;
+    const closing = new Promise(resolve => file.once('close', resolve));
+    this.closingFiles.set(id, closing);
+    closing.then(() => {
+      if (this.closingFiles.get(id) === closing) this.closingFiles.delete(id);
+      this.pump();
+    });
+    if (!file.destroyed) file.end();
+  }
+
+  start(item) {
+    fs.mkdirSync(this.downloadDir, { recursive: true });
+    const partPath = this.getPartPath(item);
+    const offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+
+    const transfer = { aborted: false, failed: false, response: null, file: null, sampleBytes: offset, sampleTime: Date.now() };
+    this.transfers.set(item.id, transfer);
+    Object.assign(item, { status: 'downloading', bytesDownloaded: offset, speed: 0, error: null });
+    this.save();
+
+    console.log(`📥 開始下載${offset > 0 ? `（從 ${(offset / 1024 / 1024).toFixed(2)}MB 續傳）` : ''}: ${item.title || item.audioUrl}`);
+
+    this.openStream(item.audioUrl, { range: offset > 0 ? `bytes=${offset}-` : undefined }, (error, response) => {
+      if (transfer.aborted) {
+        if (response) response.destroy();
+        return;
+      }
+      if (error) {
+        this.fail(item, error);
+        return;
+      }
+
+      // 已下載的部分就是完整檔案
+      if (response.statusCode === 416 && offset > 0) {
+        response.resume();
+        this.complete(item);
+        return;
+      }
+      if (response.statusCode !== 200 && response.statusCode !== 206) {
+        response.resume();
+        this.fail(item, new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
+        return;
+      }
+
+      // 回傳的範圍起點與要求的續傳位置不同時，接上去會損毀檔案，改為從頭下載
+      if (response.statusCode === 206 && offset > 0) {
+        const rangeStart = (response.headers['content-range'] || '').match(/^bytes (\d+)-/);
+        if (!rangeStart || Number(rangeStart[1]) !== offset) {
+          console.warn(`⚠️ 續傳範圍不符（要求 ${offset}，回傳 ${response.headers['content-range'] || '無 Content-Range'}），改為從頭下載: ${item.title || item.audioUrl}`);
+          response.destroy();
+          this.transfers.delete(item.id);
+          this.removeFile(partPath);
+          this.start(item);
+          return;
+        }
+      }
+
+      // 來源不支援 Range 時回傳 200，只能從頭下載
+      const append = response.statusCode === 206 && offset > 0;
+      const rangeTotal = (response.headers['content-range'] || '').match(/\/(\d+)$/);
+      const contentLength = parseInt(response.headers['content-length'], 10);
+      Object.assign(item, {
+        bytesDownloaded: append ? offset : 0,
+        totalBytes: rangeTotal ? Number(rangeTotal[1]) : (contentLength >= 0 ? contentLength + (append ? offset : 0) : null),
+        contentType: response.headers['content-type'] || null
+      });
+      transfer.sampleBytes = item.bytesDownloaded;
+      transfer.response = response;
+      transfer.file = fs.createWriteStream(partPath, { flags: append ? 'a' : 'w' });
+
+      // 中斷時保留已下載的部分（等寫入串流關閉），項目標記失敗，之後可以續傳
+      const failTransfer = (transferError) => {
+        if (transfer.aborted || transfer.failed) return;
+        transfer.failed = true;
+        response.destroy();
+        this.closeFile(item.id, transfer.file);
+        this.fail(item, transferError);
+      };
+
+      response.on('data', (chunk) => {
+        item.bytesDownloaded += chunk.length;
+        this.updateSpeed(item, transfer);
+      });
+
+      // 上游錯誤（連線重設、超過大小上限）與連線中途斷開
+      response.on('error', failTransfer);
+      response.on('close', () => {
+        if (!response.complete) {
+          failTransfer(new Error('下載連線中斷'));
+        }
+      });
+
+      transfer.file.on('finish', () => {
+        if (!transfer.aborted && response.complete) {
+          this.complete(item);
+        }
+      });
+
+      transfer.file.on('error', failTransfer);
+
+      response.pipe(transfer.file);
+    });
+  }
+
+  updateSpeed(item, transfer) {
+    const now = Date.now();
+    const elapsed = now - transfer.sampleTime;
+    if (elapsed < SPEED_SAMPLE_MS) return;
+    item.speed = Math.round((item.bytesDownloaded - transfer.sampleBytes) / (elapsed / 1000));
+    transfer.sampleBytes = item.bytesDownloaded;
+    transfer.sampleTime = now;
+  }
+
+  /**
+   * 下載完成：依檔案簽名決定副檔名並改為正式檔名
+   */
+  complete(item) {
+    this.transfers.delete(item.id);
+    const partPath = this.getPartPath(item);
+
+    try {
+      const buffer = Buffer.alloc(SNIFF_BYTES);
+      const fd = fs.openSync(partPath, 'r');
+      const bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+      fs.closeSync(fd);
+
+      const audioFormat = AudioFormat.resolve({
+        buffer: buffer.slice(0, bytesRead),
+        contentType: item.contentType,
+        url: item.audioUrl
+      });
+      const fileName = this.getFileName
+        ? this.getFileName(item, audioFormat.extension)
+        : `${FilenameTemplate.sanitizeSegment(item.title, 'audio')}_${item.id}${audioFormat.extension}`;
+      item.fileName = FilenameTemplate.uniquePath(fileName, candidate => (
+        fs.existsSync(path.join(this.downloadDir, candidate))
+        || this.items.some(other => other !== item && other.fileName === candidate)
+      ));
+      item.contentType = audioFormat.mimeType;
+      fs.mkdirSync(path.dirname(this.getFilePath(item)), { recursive: true });
+      fs.renameSync(partPath, this.getFilePath(item));
+
+      item.totalBytes = fs.statSync(this.getFilePath(item)).size;
+      Object.assign(item, { bytesDownloaded: item.totalBytes, speed: 0 });
+      console.log(`✅ 下載完成: ${item.fileName}`);
+    } catch (error) {
+      Object.assign(item, { status: 'error', speed: 0, error: `儲存檔案失敗: ${error.message}` });
+      this.save();
+      this.pump();
+      return;
+    }
+
+    if (!item.metadata || !this.processFile) {
+      this.finish(item);
+      return;
+    }
+
+    // 檔案處理不佔用下載並行數
+    item.status = 'processing';
+    this.save();
+    this.pump();
+
+    this.processFile(item, this.getFilePath(item))
+      .then(() => {
+        item.processError = null;
+      })
+      .catch(error => {
+        // 處理失敗時保留原始檔案，仍視為下載完成
+        console.warn(`⚠️ 下載檔案處理失敗（保留原始檔案）: ${item.fileName} - ${error.message}`);
+        item.processError = error.message;
+      })
+      .finally(() => {
+        if (item.status === 'processing') this.finish(item);
+      });
+  }
+
+  finish(item) {
+    const filePath = this.getFilePath(item);
+    if (filePath && fs.existsSync(filePath)) {
+      item.totalBytes = fs.statSync(filePath).size;
+      item.bytesDownloaded = item.totalBytes;
+    }
+    Object.assign(item, { status: 'completed', speed: 0, completedAt: new Date().toISOString() });
+    this.save();
+    this.pump();
+  }
+
+  fail(item, error) {
+    this.transfers.delete(item.id);
+    console.error(`❌ 下載失敗: ${item.title || item.audioUrl} - ${error.message}`);
+    Object.assign(item, { status: 'error', speed: 0, error: error.message });
+    this.save();
+    this.pump();
+  }
+}
+
+module.exports = {
+  DownloadQueue
+};
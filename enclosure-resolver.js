@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 音檔連結解析模塊
+ * 部分託管平台的 feed 只提供播放器頁面或不穩定的音檔網址，需要在伺服器端逐一探測候選網址，
+ * 找出實際回傳音檔的連結，並依集數快取結果
+ */
+
+/**
+ * 託管平台解析器介面：
+ * - name: 平台名稱（快取鍵的前綴）
+ * - match(url): 判斷網址是否屬於此平台，回傳解析出的資訊（需含 episodeKey），不符合時回傳 null
+ * - getCandidates(info): 依序回傳要探測的候選音檔網址
+ */
+
+// SoundOn：播放器頁面或 rssFileVip 連結，依序嘗試 VIP 連結與兩個檔案伺服器
+const SoundOnResolver = {
+  name: 'soundon',
+
+  match(url) {
+    const playerMatch = url.match(/player\.soundon\.fm\/p\/([^/]+)\/episodes\/([^/?#]+)/);
+    if (playerMatch) {
+      return { podcastId: playerMatch[1], episodeKey: playerMatch[2] };
+    }
+    const rssMatch = url.match(/rss\.soundon\.fm\/rssf\/([^/]+)\/feedurl\/([^/?#]+)\//);
+    if (rssMatch) {
+      return { podcastId: rssMatch[1], episodeKey: rssMatch[2] };
+    }
+    return null;
+  },
+
+  getCandidates({ podcastId, episodeKey }) {
+    return [
+      `https://rss.soundon.fm/rssf/${podcastId}/feedurl/${episodeKey}/rssFileVip.mp3`,
+      `https://filesb.soundon.fm/file/filesb/${episodeKey}.mp3`,
+      `https://files.soundon.fm/${episodeKey}.mp3`
+    ];
+  }
+};
+
+// 重定向後的實際網址常帶有時效簽章，超過這個時間改回從候選網址重新走重定向
+const FINAL_URL_TTL_MS = 6 * 60 * 60 * 1000;
+
+// 預設啟用的託管平台解析器（Firstory、KKBOX、Spotify 等可依相同介面加入）
+const DEFAULT_HOST_RESOLVERS = [SoundOnResolver];
+
+// 音檔連結解析器：比對託管平台、探測候選網址並快取
+class EnclosureResolver {
+
+  /**
+   * @param {Object} options
+   * @param {Function} options.probe - async (url) => { ok, contentType, finalUrl, status }
+   * @param {string} options.cacheFile - 解析結果快取檔（JSON）
+   * @param {Array} options.hostResolvers - 託管平台解析器
+   * @param {number} options.finalUrlTtlMs - 快取的重定向目標網址有效時間
+   * @param {Function} options.now - 取得目前時間（毫秒），測試用
+   */
+  constructor({ probe, cacheFile, hostResolvers = DEFAULT_HOST_RESOLVERS, finalUrlTtlMs = FINAL_URL_TTL_MS, now = Date.now }) {
+    this.probe = probe;
+    this.cacheFile = cacheFile;
+    this.hostResolvers = [...hostResolvers];
+    this.finalUrlTtlMs = finalUrlTtlMs;
+    this.now = now;
+    this.cache = this.load();
+    this.inFlight = new Map();
+  }
+
+  /**
+   * 加入額外的託管平台解析器
+   */
+  register(hostResolver) {
+    this.hostResolvers.push(hostResolver);
+  }
+
+  load() {
+    try {
+      if (this.cacheFile && fs.existsSync(this.cacheFile)) {
+        return JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+      }
+    } catch (error) {
+      console.warn(`⚠️ 讀取音檔連結快取失敗: ${error.message}`);
+    }
+    return {};
+  }
+
+  save() {
+    if (!this.cacheFile) return;
+    try {
+      fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+      const tempPath = `${this.cacheFile}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.cache, null, 2));
+      fs.renameSync(tempPath, this.cacheFile);
+    } catch (error) {
+      console.warn(`⚠️ 寫入音檔連結快取失敗: ${error.message}`);
+    }
+  }
+
+  /**
+   * 判斷回應的 Content-Type 是否為音檔
+   */
+  static isAudioContentType(contentType) {
+    return /^audio\//i.test((contentType || '').trim());
+  }
+
+  /**
+   * 解析音檔網址；不屬於任何託管平台時原樣回傳
+   * url 為重定向後的實際網址（快取超過有效時間時改回候選網址），candidateUrl 為探測成功的候選網址
+   * @returns {Promise<{ url, candidateUrl, resolver, cached, verified }>}
+   */
+  async resolve(url) {
+    for (const hostResolver of this.hostResolvers) {
+      const info = url ? hostResolver.match(url) : null;
+      if (info) {
+        return this.resolveWith(hostResolver, info, url);
+      }
+    }
+    return { url, resolver: null, cached: false, verified: false };
+  }
+
+  async resolveWith(hostResolver, info, url) {
+    const cacheKey = `${hostResolver.name}:${info.episodeKey}`;
+    const cachedEntry = this.cache[cacheKey];
+    if (cachedEntry) {
+      const resolvedAt = Date.parse(cachedEntry.resolvedAt) || 0;
+      const finalUrl = cachedEntry.finalUrl && this.now() - resolvedAt < this.finalUrlTtlMs
+        ? cachedEntry.finalUrl
+        : cachedEntry.url;
+      return { url: finalUrl, candidateUrl: cachedEntry.url, resolver: hostResolver.name, cached: true, verified: true };
+    }
+
+    // 同一集同時被多個請求解析時共用探測結果
+    if (!this.inFlight.has(cacheKey)) {
+      const probing = this.probeCandidates(hostResolver, info, url, cacheKey)
+        .finally(() => this.inFlight.delete(cacheKey));
+      this.inFlight.set(cacheKey, probing);
+    }
+    return this.inFlight.get(cacheKey);
+  }
+
+  async probeCandidates(hostResolver, info, url, cacheKey) {
+    const candidates = hostResolver.getCandidates(info);
+
+    for (const candidate of candidates) {
+      try {
+        const result = await this.probe(candidate);
+        if (result.ok && EnclosureResolver.isAudioContentType(result.contentType)) {
+          const finalUrl = result.finalUrl || candidate;
+          console.log(`🔗 ${hostResolver.name} 音檔連結已確認: ${candidate}${finalUrl !== candidate ? ` → ${finalUrl}` : ''}`);
+          this.cache[cacheKey] = {
+            url: candidate,
+            finalUrl,
+            contentType: result.contentType,
+            resolvedAt: new Date(this.now()).toISOString()
+          };
+          this.save();
+          return { url: finalUrl, candidateUrl: candidate, resolver: hostResolver.name, cached: false, verified: true };
+        }
+        console.log(`🔗 ${hostResolver.name} 候選連結無效 (HTTP ${result.status}, ${result.contentType || '無 Content-Type'}): ${candidate}`);
+      } catch (error) {
+        console.log(`🔗 ${hostResolver.name} 候選連結探測失敗: ${candidate} - ${error.message}`);
+      }
+    }
+
+    // 全部探測失敗時沿用第一個候選網址（不快取，下次再重新探測）
+    console.warn(`⚠️ ${hostResolver.name} 沒有可確認的音檔連結，使用預設連結`);
+    return { url: candidates[0] || url, resolver: hostResolver.name, cached: false, verified: false };
+  }
+}
+
+module.exports = {
+  SoundOnResolver,
+  DEFAULT_HOST_RESOLVERS,
+  EnclosureResolver
+};
@@ -0,0 +1,821 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SoundOnResolver } = require('./enclosure-resolver');
+const { XMLParser } = require('fast-xml-parser');
+
+/**
+ * RSS feed 解析服務模塊
+ * 在伺服器端解析 RSS、Atom 與 JSON Feed，輸出統一格式的集數資料；另提供 OPML 匯入匯出
+ */
+
+// 解析結果快取版本：解析邏輯改變輸出欄位時遞增，讓舊快取失效
+const FEED_CACHE_VERSION = 2;
+
+// XML 解析器設定：保留屬性、所有值都以字串處理（RSS item 與 Atom entry 一律為陣列）
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  processEntities: true,
+  htmlEntities: true,
+  isArray: (name) => name === 'item' || name === 'entry'
+});
+
+// OPML 解析器設定：outline 可巢狀（分類資料夾），一律視為陣列
+const opmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  processEntities: true,
+  htmlEntities: true,
+  isArray: (name) => name === 'outline'
+});
+
+// XML 節點存取輔助函數
+class FeedNode {
+
+  /**
+   * 將單一值或陣列統一轉為陣列
+   */
+  static asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * 取得節點文字內容（處理帶屬性的節點與重複節點）
+   */
+  static text(node) {
+    if (node === undefined || node === null) return '';
+    if (Array.isArray(node)) return this.text(node[0]);
+    if (typeof node === 'object') {
+      return node['#text'] !== undefined ? String(node['#text']) : '';
+    }
+    return String(node);
+  }
+
+  /**
+   * 取得節點屬性
+   */
+  static attr(node, name) {
+    if (Array.isArray(node)) return this.attr(node[0], name);
+    if (!node || typeof node !== 'object') return '';
+    const value = node[`@_${name}`];
+    return value !== undefined ? String(value) : '';
+  }
+}
+
+// 節目說明（show notes）允許保留的 HTML 標籤
+const ALLOWED_HTML_TAGS = new Set([
+  'p', 'br', 'a', 'strong', 'b', 'em', 'i', 'u', 'ul', 'ol', 'li',
+  'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'code', 'pre', 'hr'
+]);
+
+// 節目說明 HTML 清理：只保留基本排版標籤與安全的連結
+class HtmlSanitizer {
+
+  /**
+   * 清理 HTML，移除 script/style 等區塊、不允許的標籤與所有屬性（連結只保留 http/https/mailto 的 href）
+   */
+  static sanitize(html) {
+    if (!html) return '';
+
+    const cleaned = String(html)
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(script|style|iframe|object|embed|noscript|template|svg|math)\b[\s\S]*?<\/\1\s*>/gi, '');
+
+    const sanitized = cleaned
+      .split(/(<[^<>]*>)/)
+      .map(part => {
+        const tagMatch = part.match(/^<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b([^>]*)>$/);
+        if (!tagMatch) {
+          // 非標籤內容：無法辨識的 <!...>、<?...> 直接移除，其餘角括號轉義
+          if (/^<[!?]/.test(part)) return '';
+          return part.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        }
+
+        const [, closing, name, attributes] = tagMatch;
+        const tagName = name.toLowerCase();
+        if (!ALLOWED_HTML_TAGS.has(tagName)) return '';
+        if (closing) return ['br', 'hr'].includes(tagName) ? '' : `</${tagName}>`;
+
+        if (tagName === 'a') {
+          const hrefMatch = attributes.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i);
+          const href = (hrefMatch ? (hrefMatch[1] ?? hrefMatch[2] ?? hrefMatch[3]) : '').trim();
+          return /^(https?:|mailto:)/i.test(href)
+            ? `<a href="${href.replace(/"/g, '&quot;')}" target="_blank" rel="noopener noreferrer">`
+            : '<a>';
+        }
+        return `<${tagName}>`;
+      })
+      .join('')
+      .trim();
+
+    // 純文字說明：保留換行
+    return /<[a-z]/i.test(sanitized) ? sanitized : sanitized.replace(/\r?\n/g, '<br>');
+  }
+
+  /**
+   * 將 HTML 轉為純文字（供 AI 提示詞使用）
+   */
+  static toText(html) {
+    if (!html) return '';
+    return String(html)
+      .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '')
+      .replace(/<(br|\/p|\/li|\/h[1-6]|\/blockquote)\b[^>]*>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\n\s*\n+/g, '\n\n')
+      .trim();
+  }
+}
+
+// Feed 解析器（RSS 2.0 / RSS 1.0、Atom、JSON Feed 1.1）
+class FeedParser {
+
+  /**
+   * 清理和修復 XML 內容
+   */
+  static repairXml(text) {
+    let cleanedText = text || '';
+
+    // 移除 BOM 和其他不可見字符
+    cleanedText = cleanedText.replace(/^\uFEFF/, '').trim();
+
+    // 修復常見的 XML 問題：未轉義的 &（CDATA 區段內的 & 是合法的，不處理）
+    cleanedText = cleanedText
+      .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+      .map(part => part.startsWith('<![CDATA[')
+        ? part
+        : part.replace(/&(?!amp;|lt;|gt;|quot;|apos;|#\d+;|#x[0-9a-fA-F]+;)/g, '&amp;'))
+      .join('');
+
+    // 如果 XML 看起來不完整，嘗試添加 XML 頭部
+    if (!cleanedText.includes('<?xml') && !cleanedText.includes('<rss') && !/<feed[\s>]/.test(cleanedText)) {
+      console.log('檢測到不完整的 XML，嘗試修復...');
+      cleanedText = '<?xml version="1.0" encoding="UTF-8"?><rss version="2.0"><channel>' + cleanedText + '</channel></rss>';
+    }
+
+    return cleanedText;
+  }
+
+  /**
+   * 判斷 feed 格式：JSON Feed、Atom 或 RSS
+   */
+  static detectFormat(text) {
+    const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+    if (trimmed.startsWith('{')) return 'json';
+
+    // 略過 XML 宣告、註解與 DOCTYPE，依根元素判斷
+    const rootMatch = trimmed
+      .replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>/gi, '')
+      .trim()
+      .match(/^<([\w:.-]+)/);
+    if (rootMatch && /(^|:)feed$/.test(rootMatch[1])) return 'atom';
+    return 'rss';
+  }
+
+  /**
+   * 解析 feed 文字，回傳節目資訊與集數列表（三種格式都正規化為相同的集數結構）
+   */
+  static parse(text, feedUrl = '') {
+    const format = this.detectFormat(text);
+    let parsed;
+    if (format === 'json') {
+      parsed = this.parseJsonFeed(text, feedUrl);
+    } else if (format === 'atom') {
+      parsed = this.parseAtom(text, feedUrl);
+    } else {
+      parsed = this.parseRss(text, feedUrl);
+    }
+
+    const episodes = this.assignEpisodeIds(parsed.episodes);
+    const episodesWithAudio = episodes.filter(ep => ep.audioUrl);
+    console.log(`成功解析 ${episodes.length} 個集數，其中 ${episodesWithAudio.length} 個集數有音檔連結`);
+
+    return {
+      feed: {
+        ...parsed.feed,
+        url: feedUrl,
+        format
+      },
+      episodes
+    };
+  }
+
+  /**
+   * 修復並解析 XML 文件
+   */
+  static parseXmlDocument(text, label) {
+    try {
+      return xmlParser.parse(this.repairXml(text));
+    } catch (error) {
+      throw new Error(`${label} 格式錯誤，無法解析: ${error.message}`);
+    }
+  }
+
+  /**
+   * 解析 RSS 2.0 / RSS 1.0 (RDF)
+   */
+  static parseRss(xmlText, feedUrl) {
+    const doc = this.parseXmlDocument(xmlText, 'RSS feed');
+
+    const channel = doc?.rss?.channel || doc?.['rdf:RDF']?.channel || {};
+    const items = this.findItems(doc);
+    console.log(`找到 ${items.length} 個 item 元素`);
+
+    if (items.length === 0) {
+      throw new Error('RSS feed 中沒有找到任何集數');
+    }
+
+    // 相對網址的基準：xml:base 優先，其次是 feed 本身的網址
+    const baseUrl = this.resolveBase(channel, feedUrl);
+
+    const image = FeedNode.attr(channel['itunes:image'], 'href') || FeedNode.text(channel.image?.url);
+
+    return {
+      feed: {
+        title: FeedNode.text(channel.title).replace(/\s+/g, ' ').trim(),
+        link: FeedNode.text(channel.link),
+        image: this.resolveUrl(image, baseUrl)
+      },
+      episodes: this.parseItemsFromDocument(items, baseUrl)
+    };
+  }
+
+  /**
+   * 解析 Atom feed（<entry> 與 <link rel="enclosure">）
+   */
+  static parseAtom(xmlText, feedUrl) {
+    const doc = this.parseXmlDocument(xmlText, 'Atom feed');
+    const feedNode = doc.feed || doc['atom:feed'] || {};
+    const entries = FeedNode.asArray(feedNode.entry || feedNode['atom:entry']);
+    console.log(`找到 ${entries.length} 個 entry 元素`);
+
+    if (entries.length === 0) {
+      throw new Error('Atom feed 中沒有找到任何集數');
+    }
+
+    const feedBase = this.resolveBase(feedNode, feedUrl);
+    const alternateLink = FeedNode.asArray(feedNode.link)
+      .find(link => ['', 'alternate'].includes(FeedNode.attr(link, 'rel')));
+
+    const episodes = entries.map((entry, index) => {
+      const baseUrl = this.resolveBase(entry, feedBase);
+      const links = FeedNode.asArray(entry.link);
+      const enclosures = links.filter(link => FeedNode.attr(link, 'rel') === 'enclosure');
+      // 優先使用音訊類型的 enclosure，沒有時找任何音訊連結
+      const enclosure = enclosures.find(link => /^(audio|video)\//i.test(FeedNode.attr(link, 'type')))
+        || enclosures[0]
+        || links.find(link => /^audio\//i.test(FeedNode.attr(link, 'type')));
+
+      return {
+        guid: FeedNode.text(entry.id).trim(),
+        title: FeedNode.text(entry.title).replace(/\s+/g, ' ').trim() || `EP${index + 1}`,
+        pubDate: FeedNode.text(entry.published) || FeedNode.text(entry.updated),
+        duration: FeedNode.text(entry['itunes:duration']) || '00:00',
+        audioUrl: this.resolveUrl(FeedNode.attr(enclosure, 'href'), baseUrl),
+        ...this.parseEpisodeMetadata(entry, baseUrl, {
+          description: FeedNode.text(entry.content) || FeedNode.text(entry.summary),
+          enclosureType: FeedNode.attr(enclosure, 'type'),
+          enclosureLength: FeedNode.attr(enclosure, 'length')
+        }),
+        ...this.parsePodcastNamespace(entry)
+      };
+    });
+
+    return {
+      feed: {
+        title: FeedNode.text(feedNode.title).replace(/\s+/g, ' ').trim(),
+        link: this.resolveUrl(FeedNode.attr(alternateLink, 'href'), feedBase),
+        image: this.resolveUrl(FeedNode.attr(feedNode['itunes:image'], 'href') || FeedNode.text(feedNode.logo) || FeedNode.text(feedNode.icon), feedBase)
+      },
+      episodes
+    };
+  }
+
+  /**
+   * 解析 JSON Feed 1.0 / 1.1（音檔在 attachments 中）
+   */
+  static parseJsonFeed(jsonText, feedUrl) {
+    let data;
+    try {
+      data = JSON.parse(String(jsonText).replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new Error(`JSON Feed 格式錯誤，無法解析: ${error.message}`);
+    }
+
+    if (!data || !String(data.version || '').startsWith('https://jsonfeed.org/version/')) {
+      throw new Error('不是有效的 JSON Feed（缺少 version 欄位）');
+    }
+
+    const items = Array.isArray(data.items) ? data.items : [];
+    console.log(`找到 ${items.length} 個 JSON Feed 項目`);
+
+    if (items.length === 0) {
+      throw new Error('JSON Feed 中沒有找到任何集數');
+    }
+
+    const baseUrl = this.resolveUrl(data.feed_url, feedUrl) || feedUrl;
+
+    const episodes = items.map((item, index) => {
+      const attachments = Array.isArray(item.attachments) ? item.attachments : [];
+      const attachment = attachments.find(file => /^(audio|video)\//i.test(file.mime_type || '')) || attachments[0];
+      const durationSeconds = Number(attachment?.duration_in_seconds);
+
+      return {
+        guid: item.id !== undefined && item.id !== null ? String(item.id) : '',
+        title: String(item.title || `EP${index + 1}`).replace(/\s+/g, ' ').trim(),
+        pubDate: item.date_published || item.date_modified || '',
+        duration: durationSeconds > 0 ? String(Math.round(durationSeconds)) : '00:00',
+        audioUrl: this.resolveUrl(attachment?.url, baseUrl),
+        ...this.parseEpisodeMetadata({}, baseUrl, {
+          description: item.content_html || item.content_text || item.summary,
+          image: item.image || item.banner_image,
+          enclosureType: attachment?.mime_type,
+          enclosureLength: attachment?.size_in_bytes
+        })
+      };
+    });
+
+    return {
+      feed: {
+        title: String(data.title || '').replace(/\s+/g, ' ').trim(),
+        link: data.home_page_url || '',
+        image: this.resolveUrl(data.icon || data.favicon, baseUrl)
+      },
+      episodes
+    };
+  }
+
+  /**
+   * 將相對網址轉為絕對網址（無法解析時保留原值）
+   */
+  static resolveUrl(url, baseUrl) {
+    if (!url) return '';
+    try {
+      return new URL(url, baseUrl || undefined).href;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * 取得節點的相對網址基準：有 xml:base 時以它為準，否則沿用上層基準
+   */
+  static resolveBase(node, parentBase) {
+    const xmlBase = FeedNode.attr(node, 'xml:base');
+    return xmlBase ? this.resolveUrl(xmlBase, parentBase) : parentBase;
+  }
+
+  /**
+   * 指派穩定的集數 ID，重複時加上序號
+   */
+  static assignEpisodeIds(episodes) {
+    const usedIds = new Set();
+
+    return episodes.map(episode => {
+      const baseId = this.createEpisodeId(episode.guid, episode.audioUrl, episode.title);
+      let id = baseId;
+      for (let suffix = 2; usedIds.has(id); suffix++) {
+        id = `${baseId}-${suffix}`;
+      }
+      usedIds.add(id);
+
+      return { id, ...episode };
+    });
+  }
+
+  /**
+   * 在文件中尋找所有 item 元素（不限層級，相容非標準結構）
+   */
+  static findItems(node) {
+    if (!node || typeof node !== 'object') return [];
+    if (Array.isArray(node)) {
+      return node.flatMap(child => this.findItems(child));
+    }
+    if (node.item) {
+      return FeedNode.asArray(node.item);
+    }
+    return Object.keys(node)
+      .filter(key => !key.startsWith('@_') && key !== '#text')
+      .flatMap(key => this.findItems(node[key]));
+  }
+
+  /**
+   * 從 item 元素解析集數
+   */
+  static parseItemsFromDocument(items, baseUrl = '') {
+    return items.map((item, index) => {
+      // 提取標題並清理多餘空白
+      let title = FeedNode.text(item.title) || `EP${index + 1}`;
+      title = title.replace(/\s+/g, ' ').trim();
+
+      // 提取發布日期
+      const pubDate = FeedNode.text(item.pubDate);
+
+      // 提取時長 - 嘗試多種格式
+      let duration = FeedNode.text(item['itunes:duration'])
+        || FeedNode.text(item.duration)
+        || FeedNode.attr(item.enclosure, 'length');
+      if (!duration) duration = '00:00';
+
+      // 相對的音檔網址以 item 或 channel 的 xml:base（或 feed 網址）為基準
+      const itemBase = this.resolveBase(item, baseUrl);
+      const audioUrl = this.resolveUrl(this.extractAudioUrl(item), itemBase);
+
+      // 提取 guid（用於判斷新集數與產生穩定 ID）
+      const guid = FeedNode.text(item.guid).trim();
+
+      return {
+        guid,
+        title,
+        pubDate,
+        duration,
+        audioUrl,
+        ...this.parseEpisodeMetadata(item, itemBase, {
+          description: FeedNode.text(item['content:encoded']) || FeedNode.text(item.description) || FeedNode.text(item['itunes:summary']),
+          enclosureType: FeedNode.attr(item.enclosure, 'type'),
+          enclosureLength: FeedNode.attr(item.enclosure, 'length')
+        }),
+        ...this.parsePodcastNamespace(item)
+      };
+    });
+  }
+
+  /**
+   * 解析節目說明、封面與 iTunes 命名空間欄位（季數、集數、類型、分級），只回傳存在的欄位
+   * @param {Object} node - item / entry 節點（iTunes 欄位來源）
+   * @param {string} baseUrl - 相對網址基準
+   * @param {Object} source - 各格式自行取出的 description、image、enclosureType、enclosureLength
+   */
+  static parseEpisodeMetadata(node, baseUrl, source = {}) {
+    const result = {};
+
+    const description = HtmlSanitizer.sanitize(source.description);
+    if (description) result.description = description;
+
+    const image = source.image || FeedNode.attr(node['itunes:image'], 'href');
+    if (image) result.image = this.resolveUrl(image, baseUrl);
+
+    const season = parseInt(FeedNode.text(node['itunes:season']), 10);
+    if (season > 0) result.season = season;
+
+    const episodeNumber = parseInt(FeedNode.text(node['itunes:episode']), 10);
+    if (episodeNumber > 0) result.episodeNumber = episodeNumber;
+
+    const episodeType = FeedNode.text(node['itunes:episodeType']).trim().toLowerCase();
+    if (episodeType) result.episodeType = episodeType;
+
+    const explicit = FeedNode.text(node['itunes:explicit']).trim().toLowerCase();
+    if (explicit) result.explicit = ['yes', 'true', 'explicit'].includes(explicit);
+
+    if (source.enclosureType) result.enclosureType = String(source.enclosureType);
+
+    const enclosureLength = Number(source.enclosureLength);
+    if (enclosureLength > 0) result.enclosureLength = enclosureLength;
+
+    return result;
+  }
+
+  /**
+   * 產生集數 ID（feed 新增集數時不會改變）：優先使用 guid，沒有 guid 時使用音檔 URL 與標題的雜湊
+   */
+  static createEpisodeId(guid, audioUrl, title) {
+    const source = guid ? `guid:${guid}` : `enclosure:${audioUrl}\ntitle:${title}`;
+    return crypto.createHash('sha1').update(source).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * 解析 Podcasting 2.0 命名空間（podcast:）的欄位，只回傳存在的欄位
+   */
+  static parsePodcastNamespace(item) {
+    const result = {};
+
+    // podcast:transcript - 發布者提供的逐字稿（可有多個格式）
+    const transcripts = FeedNode.asArray(item['podcast:transcript'])
+      .map(node => ({
+        url: FeedNode.attr(node, 'url'),
+        type: FeedNode.attr(node, 'type'),
+        language: FeedNode.attr(node, 'language') || undefined,
+        rel: FeedNode.attr(node, 'rel') || undefined
+      }))
+      .filter(transcript => transcript.url);
+    if (transcripts.length > 0) result.transcripts = transcripts;
+
+    // podcast:chapters - 章節檔案
+    const chaptersUrl = FeedNode.attr(item['podcast:chapters'], 'url');
+    if (chaptersUrl) {
+      result.chapters = {
+        url: chaptersUrl,
+        type: FeedNode.attr(item['podcast:chapters'], 'type')
+      };
+    }
+
+    // podcast:person - 主持人、來賓等人物
+    const persons = FeedNode.asArray(item['podcast:person'])
+      .map(node => ({
+        name: FeedNode.text(node).trim(),
+        role: FeedNode.attr(node, 'role') || 'host',
+        group: FeedNode.attr(node, 'group') || 'cast',
+        img: FeedNode.attr(node, 'img') || undefined,
+        href: FeedNode.attr(node, 'href') || undefined
+      }))
+      .filter(person => person.name);
+    if (persons.length > 0) result.persons = persons;
+
+    // podcast:season / podcast:episode - 季數與集數
+    const seasonNumber = parseInt(FeedNode.text(item['podcast:season']), 10);
+    if (!isNaN(seasonNumber)) {
+      result.podcastSeason = {
+        number: seasonNumber,
+        name: FeedNode.attr(item['podcast:season'], 'name') || undefined
+      };
+    }
+
+    const episodeNumber = parseFloat(FeedNode.text(item['podcast:episode']));
+    if (!isNaN(episodeNumber)) {
+      result.podcastEpisode = {
+        number: episodeNumber,
+        display: FeedNode.attr(item['podcast:episode'], 'display') || undefined
+      };
+    }
+
+    // podcast:soundbite - 精華片段（秒數）
+    const soundbites = FeedNode.asArray(item['podcast:soundbite'])
+      .map(node => ({
+        startTime: parseFloat(FeedNode.attr(node, 'startTime')),
+        duration: parseFloat(FeedNode.attr(node, 'duration')),
+        title: FeedNode.text(node).trim() || undefined
+      }))
+      .filter(soundbite => !isNaN(soundbite.startTime) && !isNaN(soundbite.duration));
+    if (soundbites.length > 0) result.soundbites = soundbites;
+
+    // podcast:alternateEnclosure - 其他版本的音檔（不同音質、語言或格式）
+    const alternateEnclosures = FeedNode.asArray(item['podcast:alternateEnclosure'])
+      .map(node => {
+        const length = parseInt(FeedNode.attr(node, 'length'), 10);
+        const bitrate = parseFloat(FeedNode.attr(node, 'bitrate'));
+        return {
+          type: FeedNode.attr(node, 'type'),
+          length: isNaN(length) ? undefined : length,
+          bitrate: isNaN(bitrate) ? undefined : bitrate,
+          title: FeedNode.attr(node, 'title') || undefined,
+          lang: FeedNode.attr(node, 'lang') || undefined,
+          default: FeedNode.attr(node, 'default') === 'true',
+          sources: FeedNode.asArray(node && node['podcast:source'])
+            .map(source => ({
+              uri: FeedNode.attr(source, 'uri'),
+              contentType: FeedNode.attr(source, 'contentType') || undefined
+            }))
+            .filter(source => source.uri)
+        };
+      })
+      .filter(enclosure => enclosure.sources.length > 0);
+    if (alternateEnclosures.length > 0) result.alternateEnclosures = alternateEnclosures;
+
+    return result;
+  }
+
+  /**
+   * 提取音檔 URL - 嘗試多種方式
+   */
+  static extractAudioUrl(item) {
+    let audioUrl = '';
+
+    // 方法 1: enclosure 標籤
+    if (item.enclosure) {
+      audioUrl = FeedNode.attr(item.enclosure, 'url');
+    }
+
+    // 方法 2: link 標籤
+    if (!audioUrl) {
+      const linkUrl = FeedNode.text(item.link);
+      if (linkUrl && (linkUrl.includes('.mp3') || linkUrl.includes('.m4a') || linkUrl.includes('player.soundon.fm'))) {
+        audioUrl = linkUrl;
+      }
+    }
+
+    // 方法 3: guid 標籤 (SoundOn 特有)
+    if (!audioUrl) {
+      const guidUrl = FeedNode.text(item.guid);
+      if (guidUrl && guidUrl.includes('player.soundon.fm')) {
+        audioUrl = guidUrl;
+      }
+    }
+
+    // 方法 4: 在描述中尋找音檔連結
+    if (!audioUrl) {
+      const description = FeedNode.text(item.description);
+      const audioUrlMatch = description.match(/https?:\/\/[^\s"'<>]+\.(mp3|m4a|wav|ogg)/i);
+      if (audioUrlMatch) {
+        audioUrl = audioUrlMatch[0];
+      }
+    }
+
+    // SoundOn 特殊處理：轉換播放器 URL 為第一個候選下載 URL（下載時由 EnclosureResolver 探測確認）
+    if (audioUrl && audioUrl.includes('player.soundon.fm')) {
+      // SoundOn 的 URL 格式通常是: https://player.soundon.fm/p/{podcast_id}/episodes/{episode_id}
+      const soundonMatch = SoundOnResolver.match(audioUrl);
+      if (soundonMatch) {
+        audioUrl = SoundOnResolver.getCandidates(soundonMatch)[0];
+        console.log(`轉換後的 SoundOn 音檔 URL: ${audioUrl}`);
+      }
+    }
+
+    return audioUrl;
+  }
+}
+
+// OPML 1.0 / 2.0 匯入匯出
+class OpmlService {
+
+  /**
+   * 解析 OPML，回傳訂閱清單與無法解析的 outline
+   */
+  static parse(opmlText) {
+    let doc;
+    try {
+      doc = opmlParser.parse(String(opmlText || '').replace(/^\uFEFF/, '').trim());
+    } catch (error) {
+      throw new Error(`OPML 格式錯誤，無法解析: ${error.message}`);
+    }
+
+    if (!doc || !doc.opml) {
+      throw new Error('檔案不是有效的 OPML（找不到 <opml> 根元素）');
+    }
+
+    const feeds = [];
+    const failures = [];
+    const body = doc.opml.body || {};
+    this.collectOutlines(FeedNode.asArray(body.outline), '', feeds, failures);
+
+    return {
+      title: FeedNode.text(doc.opml.head?.title),
+      feeds,
+      failures
+    };
+  }
+
+  /**
+   * 遞迴收集 outline：有 xmlUrl 的是節目，有子節點的是分類
+   */
+  static collectOutlines(outlines, category, feeds, failures) {
+    outlines.forEach(outline => {
+      const text = FeedNode.attr(outline, 'text') || FeedNode.attr(outline, 'title');
+      // OPML 1.0 部分匯出工具使用小寫 xmlurl
+      const xmlUrl = (FeedNode.attr(outline, 'xmlUrl') || FeedNode.attr(outline, 'xmlurl')).trim();
+      const children = FeedNode.asArray(outline && outline.outline);
+
+      if (!xmlUrl) {
+        if (children.length > 0) {
+          this.collectOutlines(children, category ? `${category}/${text}` : text, feeds, failures);
+        } else {
+          failures.push({ text: text || '(未命名)', reason: '缺少 xmlUrl 屬性' });
+        }
+        return;
+      }
+
+      let parsedUrl;
+      try {
+        parsedUrl = new URL(xmlUrl);
+      } catch (error) {
+        failures.push({ text: text || xmlUrl, xmlUrl, reason: '無效的 xmlUrl' });
+        return;
+      }
+      if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+        failures.push({ text: text || xmlUrl, xmlUrl, reason: `不支援的協定: ${parsedUrl.protocol}` });
+        return;
+      }
+
+      feeds.push({
+        title: text || FeedNode.attr(outline, 'title'),
+        xmlUrl: parsedUrl.href,
+        htmlUrl: FeedNode.attr(outline, 'htmlUrl') || undefined,
+        category: category || undefined
+      });
+    });
+  }
+
+  /**
+   * 產生 OPML 2.0 文字
+   */
+  static build(feeds, title = 'Podcast Subscriptions') {
+    const outlines = feeds.map(feed => {
+      const attributes = [
+        ['type', 'rss'],
+        ['text', feed.title || feed.xmlUrl],
+        ['title', feed.title || feed.xmlUrl],
+        ['xmlUrl', feed.xmlUrl],
+        ['htmlUrl', feed.htmlUrl]
+      ]
+        .filter(([, value]) => value)
+        .map(([name, value]) => `${name}="${this.escapeAttribute(value)}"`)
+        .join(' ');
+      return `    <outline ${attributes}/>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<opml version="2.0">',
+      '  <head>',
+      `    <title>${this.escapeAttribute(title)}</title>`,
+      `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+      '  </head>',
+      '  <body>',
+      ...outlines,
+      '  </body>',
+      '</opml>',
+      ''
+    ].join('\n');
+  }
+
+  static escapeAttribute(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// 已解析 feed 的磁碟快取（搭配 ETag / Last-Modified 條件式請求，304 時直接回傳）
+class FeedCache {
+
+  constructor(cacheDir) {
+    this.cacheDir = cacheDir;
+  }
+
+  getPath(feedUrl) {
+    const hash = crypto.createHash('sha1').update(feedUrl).digest('hex');
+    return path.join(this.cacheDir, `${hash}.json`);
+  }
+
+  /**
+   * 讀取快取；不存在、損毀或版本不符時回傳 null
+   */
+  get(feedUrl) {
+    try {
+      const cachePath = this.getPath(feedUrl);
+      if (!fs.existsSync(cachePath)) return null;
+      const entry = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+      if (entry.version !== FEED_CACHE_VERSION || entry.url !== feedUrl) return null;
+      return entry;
+    } catch (error) {
+      console.warn(`⚠️ 讀取 feed 快取失敗: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 取得條件式請求標頭（If-None-Match / If-Modified-Since）
+   */
+  getConditionalHeaders(entry) {
+    const headers = {};
+    if (entry?.etag) headers['If-None-Match'] = entry.etag;
+    if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    return headers;
+  }
+
+  set(feedUrl, { etag, lastModified, feed, episodes }) {
+    const entry = {
+      version: FEED_CACHE_VERSION,
+      url: feedUrl,
+      etag: etag || null,
+      lastModified: lastModified || null,
+      fetchedAt: new Date().toISOString(),
+      feed,
+      episodes
+    };
+
+    try {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      const cachePath = this.getPath(feedUrl);
+      fs.writeFileSync(`${cachePath}.tmp`, JSON.stringify(entry));
+      fs.renameSync(`${cachePath}.tmp`, cachePath);
+    } catch (error) {
+      console.warn(`⚠️ 寫入 feed 快取失敗: ${error.message}`);
+    }
+    return entry;
+  }
+}
+
+module.exports = {
+  FeedNode,
+  HtmlSanitizer,
+  FeedParser,
+  FeedCache,
+  OpmlService
+};
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 檔名範本模塊
+ * 依使用者設定的範本（例如 `{show}/{yyyy}-{mm}-{dd} E{episode} {title}.{ext}`）產生音檔、逐字稿與 ZIP 內的檔名，
+ * 每一層路徑都以相同規則清理不合法字元，重複時自動加上序號
+ */
+
+// 預設範本：audio 為下載佇列的檔案、transcript 為逐字稿匯出、zip 為 ZIP 內的音檔
+const DEFAULT_FILENAME_TEMPLATES = {
+  audio: '{title}.{ext}',
+  transcript: '{title}_{source}.{ext}',
+  zip: '{index} - {title}.{ext}'
+};
+
+// 範本可使用的變數（source 為逐字稿來源，例如「逐字稿」或「發布者逐字稿」）
+const TEMPLATE_VARIABLES = ['show', 'title', 'yyyy', 'mm', 'dd', 'date', 'season', 'episode', 'index', 'id', 'source', 'ext'];
+
+// 單一路徑片段的最大長度（不含副檔名）
+const MAX_SEGMENT_LENGTH = 150;
+
+class FilenameTemplate {
+
+  /**
+   * 清理單一路徑片段：移除不合法字元、控制字元與開頭結尾的點，避免路徑跳脫或無法在 Windows 上建立的檔名
+   */
+  static sanitizeSegment(name, fallback = 'file') {
+    const cleaned = String(name || '')
+      .replace(/[<>:"/\\|?*]|\p{Cc}/gu, '_')
+      .replace(/\s+/g, ' ')
+      .replace(/^[.\s]+|[.\s]+$/g, '')
+      .slice(0, MAX_SEGMENT_LENGTH)
+      .trim();
+    // Windows 保留的裝置名稱
+    if (!cleaned || /^(con|prn|aux|nul|com\d|lpt\d)$/i.test(cleaned)) {
+      return cleaned ? `_${cleaned}` : fallback;
+    }
+    return cleaned;
+  }
+
+  /**
+   * 檢查範本，回傳錯誤訊息（沒有問題時回傳 null）
+   */
+  static validate(template) {
+    if (typeof template !== 'string' || !template.trim()) {
+      return '範本不能是空白';
+    }
+    if (/^[/\\]/.test(template.trim())) {
+      return '範本必須是相對路徑';
+    }
+    const unknown = (template.match(/\{([^}]*)\}/g) || [])
+      .map(token => token.slice(1, -1))
+      .filter(name => !TEMPLATE_VARIABLES.includes(name));
+    if (unknown.length > 0) {
+      return `不支援的變數: ${unknown.map(name => `{${name}}`).join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * 集數資訊轉成範本變數
+   */
+  static buildValues({ title, podcastTitle, pubDate, season, episodeNumber, index, id, source, ext }) {
+    const date = pubDate ? new Date(pubDate) : null;
+    const validDate = date && !isNaN(date.getTime()) ? date : null;
+    const pad = (value) => String(value).padStart(2, '0');
+
+    return {
+      show: podcastTitle || '',
+      title: title || '',
+      yyyy: validDate ? String(validDate.getUTCFullYear()) : '',
+      mm: validDate ? pad(validDate.getUTCMonth() + 1) : '',
+      dd: validDate ? pad(validDate.getUTCDate()) : '',
+      date: validDate ? validDate.toISOString().slice(0, 10) : '',
+      season: season ? String(season) : '',
+      episode: episodeNumber ? String(episodeNumber) : '',
+      index: index !== undefined && index !== null ? String(index) : '',
+      id: id || '',
+      source: source || '',
+      ext: String(ext || '').replace(/^\./, '')
+    };
+  }
+
+  /**
+   * 套用範本，回傳以 / 分隔的相對路徑；副檔名一律放在最後（範本結尾沒有 .{ext} 時自動補上）
+   */
+  static render(template, values) {
+    const ext = String(values.ext || '').replace(/^\./, '');
+    const baseTemplate = String(template || DEFAULT_FILENAME_TEMPLATES.audio).trim().replace(/\.\{ext\}$/, '');
+    // 只有範本本身的 / 會建立資料夾，變數值裡的路徑分隔符號一律替換掉
+    const rendered = baseTemplate.replace(/\{(\w+)\}/g, (token, name) => (
+      TEMPLATE_VARIABLES.includes(name) ? String(values[name] ?? '').replace(/[/\\]/g, '_') : ''
+    ));
+
+    // 變數為空時去掉片段頭尾殘留的分隔符號（例如沒有發布日期時的 `--`）
+    const segments = rendered.split(/[/\\]/)
+      .map(segment => segment.replace(/^[\s\-_]+|[\s\-_]+$/g, ''))
+      .filter(Boolean);
+    const fileName = this.sanitizeSegment(segments.pop(), this.sanitizeSegment(values.title, 'file'));
+    const folders = segments.map(segment => this.sanitizeSegment(segment, '_'));
+    return [...folders, ext ? `${fileName}.${ext}` : fileName].join('/');
+  }
+
+  /**
+   * 瀏覽器存檔無法建立資料夾，把各層路徑合併成單一檔名
+   */
+  static flatten(relativePath) {
+    return String(relativePath).split('/').filter(Boolean).join(' - ');
+  }
+
+  /**
+   * 檔名已被使用時加上序號（例如 `標題 (2).mp3`）
+   * @param {string} relativePath - 以 / 分隔的相對路徑
+   * @param {Function} isTaken - (candidate) => boolean
+   */
+  static uniquePath(relativePath, isTaken) {
+    const slashIndex = relativePath.lastIndexOf('/');
+    const extIndex = relativePath.lastIndexOf('.');
+    const hasExt = extIndex > slashIndex + 1;
+    const base = hasExt ? relativePath.slice(0, extIndex) : relativePath;
+    const ext = hasExt ? relativePath.slice(extIndex) : '';
+
+    let candidate = relativePath;
+    for (let i = 2; isTaken(candidate); i++) {
+      candidate = `${base} (${i})${ext}`;
+    }
+    return candidate;
+  }
+}
+
+// 檔名範本設定儲存（JSON 檔案）
+class FilenameTemplateStore {
+
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.templates = { ...DEFAULT_FILENAME_TEMPLATES, ...this.load() };
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        return data.templates || {};
+      }
+    } catch (error) {
+      console.warn(`⚠️ 讀取檔名範本設定失敗，將使用預設範本: ${error.message}`);
+    }
+    return {};
+  }
+
+  /**
+   * 寫回磁碟（先寫暫存檔再改名，避免寫到一半損毀）
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ templates: this.templates }, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  get(kind) {
+    return this.templates[kind] || DEFAULT_FILENAME_TEMPLATES[kind];
+  }
+
+  /**
+   * 更新範本；任何一個範本無效時丟出錯誤且不做任何修改
+   */
+  update(patch) {
+    const next = { ...this.templates };
+    Object.keys(DEFAULT_FILENAME_TEMPLATES).forEach(kind => {
+      if (patch[kind] === undefined) return;
+      const template = patch[kind] === null || patch[kind] === '' ? DEFAULT_FILENAME_TEMPLATES[kind] : patch[kind];
+      const error = FilenameTemplate.validate(template);
+      if (error) {
+        throw new Error(`${kind} 範本無效：${error}`);
+      }
+      next[kind] = template.trim();
+    });
+    this.templates = next;
+    this.save();
+    return this.templates;
+  }
+}
+
+module.exports = {
+  DEFAULT_FILENAME_TEMPLATES,
+  TEMPLATE_VARIABLES,
+  FilenameTemplate,
+  FilenameTemplateStore
+};
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * 背景工作佇列模塊
+ * 耗時的工作（例如從網址轉錄）排入佇列後立即回傳工作 ID，由背景依並行數執行；
+ * 每個工作存成一個 JSON 檔（含結果），伺服器重啟或前端重新整理都不會遺失
+ */
+
+// 已結束的工作預設保留天數
+const DEFAULT_RETENTION_DAYS = 7;
+
+// 工作狀態：queued、running、completed、error、cancelled
+const FINISHED_STATUSES = ['completed', 'error', 'cancelled'];
+
+class JobQueue {
+
+  /**
+   * @param {Object} options
+   * @param {string} options.jobsDir - 工作檔案存放目錄（每個工作一個 {id}.json）
+   * @param {Object} options.runners - 依工作類型執行的 async (params, job) => result；失敗時錯誤可帶 statusCode 與 details（完整的錯誤回應）
+   * @param {number} options.concurrency - 同時執行的工作數
+   * @param {number} options.retentionDays - 已結束的工作保留天數，0 表示永久保留
+   */
+  constructor({ jobsDir, runners, concurrency = 1, retentionDays = DEFAULT_RETENTION_DAYS }) {
+    this.jobsDir = jobsDir;
+    this.runners = runners;
+    this.concurrency = concurrency;
+    this.retentionDays = retentionDays;
+    this.running = new Set();
+    this.jobs = this.load();
+
+    // 伺服器重啟時中斷的工作重新排隊（從頭執行）
+    const interrupted = this.jobs.filter(job => job.status === 'running');
+    interrupted.forEach(job => {
+      Object.assign(job, { status: 'queued', startedAt: null });
+      this.save(job);
+    });
+    if (interrupted.length > 0) {
+      console.log(`🗂️ 恢復 ${interrupted.length} 個中斷的背景工作`);
+    }
+
+    this.prune();
+  }
+
+  load() {
+    if (!fs.existsSync(this.jobsDir)) return [];
+
+    const jobs = [];
+    fs.readdirSync(this.jobsDir)
+      .filter(fileName => fileName.endsWith('.json'))
+      .forEach(fileName => {
+        try {
+          jobs.push(JSON.parse(fs.readFileSync(path.join(this.jobsDir, fileName), 'utf8')));
+        } catch (error) {
+          console.warn(`⚠️ 讀取背景工作失敗，已略過: ${fileName} - ${error.message}`);
+        }
+      });
+    return jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  getJobPath(id) {
+    return path.join(this.jobsDir, `${id}.json`);
+  }
+
+  /**
+   * 寫回單一工作（先寫暫存檔再改名，避免寫到一半損毀）
+   */
+  save(job) {
+    fs.mkdirSync(this.jobsDir, { recursive: true });
+    const filePath = this.getJobPath(job.id);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(job, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  list() {
+    return this.jobs;
+  }
+
+  get(id) {
+    return this.jobs.find(job => job.id === id);
+  }
+
+  /**
+   * 加入工作；相同 key 的工作還在排隊或執行中時回傳既有工作，不重複執行
+   */
+  add(type, params, { key = null } = {}) {
+    if (!this.runners[type]) {
+      throw new Error(`不支援的工作類型: ${type}`);
+    }
+
+    const existing = key && this.jobs.find(job => job.key === key && !FINISHED_STATUSES.includes(job.status));
+    if (existing) return existing;
+
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      type,
+      key,
+      status: 'queued',
+      params,
+      result: null,
+      error: null,
+      errorDetails: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null
+    };
+    this.jobs.push(job);
+    this.save(job);
+    this.pump();
+    return job;
+  }
+
+  /**
+   * 取消排隊中的工作；執行中的工作無法中斷，回傳原狀態
+   */
+  cancel(id) {
+    const job = this.get(id);
+    if (!job || job.status !== 'queued') return job || null;
+    Object.assign(job, { status: 'cancelled', completedAt: new Date().toISOString() });
+    this.save(job);
+    return job;
+  }
+
+  /**
+   * 刪除工作與其結果；執行中的工作不能刪除
+   */
+  remove(id) {
+    const job = this.get(id);
+    if (!job || job.status === 'running') return false;
+    this.jobs = this.jobs.filter(entry => entry.id !== id);
+    try {
+      fs.unlinkSync(this.getJobPath(id));
+    } catch (error) {
+      console.warn(`⚠️ 刪除背景工作檔案失敗: ${id} - ${error.message}`);
+    }
+    return true;
+  }
+
+  /**
+   * 刪除超過保留天數的已結束工作
+   */
+  prune(now = Date.now()) {
+    if (!this.retentionDays) return;
+    const cutoff = now - this.retentionDays * 24 * 60 * 60 * 1000;
+    this.jobs
+      .filter(job => FINISHED_STATUSES.includes(job.status) && Date.parse(job.completedAt || job.createdAt) < cutoff)
+      .forEach(job => this.remove(job.id));
+  }
+
+  /**
+   * 依並行數啟動排隊中的工作（先加入的先執行）
+   */
+  pump() {
+    const queued = this.jobs.filter(job => job.status === 'queued' && !this.running.has(job.id));
+    while (this.running.size < this.concurrency && queued.length > 0) {
+      const job = queued.shift();
+      // 寫入工作檔失敗（磁碟已滿、權限不足）時不能讓 Promise 未處理，否則整個伺服器會結束
+      this.start(job).catch(error => this.abort(job, error));
+    }
+  }
+
+  abort(job, error) {
+    console.error(`❌ 背景工作狀態保存失敗: ${job.type} ${job.id} - ${error.message}`);
+    this.running.delete(job.id);
+    Object.assign(job, {
+      status: 'error',
+      error: `無法保存工作狀態: ${error.message}`,
+      errorDetails: null,
+      completedAt: new Date().toISOString()
+    });
+    try {
+      this.save(job);
+    } catch (saveError) {
+      console.error(`❌ 背景工作狀態保存失敗: ${job.id} - ${saveError.message}`);
+    }
+    this.pump();
+  }
+
+  async start(job) {
+    this.running.add(job.id);
+    Object.assign(job, { status: 'running', startedAt: new Date().toISOString() });
+    this.save(job);
+    console.log(`🗂️ 背景工作開始: ${job.type} ${job.id}`);
+
+    try {
+      const result = await this.runners[job.type](job.params, job);
+      Object.assign(job, { status: 'completed', result, completedAt: new Date().toISOString() });
+      console.log(`✅ 背景工作完成: ${job.type} ${job.id}`);
+    } catch (error) {
+      Object.assign(job, {
+        status: 'error',
+        error: error.details?.error || error.message,
+        errorDetails: error.details || null,
+        completedAt: new Date().toISOString()
+      });
+      console.error(`❌ 背景工作失敗: ${job.type} ${job.id} - ${job.error}`);
+    } finally {
+      this.running.delete(job.id);
+      this.save(job);
+      this.pump();
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  JobQueue
+};
@@ -0,0 +1,196 @@
+const { AudioFormat } = require('./audio-format');
+
+/**
+ * 音檔連結健康檢查模塊
+ * 以 HEAD 取得狀態與標頭；HEAD 失敗或沒有宣告音訊 Content-Type 時才改用 `Range: bytes=0-4095` 只讀取開頭判斷檔案簽名，
+ * 批次檢查時限制同時請求數，不會下載整個音檔
+ */
+
+// Range 請求讀取的位元組數
+const RANGE_BYTES = 4096;
+
+class LinkChecker {
+
+  /**
+   * @param {Object} options
+   * @param {Function} options.request - (url, options, callback(error, response, finalUrl)) 發送請求並跟隨重定向
+   * @param {Function} options.resolveUrl - （選填）async (url) => url 檢查前先解析託管平台的實際音檔網址
+   * @param {number} options.concurrency - 同時檢查的連結數
+   * @param {number} options.timeout - 單一請求逾時（毫秒）
+   */
+  constructor({ request, resolveUrl = null, concurrency = 8, timeout = 15000 }) {
+    this.request = request;
+    this.resolveUrl = resolveUrl;
+    this.concurrency = concurrency;
+    this.timeout = timeout;
+  }
+
+  /**
+   * 依序處理項目，同時最多執行 limit 個，結果順序與輸入相同
+   */
+  static async mapWithConcurrency(items, limit, iterator) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    const worker = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        results[index] = await iterator(items[index], index);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+    return results;
+  }
+
+  /**
+   * 從 Content-Range（bytes 0-4095/12345）取得完整檔案大小，未知時回傳 null
+   */
+  static parseTotalLength(contentRange) {
+    const match = String(contentRange || '').match(/\/(\d+)\s*$/);
+    return match ? Number(match[1]) : null;
+  }
+
+  static isSuccessStatus(status) {
+    return status === 200 || status === 206;
+  }
+
+  /**
+   * 批次檢查；重複的網址只檢查一次
+   */
+  async checkAll(urls) {
+    const uniqueUrls = [...new Set(urls)];
+    const results = await LinkChecker.mapWithConcurrency(uniqueUrls, this.concurrency, url => this.check(url));
+    const byUrl = new Map(uniqueUrls.map((url, index) => [url, results[index]]));
+    return urls.map(url => byUrl.get(url));
+  }
+
+  /**
+   * 檢查單一連結
+   * @returns {Promise<{ url, ok, status, finalUrl, contentType, contentLength, acceptRanges, signature, method, error }>}
+   */
+  async check(url) {
+    const startTime = Date.now();
+    const result = {
+      url,
+      ok: false,
+      status: null,
+      finalUrl: url,
+      contentType: null,
+      contentLength: null,
+      acceptRanges: false,
+      signature: null,
+      method: null,
+      error: null
+    };
+
+    const targetUrl = this.resolveUrl ? await this.resolveUrl(url).catch(() => url) : url;
+
+    try {
+      const head = await this.send(targetUrl, 'HEAD');
+      Object.assign(result, {
+        status: head.status,
+        finalUrl: head.finalUrl,
+        contentType: head.headers['content-type'] || null,
+        contentLength: Number(head.headers['content-length']) || null,
+        acceptRanges: /bytes/i.test(head.headers['accept-ranges'] || ''),
+        method: 'HEAD'
+      });
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    // HEAD 成功且宣告為音訊時不再發送 GET；HEAD 失敗（含 405／501）時以 Range 請求判斷狀態，
+    // 沒有或不是音訊 Content-Type 時讀取開頭判斷檔案簽名
+    const headOk = LinkChecker.isSuccessStatus(result.status);
+    const headAudio = headOk && /^audio\//i.test(result.contentType || '');
+    if (!headAudio) {
+      try {
+        const range = await this.send(targetUrl, 'GET');
+        const totalLength = range.status === 206
+          ? LinkChecker.parseTotalLength(range.headers['content-range'])
+          : Number(range.headers['content-length']) || null;
+        result.signature = AudioFormat.detect(range.buffer);
+        if (!headOk) {
+          Object.assign(result, {
+            status: range.status,
+            finalUrl: range.finalUrl,
+            contentType: range.headers['content-type'] || null,
+            method: 'GET',
+            error: null
+          });
+        }
+        result.contentLength = result.contentLength || totalLength;
+        result.acceptRanges = result.acceptRanges || range.status === 206;
+      } catch (error) {
+        if (!headOk) result.error = error.message;
+      }
+    }
+
+    const declaredMedia = /^(audio|video)\//i.test(result.contentType || '');
+    result.ok = LinkChecker.isSuccessStatus(result.status) && (Boolean(result.signature) || declaredMedia);
+    if (!result.ok && !result.error) {
+      result.error = LinkChecker.isSuccessStatus(result.status)
+        ? `不是音檔（${result.contentType || '未知類型'}）`
+        : `HTTP ${result.status}`;
+    }
+
+    console.log(`${result.ok ? '✅' : '❌'} 連結檢查 ${url}: ${result.status || '-'} ${result.signature || result.contentType || ''}（${Date.now() - startTime}ms）`);
+    return result;
+  }
+
+  /**
+   * 發送 HEAD 或 Range GET；GET 只讀取前 RANGE_BYTES 位元組後立即中斷連線
+   */
+  send(url, method) {
+    return new Promise((resolve, reject) => {
+      this.request(url, {
+        method,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+          'Accept': 'audio/mpeg, audio/mp3, audio/mp4, audio/*, */*',
+          'Accept-Encoding': 'identity',
+          ...(method === 'GET' ? { 'Range': `bytes=0-${RANGE_BYTES - 1}` } : {})
+        },
+        timeout: this.timeout,
+        timeoutMessage: '連結檢查超時'
+      }, (error, response, finalUrl) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+
+        const done = (buffer) => resolve({ status: response.statusCode, headers: response.headers, finalUrl, buffer });
+        if (method === 'HEAD' || !LinkChecker.isSuccessStatus(response.statusCode)) {
+          response.destroy();
+          done(Buffer.alloc(0));
+          return;
+        }
+
+        const chunks = [];
+        let length = 0;
+        let settled = false;
+        const finish = () => {
+          if (settled) return;
+          settled = true;
+          response.destroy();
+          done(Buffer.concat(chunks).slice(0, RANGE_BYTES));
+        };
+        response.on('data', (chunk) => {
+          chunks.push(chunk);
+          length += chunk.length;
+          if (length >= RANGE_BYTES) finish();
+        });
+        response.on('end', finish);
+        response.on('error', (streamError) => {
+          if (settled) return;
+          settled = true;
+          reject(streamError);
+        });
+      });
+    });
+  }
+}
+
+module.exports = {
+  RANGE_BYTES,
+  LinkChecker
+};
@@ -0,0 +1,362 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { AudioFormat } = require('./audio-format');
+const { LinkChecker } = require('./link-checker');
+
+/**
+ * 串流與影片來源匯入模塊
+ * 部分 feed 的 enclosure 是 HLS（.m3u8）播放清單或 MP4 影片：HLS 先下載所有片段（經過與音檔相同的請求防護），
+ * 改寫成指向本機檔案的播放清單後交給 ffmpeg 串接；影片則移除畫面，兩者都輸出只有音軌的 M4A
+ */
+
+// HLS 播放清單的 Content-Type
+const HLS_CONTENT_TYPE_PATTERN = /mpegurl/i;
+
+// 單一播放清單最多的片段數（避免異常或惡意的播放清單）
+const MAX_HLS_SEGMENTS = 20000;
+
+// 同時下載的片段數
+const SEGMENT_CONCURRENCY = 4;
+
+class MediaIngest {
+
+  /**
+   * @param {Object} options
+   * @param {Function} options.request - (url, options, callback(error, response, finalUrl)) 發送請求並跟隨重定向
+   * @param {number} options.maxBytes - HLS 所有片段加總的大小上限，0 表示不限制
+   * @param {Function} options.probeVideo - （選填）async (filePath) => boolean 檔案是否有畫面串流，預設使用 ffprobe
+   */
+  constructor({ request, maxBytes = 0, probeVideo = MediaIngest.hasVideoStream }) {
+    this.request = request;
+    this.maxBytes = maxBytes;
+    this.probeVideo = probeVideo;
+  }
+
+  /**
+   * 依檔案開頭、Content-Type 或網址判斷是否為 HLS 播放清單
+   */
+  static isHlsPlaylist({ buffer, contentType, url }) {
+    if (buffer && buffer.length > 0) {
+      return buffer.slice(0, 16).toString('utf8').replace(/^\uFEFF/, '').trimStart().startsWith('#EXTM3U');
+    }
+    if (HLS_CONTENT_TYPE_PATTERN.test(contentType || '')) return true;
+    try {
+      return /\.m3u8$/i.test(new URL(url).pathname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 來源明確宣告為影片（video/*）；MP4 容器本身無法區分音訊或影片，下載完成後由 isVideoFile 以 ffprobe 確認
+   */
+  static isVideo({ contentType }) {
+    return /^video\//i.test((contentType || '').trim());
+  }
+
+  /**
+   * 以 ffprobe 檢查檔案是否有畫面串流（音檔內嵌的封面圖片不算）
+   */
+  static hasVideoStream(filePath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(filePath, (error, metadata) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve((metadata.streams || []).some(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic)));
+      });
+    });
+  }
+
+  /**
+   * 下載完成的檔案是否為影片：來源宣告 video/*，或沒有音訊品牌的 MP4 容器經 ffprobe 確認有畫面串流
+   */
+  async isVideoFile({ filePath, leadingBytes, contentType }) {
+    if (MediaIngest.isVideo({ contentType })) return true;
+    if (AudioFormat.detect(leadingBytes) !== 'mp4') return false;
+    try {
+      return await this.probeVideo(filePath);
+    } catch (error) {
+      console.warn(`⚠️ 無法以 ffprobe 檢查畫面串流，視為音檔: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * 解析標籤屬性（例如 `BANDWIDTH=128000,URI="audio.m3u8"`）
+   */
+  static parseAttributes(value) {
+    const attributes = {};
+    const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+    while ((match = pattern.exec(value)) !== null) {
+      attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+    return attributes;
+  }
+
+  /**
+   * 解析播放清單：主播放清單回傳各版本與音訊軌，媒體播放清單回傳片段、加密金鑰與初始化片段
+   */
+  static parsePlaylist(text, baseUrl) {
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (!lines[0] || !lines[0].startsWith('#EXTM3U')) {
+      throw new Error('不是有效的 HLS 播放清單');
+    }
+
+    const resolve = (uri) => new URL(uri, baseUrl).toString();
+    const playlist = { variants: [], audioRenditions: [], segments: [], endList: false };
+    let pendingVariant = null;
+
+    lines.slice(1).forEach(line => {
+      if (line.startsWith('#EXT-X-STREAM-INF:')) {
+        const attributes = this.parseAttributes(line.slice('#EXT-X-STREAM-INF:'.length));
+        pendingVariant = { bandwidth: Number(attributes.BANDWIDTH) || 0, codecs: attributes.CODECS || '' };
+      } else if (line.startsWith('#EXT-X-MEDIA:')) {
+        const attributes = this.parseAttributes(line.slice('#EXT-X-MEDIA:'.length));
+        if (attributes.TYPE === 'AUDIO' && attributes.URI) {
+          playlist.audioRenditions.push({ uri: resolve(attributes.URI), isDefault: attributes.DEFAULT === 'YES' });
+        }
+      } else if (line === '#EXT-X-ENDLIST') {
+        playlist.endList = true;
+      } else if (!line.startsWith('#')) {
+        if (pendingVariant) {
+          playlist.variants.push({ ...pendingVariant, uri: resolve(line) });
+          pendingVariant = null;
+        } else {
+          playlist.segments.push(resolve(line));
+        }
+      }
+    });
+
+    playlist.isMaster = playlist.variants.length > 0;
+    return playlist;
+  }
+
+  /**
+   * 主播放清單選擇要下載的版本：有獨立音訊軌時使用音訊軌（預設軌優先），否則用頻寬最低的版本（音質通常相同，下載量最小）
+   */
+  static pickMediaPlaylist(playlist) {
+    if (playlist.audioRenditions.length > 0) {
+      return (playlist.audioRenditions.find(rendition => rendition.isDefault) || playlist.audioRenditions[0]).uri;
+    }
+    return [...playlist.variants].sort((a, b) => a.bandwidth - b.bandwidth)[0].uri;
+  }
+
+  /**
+   * 把媒體播放清單改寫成指向本機檔案的版本
+   * @returns {{ text: string, downloads: Array<{ url, fileName }> }} 改寫後的播放清單與需要下載的檔案
+   */
+  static localizePlaylist(text, baseUrl) {
+    const downloads = [];
+    const addDownload = (uri, prefix, fallbackExtension) => {
+      const url = new URL(uri, baseUrl).toString();
+      const extension = (path.extname(new URL(url).pathname).match(/^\.[a-z0-9]{1,5}$/i) || [fallbackExtension])[0];
+      const fileName = `${prefix}_${String(downloads.length + 1).padStart(5, '0')}${extension.toLowerCase()}`;
+      downloads.push({ url, fileName });
+      return fileName;
+    };
+    const replaceUri = (line, prefix, fallbackExtension) => line.replace(/URI="([^"]*)"/, (match, uri) => `URI="${addDownload(uri, prefix, fallbackExtension)}"`);
+
+    let segmentCount = 0;
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => {
+      if (line.startsWith('#EXT-X-KEY:')) {
+        const attributes = this.parseAttributes(line.slice('#EXT-X-KEY:'.length));
+        if (attributes.METHOD === 'NONE') return line;
+        if (attributes.METHOD !== 'AES-128') {
+          throw new Error(`不支援的 HLS 加密方式: ${attributes.METHOD}`);
+        }
+        return replaceUri(line, 'key', '.key');
+      }
+      if (line.startsWith('#EXT-X-MAP:')) {
+        if (/BYTERANGE=/.test(line)) throw new Error('不支援以 BYTERANGE 切分的 HLS 串流');
+        return replaceUri(line, 'init', '.mp4');
+      }
+      if (line.startsWith('#EXT-X-BYTERANGE')) {
+        throw new Error('不支援以 BYTERANGE 切分的 HLS 串流');
+      }
+      if (line.startsWith('#')) return line;
+
+      segmentCount++;
+      return addDownload(line, 'segment', '.ts');
+    });
+
+    if (!lines.includes('#EXT-X-ENDLIST')) {
+      throw new Error('HLS 播放清單沒有結尾（可能是直播串流），無法下載');
+    }
+    if (segmentCount === 0) {
+      throw new Error('HLS 播放清單中沒有任何片段');
+    }
+    if (segmentCount > MAX_HLS_SEGMENTS) {
+      throw new Error(`HLS 片段數量過多（${segmentCount}）`);
+    }
+    return { text: `${lines.join('\n')}\n`, downloads };
+  }
+
+  /**
+   * 匯入下載完成的檔案：HLS 播放清單或影片時轉成只有音軌的 M4A，其他格式回傳 null（維持原檔）
+   * @param {Object} options
+   * @param {string} options.url - 原始網址（重定向後的網址），用來解析播放清單中的相對路徑
+   * @param {string} options.filePath - 已下載的檔案
+   * @param {Buffer} options.leadingBytes - 檔案開頭（判斷格式用）
+   * @param {string} options.contentType - 來源 Content-Type
+   * @returns {Promise<{ filePath, contentType, convertedFrom } | null>}
+   */
+  async ingest({ url, filePath, leadingBytes, contentType }) {
+    const isHls = MediaIngest.isHlsPlaylist({ buffer: leadingBytes, contentType, url });
+    if (!isHls && !(await this.isVideoFile({ filePath, leadingBytes, contentType }))) {
+      return null;
+    }
+
+    const outputPath = `${filePath}.m4a`;
+    const workDir = `${filePath}.hls`;
+    try {
+      if (isHls) {
+        const playlistPath = await this.downloadHls(url, fs.readFileSync(filePath, 'utf8'), workDir);
+        await MediaIngest.extractAudio(playlistPath, outputPath, ['-allowed_extensions', 'ALL', '-protocol_whitelist', 'file,crypto']);
+      } else {
+        await MediaIngest.extractAudio(filePath, outputPath);
+      }
+    } catch (error) {
+      fs.rmSync(outputPath, { force: true });
+      throw error;
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+    return { filePath: outputPath, contentType: 'audio/mp4', convertedFrom: isHls ? 'hls' : 'video' };
+  }
+
+  /**
+   * 下載 HLS 串流的所有片段，回傳本機播放清單路徑
+   */
+  async downloadHls(playlistUrl, playlistText, workDir) {
+    let mediaUrl = playlistUrl;
+    let mediaText = playlistText;
+
+    const playlist = MediaIngest.parsePlaylist(playlistText, playlistUrl);
+    if (playlist.isMaster) {
+      mediaUrl = MediaIngest.pickMediaPlaylist(playlist);
+      console.log(`📺 HLS 主播放清單，選擇: ${mediaUrl}`);
+      const fetched = await this.fetchText(mediaUrl);
+      mediaUrl = fetched.finalUrl;
+      mediaText = fetched.text;
+    }
+
+    const { text, downloads } = MediaIngest.localizePlaylist(mediaText, mediaUrl);
+    console.log(`📺 下載 HLS 片段: ${downloads.length} 個檔案`);
+    fs.mkdirSync(workDir, { recursive: true });
+
+    // 任何一個片段失敗就停止其餘下載
+    let totalBytes = 0;
+    let failed = false;
+    await LinkChecker.mapWithConcurrency(downloads, SEGMENT_CONCURRENCY, async ({ url, fileName }) => {
+      if (failed) return;
+      try {
+        totalBytes += await this.fetchToFile(url, path.join(workDir, fileName));
+        if (this.maxBytes && totalBytes > this.maxBytes) {
+          throw new Error(`HLS 串流超過大小上限 ${Math.round(this.maxBytes / 1024 / 1024)}MB`);
+        }
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    });
+    console.log(`📺 HLS 片段下載完成: ${(totalBytes / 1024 / 1024).toFixed(2)}MB`);
+
+    const playlistPath = path.join(workDir, 'playlist.m3u8');
+    fs.writeFileSync(playlistPath, text);
+    return playlistPath;
+  }
+
+  /**
+   * 發送 GET 請求，成功時以 onResponse 處理回應
+   */
+  get(url, onResponse) {
+    return new Promise((resolve, reject) => {
+      this.request(url, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+          'Accept-Encoding': 'identity'
+        },
+        timeout: 60000,
+        timeoutMessage: 'HLS 下載超時'
+      }, (error, response, finalUrl) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        if (response.statusCode !== 200) {
+          response.resume();
+          reject(new Error(`HLS 下載失敗: HTTP ${response.statusCode} ${url}`));
+          return;
+        }
+        onResponse(response, finalUrl || url, resolve, reject);
+      });
+    });
+  }
+
+  fetchText(url) {
+    return this.get(url, (response, finalUrl, resolve, reject) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({ text: Buffer.concat(chunks).toString('utf8'), finalUrl }));
+      response.on('error', reject);
+    });
+  }
+
+  /**
+   * 下載到檔案，回傳位元組數
+   */
+  fetchToFile(url, filePath) {
+    return this.get(url, (response, finalUrl, resolve, reject) => {
+      let size = 0;
+      const file = fs.createWriteStream(filePath);
+      response.on('data', (chunk) => {
+        size += chunk.length;
+      });
+      response.on('error', (error) => {
+        file.destroy();
+        reject(error);
+      });
+      file.on('error', (error) => {
+        response.destroy();
+        reject(error);
+      });
+      file.on('finish', () => resolve(size));
+      response.pipe(file);
+    });
+  }
+
+  /**
+   * 以 ffmpeg 抽出音軌成 M4A：先直接複製音訊串流，容器不支援該編碼時改轉成 AAC
+   */
+  static async extractAudio(input, outputPath, inputOptions = []) {
+    const run = (audioOptions) => new Promise((resolve, reject) => {
+      ffmpeg(input)
+        .inputOptions(inputOptions)
+        .outputOptions(['-vn', '-sn', '-dn', ...audioOptions, '-f', 'ipod'])
+        .on('start', (commandLine) => {
+          console.log(`📺 FFmpeg 抽出音軌命令: ${commandLine}`);
+        })
+        .on('end', resolve)
+        .on('error', reject)
+        .save(outputPath);
+    });
+
+    try {
+      await run(['-c:a', 'copy']);
+    } catch (copyError) {
+      console.warn(`⚠️ 無法直接複製音軌，改為轉碼成 AAC: ${copyError.message}`);
+      fs.rmSync(outputPath, { force: true });
+      await run(['-c:a', 'aac', '-b:a', '128k']);
+    }
+    console.log(`📺 已抽出音軌: ${outputPath}`);
+  }
+}
+
+module.exports = {
+  MAX_HLS_SEGMENTS,
+  MediaIngest
+};
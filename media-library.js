@@ -0,0 +1,541 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const { SNIFF_BYTES, AudioFormat } = require('./audio-format');
+
+/**
+ * 本機媒體庫模塊
+ * 以音檔網址與內容 SHA-256 雜湊保存已下載的音檔，播放、轉錄與批量下載共用同一份檔案；
+ * 不同網址指向相同內容時只存一份，總容量超過上限時依最近使用時間（LRU）淘汰
+ */
+
+// 小於此大小的回應視為錯誤頁面而不是音檔
+const MIN_AUDIO_BYTES = 1024;
+
+// 讀取下載中暫存檔的單次讀取大小
+const READ_CHUNK_BYTES = 64 * 1024;
+
+// 只更新使用時間時，延後多久才寫回索引（播放器跳轉時會連續送出許多 Range 請求）
+const ACCESS_SAVE_DELAY_MS = 5000;
+
+class MediaLibrary {
+
+  /**
+   * @param {Object} options
+   * @param {string} options.libraryDir - 音檔存放目錄
+   * @param {string} options.indexFile - 索引檔（JSON）
+   * @param {Function} options.openStream - (url, { range }, callback(error, response)) 開啟上游音檔串流
+   * @param {number} options.maxBytes - 媒體庫容量上限（bytes）
+   * @param {Function} options.ingest - （選填）async ({ url, filePath, leadingBytes, contentType }) 轉換下載完成的檔案（例如 HLS、影片轉成音檔），
+   *   回傳 { filePath, contentType, convertedFrom } 或 null（維持原檔）
+   * @param {number} options.accessSaveDelayMs - 使用時間變更後延後寫回索引的時間
+   */
+  constructor({ libraryDir, indexFile, openStream, maxBytes, ingest = null, accessSaveDelayMs = ACCESS_SAVE_DELAY_MS }) {
+    this.libraryDir = libraryDir;
+    this.indexFile = indexFile;
+    this.openStream = openStream;
+    this.maxBytes = maxBytes;
+    this.ingest = ingest;
+    this.accessSaveDelayMs = accessSaveDelayMs;
+    this.saveTimer = null;
+    this.inFlight = new Map();
+    // 下載中的暫存檔（網址 → 下載進度），播放器可以邊下載邊讀取
+    this.downloads = new Map();
+    // 使用中的檔案（雜湊 → 使用者數），不會被淘汰或刪除
+    this.pins = new Map();
+
+    const index = this.load();
+    this.urls = index.urls || {};
+    this.entries = index.entries || {};
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.indexFile)) {
+        return JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+      }
+    } catch (error) {
+      console.warn(`⚠️ 讀取媒體庫索引失敗，將使用空索引: ${error.message}`);
+    }
+    return {};
+  }
+
+  /**
+   * 寫回磁碟（先寫暫存檔再改名，避免寫到一半損毀）
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    fs.mkdirSync(path.dirname(this.indexFile), { recursive: true });
+    const tempPath = `${this.indexFile}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ urls: this.urls, entries: this.entries }, null, 2));
+    fs.renameSync(tempPath, this.indexFile);
+  }
+
+  getPath(entry) {
+    return path.join(this.libraryDir, entry.fileName);
+  }
+
+  getTotalBytes() {
+    return Object.values(this.entries).reduce((sum, entry) => sum + entry.size, 0);
+  }
+
+  /**
+   * 依最近使用時間排序（最近的在前）
+   */
+  list() {
+    return Object.values(this.entries)
+      .sort((a, b) => b.lastAccessedAt.localeCompare(a.lastAccessedAt));
+  }
+
+  /**
+   * 查詢已存在媒體庫的音檔（不會下載），檔案已被刪除時一併清除索引
+   */
+  lookup(url) {
+    const entry = this.entries[this.urls[url]];
+    if (!entry) return null;
+    if (!fs.existsSync(this.getPath(entry))) {
+      this.forget(entry.hash);
+      this.save();
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * 記錄使用時間（LRU 依據）；只在記憶體中更新，索引延後一次寫回
+   */
+  touch(entry) {
+    entry.lastAccessedAt = new Date().toISOString();
+    entry.accessCount = (entry.accessCount || 0) + 1;
+    this.scheduleSave();
+    return entry;
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      try {
+        this.save();
+      } catch (error) {
+        console.warn(`⚠️ 寫入媒體庫索引失敗: ${error.message}`);
+      }
+    }, this.accessSaveDelayMs);
+    // 不讓計時器阻止程序結束
+    if (this.saveTimer.unref) this.saveTimer.unref();
+  }
+
+  /**
+   * 取得音檔：已在媒體庫時直接回傳，否則下載後加入；同一網址同時被多個功能要求時共用同一次下載
+   * @returns {Promise<Object>} 媒體庫項目（getPath(entry) 為檔案路徑）
+   */
+  async fetch(url) {
+    const entry = this.lookup(url);
+    if (entry) {
+      console.log(`📚 媒體庫命中: ${entry.fileName}`);
+      return this.touch(entry);
+    }
+
+    if (!this.inFlight.has(url)) {
+      const downloading = this.download(url)
+        .finally(() => this.inFlight.delete(url));
+      this.inFlight.set(url, downloading);
+    }
+    return this.inFlight.get(url);
+  }
+
+  /**
+   * 取得音檔並標記使用中；讀完檔案後必須呼叫 release，之後才可能被淘汰
+   * @returns {Promise<{ entry, filePath, release }>}
+   */
+  async acquire(url) {
+    const entry = await this.fetch(url);
+    return { entry, filePath: this.getPath(entry), release: this.pin(entry.hash) };
+  }
+
+  /**
+   * 標記檔案使用中（播放串流、打包、複製），回傳釋放函式（重複呼叫沒有影響）
+   */
+  pin(hash) {
+    this.pins.set(hash, (this.pins.get(hash) || 0) + 1);
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const count = this.pins.get(hash) - 1;
+      if (count > 0) {
+        this.pins.set(hash, count);
+        return;
+      }
+      this.pins.delete(hash);
+      // 使用中而暫時無法淘汰的檔案，釋放後再檢查一次容量
+      if (this.maxBytes > 0 && this.getTotalBytes() > this.maxBytes && this.evict().length > 0) {
+        this.save();
+      }
+    };
+  }
+
+  isPinned(hash) {
+    return this.pins.has(hash);
+  }
+
+  /**
+   * 等待網址的下載開始寫入暫存檔；沒有進行中的下載，或下載在開始前就失敗時回傳 null
+   * @returns {Promise<Object|null>} 下載進度 { tempPath, totalBytes, contentType, bytesWritten, complete, error }
+   */
+  waitForDownload(url) {
+    const download = this.downloads.get(url);
+    if (!download) return Promise.resolve(null);
+    return new Promise((resolve) => {
+      const check = () => {
+        if (!download.ready && !download.error) return;
+        download.off('update', check);
+        resolve(download.ready ? download : null);
+      };
+      download.on('update', check);
+      check();
+    });
+  }
+
+  /**
+   * 以 HTTP 回應的形式讀取下載中的暫存檔（statusCode、headers 與上游回應相同用法），資料還沒寫到時等待下載進度。
+   * 已寫完（改讀媒體庫檔案）、長度不明的 Range、多段 Range，或 Range 起點超過已寫入的位置時回傳 null，由呼叫端另外處理
+   */
+  createDownloadResponse(download, range = null) {
+    if (!download.ready || download.complete || download.error) return null;
+
+    const total = download.totalBytes;
+    let start = 0;
+    let end = total !== null ? total - 1 : Infinity;
+    if (range) {
+      const match = /^bytes=(\d+)-(\d*)$/.exec(String(range).trim());
+      if (!match || total === null) return null;
+      start = Number(match[1]);
+      end = match[2] ? Math.min(Number(match[2]), total - 1) : total - 1;
+      if (start > end || start > download.bytesWritten) return null;
+    }
+
+    const response = this.createDownloadStream(download, { start, end });
+    return Object.assign(response, {
+      statusCode: range ? 206 : 200,
+      statusMessage: range ? 'Partial Content' : 'OK',
+      headers: {
+        'content-type': download.contentType,
+        ...(total !== null ? { 'content-length': String(end - start + 1), 'accept-ranges': 'bytes' } : {}),
+        ...(range ? { 'content-range': `bytes ${start}-${end}/${total}` } : {})
+      }
+    });
+  }
+
+  /**
+   * 讀取下載中暫存檔的 [start, end]；檔案在開啟時就取得 fd，下載完成後改名或刪除都不影響讀取
+   */
+  createDownloadStream(download, { start = 0, end = Infinity } = {}) {
+    const fd = fs.openSync(download.tempPath, 'r');
+    let position = start;
+    let stopWaiting = null;
+
+    const stream = new Readable({
+      read() {
+        readChunk();
+      },
+      destroy(error, callback) {
+        if (stopWaiting) stopWaiting();
+        fs.close(fd, () => callback(error));
+      }
+    });
+
+    const readChunk = () => {
+      const available = Math.min(download.bytesWritten - 1, end) - position + 1;
+      if (available > 0) {
+        const buffer = Buffer.alloc(Math.min(available, READ_CHUNK_BYTES));
+        fs.read(fd, buffer, 0, buffer.length, position, (error, bytesRead) => {
+          if (stream.destroyed) return;
+          if (error || bytesRead === 0) {
+            stream.destroy(error || new Error('讀取下載中的檔案失敗'));
+            return;
+          }
+          position += bytesRead;
+          stream.push(buffer.subarray(0, bytesRead));
+        });
+        return;
+      }
+      if (position > end || download.complete) {
+        stream.push(null);
+        return;
+      }
+      if (download.error) {
+        stream.destroy(download.error);
+        return;
+      }
+
+      // 等待下載寫入更多資料
+      const onUpdate = () => {
+        stopWaiting();
+        readChunk();
+      };
+      stopWaiting = () => {
+        download.off('update', onUpdate);
+        stopWaiting = null;
+      };
+      download.on('update', onUpdate);
+    };
+
+    return stream;
+  }
+
+  download(url) {
+    fs.mkdirSync(this.libraryDir, { recursive: true });
+    const tempPath = path.join(this.libraryDir, `.${crypto.randomBytes(6).toString('hex')}.part`);
+    const startTime = Date.now();
+    console.log(`📚 下載到媒體庫: ${url}`);
+
+    // 下載進度：每次寫入、完成或失敗都發出 update
+    const download = Object.assign(new EventEmitter(), {
+      tempPath,
+      ready: false,
+      totalBytes: null,
+      contentType: null,
+      bytesWritten: 0,
+      complete: false,
+      error: null
+    });
+    download.setMaxListeners(0);
+    this.downloads.set(url, download);
+
+    return new Promise((resolve, reject) => {
+      const cleanupAndReject = (error) => {
+        if (!download.error) {
+          download.error = error;
+          download.emit('update');
+        }
+        this.downloads.delete(url);
+        try {
+          if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+        } catch (cleanupError) {
+          console.warn(`⚠️ 清理媒體庫暫存檔失敗: ${cleanupError.message}`);
+        }
+        reject(error);
+      };
+
+      this.openStream(url, {}, (error, response, finalUrl) => {
+        if (error) {
+          cleanupAndReject(error);
+          return;
+        }
+        if (response.statusCode !== 200) {
+          response.resume();
+          cleanupAndReject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
+          return;
+        }
+
+        const contentLength = parseInt(response.headers['content-length'], 10);
+        Object.assign(download, {
+          totalBytes: contentLength >= 0 ? contentLength : null,
+          contentType: response.headers['content-type'] || null
+        });
+
+        const hash = crypto.createHash('sha256');
+        const leadingChunks = [];
+        let leadingLength = 0;
+        let size = 0;
+        const file = fs.createWriteStream(tempPath);
+
+        file.on('open', () => {
+          download.ready = true;
+          download.emit('update');
+        });
+
+        // 逐塊寫入並記錄已寫入的位置，讓讀取端只讀到已經寫進檔案的資料
+        response.on('data', (chunk) => {
+          hash.update(chunk);
+          size += chunk.length;
+          if (leadingLength < SNIFF_BYTES) {
+            leadingChunks.push(chunk);
+            leadingLength += chunk.length;
+          }
+          const writable = file.write(chunk, (writeError) => {
+            if (writeError) return;
+            download.bytesWritten += chunk.length;
+            download.emit('update');
+          });
+          if (!writable) {
+            response.pause();
+            file.once('drain', () => response.resume());
+          }
+        });
+        response.on('end', () => file.end());
+        response.on('error', (responseError) => {
+          file.destroy();
+          cleanupAndReject(responseError);
+        });
+        response.on('close', () => {
+          if (!response.complete) {
+            file.destroy();
+            cleanupAndReject(new Error('下載連線中斷'));
+          }
+        });
+        file.on('error', (fileError) => {
+          response.destroy();
+          cleanupAndReject(fileError);
+        });
+        file.on('finish', () => {
+          if (!response.complete) return;
+          download.complete = true;
+          download.emit('update');
+
+          this.store(url, tempPath, {
+            hash: hash.digest('hex'),
+            size,
+            leadingBytes: Buffer.concat(leadingChunks).subarray(0, SNIFF_BYTES),
+            contentType: response.headers['content-type'],
+            finalUrl: finalUrl || url
+          })
+            .then((entry) => {
+              this.downloads.delete(url);
+              console.log(`📚 已加入媒體庫: ${entry.fileName} (${(entry.size / 1024 / 1024).toFixed(2)}MB，耗時 ${((Date.now() - startTime) / 1000).toFixed(2)} 秒)`);
+              resolve(entry);
+            })
+            .catch(cleanupAndReject);
+        });
+      });
+    });
+  }
+
+  /**
+   * 下載完成後先交給 ingest 轉換（轉換後的檔案取代暫存檔並重新計算雜湊），再檢查大小並加入媒體庫
+   */
+  async store(url, tempPath, { hash, size, leadingBytes, contentType, finalUrl }) {
+    let details = { hash, size, leadingBytes, contentType, convertedFrom: null };
+
+    const converted = this.ingest
+      ? await this.ingest({ url: finalUrl, filePath: tempPath, leadingBytes, contentType })
+      : null;
+    if (converted) {
+      fs.renameSync(converted.filePath, tempPath);
+      details = {
+        ...(await MediaLibrary.hashFile(tempPath)),
+        contentType: converted.contentType,
+        convertedFrom: converted.convertedFrom
+      };
+    }
+
+    if (details.size < MIN_AUDIO_BYTES) {
+      throw new Error('下載的檔案太小，可能不是有效的音檔');
+    }
+    return this.add(url, tempPath, details);
+  }
+
+  /**
+   * 計算檔案的 SHA-256、大小與開頭位元組
+   */
+  static hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      const leadingChunks = [];
+      let size = 0;
+      fs.createReadStream(filePath)
+        .on('data', (chunk) => {
+          hash.update(chunk);
+          if (size < SNIFF_BYTES) leadingChunks.push(chunk);
+          size += chunk.length;
+        })
+        .on('error', reject)
+        .on('end', () => resolve({
+          hash: hash.digest('hex'),
+          size,
+          leadingBytes: Buffer.concat(leadingChunks).subarray(0, SNIFF_BYTES)
+        }));
+    });
+  }
+
+  /**
+   * 把下載完成的暫存檔加入媒體庫；內容雜湊已存在時只記錄網址對應，不重複保存
+   */
+  add(url, tempPath, { hash, size, leadingBytes, contentType, convertedFrom = null }) {
+    const now = new Date().toISOString();
+    let entry = this.entries[hash];
+
+    if (entry && fs.existsSync(this.getPath(entry))) {
+      fs.unlinkSync(tempPath);
+      console.log(`📚 內容與既有檔案相同，共用: ${entry.fileName}`);
+    } else {
+      const audioFormat = AudioFormat.resolve({ buffer: leadingBytes, contentType, url });
+      entry = {
+        hash,
+        fileName: `${hash}${audioFormat.extension}`,
+        size,
+        format: audioFormat.format,
+        mimeType: audioFormat.mimeType,
+        convertedFrom,
+        urls: [],
+        createdAt: now,
+        lastAccessedAt: now,
+        accessCount: 0
+      };
+      fs.renameSync(tempPath, this.getPath(entry));
+      this.entries[hash] = entry;
+    }
+
+    if (!entry.urls.includes(url)) entry.urls.push(url);
+    this.urls[url] = hash;
+    entry.lastAccessedAt = now;
+    entry.accessCount += 1;
+
+    this.evict(hash);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * 總容量超過上限時，從最久沒使用的檔案開始刪除（keepHash 為剛加入的檔案，使用中的檔案也不會刪除）
+   */
+  evict(keepHash = null) {
+    if (!(this.maxBytes > 0)) return [];
+
+    const evicted = [];
+    let totalBytes = this.getTotalBytes();
+    const candidates = this.list().reverse().filter(entry => entry.hash !== keepHash && !this.isPinned(entry.hash));
+
+    while (totalBytes > this.maxBytes && candidates.length > 0) {
+      const entry = candidates.shift();
+      totalBytes -= entry.size;
+      this.remove(entry.hash, { persist: false });
+      evicted.push(entry);
+      console.log(`📚 媒體庫超過容量上限，移除最久未使用的檔案: ${entry.fileName}`);
+    }
+    return evicted;
+  }
+
+  /**
+   * 刪除檔案與索引；使用中的檔案不會刪除，回傳 false
+   */
+  remove(hash, { persist = true } = {}) {
+    const entry = this.entries[hash];
+    if (!entry || this.isPinned(hash)) return false;
+    try {
+      const filePath = this.getPath(entry);
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    } catch (error) {
+      console.warn(`⚠️ 刪除媒體庫檔案失敗: ${entry.fileName} - ${error.message}`);
+    }
+    this.forget(hash);
+    if (persist) this.save();
+    return true;
+  }
+
+  forget(hash) {
+    const entry = this.entries[hash];
+    if (!entry) return;
+    entry.urls.forEach(url => {
+      if (this.urls[url] === hash) delete this.urls[url];
+    });
+    delete this.entries[hash];
+  }
+}
+
+module.exports = {
+  MediaLibrary
+};
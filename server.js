@@ -7,6 +7,7 @@ const formidable = require('formidable');
 const fs = require('fs');
 const https = require('https');
 const http = require('http');
+const crypto = require('crypto');
 const { URL } = require('url');
 const OpenAI = require('openai');
 const ffmpeg = require('fluent-ffmpeg'); 
@@ -16,12 +17,35 @@ const {
   TranscriptionFormatter,
   TranscriptionOptimizer,
   SpeakerDiarization,
+  TranscriptImporter,
   TranscriptionProcessor
 } = require('./transcription-service');
+const { HtmlSanitizer, FeedParser, FeedCache, OpmlService } = require('./feed-service');
+const { EnclosureResolver } = require('./enclosure-resolver');
+const { AUDIO_FORMATS, TRANSCRIPTION_EXTENSIONS, SNIFF_BYTES, AudioFormat } = require('./audio-format');
+const { DownloadQueue } = require('./download-queue');
+const { ZipArchive } = require('./zip-archive');
+const { MediaLibrary } = require('./media-library');
+const { AudioTagger } = require('./audio-tagger');
+const { DEFAULT_FILENAME_TEMPLATES, TEMPLATE_VARIABLES, FilenameTemplate, FilenameTemplateStore } = require('./filename-template');
+const { UrlGuard } = require('./url-guard');
+const { LinkChecker } = require('./link-checker');
+const { MediaIngest } = require('./media-ingest');
+const { DEFAULT_RETENTION_DAYS, JobQueue } = require('./job-queue');
+const { TRANSCRIPT_FORMATS, TranscriptStore } = require('./transcript-store');
+const { TranscriptionEvents } = require('./transcription-events');
+const { AsrProvider, OpenAIAsrProvider } = require('./asr-provider');
+const { DEFAULT_TARGET_SECONDS, AudioSplitter } = require('./audio-splitter');
+const {
+  getEpisodeKey,
+  SubscriptionStore,
+  AutomationQueue,
+  SubscriptionPoller
+} = require('./subscription-service');
 
 // 新增：音檔格式驗證和正規化函數
 function validateAndNormalizeAudioFile(filePath) {
-  const supportedExtensions = ['.flac', '.m4a', '.mp3', '.mp4', '.mpeg', '.mpga', '.oga', '.ogg', '.wav', '.webm'];
+  const supportedExtensions = TRANSCRIPTION_EXTENSIONS;
   const currentExt = path.extname(filePath).toLowerCase();
   
   console.log(`驗證音檔格式: ${filePath}`);
@@ -61,45 +85,16 @@ function validateAudioFileContent(filePath) {
     }
     
     // 讀取檔案前幾個位元組檢查檔案簽名
-    const buffer = Buffer.alloc(12);
+    const buffer = Buffer.alloc(SNIFF_BYTES);
     const fd = fs.openSync(filePath, 'r');
-    fs.readSync(fd, buffer, 0, 12, 0);
+    const bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
     fs.closeSync(fd);
     
-    // 檢查常見音檔格式的檔案簽名
-    const hex = buffer.toString('hex').toUpperCase();
-    console.log(`檔案簽名: ${hex}`);
-    
-    // MP3 檔案簽名檢查
-    if (hex.startsWith('494433') || // ID3v2
-        hex.startsWith('FFFB') ||   // MP3 frame header
-        hex.startsWith('FFF3') ||   // MP3 frame header
-        hex.startsWith('FFF2')) {   // MP3 frame header
-      console.log('✅ 檔案簽名確認為 MP3 格式');
-      return true;
-    }
-    
-    // WAV 檔案簽名
-    if (hex.startsWith('52494646') && hex.includes('57415645')) {
-      console.log('✅ 檔案簽名確認為 WAV 格式');
-      return true;
-    }
-    
-    // M4A/MP4 檔案簽名
-    if (hex.includes('66747970')) {
-      console.log('✅ 檔案簽名確認為 M4A/MP4 格式');
-      return true;
-    }
-    
-    // OGG 檔案簽名
-    if (hex.startsWith('4F676753')) {
-      console.log('✅ 檔案簽名確認為 OGG 格式');
-      return true;
-    }
-    
-    // FLAC 檔案簽名
-    if (hex.startsWith('664C6143')) {
-      console.log('✅ 檔案簽名確認為 FLAC 格式');
+    // 檢查常見音檔格式的檔案簽名（MP3、AAC、WAV、M4A/MP4、OGG/Opus、FLAC、WebM）
+    console.log(`檔案簽名: ${buffer.slice(0, 12).toString('hex').toUpperCase()}`);
+    const format = AudioFormat.detect(buffer.slice(0, bytesRead));
+    if (format) {
+      console.log(`✅ 檔案簽名確認為 ${AUDIO_FORMATS[format].label} 格式`);
       return true;
     }
     
@@ -114,35 +109,26 @@ function validateAudioFileContent(filePath) {
 
 let ffmpegAvailable = true;
 
-// 新增：轉錄日誌儲存系統（記憶體儲存，每個 episodeId 對應一個日誌陣列）
-const transcriptionLogs = new Map();
+// 新增：轉錄日誌與進度事件（記憶體儲存，每個 episodeId 一個事件頻道，保留最近 500 條，可由 SSE 即時訂閱）
+const transcriptionEvents = new TranscriptionEvents();
+
+// SSE 連線的心跳間隔
+const SSE_HEARTBEAT_MS = 15 * 1000;
 
 // 新增：日誌記錄函數
 function addTranscriptionLog(episodeId, level, message, stage) {
-  if (!transcriptionLogs.has(episodeId)) {
-    transcriptionLogs.set(episodeId, []);
-  }
-  const logs = transcriptionLogs.get(episodeId);
   const memory = logMemoryUsage('', true); // 獲取記憶體資訊但不輸出
-  logs.push({
-    timestamp: new Date().toISOString(),
-    level,
-    message,
-    stage,
-    memory
-  });
-  // 限制日誌數量，避免記憶體過大（保留最近 500 條）
-  if (logs.length > 500) {
-    logs.shift();
-  }
+  transcriptionEvents.log(episodeId, { level, message, stage, memory });
 }
 
-// 新增：清理舊日誌（完成後保留 5 分鐘）
-function cleanupLogs(episodeId) {
-  setTimeout(() => {
-    transcriptionLogs.delete(episodeId);
-    console.log(`已清理 ${episodeId} 的日誌`);
-  }, 5 * 60 * 1000); // 5 分鐘後清理
+// 新增：回報結構化進度（階段、百分比、片段 i/n），預估剩餘時間由事件模塊推算
+function reportTranscriptionProgress(episodeId, stage, percent, segment = null) {
+  transcriptionEvents.progress(episodeId, { stage, percent, segment });
+}
+
+// 新增：轉錄結束，送出完成事件（日誌保留 5 分鐘後清理）
+function finishTranscriptionLogs(episodeId, error = null) {
+  transcriptionEvents.finish(episodeId, { status: error ? 'error' : 'completed', error: error ? (error.details?.error || error.message) : null });
 }
 
 // 增加 Node.js 記憶體限制提示
@@ -153,6 +139,8 @@ console.log(`📊 Node.js 記憶體配置: ${memoryLimit}`);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// 持久化資料目錄（訂閱清單、自動處理結果等）
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 
 // 增加請求體大小限制（用於大檔案上傳）
 app.use(express.json({ limit: '100mb' }));
@@ -188,101 +176,1041 @@ if (process.env.OPENAI_API_KEY) {
       timeout: 20 * 60 * 1000, // 20 分鐘超時
       maxRetries: 2
     });
-  }
-} else {
-  console.warn('Warning: OPENAI_API_KEY is not set. Transcription API will be disabled.');
+  }
+} else {
+  console.warn('Warning: OPENAI_API_KEY is not set. Transcription API will be disabled.');
+}
+
+// 新增：語音轉文字提供者（ASR_PROVIDER：openai、openai-compatible、whisper.cpp、faster-whisper）
+let asrProvider;
+try {
+  asrProvider = AsrProvider.fromEnv(process.env, {
+    openai,
+    createClient: options => new OpenAI(options),
+    tempDir: path.join(__dirname, 'temp')
+  });
+} catch (error) {
+  console.warn(`⚠️ ${error.message}，改用 OpenAI`);
+  asrProvider = new OpenAIAsrProvider({ client: openai });
+}
+console.log(`🎤 語音轉文字提供者: ${asrProvider.label}${asrProvider.getConfigError() ? `（${asrProvider.getConfigError()}）` : ''}`);
+
+// 新增：超過檔案上限的音檔在接近目標長度的靜音處分割，可選擇讓相鄰片段重疊
+const audioSplitter = new AudioSplitter({
+  targetSeconds: parseInt(process.env.SPLIT_SEGMENT_SECONDS, 10) || DEFAULT_TARGET_SECONDS,
+  overlapSeconds: Math.max(0, parseFloat(process.env.SPLIT_OVERLAP_SECONDS) || 0)
+});
+
+// 設置 body parser
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// CORS middleware
+app.use((req, res, next) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Range');
+  res.header('Access-Control-Expose-Headers', 'Content-Length, Content-Range, Accept-Ranges, Content-Disposition');
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  next();
+});
+
+// 新增：對外請求防護（SSRF）：拒絕內部網路位址、非 http/https 網址與過大的回應，可用允許清單限制網域
+const urlGuard = new UrlGuard({
+  allowedHosts: UrlGuard.parseHostList(process.env.FETCH_ALLOWED_HOSTS),
+  allowPrivateNetworks: process.env.FETCH_ALLOW_PRIVATE_NETWORK === 'true',
+  maxBytes: (parseInt(process.env.FETCH_MAX_MB, 10) || 2048) * 1024 * 1024
+});
+if (urlGuard.allowPrivateNetworks) {
+  console.warn('⚠️ FETCH_ALLOW_PRIVATE_NETWORK 已啟用，伺服器可以連線到內部網路位址（只建議本機開發使用）');
+}
+
+// 檢查用戶端送來的網址（協定、允許清單、直接寫在網址中的內部位址），被阻擋時回傳 4xx 並回傳 true
+function rejectBlockedUrl(res, url) {
+  try {
+    urlGuard.checkUrl(url);
+    return false;
+  } catch (error) {
+    console.warn(`🛡️ 已阻擋請求: ${error.message}`);
+    res.status(error.statusCode).json({ error: error.message });
+    return true;
+  }
+}
+
+// 新增：已解析 feed 的磁碟快取（條件式請求收到 304 時使用）
+const feedCache = new FeedCache(path.join(DATA_DIR, 'feed-cache'));
+
+// 新增：託管平台音檔連結解析（探測候選網址，依集數快取）
+const enclosureResolver = new EnclosureResolver({
+  probe: probeAudioUrl,
+  cacheFile: path.join(DATA_DIR, 'enclosure-cache.json')
+});
+
+// 新增：音檔連結健康檢查（HEAD／Range 請求，不下載整個檔案）
+const linkChecker = new LinkChecker({
+  request: requestWithRedirects,
+  resolveUrl: url => enclosureResolver.resolve(url).then(result => result.url),
+  concurrency: Math.max(1, parseInt(process.env.LINK_CHECK_CONCURRENCY, 10) || 8)
+});
+
+// 單次最多檢查的連結數
+const MAX_CHECK_LINKS = 500;
+
+// 新增：HLS 播放清單與影片 enclosure 匯入（下載片段或移除畫面，轉成只有音軌的 M4A）
+const mediaIngest = new MediaIngest({
+  request: requestWithRedirects,
+  maxBytes: urlGuard.maxBytes
+});
+
+// 新增：本機媒體庫（播放、轉錄與批量下載共用已下載的音檔，超過容量上限時依 LRU 淘汰）
+const mediaLibrary = new MediaLibrary({
+  libraryDir: path.join(DATA_DIR, 'library'),
+  indexFile: path.join(DATA_DIR, 'library.json'),
+  openStream: (url, options, callback) => openAudioStream(url, options, callback),
+  maxBytes: (parseInt(process.env.LIBRARY_MAX_MB, 10) || 5120) * 1024 * 1024,
+  ingest: options => mediaIngest.ingest(options)
+});
+
+// 新增：檔名範本（下載佇列的檔案、逐字稿匯出與 ZIP 內的檔名）
+const filenameTemplates = new FilenameTemplateStore(path.join(DATA_DIR, 'filename-templates.json'));
+
+// 新增：逐字稿庫（轉錄完成的結果存在磁碟上，由 /api/transcribe/:episodeId 取回）
+const transcriptStore = new TranscriptStore(path.join(DATA_DIR, 'transcripts'));
+
+// 新增：伺服器端下載佇列（可設定並行數，支援暫停／繼續／取消與 Range 續傳）
+const downloadQueue = new DownloadQueue({
+  downloadDir: path.join(DATA_DIR, 'downloads'),
+  stateFile: path.join(DATA_DIR, 'downloads.json'),
+  openStream: (url, options, callback) => openAudioStream(url, options, callback),
+  concurrency: Math.max(1, parseInt(process.env.DOWNLOAD_CONCURRENCY, 10) || 2),
+  processFile: tagDownloadedFile,
+  getFileName: (item, extension) => FilenameTemplate.render(
+    filenameTemplates.get('audio'),
+    FilenameTemplate.buildValues({ title: item.title, ...item.episodeInfo, id: item.id, ext: extension })
+  )
+});
+
+// 新增：背景轉錄工作（立即回傳工作 ID，結果存在磁碟上，連線中斷或重新整理都不會遺失）
+const jobQueue = new JobQueue({
+  jobsDir: path.join(DATA_DIR, 'jobs'),
+  runners: {
+    transcribe: (params, job) => transcribeFromUrl({ ...params, episodeId: params.episodeId || `job_${job.id}` })
+  },
+  concurrency: Math.max(1, parseInt(process.env.JOB_CONCURRENCY, 10) || 1),
+  retentionDays: parseInt(process.env.JOB_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS
+});
+
+// 新增：批量下載 ZIP 可附上的逐字稿格式
+const BATCH_TRANSCRIPT_FORMATS = ['txt', 'srt', 'vtt', 'json'];
+
+// 新增：寫入音檔的封面圖片大小上限
+const MAX_ARTWORK_BYTES = 10 * 1024 * 1024;
+
+// 新增：RSS 訂閱（定期輪詢 feed，新集數依規則自動下載／轉錄／生成內容）
+const SUBSCRIPTION_OUTPUT_DIR = path.join(DATA_DIR, 'subscriptions');
+const subscriptionStore = new SubscriptionStore(path.join(DATA_DIR, 'subscriptions.json'));
+const automationQueue = new AutomationQueue(subscriptionStore, {
+  download: runSubscriptionDownload,
+  transcribe: runSubscriptionTranscribe,
+  generateContent: runSubscriptionGenerateContent
+});
+const subscriptionPoller = new SubscriptionPoller(subscriptionStore, {
+  loadFeed: loadParsedFeed,
+  onNewEpisodes: (subscription, episodes) => automationQueue.enqueue(subscription, episodes),
+  defaultIntervalMinutes: parseInt(process.env.SUBSCRIPTION_POLL_INTERVAL_MINUTES, 10) || 60
+});
+
+// 測試 API
+app.all('/api/test', (req, res) => {
+  console.log(`測試 API: ${req.method} ${req.url}`);
+  
+  res.json({
+    success: true,
+    message: 'API 測試成功！',
+    timestamp: new Date().toISOString(),
+    environment: {
+      nodeVersion: process.version,
+      env: {
+        OPENAI_API_KEY: process.env.OPENAI_API_KEY ? '已設置' : '未設置',
+        PORT: process.env.PORT || '未設置'
+      }
+    },
+    openai: {
+      initialized: openai !== null,
+      baseURL: openai ? openai.baseURL : '未初始化'
+    },
+    asr: {
+      ...asrProvider.describe(),
+      configError: asrProvider.getConfigError()
+    },
+    features: {
+      enhancedTranscription: true,
+      multipleFormats: true,
+      speakerDiarization: 'experimental',
+      audioProcessing: ffmpegAvailable
+    }
+  });
+});
+
+// 新增：RSS feed 解析 API（由伺服器抓取並解析，前端不再依賴第三方 CORS 代理）
+app.get('/api/feed', (req, res) => {
+  const feedUrl = typeof req.query.url === 'string' ? req.query.url.trim() : '';
+
+  if (!feedUrl) {
+    return res.status(400).json({ error: '缺少 RSS feed URL' });
+  }
+
+  if (!/^https?:\/\//i.test(feedUrl)) {
+    return res.status(400).json({ error: 'RSS feed URL 必須以 http:// 或 https:// 開頭' });
+  }
+
+  if (rejectBlockedUrl(res, feedUrl)) return;
+
+  console.log(`=== RSS feed 解析請求: ${feedUrl} ===`);
+
+  loadParsedFeed(feedUrl)
+    .then(({ feed, episodes, cached }) => {
+      res.json({
+        success: true,
+        url: feedUrl,
+        feed,
+        episodes,
+        count: episodes.length,
+        cached
+      });
+    })
+    .catch((error) => {
+      if (error.isParseError) {
+        console.error('RSS feed 解析錯誤:', error);
+        return res.status(422).json({
+          error: error.message
+        });
+      }
+      console.error('RSS feed 載入錯誤:', error);
+      res.status(error.isBlockedUrl ? error.statusCode : 502).json({
+        error: `RSS feed 載入失敗: ${error.message}`
+      });
+    });
+});
+
+// OPML 匯入：批次建立訂閱，並回報無法解析的 outline
+app.post('/api/opml/import', (req, res) => {
+  const { opml, rules = {} } = req.body;
+
+  if (!opml || typeof opml !== 'string') {
+    return res.status(400).json({
+      error: '請提供 OPML 檔案內容'
+    });
+  }
+
+  let parsed;
+  try {
+    parsed = OpmlService.parse(opml);
+  } catch (parseError) {
+    console.error('OPML 解析錯誤:', parseError);
+    return res.status(422).json({
+      error: parseError.message
+    });
+  }
+
+  const created = [];
+  const existing = [];
+  parsed.feeds.forEach(feed => {
+    if (subscriptionStore.findByUrl(feed.xmlUrl)) {
+      existing.push(feed);
+      return;
+    }
+    // 不在此逐一載入 feed，由輪詢器第一次輪詢時建立已讀基準
+    created.push(subscriptionStore.create({
+      feedUrl: feed.xmlUrl,
+      title: feed.title,
+      rules
+    }));
+  });
+
+  console.log(`📥 OPML 匯入: 新增 ${created.length} 個訂閱，已存在 ${existing.length} 個，失敗 ${parsed.failures.length} 個`);
+  if (created.length > 0) {
+    subscriptionPoller.pollDue();
+  }
+
+  res.json({
+    success: true,
+    title: parsed.title,
+    created: created.map(toSubscriptionResponse),
+    existing,
+    failures: parsed.failures
+  });
+});
+
+// OPML 匯出：目前的訂閱清單
+app.get('/api/opml/export', (req, res) => {
+  const opml = OpmlService.build(subscriptionStore.list().map(subscription => ({
+    title: subscription.title,
+    xmlUrl: subscription.feedUrl
+  })));
+
+  res.setHeader('Content-Type', 'text/x-opml; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="podcast-subscriptions.opml"');
+  res.send(opml);
+});
+
+// 訂閱 API 回應時省略 seenGuids（僅供伺服器比對新集數）
+function toSubscriptionResponse(subscription) {
+  const { seenGuids, ...rest } = subscription;
+  return { ...rest, knownEpisodes: (seenGuids || []).length };
+}
+
+// 訂閱列表
+app.get('/api/subscriptions', (req, res) => {
+  res.json({
+    success: true,
+    subscriptions: subscriptionStore.list().map(toSubscriptionResponse)
+  });
+});
+
+// 新增訂閱：先載入一次 feed，現有集數視為已讀，之後只處理新集數
+app.post('/api/subscriptions', async (req, res) => {
+  const { feedUrl, rules = {}, pollIntervalMinutes = null } = req.body;
+
+  if (!feedUrl || !/^https?:\/\//i.test(feedUrl)) {
+    return res.status(400).json({
+      error: '請提供有效的 RSS feed URL（http 或 https）'
+    });
+  }
+
+  if (rejectBlockedUrl(res, feedUrl)) return;
+
+  if (subscriptionStore.findByUrl(feedUrl)) {
+    return res.status(409).json({
+      error: '此 RSS feed 已經訂閱'
+    });
+  }
+
+  try {
+    const { feed, episodes } = await loadParsedFeed(feedUrl);
+    const subscription = subscriptionStore.create({
+      feedUrl,
+      title: feed.title,
+      rules,
+      pollIntervalMinutes,
+      seenGuids: episodes.map(getEpisodeKey)
+    });
+    subscriptionStore.update(subscription.id, { lastPolledAt: new Date().toISOString() });
+    console.log(`📡 新增訂閱: ${feed.title || feedUrl}（現有 ${episodes.length} 個集數）`);
+
+    res.json({
+      success: true,
+      subscription: toSubscriptionResponse(subscription)
+    });
+  } catch (error) {
+    console.error('新增訂閱失敗:', error);
+    res.status(error.isBlockedUrl ? error.statusCode : 502).json({
+      error: `新增訂閱失敗: ${error.message}`
+    });
+  }
+});
+
+// 更新訂閱規則、輪詢間隔或啟用狀態
+app.put('/api/subscriptions/:id', (req, res) => {
+  const { rules, pollIntervalMinutes, enabled } = req.body;
+  const subscription = subscriptionStore.get(req.params.id);
+  if (!subscription) {
+    return res.status(404).json({ error: '找不到此訂閱' });
+  }
+
+  const patch = {};
+  if (rules) patch.rules = { ...subscription.rules, ...rules };
+  if (pollIntervalMinutes !== undefined) patch.pollIntervalMinutes = pollIntervalMinutes || null;
+  if (enabled !== undefined) patch.enabled = Boolean(enabled);
+
+  res.json({
+    success: true,
+    subscription: toSubscriptionResponse(subscriptionStore.update(req.params.id, patch))
+  });
+});
+
+// 取消訂閱（已產生的檔案保留在資料目錄）
+app.delete('/api/subscriptions/:id', (req, res) => {
+  if (!subscriptionStore.remove(req.params.id)) {
+    return res.status(404).json({ error: '找不到此訂閱' });
+  }
+  res.json({ success: true });
+});
+
+// 立即檢查訂閱是否有新集數
+app.post('/api/subscriptions/:id/poll', async (req, res) => {
+  if (!subscriptionStore.get(req.params.id)) {
+    return res.status(404).json({ error: '找不到此訂閱' });
+  }
+
+  try {
+    const newEpisodes = await subscriptionPoller.poll(req.params.id);
+    res.json({
+      success: true,
+      newEpisodes: newEpisodes.length,
+      subscription: toSubscriptionResponse(subscriptionStore.get(req.params.id))
+    });
+  } catch (error) {
+    res.status(502).json({
+      error: `RSS feed 檢查失敗: ${error.message}`
+    });
+  }
+});
+
+// 下載 API：直接串流上游音檔（支援 Range，記憶體用量不隨檔案大小增加）
+// GET 供播放器 <audio> 直接使用（可即時跳轉），POST 保留給既有的下載流程
+app.get('/api/download', (req, res) => {
+  proxyAudioStream(req, res, req.query.url, req.query.title);
+});
+
+app.post('/api/download', (req, res) => {
+  const { audioUrl, title } = req.body;
+  proxyAudioStream(req, res, audioUrl, title);
+});
+
+function proxyAudioStream(req, res, audioUrl, title) {
+  console.log(`=== 音檔下載代理請求開始 ===`);
+
+  if (!audioUrl) {
+    return res.status(400).json({ error: '缺少音檔 URL' });
+  }
+
+  if (rejectBlockedUrl(res, audioUrl)) return;
+
+  const range = req.headers.range;
+  console.log(`開始下載音檔: ${title || 'Unknown'}${range ? `（${range}）` : ''}`);
+  console.log(`音檔 URL: ${audioUrl}`);
+
+  // 從媒體庫回傳（sendFile 會處理 Range）
+  const sendLibraryEntry = (entry) => {
+    console.log(`📚 從媒體庫回傳: ${entry.fileName}`);
+    res.setHeader('Content-Type', entry.mimeType);
+    res.setHeader('Content-Disposition', AudioFormat.contentDisposition(title, path.extname(entry.fileName)));
+    // 傳送期間標記使用中，避免檔案被淘汰（sendFile 在完成、失敗或用戶端中斷時都會呼叫回呼）
+    const release = mediaLibrary.pin(entry.hash);
+    res.sendFile(mediaLibrary.getPath(entry), (error) => {
+      release();
+      if (error && !res.headersSent) {
+        res.status(500).json({ error: `讀取媒體庫檔案失敗: ${error.message}` });
+      }
+    });
+  };
+
+  const libraryEntry = mediaLibrary.lookup(audioUrl);
+  if (libraryEntry) {
+    mediaLibrary.touch(libraryEntry);
+    return sendLibraryEntry(libraryEntry);
+  }
+
+  // 尚未存入媒體庫：開始（或共用進行中的）媒體庫下載，這次播放直接讀取下載中的檔案，同一集只向上游下載一次
+  const libraryFetch = mediaLibrary.fetch(audioUrl);
+  libraryFetch.catch(error => console.warn(`⚠️ 背景存入媒體庫失敗: ${error.message}`));
+
+  // 開啟音檔來源：下載中的暫存檔優先；Range 起點超過已下載的位置（例如直接跳到後段）或下載失敗時才另外請求上游
+  const openSource = (callback) => {
+    mediaLibrary.waitForDownload(audioUrl).then((download) => {
+      const response = download ? mediaLibrary.createDownloadResponse(download, range) : null;
+      if (response) {
+        console.log(`📚 讀取下載中的媒體庫檔案${range ? `（${range}）` : ''}`);
+        callback(null, response);
+        return;
+      }
+
+      // 已經下載完：等存入媒體庫後從檔案回傳
+      const storedEntry = download ? null : mediaLibrary.lookup(audioUrl);
+      if (storedEntry) {
+        sendLibraryEntry(mediaLibrary.touch(storedEntry));
+        return;
+      }
+      if (download?.complete) {
+        libraryFetch
+          .then(sendLibraryEntry)
+          .catch(() => openAudioStream(audioUrl, { range }, callback));
+        return;
+      }
+      openAudioStream(audioUrl, { range }, callback);
+    });
+  };
+
+  // HLS 播放清單與影片無法直接轉送給播放器，等媒體庫轉成音檔後再回傳
+  const sendAfterIngest = () => {
+    console.log(`📺 來源是 HLS 串流或影片，等待轉成音檔: ${audioUrl}`);
+    libraryFetch
+      .then(sendLibraryEntry)
+      .catch((error) => {
+        if (!res.headersSent) {
+          res.status(error.isBlockedUrl ? error.statusCode : 500).json({ error: `音檔轉換失敗: ${error.message}` });
+        }
+      });
+  };
+
+  openSource((error, upstream) => {
+    if (error) {
+      console.error('音檔下載錯誤:', error);
+      if (!res.headersSent) {
+        res.status(error.isBlockedUrl ? error.statusCode : 500).json({
+          error: `音檔下載失敗: ${error.message}`
+        });
+      }
+      return;
+    }
+
+    // 範圍超出檔案大小時，原樣回傳 416 讓播放器自行處理
+    if (upstream.statusCode === 416) {
+      upstream.resume();
+      if (upstream.headers['content-range']) {
+        res.setHeader('Content-Range', upstream.headers['content-range']);
+      }
+      return res.status(416).end();
+    }
+
+    if (upstream.statusCode !== 200 && upstream.statusCode !== 206) {
+      upstream.resume();
+      return res.status(500).json({
+        error: `音檔下載失敗: HTTP ${upstream.statusCode}: ${upstream.statusMessage}`
+      });
+    }
+
+    const contentLength = parseInt(upstream.headers['content-length'], 10);
+
+    // 串流期間播放器可能暫停讀取，不套用閒置逾時（讀取下載中的檔案時沒有連線逾時）
+    if (upstream.setTimeout) upstream.setTimeout(0);
+
+    // 用戶端中斷（例如播放器跳轉後改送新的 Range）時，一併關閉上游連線
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        upstream.destroy();
+      }
+    });
+
+    upstream.on('error', (streamError) => {
+      console.error('音檔串流錯誤:', streamError);
+      res.destroy(streamError);
+    });
+
+    // 只有從檔案開頭開始的回應能用檔案簽名判斷格式，其餘依來源 Content-Type 與網址副檔名
+    const fromStart = upstream.statusCode === 200 || /^bytes 0-/.test(upstream.headers['content-range'] || '');
+    readLeadingBytes(upstream, fromStart ? SNIFF_BYTES : 0, (leadingChunks, ended) => {
+      const source = {
+        buffer: Buffer.concat(leadingChunks),
+        contentType: upstream.headers['content-type'],
+        url: audioUrl
+      };
+      // 只有宣告為 video/* 的來源在這裡等待轉換；MP4 容器是否有畫面要等媒體庫下載完成後以 ffprobe 確認
+      if (MediaIngest.isHlsPlaylist(source) || MediaIngest.isVideo(source)) {
+        upstream.destroy();
+        sendAfterIngest();
+        return;
+      }
+
+      // 檢查下載的內容是否為有效音檔（只有完整回應且已知長度時能事先判斷）
+      if (upstream.statusCode === 200 && contentLength < 1024) {
+        upstream.destroy();
+        res.status(500).json({
+          error: '下載的檔案太小，可能不是有效的音檔'
+        });
+        return;
+      }
+
+      const audioFormat = AudioFormat.resolve(source);
+      console.log(`音檔格式: ${audioFormat.label}（${audioFormat.sniffed ? '檔案簽名' : '來源標頭'}）`);
+
+      res.status(upstream.statusCode);
+      res.setHeader('Content-Type', audioFormat.mimeType);
+      res.setHeader('Accept-Ranges', upstream.headers['accept-ranges'] || (upstream.statusCode === 206 ? 'bytes' : 'none'));
+      if (contentLength >= 0) {
+        res.setHeader('Content-Length', contentLength);
+      }
+      if (upstream.headers['content-range']) {
+        res.setHeader('Content-Range', upstream.headers['content-range']);
+      }
+      res.setHeader('Content-Disposition', AudioFormat.contentDisposition(title, audioFormat.extension));
+
+      leadingChunks.forEach(chunk => res.write(chunk));
+      if (ended) {
+        res.end();
+      } else {
+        upstream.pipe(res);
+      }
+    });
+  });
+}
+
+// 先讀取串流開頭的位元組（用於判斷檔案簽名），讀到足夠長度或串流結束後回傳已讀取的 chunks
+// 回傳後串流維持暫停狀態，由呼叫端接著 pipe；ended 表示串流已讀完
+function readLeadingBytes(stream, byteCount, callback) {
+  const chunks = [];
+  let length = 0;
+  let done = false;
+
+  const finish = (ended = false) => {
+    if (done) return;
+    done = true;
+    stream.removeListener('data', onData);
+    stream.removeListener('end', onEnd);
+    stream.pause();
+    callback(chunks, ended);
+  };
+  const onEnd = () => finish(true);
+  const onData = (chunk) => {
+    chunks.push(chunk);
+    length += chunk.length;
+    if (length >= byteCount) finish();
+  };
+
+  if (byteCount <= 0) {
+    callback(chunks, false);
+    return;
+  }
+  stream.on('data', onData);
+  stream.once('end', onEnd);
+}
+
+// 下載佇列：列出所有項目
+app.get('/api/downloads', (req, res) => {
+  res.json({
+    success: true,
+    concurrency: downloadQueue.concurrency,
+    items: downloadQueue.list()
+  });
+});
+
+// 下載佇列：加入集數（{ episodes: [{ episodeId, title, audioUrl, ...集數資訊 }], writeTags, podcastTitle }）
+// 檔名依 audio 檔名範本產生；writeTags 為 true 時，下載完成後把集數資訊、封面與章節寫入 MP3／M4A 檔案
+app.post('/api/downloads', (req, res) => {
+  const { episodes, writeTags = false, podcastTitle = '' } = req.body || {};
+
+  if (!Array.isArray(episodes) || episodes.length === 0) {
+    return res.status(400).json({ error: '缺少要下載的集數' });
+  }
+
+  const invalid = episodes.find(episode => !episode || !/^https?:\/\//i.test(episode.audioUrl || ''));
+  if (invalid) {
+    return res.status(400).json({ error: `無效的音檔 URL: ${invalid?.title || invalid?.audioUrl || ''}` });
+  }
+
+  if (episodes.some(episode => rejectBlockedUrl(res, episode.audioUrl))) return;
+
+  const items = episodes.map(episode => downloadQueue.add({
+    episodeId: episode.episodeId || null,
+    title: episode.title || '',
+    audioUrl: episode.audioUrl,
+    episodeInfo: {
+      podcastTitle: episode.podcastTitle || podcastTitle || '',
+      pubDate: episode.pubDate || null,
+      season: episode.season || null,
+      episodeNumber: episode.episodeNumber || null
+    },
+    metadata: writeTags ? pickTagMetadata(episode, podcastTitle) : null
+  }));
+  console.log(`📥 加入下載佇列: ${items.length} 個集數`);
+
+  res.json({ success: true, items });
+});
+
+// 檔名範本設定
+app.get('/api/settings/filename-templates', (req, res) => {
+  res.json({
+    success: true,
+    templates: filenameTemplates.templates,
+    defaults: DEFAULT_FILENAME_TEMPLATES,
+    variables: TEMPLATE_VARIABLES
+  });
+});
+
+app.put('/api/settings/filename-templates', (req, res) => {
+  try {
+    res.json({ success: true, templates: filenameTemplates.update(req.body || {}) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// 下載佇列：調整並行數
+app.put('/api/downloads/settings', (req, res) => {
+  const concurrency = parseInt(req.body?.concurrency, 10);
+  if (!(concurrency >= 1 && concurrency <= 10)) {
+    return res.status(400).json({ error: '並行數必須介於 1 到 10' });
+  }
+  downloadQueue.setConcurrency(concurrency);
+  res.json({ success: true, concurrency });
+});
+
+// 下載佇列：暫停／繼續／取消單一項目
+['pause', 'resume', 'cancel'].forEach(action => {
+  app.post(`/api/downloads/:id/${action}`, (req, res) => {
+    if (!downloadQueue.get(req.params.id)) {
+      return res.status(404).json({ error: '找不到此下載項目' });
+    }
+    res.json({ success: true, item: downloadQueue[action](req.params.id) });
+  });
+});
+
+// 下載佇列：取得已完成的檔案
+app.get('/api/downloads/:id/file', (req, res) => {
+  const item = downloadQueue.get(req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: '找不到此下載項目' });
+  }
+  const filePath = downloadQueue.getFilePath(item);
+  if (item.status !== 'completed' || !filePath || !fs.existsSync(filePath)) {
+    return res.status(409).json({ error: '此集數尚未下載完成' });
+  }
+
+  // 瀏覽器存檔無法建立資料夾，範本中的子目錄合併到檔名
+  const extension = path.extname(filePath);
+  const flatName = FilenameTemplate.flatten(item.fileName);
+  res.setHeader('Content-Type', item.contentType || 'audio/mpeg');
+  res.setHeader('Content-Disposition', AudioFormat.contentDisposition(flatName.slice(0, flatName.length - extension.length), extension));
+  res.sendFile(filePath);
+});
+
+// 下載佇列：移除項目（同時刪除檔案）
+app.delete('/api/downloads/:id', (req, res) => {
+  if (!downloadQueue.remove(req.params.id)) {
+    return res.status(404).json({ error: '找不到此下載項目' });
+  }
+  res.json({ success: true });
+});
+
+// 批量下載：把選取的集數串流打包成單一 ZIP（邊下載邊寫出，不會先存到磁碟或記憶體）
+// 請求 JSON：{ episodes, includeTranscripts, transcriptFormats, includeManifest, archiveName }
+// 也接受表單送出的 payload 欄位（內容為相同的 JSON），讓瀏覽器直接把回應存成檔案
+app.post('/api/download-batch', async (req, res) => {
+  let body = req.body || {};
+  if (typeof body.payload === 'string') {
+    try {
+      body = JSON.parse(body.payload);
+    } catch (error) {
+      return res.status(400).json({ error: '無效的請求內容' });
+    }
+  }
+
+  const {
+    episodes,
+    podcastTitle = '',
+    includeTranscripts = false,
+    transcriptFormats = BATCH_TRANSCRIPT_FORMATS,
+    includeManifest = true,
+    writeTags = false,
+    archiveName
+  } = body;
+
+  if (!Array.isArray(episodes) || episodes.length === 0) {
+    return res.status(400).json({ error: '缺少要下載的集數' });
+  }
+
+  const invalid = episodes.find(episode => !episode || !/^https?:\/\//i.test(episode.audioUrl || ''));
+  if (invalid) {
+    return res.status(400).json({ error: `無效的音檔 URL: ${invalid?.title || invalid?.audioUrl || ''}` });
+  }
+
+  if (episodes.some(episode => rejectBlockedUrl(res, episode.audioUrl))) return;
+
+  const formats = (Array.isArray(transcriptFormats) ? transcriptFormats : String(transcriptFormats).split(','))
+    .map(format => String(format).trim().toLowerCase())
+    .filter(format => BATCH_TRANSCRIPT_FORMATS.includes(format));
+
+  console.log(`📦 開始打包 ZIP: ${episodes.length} 個集數${includeTranscripts ? `（含逐字稿：${formats.join(', ')}）` : ''}`);
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', AudioFormat.contentDisposition(
+    archiveName || podcastTitle || `podcast_${new Date().toISOString().slice(0, 10)}`,
+    '.zip'
+  ));
+
+  const archive = new ZipArchive(res);
+  const manifest = [];
+  const padLength = String(episodes.length).length;
+
+  try {
+    for (const [index, episode] of episodes.entries()) {
+      if (res.destroyed) break;
+
+      const nameValues = FilenameTemplate.buildValues({
+        title: episode.title || 'episode',
+        podcastTitle: episode.podcastTitle || podcastTitle,
+        pubDate: episode.pubDate,
+        season: episode.season,
+        episodeNumber: episode.episodeNumber,
+        index: String(index + 1).padStart(padLength, '0'),
+        id: episode.id
+      });
+      const record = {
+        title: episode.title || '',
+        pubDate: episode.pubDate || null,
+        duration: episode.duration || null,
+        audioUrl: episode.audioUrl,
+        ...pickBatchEpisodeMetadata(episode),
+        file: null,
+        size: 0,
+        transcripts: [],
+        error: null
+      };
+      manifest.push(record);
+
+      const date = parseBatchDate(episode.pubDate);
+      try {
+        const source = await openBatchAudioSource(episode.audioUrl, writeTags ? pickTagMetadata(episode, podcastTitle) : null);
+        try {
+          const entryName = FilenameTemplate.render(filenameTemplates.get('zip'), { ...nameValues, ext: source.extension });
+          const result = await archive.addStream(entryName, source.stream, { date });
+          Object.assign(record, { file: result.name, size: result.size, format: source.format, tagged: source.tagged });
+          console.log(`📦 已加入: ${result.name} (${(result.size / 1024 / 1024).toFixed(2)}MB)`);
+        } finally {
+          source.cleanup();
+        }
+      } catch (error) {
+        if (res.destroyed) throw error;
+        console.error(`📦 集數打包失敗: ${episode.title || episode.audioUrl} - ${error.message}`);
+        record.error = error.message;
+        if (error.partialEntry) {
+          Object.assign(record, { file: error.partialEntry.name, size: error.partialEntry.size, error: `下載中斷（檔案不完整）: ${error.message}` });
+        }
+      }
+
+      if (includeTranscripts) {
+        for (const format of formats) {
+          const content = episode.transcriptFormats?.[format] || (format === 'txt' ? episode.transcriptText : null);
+          if (!content) continue;
+          const entryName = FilenameTemplate.render(filenameTemplates.get('transcript'), { ...nameValues, source: '逐字稿', ext: format });
+          const result = await archive.addBuffer(`transcripts/${entryName}`, content, { date });
+          record.transcripts.push(result.name);
+        }
+      }
+    }
+
+    if (includeManifest && !res.destroyed) {
+      await archive.addBuffer('manifest.json', JSON.stringify({
+        podcastTitle,
+        generatedAt: new Date().toISOString(),
+        episodes: manifest
+      }, null, 2));
+    }
+
+    await archive.finalize();
+    res.end();
+    console.log(`📦 ZIP 打包完成: ${manifest.filter(record => record.file && !record.error).length}/${episodes.length} 個集數`);
+  } catch (error) {
+    console.error(`📦 ZIP 打包中止: ${error.message}`);
+    res.destroy();
+  }
+});
+
+// 開啟批量下載的音檔來源：經由媒體庫取得（已下載過的集數直接讀磁碟）
+// 需要寫入標籤時另存一份暫存檔處理，媒體庫中的檔案維持原始內容
+// 媒體庫中的檔案在 cleanup 前標記使用中，打包期間不會被淘汰
+async function openBatchAudioSource(audioUrl, tagMetadata = null) {
+  const { entry: libraryEntry, filePath: libraryPath, release } = await mediaLibrary.acquire(audioUrl);
+  const extension = path.extname(libraryEntry.fileName);
+  const source = {
+    stream: null,
+    extension,
+    format: libraryEntry.format,
+    tagged: false,
+    cleanup: release
+  };
+
+  if (tagMetadata && AudioTagger.canTag(libraryEntry.format)) {
+    const tempDir = path.join(__dirname, 'temp');
+    fs.mkdirSync(tempDir, { recursive: true });
+    const taggedPath = path.join(tempDir, `batch_${Date.now()}_${crypto.randomBytes(4).toString('hex')}${extension}`);
+    try {
+      await tagAudioFile({ inputPath: libraryPath, outputPath: taggedPath, format: libraryEntry.format, metadata: tagMetadata });
+      return {
+        ...source,
+        stream: fs.createReadStream(taggedPath),
+        tagged: true,
+        cleanup: () => {
+          release();
+          fs.rmSync(taggedPath, { force: true });
+        }
+      };
+    } catch (error) {
+      console.warn(`⚠️ 寫入標籤失敗，改用原始檔案: ${error.message}`);
+      fs.rmSync(taggedPath, { force: true });
+    }
+  }
+
+  return { ...source, stream: fs.createReadStream(libraryPath) };
+}
+
+// 寫入音檔標籤用的集數資訊（show notes 轉為純文字，timeline 為 /api/generate-content 產生的章節）
+function pickTagMetadata(episode, podcastTitle = '') {
+  return {
+    title: episode.title || '',
+    podcastTitle: episode.podcastTitle || podcastTitle || '',
+    author: episode.author || '',
+    pubDate: episode.pubDate || null,
+    season: episode.season || null,
+    episodeNumber: episode.episodeNumber || null,
+    description: episode.description ? HtmlSanitizer.toText(episode.description) : '',
+    image: episode.image || null,
+    timeline: Array.isArray(episode.timeline)
+      ? episode.timeline.map(item => ({ time: item?.time, label: item?.label }))
+      : []
+  };
+}
+
+// 寫入標籤、封面與章節（封面下載失敗時只寫文字標籤）
+async function tagAudioFile({ inputPath, outputPath, format, metadata }) {
+  let artworkPath = null;
+  if (metadata.image && /^https?:\/\//i.test(metadata.image)) {
+    try {
+      artworkPath = await downloadArtwork(metadata.image, `${outputPath}.cover`);
+    } catch (error) {
+      console.warn(`⚠️ 封面下載失敗，略過封面: ${error.message}`);
+    }
+  }
+
+  try {
+    return await AudioTagger.tag({ inputPath, outputPath, format, metadata, artworkPath });
+  } finally {
+    if (artworkPath) fs.rmSync(artworkPath, { force: true });
+  }
+}
+
+// 下載佇列：下載完成後寫入標籤（寫到暫存檔再取代原檔，失敗時保留原檔）
+async function tagDownloadedFile(item, filePath) {
+  const audioFormat = AudioFormat.resolve({ contentType: item.contentType, url: filePath });
+  if (!AudioTagger.canTag(audioFormat.format)) {
+    console.log(`🏷️ ${audioFormat.label} 格式不支援寫入標籤，保留原始檔案: ${item.fileName}`);
+    return;
+  }
+
+  const taggedPath = `${filePath}.tagging${path.extname(filePath)}`;
+  try {
+    await tagAudioFile({ inputPath: filePath, outputPath: taggedPath, format: audioFormat.format, metadata: item.metadata });
+    // 處理期間項目可能已被移除
+    if (!downloadQueue.get(item.id) || !fs.existsSync(filePath)) return;
+    fs.renameSync(taggedPath, filePath);
+  } finally {
+    fs.rmSync(taggedPath, { force: true });
+  }
+}
+
+// 下載封面圖片（只接受 JPEG／PNG，ffmpeg 才能寫成 ID3 APIC 或 MP4 covr）
+function downloadArtwork(url, basePath) {
+  return new Promise((resolve, reject) => {
+    requestWithRedirects(url, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+        'Accept': 'image/jpeg, image/png'
+      },
+      timeout: 30000,
+      timeoutMessage: '封面下載超時'
+    }, (error, response) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      const contentType = (response.headers['content-type'] || '').toLowerCase();
+      const extension = contentType.includes('png') ? '.png' : (contentType.includes('jpeg') || contentType.includes('jpg') ? '.jpg' : null);
+      if (response.statusCode !== 200 || !extension) {
+        response.resume();
+        reject(new Error(response.statusCode !== 200 ? `HTTP ${response.statusCode}` : `不支援的封面格式: ${contentType || '未知'}`));
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+      response.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_ARTWORK_BYTES) {
+          response.destroy(new Error('封面圖片過大'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('error', reject);
+      response.on('end', () => {
+        const artworkPath = `${basePath}${extension}`;
+        fs.writeFileSync(artworkPath, Buffer.concat(chunks));
+        resolve(artworkPath);
+      });
+    });
+  });
 }
 
-// 設置 body parser
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// manifest 中保留的集數資訊（show notes 轉為純文字）
+function pickBatchEpisodeMetadata(episode) {
+  const metadata = {};
+  ['guid', 'season', 'episodeNumber', 'episodeType', 'explicit', 'image', 'transcriptUrl'].forEach(key => {
+    if (episode[key] !== undefined && episode[key] !== null) metadata[key] = episode[key];
+  });
+  if (episode.description) metadata.description = HtmlSanitizer.toText(episode.description);
+  return metadata;
+}
 
-// CORS middleware
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
-  next();
-});
+function parseBatchDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : new Date();
+}
 
-// 測試 API
-app.all('/api/test', (req, res) => {
-  console.log(`測試 API: ${req.method} ${req.url}`);
-  
+// 媒體庫：列出已保存的音檔（最近使用的在前）
+app.get('/api/library', (req, res) => {
   res.json({
     success: true,
-    message: 'API 測試成功！',
-    timestamp: new Date().toISOString(),
-    environment: {
-      nodeVersion: process.version,
-      env: {
-        OPENAI_API_KEY: process.env.OPENAI_API_KEY ? '已設置' : '未設置',
-        PORT: process.env.PORT || '未設置'
-      }
-    },
-    openai: {
-      initialized: openai !== null,
-      baseURL: openai ? openai.baseURL : '未初始化'
-    },
-    features: {
-      enhancedTranscription: true,
-      multipleFormats: true,
-      speakerDiarization: 'experimental',
-      audioProcessing: ffmpegAvailable
-    }
+    totalBytes: mediaLibrary.getTotalBytes(),
+    maxBytes: mediaLibrary.maxBytes,
+    items: mediaLibrary.list()
   });
 });
 
-// 下載 API
-app.post('/api/download', (req, res) => {
-  console.log(`=== 音檔下載代理請求開始 ===`);
-  
-  const { audioUrl, title } = req.body;
-  
-  if (!audioUrl) {
-    return res.status(400).json({ error: '缺少音檔 URL' });
+// 媒體庫：刪除單一音檔
+app.delete('/api/library/:hash', (req, res) => {
+  if (mediaLibrary.isPinned(req.params.hash)) {
+    return res.status(409).json({ error: '此音檔正在使用中（播放、打包或轉錄），請稍後再刪除' });
   }
+  if (!mediaLibrary.remove(req.params.hash)) {
+    return res.status(404).json({ error: '媒體庫中找不到此音檔' });
+  }
+  res.json({ success: true });
+});
 
-  console.log(`開始下載音檔: ${title || 'Unknown'}`);
-  console.log(`音檔 URL: ${audioUrl}`);
+// 解析託管平台的音檔連結（例如 SoundOn），回傳實際可下載的網址
+app.get('/api/resolve-enclosure', (req, res) => {
+  const audioUrl = req.query.url;
 
-  // 下載音檔
-  downloadAudio(audioUrl, (error, audioBuffer) => {
-    if (error) {
-      console.error('音檔下載錯誤:', error);
-      if (!res.headersSent) {
-        return res.status(500).json({ 
-          error: `音檔下載失敗: ${error.message}` 
-        });
-      }
-      return;
-    }
+  if (!audioUrl || !/^https?:\/\//i.test(audioUrl)) {
+    return res.status(400).json({ error: '缺少或無效的音檔 URL' });
+  }
 
-    console.log(`音檔下載完成，大小: ${(audioBuffer.length / 1024 / 1024).toFixed(2)}MB`);
+  if (rejectBlockedUrl(res, audioUrl)) return;
 
-    // 檢查下載的內容是否為有效音檔
-    if (audioBuffer.length < 1024) {
-      if (!res.headersSent) {
-        return res.status(500).json({ 
-          error: '下載的檔案太小，可能不是有效的音檔' 
-        });
-      }
-      return;
-    }
+  enclosureResolver.resolve(audioUrl)
+    .then(result => res.json({ success: true, originalUrl: audioUrl, ...result }))
+    .catch(error => {
+      console.error('音檔連結解析錯誤:', error);
+      res.status(502).json({ error: `音檔連結解析失敗: ${error.message}` });
+    });
+});
 
-    if (!res.headersSent) {
-      // 設置響應 headers
-      res.setHeader('Content-Type', 'audio/mpeg');
-      res.setHeader('Content-Length', audioBuffer.length);
-      res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(title || 'audio')}.mp3"`);
-      
-      // 返回音檔數據
-      res.send(audioBuffer);
-    }
-  });
+// 批次檢查音檔連結（{ urls: [...] }），結果順序與請求相同；被 SSRF 防護擋下的網址在結果中標示錯誤
+app.post('/api/check-links', async (req, res) => {
+  const { urls } = req.body || {};
+
+  if (!Array.isArray(urls) || urls.length === 0) {
+    return res.status(400).json({ error: '缺少要檢查的連結' });
+  }
+  if (urls.length > MAX_CHECK_LINKS) {
+    return res.status(400).json({ error: `單次最多檢查 ${MAX_CHECK_LINKS} 個連結` });
+  }
+
+  console.log(`🔍 開始檢查 ${urls.length} 個音檔連結（並行數 ${linkChecker.concurrency}）`);
+  const startTime = Date.now();
+
+  try {
+    const results = await linkChecker.checkAll(urls.map(url => String(url || '')));
+    const validCount = results.filter(result => result.ok).length;
+    console.log(`🔍 連結檢查完成: ${validCount}/${results.length} 有效，耗時 ${((Date.now() - startTime) / 1000).toFixed(1)} 秒`);
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error('連結檢查錯誤:', error);
+    res.status(500).json({ error: `連結檢查失敗: ${error.message}` });
+  }
 });
 
 // 輔助函數：記錄記憶體使用
@@ -351,7 +1279,7 @@ function detectQuotaError(error) {
 // 新增：查詢轉錄日誌 API
 app.get('/api/transcribe-logs/:episodeId', (req, res) => {
   const { episodeId } = req.params;
-  const logs = transcriptionLogs.get(episodeId) || [];
+  const logs = transcriptionEvents.getLogs(episodeId);
   res.json({
     success: true,
     episodeId,
@@ -360,35 +1288,151 @@ app.get('/api/transcribe-logs/:episodeId', (req, res) => {
   });
 });
 
+// 新增：以 Server-Sent Events 即時推送轉錄日誌與進度（log、progress、done 事件）
+// 先重播已發生的事件；瀏覽器重新連線時帶上 Last-Event-ID，只補送之後的事件
+app.get('/api/transcribe-events/:episodeId', (req, res) => {
+  const { episodeId } = req.params;
+  req.setTimeout(0);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const lastEventId = parseInt(req.headers['last-event-id'], 10) || 0;
+  const unsubscribe = transcriptionEvents.subscribe(
+    episodeId,
+    event => res.write(TranscriptionEvents.formatSse(event)),
+    lastEventId
+  );
+
+  // 定期送出註解行，避免代理伺服器因閒置而中斷連線
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 // 新增：直接從 URL 轉錄 API（支援大檔案，不經過前端上傳）
 app.post('/api/transcribe-from-url', async (req, res) => {
-  const requestStartTime = Date.now();
-  console.log(`\n=== 直接從 URL 轉錄 API 請求開始 ===`);
-  console.log(`請求時間: ${new Date().toISOString()}`);
-  logMemoryUsage('請求開始');
-  
   // 設置更長的 timeout（60 分鐘）
   req.setTimeout(60 * 60 * 1000);
   res.setTimeout(60 * 60 * 1000);
-  
-  const { 
-    audioUrl, 
-    title, 
-    episodeId,
-    outputFormats = ['txt'],
-    contentType = 'podcast',
-    enableSpeakerDiarization = false,
-    keywords = '',
-    sourceLanguage = 'auto'
-  } = req.body;
-  
-  if (!audioUrl) {
+
+  if (!req.body.audioUrl) {
     return res.status(400).json({ error: '缺少音檔 URL' });
   }
-  
+
+  if (rejectBlockedUrl(res, req.body.audioUrl)) return;
+
+  try {
+    res.json(await transcribeFromUrl(req.body));
+  } catch (error) {
+    if (!res.headersSent) {
+      res.status(error.statusCode || 500).json(error.details || { error: `轉錄失敗: ${error.message}` });
+    }
+  }
+});
+
+// 工作清單不含結果（結果可能很大），查詢單一工作時才回傳
+function toJobResponse(job, includeResult = false) {
+  const { params, result, key, ...rest } = job;
+  return {
+    ...rest,
+    episodeId: params.episodeId || `job_${job.id}`,
+    title: params.title || '',
+    audioUrl: params.audioUrl,
+    ...(includeResult ? { params, result } : {})
+  };
+}
+
+// 新增：背景轉錄工作 API（參數與 /api/transcribe-from-url 相同，立即回傳工作 ID）
+app.post('/api/jobs', (req, res) => {
+  const { type = 'transcribe', ...params } = req.body || {};
+  if (type !== 'transcribe') {
+    return res.status(400).json({ error: `不支援的工作類型: ${type}` });
+  }
+  if (!params.audioUrl) {
+    return res.status(400).json({ error: '缺少音檔 URL' });
+  }
+  if (rejectBlockedUrl(res, params.audioUrl)) return;
+
+  // 同一集已在排隊或轉錄中時回傳既有工作
+  const knownJobs = new Set(jobQueue.list());
+  const job = jobQueue.add(type, params, { key: `${type}:${params.episodeId || params.audioUrl}` });
+
+  // 新工作還在排隊時先開啟事件頻道，訂閱者看到排隊狀態，而不是上一次轉錄的完成事件
+  if (!knownJobs.has(job) && job.status === 'queued') {
+    const episodeId = toJobResponse(job).episodeId;
+    transcriptionEvents.start(episodeId);
+    reportTranscriptionProgress(episodeId, '排隊中', 0);
+  }
+  res.status(202).json({ success: true, jobId: job.id, job: toJobResponse(job) });
+});
+
+app.get('/api/jobs', (req, res) => {
+  const jobs = jobQueue.list()
+    .filter(job => !req.query.episodeId || toJobResponse(job).episodeId === req.query.episodeId)
+    .map(job => toJobResponse(job))
+    .reverse();
+  res.json({ success: true, jobs });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: '找不到此工作' });
+  }
+  res.json({ success: true, job: toJobResponse(job, true) });
+});
+
+// 排隊中的工作會被取消；已結束的工作連同結果一起刪除；轉錄中的工作無法中斷
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: '找不到此工作' });
+  }
+  if (job.status === 'running') {
+    return res.status(409).json({ error: '工作執行中，無法取消' });
+  }
+  if (job.status === 'queued') {
+    return res.json({ success: true, job: toJobResponse(jobQueue.cancel(job.id)) });
+  }
+  jobQueue.remove(job.id);
+  res.json({ success: true });
+});
+
+// 轉錄流程中可預期的錯誤：帶有 HTTP 狀態碼與完整的回應內容（例如建議事項），同步路由與背景工作都依此回報
+function createTranscriptionError(statusCode, details) {
+  const error = new Error(details.error);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+}
+
+// 從網址轉錄：下載（媒體庫）、壓縮／切片、Whisper、錯字檢查與格式生成，回傳與 /api/transcribe-from-url 相同的結果
+async function transcribeFromUrl({
+  audioUrl,
+  title,
+  episodeId,
+  outputFormats = ['txt'],
+  contentType = 'podcast',
+  enableSpeakerDiarization = false,
+  keywords = '',
+  sourceLanguage = 'auto'
+}) {
+  const requestStartTime = Date.now();
+  console.log(`\n=== 直接從 URL 轉錄 API 請求開始 ===`);
+  console.log(`請求時間: ${new Date().toISOString()}`);
+  logMemoryUsage('請求開始');
+
   // 初始化日誌
   const finalEpisodeId = episodeId || `url_${Date.now()}`;
-  transcriptionLogs.set(finalEpisodeId, []);
+  transcriptionEvents.start(finalEpisodeId);
   addTranscriptionLog(finalEpisodeId, 'info', '轉錄任務開始（直接從 URL）', '初始化');
   addTranscriptionLog(finalEpisodeId, 'info', `音檔 URL: ${audioUrl}`, '初始化');
   addTranscriptionLog(finalEpisodeId, 'info', `標題: ${title || 'Unknown'}`, '初始化');
@@ -399,51 +1443,56 @@ app.post('/api/transcribe-from-url', async (req, res) => {
     fs.mkdirSync(tempDir, { recursive: true });
   }
   
-  const tempAudioPath = path.join(tempDir, `audio_${Date.now()}_${Math.random().toString(36).substring(7)}.mp3`);
+  // 副檔名在下載後依實際格式決定（Whisper 依副檔名判斷格式）
+  let tempAudioPath = path.join(tempDir, `audio_${Date.now()}_${Math.random().toString(36).substring(7)}.mp3`);
+  let audioFormat = AudioFormat.resolve({ url: audioUrl });
   
   try {
     // 1. 下載音檔到臨時檔案
     console.log('步驟 1: 開始下載音檔...');
     addTranscriptionLog(finalEpisodeId, 'info', '開始下載音檔...', '下載');
+    reportTranscriptionProgress(finalEpisodeId, '下載', 2);
     const downloadStartTime = Date.now();
     
-    await new Promise((resolve, reject) => {
-      downloadAudio(audioUrl, async (error, audioBuffer) => {
-        if (error) {
-          console.error('音檔下載錯誤:', error);
-          addTranscriptionLog(finalEpisodeId, 'error', `音檔下載失敗: ${error.message}`, '錯誤');
-          reject(error);
-          return;
-        }
-        
-        const fileSizeMB = (audioBuffer.length / 1024 / 1024).toFixed(2);
-        const downloadDuration = ((Date.now() - downloadStartTime) / 1000).toFixed(2);
-        console.log(`音檔下載完成，大小: ${fileSizeMB}MB，耗時: ${downloadDuration} 秒`);
-        addTranscriptionLog(finalEpisodeId, 'success', `音檔下載完成，大小: ${fileSizeMB}MB，耗時: ${downloadDuration} 秒`, '下載');
-        
-        // 檢查下載的內容是否為有效音檔
-        if (audioBuffer.length < 1024) {
-          reject(new Error('下載的檔案太小，可能不是有效的音檔'));
-          return;
-        }
-        
-        // 寫入臨時檔案
-        try {
-          fs.writeFileSync(tempAudioPath, audioBuffer);
-          console.log(`音檔已保存到臨時檔案: ${tempAudioPath}`);
-          resolve(tempAudioPath);
-        } catch (writeError) {
-          reject(new Error(`寫入臨時檔案失敗: ${writeError.message}`));
-        }
-      });
-    });
+    let libraryEntry;
+    let releaseLibraryEntry;
+    try {
+      ({ entry: libraryEntry, release: releaseLibraryEntry } = await mediaLibrary.acquire(audioUrl));
+    } catch (error) {
+      console.error('音檔下載錯誤:', error);
+      addTranscriptionLog(finalEpisodeId, 'error', `音檔下載失敗: ${error.message}`, '錯誤');
+      throw error;
+    }
+
+    const downloadSizeMB = (libraryEntry.size / 1024 / 1024).toFixed(2);
+    const downloadDuration = ((Date.now() - downloadStartTime) / 1000).toFixed(2);
+    console.log(`音檔下載完成，大小: ${downloadSizeMB}MB，耗時: ${downloadDuration} 秒`);
+    addTranscriptionLog(finalEpisodeId, 'success', `音檔已就緒（媒體庫），大小: ${downloadSizeMB}MB，耗時: ${downloadDuration} 秒`, '下載');
+    reportTranscriptionProgress(finalEpisodeId, '下載', 10);
+    if (libraryEntry.convertedFrom) {
+      addTranscriptionLog(finalEpisodeId, 'info', `來源為${libraryEntry.convertedFrom === 'hls' ? ' HLS 串流' : '影片'}，已抽出音軌轉成 M4A`, '下載');
+    }
+
+    audioFormat = AudioFormat.resolve({ contentType: libraryEntry.mimeType });
+    tempAudioPath = tempAudioPath.replace(/\.mp3$/, AudioFormat.transcriptionExtension(audioFormat.format));
+    console.log(`音檔格式: ${audioFormat.label}`);
+
+    // 複製到臨時檔案（後續的格式處理與清理不會動到媒體庫中的檔案）
+    try {
+      fs.copyFileSync(mediaLibrary.getPath(libraryEntry), tempAudioPath);
+      console.log(`音檔已保存到臨時檔案: ${tempAudioPath}`);
+    } catch (writeError) {
+      throw new Error(`寫入臨時檔案失敗: ${writeError.message}`);
+    } finally {
+      releaseLibraryEntry();
+    }
     
     // 2. 創建檔案物件（模擬 formidable 的檔案物件）
     const audioFile = {
       filepath: tempAudioPath,
       size: fs.statSync(tempAudioPath).size,
-      originalFilename: `${title || 'audio'}.mp3`,
-      mimetype: 'audio/mpeg'
+      originalFilename: `${title || 'audio'}${path.extname(tempAudioPath)}`,
+      mimetype: audioFormat.mimeType
     };
     
     const fileSizeMB = (audioFile.size / 1024 / 1024).toFixed(2);
@@ -471,13 +1520,7 @@ app.post('/api/transcribe-from-url', async (req, res) => {
       console.error('=== 音檔格式驗證失敗 ===');
       console.error('驗證錯誤:', validationError);
       
-      try {
-        fs.unlinkSync(tempAudioPath);
-      } catch (cleanupError) {
-        console.warn('清理無效檔案失敗:', cleanupError);
-      }
-      
-      return res.status(400).json({
+      throw createTranscriptionError(400, {
         error: `音檔格式驗證失敗: ${validationError.message}`,
         suggestions: [
           '請確保檔案是有效的音檔格式',
@@ -488,20 +1531,22 @@ app.post('/api/transcribe-from-url', async (req, res) => {
       });
     }
     
-    // 4. 處理大檔案（壓縮/分割）
-    const OPENAI_LIMIT = 25 * 1024 * 1024;
+    // 4. 處理大檔案（壓縮/分割，上限依語音轉文字提供者而定，本機轉錄不限制）
+    const sizeLimit = asrProvider.maxFileBytes;
+    const sizeLimitMB = `${Math.round(sizeLimit / 1024 / 1024)}MB`;
     let processedAudio;
     
-    if (audioFile.size > OPENAI_LIMIT) {
+    if (sizeLimit && audioFile.size > sizeLimit) {
       const fileSizeMB = (audioFile.size / 1024 / 1024).toFixed(2);
       console.log(`\n🔧 [階段 1/4] 音檔處理開始`);
-      console.log(`  音檔大小 ${fileSizeMB}MB 超過 25MB，啟動自動處理...`);
+      console.log(`  音檔大小 ${fileSizeMB}MB 超過 ${sizeLimitMB}，啟動自動處理...`);
       const processingStartTime = Date.now();
       logMemoryUsage('音檔處理開始');
-      addTranscriptionLog(finalEpisodeId, 'info', `[階段 1/4] 音檔處理開始 - 檔案大小 ${fileSizeMB}MB 超過 25MB，啟動自動處理`, '音檔處理');
+      addTranscriptionLog(finalEpisodeId, 'info', `[階段 1/4] 音檔處理開始 - 檔案大小 ${fileSizeMB}MB 超過 ${sizeLimitMB}，啟動自動處理`, '音檔處理');
+      reportTranscriptionProgress(finalEpisodeId, '音檔處理', 12);
       
       try {
-        processedAudio = await processLargeAudio(audioFile, title || 'Unknown');
+        processedAudio = await processLargeAudio(audioFile, title || 'Unknown', sizeLimit);
         const processingDuration = ((Date.now() - processingStartTime) / 1000).toFixed(2);
         console.log(`✅ [階段 1/4] 音檔處理完成，耗時: ${processingDuration} 秒`);
         logMemoryUsage('音檔處理完成');
@@ -512,17 +1557,17 @@ app.post('/api/transcribe-from-url', async (req, res) => {
       } catch (ffmpegError) {
         if (ffmpegError.message.includes("ffmpeg") || ffmpegError.message.includes("ENOENT")) {
           console.error("FFmpeg 不可用:", ffmpegError.message);
-          return res.status(413).json({
+          throw createTranscriptionError(413, {
             error: "音檔大小超過限制，且伺服器音檔處理功能不可用",
             message: "請手動壓縮音檔",
             suggestions: [
-              "使用音訊編輯軟體壓縮至25MB以下",
+              `使用音訊編輯軟體壓縮至${sizeLimitMB}以下`,
               "降低音質至128kbps或更低",
               "分割成較短片段",
               "轉換為MP3格式"
             ],
             currentSize: fileSizeMB + "MB",
-            maxSize: "25MB"
+            maxSize: sizeLimitMB
           });
         }
         throw ffmpegError;
@@ -535,20 +1580,22 @@ app.post('/api/transcribe-from-url', async (req, res) => {
       };
     }
     
-    // 5. 檢查 OpenAI API 金鑰
-    if (!process.env.OPENAI_API_KEY) {
-      console.error('OpenAI API 金鑰未設置');
-      return res.status(500).json({
-        error: 'OpenAI API 金鑰未設置'
+    // 5. 檢查語音轉文字提供者設定（OpenAI 需要 API 金鑰）
+    const asrConfigError = asrProvider.getConfigError();
+    if (asrConfigError) {
+      console.error(asrConfigError);
+      throw createTranscriptionError(500, {
+        error: asrConfigError
       });
     }
     
     // 6. 開始轉錄（重用現有邏輯）
     console.log(`\n🎤 [階段 2/4] 開始轉錄`);
-    console.log(`  OpenAI API 端點: ${openai.baseURL}`);
+    console.log(`  語音轉文字: ${asrProvider.label}`);
     const transcriptionStartTime = Date.now();
     logMemoryUsage('轉錄開始');
-    addTranscriptionLog(finalEpisodeId, 'info', `[階段 2/4] 開始轉錄 - OpenAI API 端點: ${openai.baseURL}`, '轉錄');
+    addTranscriptionLog(finalEpisodeId, 'info', `[階段 2/4] 開始轉錄 - ${asrProvider.label}`, '轉錄');
+    reportTranscriptionProgress(finalEpisodeId, '轉錄', 20);
     
     let finalTranscription;
     
@@ -606,35 +1653,29 @@ app.post('/api/transcribe-from-url', async (req, res) => {
       
       while (retryCount < maxRetries) {
         try {
-          console.log(`  正在呼叫 OpenAI API... (嘗試 ${retryCount + 1}/${maxRetries})`);
-          addTranscriptionLog(finalEpisodeId, 'info', `正在呼叫 OpenAI API (whisper-1)... (嘗試 ${retryCount + 1}/${maxRetries})`, '轉錄');
-          
-          // 每次重試都重新創建文件流
-          const transcriptionParams = {
-            file: fs.createReadStream(processedAudio.file),
-            model: 'whisper-1',
-            response_format: 'verbose_json',
-            timestamp_granularities: ['word'],
-            prompt: optimizedPrompt
-          };
+          console.log(`  正在呼叫 ${asrProvider.label}... (嘗試 ${retryCount + 1}/${maxRetries})`);
+          addTranscriptionLog(finalEpisodeId, 'info', `正在呼叫 ${asrProvider.label}... (嘗試 ${retryCount + 1}/${maxRetries})`, '轉錄');
           
-          if (sourceLanguage && sourceLanguage !== 'auto') {
-            transcriptionParams.language = sourceLanguage;
-            console.log(`  使用指定語言: ${sourceLanguage}`);
-          } else {
-            console.log('  使用自動語言檢測');
-          }
+          const language = sourceLanguage && sourceLanguage !== 'auto' ? sourceLanguage : null;
+          console.log(language ? `  使用指定語言: ${language}` : '  使用自動語言檢測');
           
-          transcription = await openai.audio.transcriptions.create(transcriptionParams);
+          // 每次重試都重新開啟音檔（由提供者處理）
+          transcription = await asrProvider.transcribe(processedAudio.file, { prompt: optimizedPrompt, language });
           
           const segmentDuration = ((Date.now() - segmentStartTime) / 1000).toFixed(2);
-          console.log(`  ✅ 使用 whisper-1 模型轉錄成功，耗時: ${segmentDuration} 秒`);
-          addTranscriptionLog(finalEpisodeId, 'success', `使用 whisper-1 模型轉錄成功，耗時: ${segmentDuration} 秒`, '轉錄');
+          console.log(`  ✅ 使用 ${asrProvider.label} 轉錄成功，耗時: ${segmentDuration} 秒`);
+          addTranscriptionLog(finalEpisodeId, 'success', `使用 ${asrProvider.label} 轉錄成功，耗時: ${segmentDuration} 秒`, '轉錄');
           break; // 成功，跳出重試循環
           
         } catch (modelError) {
           retryCount++;
           
+          // 本機轉錄的執行錯誤（例如找不到執行檔）重試也不會成功
+          if (modelError.retryable === false) {
+            addTranscriptionLog(finalEpisodeId, 'error', `轉錄失敗: ${modelError.message}`, '錯誤');
+            throw modelError;
+          }
+          
           // 檢測 API 額度錯誤
           const quotaCheck = detectQuotaError(modelError);
           
@@ -698,11 +1739,18 @@ app.post('/api/transcribe-from-url', async (req, res) => {
       // 多片段轉錄 - 使用並行處理
       console.log(`  轉錄模式: 多片段（共 ${processedAudio.totalSegments} 個片段）`);
       const totalSegments = processedAudio.files.length;
-      const CONCURRENT_LIMIT = 3;
-      const SEGMENT_DURATION = 300;
+      const CONCURRENT_LIMIT = asrProvider.concurrency;
       
       console.log(`  🚀 啟用並行處理模式，同時處理 ${CONCURRENT_LIMIT} 個片段`);
       addTranscriptionLog(finalEpisodeId, 'info', `啟用並行處理模式，同時處理 ${CONCURRENT_LIMIT} 個片段`, '轉錄');
+
+      // 每個片段完成（或放棄）時回報進度，轉錄階段佔 20% 到 85%
+      let finishedSegments = 0;
+      const reportSegmentFinished = () => {
+        finishedSegments++;
+        reportTranscriptionProgress(finalEpisodeId, '轉錄', 20 + (65 * finishedSegments) / totalSegments, { current: finishedSegments, total: totalSegments });
+      };
+      reportTranscriptionProgress(finalEpisodeId, '轉錄', 20, { current: 0, total: totalSegments });
       
       // 處理單個片段的函數（帶重試機制）
       async function processSegmentWithRetry(segmentFile, segmentIndex, totalSegments) {
@@ -717,26 +1765,23 @@ app.post('/api/transcribe-from-url', async (req, res) => {
         
         while (retryCount < maxRetries) {
           try {
-            console.log(`    正在呼叫 OpenAI API... (嘗試 ${retryCount + 1}/${maxRetries})`);
-            addTranscriptionLog(finalEpisodeId, 'info', `片段 ${segmentIndex} 正在呼叫 OpenAI API... (嘗試 ${retryCount + 1}/${maxRetries})`, '轉錄');
-            
-            const transcriptionParams = {
-              file: fs.createReadStream(segmentFile),
-              model: 'whisper-1',
-              response_format: 'verbose_json',
-              timestamp_granularities: ['word'],
-              prompt: optimizedPrompt
-            };
-            
-            if (sourceLanguage && sourceLanguage !== 'auto') {
-              transcriptionParams.language = sourceLanguage;
-            }
+            console.log(`    正在呼叫 ${asrProvider.label}... (嘗試 ${retryCount + 1}/${maxRetries})`);
+            addTranscriptionLog(finalEpisodeId, 'info', `片段 ${segmentIndex} 正在呼叫 ${asrProvider.label}... (嘗試 ${retryCount + 1}/${maxRetries})`, '轉錄');
             
-            transcription = await openai.audio.transcriptions.create(transcriptionParams);
+            transcription = await asrProvider.transcribe(segmentFile, {
+              prompt: optimizedPrompt,
+              language: sourceLanguage && sourceLanguage !== 'auto' ? sourceLanguage : null
+            });
             break;
           } catch (modelError) {
             retryCount++;
             
+            // 本機轉錄的執行錯誤（例如找不到執行檔）重試也不會成功
+            if (modelError.retryable === false) {
+              addTranscriptionLog(finalEpisodeId, 'error', `轉錄失敗: ${modelError.message}`, '錯誤');
+              throw modelError;
+            }
+            
             // 檢測 API 額度錯誤
             const quotaCheck = detectQuotaError(modelError);
             
@@ -818,12 +1863,14 @@ app.post('/api/transcribe-from-url', async (req, res) => {
           .then(result => {
             results.push(result);
             activePromises.delete(promise);
+            reportSegmentFinished();
             return result;
           })
           .catch(error => {
             console.error(`片段 ${segmentIndex} 處理失敗:`, error);
             addTranscriptionLog(finalEpisodeId, 'error', `片段 ${segmentIndex} 處理失敗: ${error.message}`, '錯誤');
             activePromises.delete(promise);
+            reportSegmentFinished();
             return { index: segmentIndex - 1, error: error.message };
           });
         
@@ -850,30 +1897,25 @@ app.post('/api/transcribe-from-url', async (req, res) => {
         totalSegments: 0
       };
       
-      let cumulativeOffset = 0;
-      
       for (const result of results) {
         if (result.error) {
           console.error(`⚠️ 片段 ${result.index + 1} 處理失敗，跳過: ${result.error}`);
-          cumulativeOffset += SEGMENT_DURATION;
           continue;
         }
         
-        const segmentOffset = result.index * SEGMENT_DURATION;
-        
+        // 換算成整個音檔的時間，並依逐字時間戳去除與相鄰片段重疊的字
+        const segmentInfo = processedAudio.segments[result.index];
         mergedResult = mergeTranscriptionIncrementalWithOffset(
           mergedResult,
-          result.transcription,
+          AudioSplitter.trimTranscription(result.transcription, segmentInfo),
           result.index + 1,
           totalSegments,
-          segmentOffset,
-          SEGMENT_DURATION
+          0,
+          segmentInfo.cutEnd - segmentInfo.cutStart
         );
-        
-        cumulativeOffset += SEGMENT_DURATION;
       }
       
-      mergedResult.duration = cumulativeOffset;
+      mergedResult.duration = processedAudio.duration;
       finalTranscription = mergedResult;
       console.log(`\n  ✅ 所有片段轉錄並合併完成，共 ${totalSegments} 個片段`);
       addTranscriptionLog(finalEpisodeId, 'success', `所有片段轉錄並合併完成，共 ${totalSegments} 個片段`, '轉錄');
@@ -929,6 +1971,7 @@ app.post('/api/transcribe-from-url', async (req, res) => {
     const spellCheckStartTime = Date.now();
     logMemoryUsage('錯字檢查開始');
     addTranscriptionLog(finalEpisodeId, 'info', `[階段 3/4] 開始錯字檢查與修正（語言: ${detectedLanguage}）`, '錯字檢查');
+    reportTranscriptionProgress(finalEpisodeId, '錯字檢查', 85);
     let correctedTranscription = finalTranscription;
     try {
       // 使用檢測到的語言進行錯字檢查
@@ -951,6 +1994,7 @@ app.post('/api/transcribe-from-url', async (req, res) => {
     
     // 9. 生成多種輸出格式
     console.log(`\n📄 [階段 4/4] 生成多種輸出格式`);
+    reportTranscriptionProgress(finalEpisodeId, '格式生成', 95);
     const formatStartTime = Date.now();
     logMemoryUsage('格式生成開始');
     const processedResult = TranscriptionProcessor.processTranscriptionResult(correctedTranscription, {
@@ -1000,24 +2044,37 @@ app.post('/api/transcribe-from-url', async (req, res) => {
     
     addTranscriptionLog(finalEpisodeId, 'success', `🎉 轉錄任務完成！總耗時: ${totalDuration} 分鐘，文字長度: ${processedResult.formats.txt?.length || 0} 字元`, '完成');
     
-    // 清理日誌（5 分鐘後）
-    cleanupLogs(finalEpisodeId);
+    // 送出完成事件（日誌 5 分鐘後清理）
+    finishTranscriptionLogs(finalEpisodeId);
     
-    // 回傳結果
-    res.json({
+    const result = {
       success: true,
       episodeId: finalEpisodeId,
       title: title || 'Unknown',
       text: processedResult.formats.txt || '',
+      duration: correctedTranscription.duration,
+      language: correctedTranscription.language,
       formats: processedResult.formats,
-      metadata: processedResult.metadata,
+      metadata: {
+        processed: processedAudio.type !== 'single',
+        totalSegments: processedAudio.type === 'segments' ? processedAudio.totalSegments : 1,
+        speakerDiarization: enableSpeakerDiarization,
+        contentType,
+        outputFormats
+      },
       segments: correctedTranscription.segments || [],
-      url: `/api/transcribe/${finalEpisodeId}`
-    });
+      corrections: correctedTranscription.corrections || [],
+      url: `/api/transcribe/${encodeURIComponent(finalEpisodeId)}`
+    };
+    storeTranscript(result, { source: 'whisper', audioUrl });
+
+    // 回傳結果
+    return result;
     
   } catch (error) {
     console.error('轉錄錯誤:', error);
     addTranscriptionLog(finalEpisodeId, 'error', `轉錄失敗: ${error.message}`, '錯誤');
+    finishTranscriptionLogs(finalEpisodeId, error);
     
     // 清理臨時檔案
     try {
@@ -1028,17 +2085,151 @@ app.post('/api/transcribe-from-url', async (req, res) => {
       console.warn('清理臨時檔案失敗:', cleanupError);
     }
     
-    if (!res.headersSent) {
-      return res.status(500).json({
-        error: `轉錄失敗: ${error.message}`,
-        suggestions: [
-          '請檢查音檔 URL 是否有效',
-          '確認音檔格式是否支援',
-          '檢查網路連線是否穩定'
-        ]
+    if (error.details) throw error;
+    throw createTranscriptionError(error.isBlockedUrl ? error.statusCode : 500, {
+      error: `轉錄失敗: ${error.message}`,
+      suggestions: [
+        '請檢查音檔 URL 是否有效',
+        '確認音檔格式是否支援',
+        '檢查網路連線是否穩定'
+      ]
+    });
+  }
+}
+
+// 匯入發布者提供的逐字稿（podcast:transcript），輸出與 Whisper 轉錄相同的結構
+app.post('/api/import-transcript', (req, res) => {
+  const {
+    transcriptUrl,
+    transcriptType = '',
+    title,
+    episodeId,
+    outputFormats = ['txt'],
+    contentType = 'podcast'
+  } = req.body;
+
+  if (!transcriptUrl || !/^https?:\/\//i.test(transcriptUrl)) {
+    return res.status(400).json({
+      error: '請提供有效的逐字稿 URL（http 或 https）'
+    });
+  }
+
+  if (rejectBlockedUrl(res, transcriptUrl)) return;
+
+  const finalEpisodeId = episodeId || `import_${Date.now()}`;
+  transcriptionEvents.start(finalEpisodeId);
+  console.log(`=== 匯入發布者逐字稿: ${title || 'Unknown'} ===`);
+  console.log(`逐字稿 URL: ${transcriptUrl}`);
+  addTranscriptionLog(finalEpisodeId, 'info', `開始下載發布者逐字稿: ${transcriptUrl}`, '匯入');
+
+  fetchRemoteText(transcriptUrl, {
+    accept: 'application/json, text/vtt, application/x-subrip, text/html, text/plain, */*',
+    timeoutMessage: '逐字稿下載超時'
+  }, (error, content, finalUrl, responseHeaders) => {
+    if (error) {
+      console.error('逐字稿下載錯誤:', error);
+      addTranscriptionLog(finalEpisodeId, 'error', `逐字稿下載失敗: ${error.message}`, '匯入');
+      finishTranscriptionLogs(finalEpisodeId, error);
+      return res.status(error.isBlockedUrl ? error.statusCode : 502).json({
+        error: `逐字稿下載失敗: ${error.message}`
+      });
+    }
+
+    try {
+      // RSS 中標示的類型優先，伺服器回應的 Content-Type 次之
+      const format = TranscriptImporter.detectFormat(transcriptType || responseHeaders['content-type'] || '', finalUrl, content);
+      const transcription = TranscriptImporter.parse(content, format);
+      addTranscriptionLog(finalEpisodeId, 'info', `逐字稿格式: ${format.toUpperCase()}，共 ${transcription.segments.length} 個片段`, '匯入');
+
+      const processedResult = TranscriptionProcessor.processTranscriptionResult(transcription, {
+        outputFormats,
+        optimizeSegments: true,
+        contentType
+      });
+
+      addTranscriptionLog(finalEpisodeId, 'success', `發布者逐字稿匯入完成，文字長度: ${processedResult.formats.txt?.length || 0} 字元`, '完成');
+      finishTranscriptionLogs(finalEpisodeId);
+
+      const result = {
+        success: true,
+        source: 'publisher',
+        transcriptType: format,
+        episodeId: finalEpisodeId,
+        title: title || 'Unknown',
+        text: processedResult.formats.txt || transcription.text || '',
+        formats: processedResult.formats,
+        metadata: {
+          source: 'publisher',
+          processed: false,
+          speakerDiarization: transcription.segments.some(segment => segment.speaker),
+          contentType,
+          outputFormats
+        },
+        segments: transcription.segments || [],
+        url: transcriptUrl
+      };
+      // 與 Whisper 轉錄相同，有集數 ID 時存入逐字稿庫，重新整理頁面後仍可取回
+      if (episodeId) {
+        storeTranscript(result, { source: 'publisher', transcriptUrl });
+      }
+      res.json(result);
+    } catch (parseError) {
+      console.error('逐字稿解析錯誤:', parseError);
+      addTranscriptionLog(finalEpisodeId, 'error', `逐字稿解析失敗: ${parseError.message}`, '匯入');
+      finishTranscriptionLogs(finalEpisodeId, parseError);
+      res.status(422).json({
+        error: `逐字稿解析失敗: ${parseError.message}`
       });
     }
+  });
+});
+
+// 轉錄或匯入完成後存入逐字稿庫（存檔失敗只記錄警告，不影響回傳結果）
+// extra.source 為逐字稿來源：'whisper'（語音轉文字）或 'publisher'（發布者逐字稿）
+function storeTranscript(result, extra = {}) {
+  try {
+    transcriptStore.save(result.episodeId, { ...result, ...extra });
+    console.log(`💾 逐字稿已保存: ${result.episodeId}`);
+  } catch (error) {
+    console.warn(`⚠️ 逐字稿保存失敗: ${result.episodeId} - ${error.message}`);
+  }
+}
+
+// 新增：逐字稿庫列表（不含內容）
+app.get('/api/transcribe', (req, res) => {
+  res.json({ success: true, transcripts: transcriptStore.list() });
+});
+
+// 新增：取回已保存的逐字稿；?format=txt|srt|vtt|json 時回傳該格式的原始檔案
+app.get('/api/transcribe/:episodeId', (req, res) => {
+  const { format } = req.query;
+  if (format && !TranscriptStore.isSupportedFormat(format)) {
+    return res.status(400).json({ error: `不支援的逐字稿格式: ${format}（可用 ${Object.keys(TRANSCRIPT_FORMATS).join('、')}）` });
+  }
+
+  const record = transcriptStore.get(req.params.episodeId);
+  if (!record) {
+    return res.status(404).json({ error: '找不到此集數的逐字稿' });
+  }
+  if (!format) {
+    return res.json({ success: true, ...record, url: `/api/transcribe/${encodeURIComponent(record.episodeId)}` });
+  }
+
+  const { content, mimeType } = TranscriptStore.render(record, format);
+  const flatName = FilenameTemplate.flatten(FilenameTemplate.render(
+    filenameTemplates.get('transcript'),
+    FilenameTemplate.buildValues({ title: record.title, source: '逐字稿', ext: format })
+  ));
+  res.setHeader('Content-Type', mimeType);
+  res.setHeader('Content-Disposition', AudioFormat.contentDisposition(flatName.slice(0, -(format.length + 1)), `.${format}`, 'inline'));
+  res.send(content);
+});
+
+app.delete('/api/transcribe/:episodeId', (req, res) => {
+  if (!transcriptStore.remove(req.params.episodeId)) {
+    return res.status(404).json({ error: '找不到此集數的逐字稿' });
   }
+  res.json({ success: true });
 });
 
 // 增強版轉錄 API
@@ -1054,7 +2245,7 @@ app.post('/api/transcribe', (req, res) => {
   
   // 初始化日誌
   const episodeId = req.body?.episodeId || 'unknown';
-  transcriptionLogs.set(episodeId, []);
+  transcriptionEvents.start(episodeId);
   addTranscriptionLog(episodeId, 'info', '轉錄任務開始', '初始化');
   
   // 設置 response timeout（30 分鐘）
@@ -1073,21 +2264,8 @@ app.post('/api/transcribe', (req, res) => {
     filename: (name, ext, part, form) => {
       // 確保檔案有適當的副檔名
       if (!ext || ext === '') {
-        // 根據 MIME 類型推斷副檔名
-        const mimeType = part.mimetype || '';
-        if (mimeType.includes('mp3') || mimeType.includes('mpeg')) {
-          ext = '.mp3';
-        } else if (mimeType.includes('wav')) {
-          ext = '.wav';
-        } else if (mimeType.includes('m4a') || mimeType.includes('mp4')) {
-          ext = '.m4a';
-        } else if (mimeType.includes('ogg')) {
-          ext = '.ogg';
-        } else if (mimeType.includes('flac')) {
-          ext = '.flac';
-        } else {
-          ext = '.mp3'; // 預設為 mp3
-        }
+        // 根據 MIME 類型推斷副檔名（無法判斷時預設為 mp3）
+        ext = AudioFormat.transcriptionExtension(AudioFormat.fromContentType(part.mimetype));
       }
       // 確保副檔名為小寫
       ext = ext.toLowerCase();
@@ -1248,21 +2426,22 @@ app.post('/api/transcribe', (req, res) => {
       });
     }
 
-    // OpenAI Whisper 限制為 25MB，超出則自動處理
-    const OPENAI_LIMIT = 25 * 1024 * 1024;
+    // 超過語音轉文字提供者的檔案上限時自動處理（OpenAI Whisper 為 25MB，本機轉錄不限制）
+    const sizeLimit = asrProvider.maxFileBytes;
+    const sizeLimitMB = `${Math.round(sizeLimit / 1024 / 1024)}MB`;
     let processedAudio;
     
-    if (audioFile.size > OPENAI_LIMIT) {
+    if (sizeLimit && audioFile.size > sizeLimit) {
       const fileSizeMB = (audioFile.size / 1024 / 1024).toFixed(2);
       console.log(`\n🔧 [階段 1/4] 音檔處理開始`);
-      console.log(`  音檔大小 ${fileSizeMB}MB 超過 25MB，啟動自動處理...`);
+      console.log(`  音檔大小 ${fileSizeMB}MB 超過 ${sizeLimitMB}，啟動自動處理...`);
       const processingStartTime = Date.now();
       logMemoryUsage('音檔處理開始');
-      addTranscriptionLog(episodeId, 'info', `[階段 1/4] 音檔處理開始 - 檔案大小 ${fileSizeMB}MB 超過 25MB，啟動自動處理`, '音檔處理');
+      addTranscriptionLog(episodeId, 'info', `[階段 1/4] 音檔處理開始 - 檔案大小 ${fileSizeMB}MB 超過 ${sizeLimitMB}，啟動自動處理`, '音檔處理');
       
       try {
         try { 
-          processedAudio = await processLargeAudio(audioFile, title); 
+          processedAudio = await processLargeAudio(audioFile, title, sizeLimit); 
           const processingDuration = ((Date.now() - processingStartTime) / 1000).toFixed(2);
           console.log(`✅ [階段 1/4] 音檔處理完成，耗時: ${processingDuration} 秒`);
           logMemoryUsage('音檔處理完成');
@@ -1277,13 +2456,13 @@ app.post('/api/transcribe', (req, res) => {
               error: "音檔大小超過限制，且伺服器音檔處理功能不可用", 
               message: "請手動壓縮音檔", 
               suggestions: [
-                "使用音訊編輯軟體壓縮至25MB以下", 
+                `使用音訊編輯軟體壓縮至${sizeLimitMB}以下`, 
                 "降低音質至128kbps或更低", 
                 "分割成較短片段", 
                 "轉換為MP3格式"
               ], 
               currentSize: fileSizeMB + "MB", 
-              maxSize: "25MB" 
+              maxSize: sizeLimitMB 
             }); 
           } 
           throw ffmpegError; 
@@ -1316,19 +2495,20 @@ app.post('/api/transcribe', (req, res) => {
       };
     }
 
-    // 檢查 OpenAI API 金鑰
-    if (!process.env.OPENAI_API_KEY) {
-      console.error('OpenAI API 金鑰未設置');
+    // 檢查語音轉文字提供者設定（OpenAI 需要 API 金鑰）
+    const asrConfigError = asrProvider.getConfigError();
+    if (asrConfigError) {
+      console.error(asrConfigError);
       return res.status(500).json({ 
-        error: 'OpenAI API 金鑰未設置' 
+        error: asrConfigError 
       });
     }
 
     console.log(`\n🎤 [階段 2/4] 開始轉錄`);
-    console.log(`  OpenAI API 端點: ${openai.baseURL}`);
+    console.log(`  語音轉文字: ${asrProvider.label}`);
     const transcriptionStartTime = Date.now();
     logMemoryUsage('轉錄開始');
-    addTranscriptionLog(episodeId, 'info', `[階段 2/4] 開始轉錄 - OpenAI API 端點: ${openai.baseURL}`, '轉錄');
+    addTranscriptionLog(episodeId, 'info', `[階段 2/4] 開始轉錄 - ${asrProvider.label}`, '轉錄');
     
     try {
       let finalTranscription;
@@ -1377,36 +2557,29 @@ app.post('/api/transcribe', (req, res) => {
         
         while (retryCount < maxRetries) {
           try {
-            console.log(`  正在呼叫 OpenAI API... (嘗試 ${retryCount + 1}/${maxRetries})`);
-            addTranscriptionLog(episodeId, 'info', `正在呼叫 OpenAI API (whisper-1)... (嘗試 ${retryCount + 1}/${maxRetries})`, '轉錄');
-            
-            // 每次重試都重新創建文件流
-            const transcriptionParams = {
-              file: fs.createReadStream(processedAudio.file),
-              model: 'whisper-1',
-              response_format: 'verbose_json',
-              timestamp_granularities: ['word'],
-              prompt: optimizedPrompt
-            };
-            
-            // 只有當不是 'auto' 時才傳遞 language 參數
-            if (sourceLanguage && sourceLanguage !== 'auto') {
-              transcriptionParams.language = sourceLanguage;
-              console.log(`  使用指定語言: ${sourceLanguage}`);
-            } else {
-              console.log('  使用自動語言檢測');
-            }
+            console.log(`  正在呼叫 ${asrProvider.label}... (嘗試 ${retryCount + 1}/${maxRetries})`);
+            addTranscriptionLog(episodeId, 'info', `正在呼叫 ${asrProvider.label}... (嘗試 ${retryCount + 1}/${maxRetries})`, '轉錄');
             
-            transcription = await openai.audio.transcriptions.create(transcriptionParams);
+            const language = sourceLanguage && sourceLanguage !== 'auto' ? sourceLanguage : null;
+            console.log(language ? `  使用指定語言: ${language}` : '  使用自動語言檢測');
+            
+            // 每次重試都重新開啟音檔（由提供者處理）
+            transcription = await asrProvider.transcribe(processedAudio.file, { prompt: optimizedPrompt, language });
             
             const segmentDuration = ((Date.now() - segmentStartTime) / 1000).toFixed(2);
-            console.log(`  ✅ 使用 whisper-1 模型轉錄成功，耗時: ${segmentDuration} 秒`);
-            addTranscriptionLog(episodeId, 'success', `使用 whisper-1 模型轉錄成功，耗時: ${segmentDuration} 秒`, '轉錄');
+            console.log(`  ✅ 使用 ${asrProvider.label} 轉錄成功，耗時: ${segmentDuration} 秒`);
+            addTranscriptionLog(episodeId, 'success', `使用 ${asrProvider.label} 轉錄成功，耗時: ${segmentDuration} 秒`, '轉錄');
             break; // 成功，跳出重試循環
             
           } catch (modelError) {
             retryCount++;
             
+            // 本機轉錄的執行錯誤（例如找不到執行檔）重試也不會成功
+            if (modelError.retryable === false) {
+              addTranscriptionLog(episodeId, 'error', `轉錄失敗: ${modelError.message}`, '錯誤');
+              throw modelError;
+            }
+            
             // 檢測 API 額度錯誤
             const quotaCheck = detectQuotaError(modelError);
             
@@ -1470,8 +2643,7 @@ app.post('/api/transcribe', (req, res) => {
         // 多片段轉錄 - 使用並行處理加速，同時處理多個片段
         console.log(`  轉錄模式: 多片段（共 ${processedAudio.totalSegments} 個片段）`);
         const totalSegments = processedAudio.files.length;
-        const CONCURRENT_LIMIT = 3; // 同時處理 3 個片段（可調整）
-        const SEGMENT_DURATION = 300; // 固定片段時長：5 分鐘（300 秒）
+        const CONCURRENT_LIMIT = asrProvider.concurrency; // 同時處理的片段數由提供者決定（本機轉錄一次一個）
         
         console.log(`  🚀 啟用並行處理模式，同時處理 ${CONCURRENT_LIMIT} 個片段`);
         addTranscriptionLog(episodeId, 'info', `啟用並行處理模式，同時處理 ${CONCURRENT_LIMIT} 個片段`, '轉錄');
@@ -1489,28 +2661,23 @@ app.post('/api/transcribe', (req, res) => {
           
           while (retryCount < maxRetries) {
             try {
-              console.log(`    正在呼叫 OpenAI API... (嘗試 ${retryCount + 1}/${maxRetries})`);
-              addTranscriptionLog(episodeId, 'info', `片段 ${segmentIndex} 正在呼叫 OpenAI API... (嘗試 ${retryCount + 1}/${maxRetries})`, '轉錄');
+              console.log(`    正在呼叫 ${asrProvider.label}... (嘗試 ${retryCount + 1}/${maxRetries})`);
+              addTranscriptionLog(episodeId, 'info', `片段 ${segmentIndex} 正在呼叫 ${asrProvider.label}... (嘗試 ${retryCount + 1}/${maxRetries})`, '轉錄');
               
-              // 構建轉錄參數
-              const transcriptionParams = {
-                file: fs.createReadStream(segmentFile),
-                model: 'whisper-1',
-                response_format: 'verbose_json',
-                timestamp_granularities: ['word'],
-                prompt: optimizedPrompt
-              };
-              
-              // 只有當不是 'auto' 時才傳遞 language 參數
-              if (sourceLanguage && sourceLanguage !== 'auto') {
-                transcriptionParams.language = sourceLanguage;
-              }
-              
-              transcription = await openai.audio.transcriptions.create(transcriptionParams);
+              transcription = await asrProvider.transcribe(segmentFile, {
+                prompt: optimizedPrompt,
+                language: sourceLanguage && sourceLanguage !== 'auto' ? sourceLanguage : null
+              });
               break; // 成功，跳出重試循環
             } catch (modelError) {
               retryCount++;
               
+              // 本機轉錄的執行錯誤（例如找不到執行檔）重試也不會成功
+              if (modelError.retryable === false) {
+                addTranscriptionLog(episodeId, 'error', `轉錄失敗: ${modelError.message}`, '錯誤');
+                throw modelError;
+              }
+              
               // 檢測 API 額度錯誤
               const quotaCheck = detectQuotaError(modelError);
               
@@ -1626,36 +2793,26 @@ app.post('/api/transcribe', (req, res) => {
           totalSegments: 0
         };
         
-        // 使用固定片段時長計算偏移，確保時間戳準確
-        let cumulativeOffset = 0;
-        
         for (const result of results) {
           if (result.error) {
             console.error(`⚠️ 片段 ${result.index + 1} 處理失敗，跳過: ${result.error}`);
-            // 即使失敗，也要累加固定時長，保持後續片段時間戳正確
-            cumulativeOffset += SEGMENT_DURATION;
             continue;
           }
           
-          // 使用固定偏移量（基於片段索引）而不是累加的 duration
-          // 這樣可以確保時間戳準確，即使 transcription.duration 不準確
-          const segmentOffset = result.index * SEGMENT_DURATION;
-          
+          // 依片段在原音檔中的位置換算時間戳（切點不固定），並依逐字時間戳去除重疊部分
+          const segmentInfo = processedAudio.segments[result.index];
           mergedResult = mergeTranscriptionIncrementalWithOffset(
             mergedResult, 
-            result.transcription, 
+            AudioSplitter.trimTranscription(result.transcription, segmentInfo), 
             result.index + 1, 
             totalSegments,
-            segmentOffset,
-            result.actualDuration || SEGMENT_DURATION
+            0,
+            segmentInfo.cutEnd - segmentInfo.cutStart
           );
-          
-          // 累加實際時長（用於總時長計算）
-          cumulativeOffset += (result.actualDuration || SEGMENT_DURATION);
         }
         
-        // 更新總時長為累加的實際時長
-        mergedResult.duration = cumulativeOffset;
+        // 總時長為原音檔長度（失敗的片段不影響後續片段的時間戳）
+        mergedResult.duration = processedAudio.duration;
         
         finalTranscription = mergedResult;
         console.log(`\n  ✅ 所有片段轉錄並合併完成，共 ${totalSegments} 個片段`);
@@ -1746,11 +2903,10 @@ app.post('/api/transcribe', (req, res) => {
       
       addTranscriptionLog(episodeId, 'success', `🎉 轉錄任務完成！總耗時: ${totalDuration} 分鐘，文字長度: ${processedResult.formats.txt?.length || 0} 字元`, '完成');
       
-      // 清理日誌（5 分鐘後）
-      cleanupLogs(episodeId);
+      // 送出完成事件（日誌 5 分鐘後清理）
+      finishTranscriptionLogs(episodeId);
 
-      // 回傳增強的結果
-      res.json({
+      const result = {
         success: true,
         episodeId,
         title,
@@ -1766,12 +2922,23 @@ app.post('/api/transcribe', (req, res) => {
           contentType,
           outputFormats
         },
+        corrections: correctedTranscription.corrections || [],
         url: null
-      });
+      };
+      // 沒有集數 ID 的上傳無法對應到集數，不存入逐字稿庫
+      if (fields.episodeId?.[0]) {
+        storeTranscript(result, { source: 'whisper' });
+        result.url = `/api/transcribe/${encodeURIComponent(episodeId)}`;
+      }
+
+      // 回傳增強的結果
+      res.json(result);
       
     } catch (error) {
       console.error('=== 轉錄錯誤 ===');
       console.error('錯誤詳情:', error);
+      addTranscriptionLog(episodeId, 'error', `轉錄失敗: ${error.message}`, '錯誤');
+      finishTranscriptionLogs(episodeId, error);
       
       // 清理臨時檔案
       try {
@@ -1863,7 +3030,7 @@ app.post('/api/generate-content', async (req, res) => {
     });
   }
 
-  const { episodeId, title, transcriptText, segments, durationSeconds, language = 'zh' } = req.body || {};
+  const { episodeId, title, transcriptText, segments, durationSeconds, episodeMetadata, language = 'zh' } = req.body || {};
 
   if (!transcriptText || typeof transcriptText !== 'string' || transcriptText.trim().length < 20) {
     return res.status(400).json({
@@ -1897,6 +3064,8 @@ app.post('/api/generate-content', async (req, res) => {
       timeReference += '\n重要：時間軸中的時間點必須使用上述真實時間戳，格式為 MM:SS。\n';
     }
 
+    const { infoLines, showNotes } = buildEpisodeMetadataPrompt(episodeMetadata);
+
     const systemPrompt = language === 'zh'
       ? '你是一位專業的 Podcast 行銷與內容編輯，負責根據逐字稿產生時間軸、節目簡介、吸引人的標題，以及 Threads / Facebook / Instagram 貼文文案。你的文字必須：1) 完全沒有錯字、語法錯誤或標點符號錯誤 2) 語氣自然、口語但專業 3) 目標受眾是對科技與學習有興趣的大眾 4) 時間軸必須使用提供的真實時間戳，絕對不要自行估算 5) 貼文要有吸引力、專業且自然，避免過度行銷感。'
       : 'You are a professional podcast marketer and copywriter. Based on the transcript, you will generate a timeline, show description, catchy titles, and social media posts. Your text must be error-free, natural, and professional. Use real timestamps for the timeline.';
@@ -1907,7 +3076,7 @@ app.post('/api/generate-content', async (req, res) => {
 節目資訊：
 - 節目標題（可視為原始標題，僅供參考）：${title || '未提供'}
 - 約略時長：${approxDuration}
-${timeReference}
+${infoLines}${showNotes}${timeReference}
 逐字稿內容（可能較長，請完整閱讀後再統整重點）：
 ---
 ${transcriptText}
@@ -1995,6 +3164,34 @@ ${transcriptText}
   }
 });
 
+// 將 feed 的集數資訊（節目名稱、季／集數、show notes 等）轉為行銷內容提示詞的補充段落
+function buildEpisodeMetadataPrompt(metadata) {
+  if (!metadata || typeof metadata !== 'object') {
+    return { infoLines: '', showNotes: '' };
+  }
+
+  const episodeTypeLabels = { full: '一般集數', trailer: '預告', bonus: '番外' };
+  const lines = [];
+  if (metadata.podcastTitle) lines.push(`- 節目名稱：${metadata.podcastTitle}`);
+  if (metadata.season || metadata.episodeNumber) {
+    lines.push(`- 季／集數：${metadata.season ? `第 ${metadata.season} 季 ` : ''}${metadata.episodeNumber ? `第 ${metadata.episodeNumber} 集` : ''}`.trim());
+  }
+  if (metadata.episodeType) lines.push(`- 集數類型：${episodeTypeLabels[metadata.episodeType] || metadata.episodeType}`);
+  if (metadata.pubDate) lines.push(`- 發布日期：${metadata.pubDate}`);
+  if (typeof metadata.explicit === 'boolean') lines.push(`- 內容分級：${metadata.explicit ? '含成人內容（Explicit）' : '一般'}`);
+
+  // show notes 只取前 3000 字，避免 prompt 太長
+  const notesText = HtmlSanitizer.toText(metadata.description).slice(0, 3000);
+  const showNotes = notesText
+    ? `\n發布者原始節目說明（可參考其中的來賓、連結與重點，但請重新撰寫，不要照抄）：\n---\n${notesText}\n---\n`
+    : '';
+
+  return {
+    infoLines: lines.length > 0 ? `${lines.join('\n')}\n` : '',
+    showNotes
+  };
+}
+
 // 新增：從逐字稿生成投資分析報告 API
 app.post('/api/generate-analysis', async (req, res) => {
   console.log('投資分析報告生成 API 請求');
@@ -2538,6 +3735,12 @@ async function checkAndCorrectSpelling(transcription, language = 'zh', contentTy
     return transcription;
   }
 
+  // 錯字檢查使用 OpenAI 聊天模型；只用本機轉錄、沒有設定金鑰時略過
+  if (!openai) {
+    console.log('ℹ️ 未設定 OpenAI API 金鑰，略過錯字檢查');
+    return transcription;
+  }
+
   console.log('🔍 開始錯字檢查，原始文字長度:', transcription.text.length);
 
   const systemPrompt = language === 'zh'
@@ -2630,6 +3833,7 @@ ${transcription.segments.length > 50 ? `...（還有 ${transcription.segments.le
       // 更新轉錄結果
       const corrected = {
         ...transcription,
+        corrections: result.corrections || [],
         text: result.correctedText,
         segments: result.correctedSegments && result.correctedSegments.length > 0
           ? result.correctedSegments.map((seg, idx) => ({
@@ -2652,33 +3856,40 @@ ${transcription.segments.length > 50 ? `...（還有 ${transcription.segments.le
   }
 }
 
-// 輔助函數
-function downloadAudio(url, callback, maxRedirects = 5) {
-  function downloadWithRedirect(currentUrl, redirectCount = 0) {
+// 輔助函數：發送 GET 請求並自動跟隨重定向，回傳最終的響應
+function requestWithRedirects(url, options, callback, maxRedirects = 5) {
+  let settled = false;
+  const finish = (error, response, finalUrl) => {
+    if (settled) return;
+    settled = true;
+    callback(error, response, finalUrl);
+  };
+
+  function requestWithRedirect(currentUrl, redirectCount = 0) {
     if (redirectCount > maxRedirects) {
-      callback(new Error('重定向次數過多'));
+      finish(new Error('重定向次數過多'));
       return;
     }
 
-    const parsedUrl = new URL(currentUrl);
+    // 每一次重定向都重新檢查協定、網域與位址
+    let parsedUrl;
+    try {
+      parsedUrl = urlGuard.checkUrl(currentUrl);
+    } catch (error) {
+      console.warn(`🛡️ 已阻擋請求: ${error.message}`);
+      finish(error);
+      return;
+    }
     const protocol = parsedUrl.protocol === 'https:' ? https : http;
     
-    console.log(`下載嘗試 ${redirectCount + 1}: ${currentUrl}`);
+    console.log(`請求嘗試 ${redirectCount + 1}: ${currentUrl}`);
     
-    const request = protocol.get(currentUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        'Accept': 'audio/mpeg, audio/mp3, audio/mp4, audio/*, */*',
-        'Accept-Encoding': 'identity',
-        'Connection': 'keep-alive'
-        // 注意：不設置 Range header，確保完整下載
-      },
-      timeout: 120000 // 增加到 2 分鐘
+    const request = protocol.request(currentUrl, {
+      method: options.method || 'GET',
+      headers: options.headers || {},
+      timeout: options.timeout || 120000,
+      lookup: urlGuard.lookup
     }, (response) => {
-      console.log(`響應狀態: ${response.statusCode}`);
-      console.log(`Content-Type: ${response.headers['content-type'] || '未設置'}`);
-      console.log(`Content-Length: ${response.headers['content-length'] || '未知'}`);
-      
       // 處理重定向
       if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
         let redirectUrl = response.headers.location;
@@ -2687,52 +3898,340 @@ function downloadAudio(url, callback, maxRedirects = 5) {
           redirectUrl = new URL(redirectUrl, currentUrl).toString();
         }
         console.log(`重定向到: ${redirectUrl}`);
-        downloadWithRedirect(redirectUrl, redirectCount + 1);
+        response.resume();
+        requestWithRedirect(redirectUrl, redirectCount + 1);
         return;
       }
       
-      if (response.statusCode !== 200) {
-        callback(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
+      if (request.method === 'HEAD') {
+        finish(null, response, currentUrl);
         return;
       }
-      
-      const chunks = [];
-      let totalLength = 0;
-      
-      response.on('data', (chunk) => {
-        chunks.push(chunk);
-        totalLength += chunk.length;
-        
-        // 減少日誌頻率：每 5MB 輸出一次進度
-        if (totalLength % (5 * 1024 * 1024) < chunk.length) {
-          console.log(`已下載: ${(totalLength / 1024 / 1024).toFixed(2)}MB`);
-        }
-      });
-      
-      response.on('end', () => {
-        const buffer = Buffer.concat(chunks);
-        console.log(`下載完成，總大小: ${(buffer.length / 1024 / 1024).toFixed(2)}MB`);
-        callback(null, buffer);
-      });
-      
-      response.on('error', (error) => {
-        console.error('響應錯誤:', error);
-        callback(error);
-      });
+      try {
+        finish(null, urlGuard.limitResponse(response), currentUrl);
+      } catch (error) {
+        console.warn(`🛡️ 已阻擋請求: ${error.message}`);
+        finish(error);
+      }
     });
     
     request.on('error', (error) => {
-      console.error('請求錯誤:', error);
-      callback(error);
+      if (error.isBlockedUrl) {
+        console.warn(`🛡️ 已阻擋請求: ${error.message}`);
+      } else {
+        console.error('請求錯誤:', error);
+      }
+      finish(error);
     });
     
     request.on('timeout', () => {
       request.destroy();
-      callback(new Error('下載超時'));
+      finish(new Error(options.timeoutMessage || '請求超時'));
     });
+
+    request.end();
   }
   
-  downloadWithRedirect(url);
+  requestWithRedirect(url);
+}
+
+// 探測音檔網址：先送 HEAD，不支援或沒有回傳音檔類型時改用 Range 請求只取前幾個位元組
+function probeAudioUrl(url) {
+  const probeOnce = (method) => new Promise((resolve, reject) => {
+    requestWithRedirects(url, {
+      method,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+        'Accept': 'audio/mpeg, audio/mp3, audio/mp4, audio/*, */*',
+        'Accept-Encoding': 'identity',
+        ...(method === 'GET' ? { 'Range': 'bytes=0-1' } : {})
+      },
+      timeout: 15000,
+      timeoutMessage: '音檔連結探測超時'
+    }, (error, response, finalUrl) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      // 只需要狀態與標頭，不讀取內容
+      response.destroy();
+      resolve({
+        ok: response.statusCode === 200 || response.statusCode === 206,
+        status: response.statusCode,
+        contentType: response.headers['content-type'] || '',
+        finalUrl
+      });
+    });
+  });
+
+  return probeOnce('HEAD')
+    .then(result => (result.ok && EnclosureResolver.isAudioContentType(result.contentType) ? result : probeOnce('GET')))
+    .catch(() => probeOnce('GET'));
+}
+
+// 開啟上游音檔回應串流（託管平台的連結會先經過 enclosureResolver 確認實際音檔網址）
+// options.range：轉送用戶端的 Range 標頭；回呼參數 (error, response)，由呼叫端讀取或轉送內容
+function openAudioStream(url, options, callback, maxRedirects = 5) {
+  enclosureResolver.resolve(url)
+    .catch(() => ({ url }))
+    .then(({ url: resolvedUrl }) => {
+      if (resolvedUrl !== url) {
+        console.log(`音檔連結解析為: ${resolvedUrl}`);
+      }
+      requestWithRedirects(resolvedUrl, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+          'Accept': 'audio/mpeg, audio/mp3, audio/mp4, audio/*, */*',
+          'Accept-Encoding': 'identity',
+          'Connection': 'keep-alive',
+          ...(options.range ? { 'Range': options.range } : {})
+        },
+        timeout: 120000, // 增加到 2 分鐘
+        timeoutMessage: '下載超時'
+      }, callback, maxRedirects);
+    });
+}
+
+// 下載遠端文字檔（RSS feed、逐字稿等），與音檔下載共用重定向處理
+// 回呼參數：(error, text, finalUrl, responseHeaders)；條件式請求收到 304 時 text 為 null
+function fetchRemoteText(url, options, callback) {
+  requestWithRedirects(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+      'Accept': options.accept || '*/*',
+      'Accept-Encoding': 'identity',
+      ...(options.headers || {})
+    },
+    timeout: options.timeout || 30000,
+    timeoutMessage: options.timeoutMessage
+  }, (error, response, finalUrl) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    if (response.statusCode === 304 && options.headers) {
+      response.resume();
+      callback(null, null, finalUrl, response.headers);
+      return;
+    }
+
+    if (response.statusCode !== 200) {
+      response.resume();
+      callback(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
+      return;
+    }
+
+    const chunks = [];
+    response.on('data', (chunk) => chunks.push(chunk));
+    response.on('end', () => {
+      callback(null, Buffer.concat(chunks).toString('utf8'), finalUrl, response.headers);
+    });
+    response.on('error', (error) => {
+      console.error('遠端檔案響應錯誤:', error);
+      callback(error);
+    });
+  });
+}
+
+// 下載 RSS feed 原始文字（可帶入條件式請求標頭）
+function fetchFeedText(url, conditionalHeaders, callback) {
+  fetchRemoteText(url, {
+    accept: 'application/rss+xml, application/atom+xml, application/feed+json, application/xml, text/xml, */*',
+    headers: conditionalHeaders,
+    timeoutMessage: 'RSS feed 載入超時'
+  }, callback);
+}
+
+// 下載並解析 feed：帶 ETag / Last-Modified 做條件式請求，收到 304 時直接使用磁碟快取
+function loadParsedFeed(feedUrl) {
+  const cachedEntry = feedCache.get(feedUrl);
+
+  return new Promise((resolve, reject) => {
+    fetchFeedText(feedUrl, feedCache.getConditionalHeaders(cachedEntry), (error, xmlText, finalUrl, responseHeaders) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+
+      if (xmlText === null && cachedEntry) {
+        console.log(`♻️ RSS feed 未變更 (304)，使用快取: ${feedUrl}`);
+        resolve({ feed: cachedEntry.feed, episodes: cachedEntry.episodes, cached: true });
+        return;
+      }
+
+      try {
+        const { feed, episodes } = FeedParser.parse(xmlText, finalUrl);
+        feedCache.set(feedUrl, {
+          etag: responseHeaders.etag,
+          lastModified: responseHeaders['last-modified'],
+          feed,
+          episodes
+        });
+        resolve({ feed, episodes, cached: false });
+      } catch (parseError) {
+        parseError.isParseError = true;
+        reject(parseError);
+      }
+    });
+  });
+}
+
+// 呼叫本服務的 API（訂閱自動處理沿用現有的轉錄與內容生成流程）
+function callInternalApi(pathname, body, timeout = 90 * 60 * 1000) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const request = http.request({
+      hostname: '127.0.0.1',
+      port: PORT,
+      path: pathname,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+      },
+      timeout
+    }, (response) => {
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => {
+        let data = {};
+        try {
+          data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (parseError) {
+          data = {};
+        }
+        if (response.statusCode !== 200 || !data.success) {
+          reject(new Error(data.error || `HTTP ${response.statusCode}`));
+          return;
+        }
+        resolve(data);
+      });
+    });
+
+    request.on('timeout', () => {
+      request.destroy(new Error(`${pathname} 請求超時`));
+    });
+    request.on('error', reject);
+    request.write(payload);
+    request.end();
+  });
+}
+
+// 訂閱集數的輸出檔名前綴：data/subscriptions/{訂閱 ID}/{標題}_{guid 雜湊}
+function getSubscriptionOutputBase(subscription, item) {
+  const outputDir = path.join(SUBSCRIPTION_OUTPUT_DIR, subscription.id);
+  fs.mkdirSync(outputDir, { recursive: true });
+  const safeTitle = (item.title || 'episode').replace(/[<>:"/\\|?*]/g, '_').replace(/\s+/g, ' ').trim().slice(0, 80);
+  return path.join(outputDir, `${safeTitle}_${getSubscriptionItemHash(item)}`);
+}
+
+function getSubscriptionItemHash(item) {
+  return crypto.createHash('sha1').update(item.guid).digest('hex').slice(0, 8);
+}
+
+// 訂閱自動處理：下載音檔
+function runSubscriptionDownload(subscription, item) {
+  return new Promise((resolve, reject) => {
+    if (!item.audioUrl) {
+      reject(new Error('此集數沒有音檔連結'));
+      return;
+    }
+    mediaLibrary.acquire(item.audioUrl)
+      .then(({ entry: libraryEntry, filePath, release }) => {
+        const audioFile = `${getSubscriptionOutputBase(subscription, item)}${path.extname(libraryEntry.fileName)}`;
+        try {
+          fs.copyFileSync(filePath, audioFile);
+        } finally {
+          release();
+        }
+        console.log(`📡 訂閱音檔已下載: ${audioFile}`);
+        resolve({ files: { audio: path.relative(DATA_DIR, audioFile) } });
+      })
+      .catch(reject);
+  });
+}
+
+// 訂閱自動處理：轉錄（有發布者逐字稿時依規則優先匯入）
+async function runSubscriptionTranscribe(subscription, item) {
+  // 與前端相同的集數 ID，轉錄日誌與結果可對應到同一集
+  const episodeId = item.episodeId || `sub_${subscription.id}_${getSubscriptionItemHash(item)}`;
+  const requestBody = {
+    title: item.title,
+    episodeId,
+    outputFormats: ['txt', 'srt', 'vtt', 'json'],
+    contentType: 'podcast'
+  };
+
+  let transcript = null;
+  const publisherTranscript = subscription.rules.transcriptSource !== 'whisper'
+    ? TranscriptImporter.pickTranscript(item.transcripts)
+    : undefined;
+
+  if (publisherTranscript) {
+    try {
+      transcript = await callInternalApi('/api/import-transcript', {
+        ...requestBody,
+        transcriptUrl: publisherTranscript.url,
+        transcriptType: publisherTranscript.type
+      });
+    } catch (importError) {
+      if (!item.audioUrl) throw importError;
+      console.warn(`⚠️ 匯入發布者逐字稿失敗，改用 Whisper 轉錄: ${importError.message}`);
+    }
+  }
+
+  if (!transcript) {
+    if (!item.audioUrl) {
+      throw new Error('此集數沒有音檔連結');
+    }
+    transcript = await callInternalApi('/api/transcribe-from-url', {
+      ...requestBody,
+      audioUrl: item.audioUrl,
+      enableSpeakerDiarization: false,
+      keywords: item.title,
+      sourceLanguage: 'auto'
+    });
+  }
+
+  const transcriptFile = `${getSubscriptionOutputBase(subscription, item)}.transcript.json`;
+  fs.writeFileSync(transcriptFile, JSON.stringify(transcript, null, 2));
+  return {
+    transcript,
+    files: { transcript: path.relative(DATA_DIR, transcriptFile) }
+  };
+}
+
+// 訂閱自動處理：生成行銷內容
+async function runSubscriptionGenerateContent(subscription, item, context) {
+  let transcript = context.transcript;
+  if (!transcript && item.outputs?.transcript) {
+    transcript = JSON.parse(fs.readFileSync(path.join(DATA_DIR, item.outputs.transcript), 'utf8'));
+  }
+  if (!transcript || !transcript.text) {
+    throw new Error('沒有可用的逐字稿');
+  }
+
+  const segments = transcript.segments || [];
+  const result = await callInternalApi('/api/generate-content', {
+    episodeId: transcript.episodeId,
+    title: item.title,
+    transcriptText: transcript.text,
+    segments,
+    durationSeconds: segments.length > 0 ? segments[segments.length - 1].end : undefined,
+    episodeMetadata: {
+      podcastTitle: subscription.title,
+      pubDate: item.pubDate,
+      ...(item.metadata || {})
+    },
+    language: 'zh'
+  });
+
+  const contentFile = `${getSubscriptionOutputBase(subscription, item)}.content.json`;
+  fs.writeFileSync(contentFile, JSON.stringify(result.content, null, 2));
+  return {
+    files: { content: path.relative(DATA_DIR, contentFile) }
+  };
 }
 
 function formatTranscript(transcription) {
@@ -2852,88 +4351,8 @@ function compressAudio(inputPath, outputPath) {
 }
 
 // 音檔分割功能 - 增強版，支持多種格式
-function splitAudio(inputPath, outputDir, segmentDuration = 600) { // 10分鐘片段
-  return new Promise((resolve, reject) => {
-    const splitStartTime = Date.now();
-    console.log(`\n  ✂️ 開始分割音檔`);
-    console.log(`    輸入檔案: ${path.basename(inputPath)}`);
-    console.log(`    片段長度: ${segmentDuration}秒 (${segmentDuration / 60} 分鐘)`);
-    logMemoryUsage('分割開始');
-    
-    // 創建輸出目錄
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-    }
-    
-    // 根據輸入檔案決定輸出格式
-    const inputExt = path.extname(inputPath).toLowerCase();
-    let outputExt = '.mp3';
-    let audioCodec = 'libmp3lame';
-    let audioBitrate = '64k';
-    
-    // 根據輸入格式選擇最合適的輸出配置
-    if (inputExt === '.m4a' || inputExt === '.mp4') {
-      outputExt = '.m4a';
-      audioCodec = 'aac';
-    } else if (inputExt === '.ogg') {
-      outputExt = '.ogg';
-      audioCodec = 'libvorbis';
-    } else if (inputExt === '.wav') {
-      outputExt = '.wav';
-      audioCodec = 'pcm_s16le';
-      audioBitrate = null; // WAV 不需要比特率設置
-    }
-    
-    const outputPattern = path.join(outputDir, `segment_%03d${outputExt}`);
-    console.log(`分割輸出格式: ${outputExt}，編解碼器: ${audioCodec}`);
-    
-    const command = ffmpeg(inputPath)
-      .audioCodec(audioCodec)
-      .format(outputExt.substring(1)) // 移除點號
-      .outputOptions([
-        '-f', 'segment',
-        '-segment_time', segmentDuration.toString(),
-        '-reset_timestamps', '1'
-      ]);
-    
-    // 只在需要時設置比特率
-    if (audioBitrate) {
-      command.audioBitrate(audioBitrate);
-    }
-    
-    command
-      .on('start', (commandLine) => {
-        console.log('FFmpeg 分割命令:', commandLine);
-      })
-      .on('progress', (progress) => {
-        if (progress.percent) {
-          console.log(`    分割進度: ${Math.round(progress.percent)}%`);
-        }
-      })
-      .on('end', () => {
-        // 獲取生成的片段檔案列表
-        const files = fs.readdirSync(outputDir)
-          .filter(file => file.startsWith('segment_') && file.endsWith(outputExt))
-          .sort()
-          .map(file => path.join(outputDir, file));
-        
-        const splitDuration = ((Date.now() - splitStartTime) / 1000).toFixed(2);
-        console.log(`  ✅ 音檔分割完成，共 ${files.length} 個片段，耗時: ${splitDuration} 秒`);
-        logMemoryUsage('分割完成');
-        resolve(files);
-      })
-      .on('error', (err) => {
-        console.error(`  ❌ 音檔分割失敗: ${err.message}`);
-        console.error(`  錯誤詳情:`, err);
-        logMemoryUsage('分割失敗');
-        reject(err);
-      })
-      .save(outputPattern);
-  });
-}
-
 // 處理大音檔的主要函數
-async function processLargeAudio(audioFile, title) {
+async function processLargeAudio(audioFile, title, sizeLimit = asrProvider.maxFileBytes) {
   const tempDir = path.join(__dirname, 'temp');
   const timestamp = Date.now();
   const baseFilename = `audio_${timestamp}`;
@@ -2967,11 +4386,9 @@ async function processLargeAudio(audioFile, title) {
       throw new Error(`壓縮後音檔格式無效: ${validationError.message}`);
     }
     
-    const OPENAI_LIMIT = 25 * 1024 * 1024;
-    
-    if (compressedStats.size <= OPENAI_LIMIT) {
+    if (compressedStats.size <= sizeLimit) {
       // 壓縮後符合限制，直接返回壓縮檔案
-      console.log('✅ 壓縮後符合 25MB 限制，可直接轉錄');
+      console.log(`✅ 壓縮後符合 ${Math.round(sizeLimit / 1024 / 1024)}MB 限制，可直接轉錄`);
       return {
         type: 'single',
         file: actualCompressedPath,
@@ -2982,18 +4399,23 @@ async function processLargeAudio(audioFile, title) {
     // 步驟 2: 壓縮後還是太大，需要分割
     console.log('  步驟 2/2: 壓縮後仍超過限制，開始分割音檔...');
     const segmentDir = path.join(tempDir, `${baseFilename}_segments`);
-    const segmentFiles = await splitAudio(actualCompressedPath, segmentDir, 300); // 5分鐘片段（優化：更小的片段處理更快）
+    const splitStartTime = Date.now();
+    console.log(`\n  ✂️ 開始依靜音分割音檔（目標 ${audioSplitter.targetSeconds} 秒，重疊 ${audioSplitter.overlapSeconds} 秒）`);
+    logMemoryUsage('分割開始');
+    const { duration, segments } = await audioSplitter.split(actualCompressedPath, segmentDir);
+    console.log(`  ✅ 音檔分割完成，共 ${segments.length} 個片段，耗時: ${((Date.now() - splitStartTime) / 1000).toFixed(2)} 秒`);
+    logMemoryUsage('分割完成');
     
     // 新增：驗證所有分割片段
     console.log('驗證分割片段格式...');
-    const validatedSegmentFiles = [];
-    for (let i = 0; i < segmentFiles.length; i++) {
-      const segmentFile = segmentFiles[i];
+    const validatedSegments = [];
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
       try {
-        console.log(`驗證片段 ${i + 1}/${segmentFiles.length}: ${path.basename(segmentFile)}`);
-        const validatedSegmentPath = validateAndNormalizeAudioFile(segmentFile);
+        console.log(`驗證片段 ${i + 1}/${segments.length}: ${path.basename(segment.file)} (${formatTime(segment.start)} - ${formatTime(segment.end)})`);
+        const validatedSegmentPath = validateAndNormalizeAudioFile(segment.file);
         validateAudioFileContent(validatedSegmentPath);
-        validatedSegmentFiles.push(validatedSegmentPath);
+        validatedSegments.push({ ...segment, file: validatedSegmentPath });
         console.log(`✅ 片段 ${i + 1} 驗證通過`);
       } catch (validationError) {
         console.error(`片段 ${i + 1} 驗證失敗:`, validationError);
@@ -3001,11 +4423,14 @@ async function processLargeAudio(audioFile, title) {
       }
     }
     
-    console.log(`✅ 音檔處理完成，共 ${validatedSegmentFiles.length} 個片段`);
+    console.log(`✅ 音檔處理完成，共 ${validatedSegments.length} 個片段`);
     return {
       type: 'segments',
-      files: validatedSegmentFiles,
-      totalSegments: validatedSegmentFiles.length,
+      files: validatedSegments.map(segment => segment.file),
+      // 每個片段在原音檔中的位置（合併時換算時間戳並去除重疊部分）
+      segments: validatedSegments,
+      duration,
+      totalSegments: validatedSegments.length,
       file: actualCompressedPath // 保存壓縮檔案路徑用於清理
     };
     
@@ -3062,54 +4487,6 @@ async function processLargeAudio(audioFile, title) {
   }
 }
 
-// 增量合併轉錄結果（避免記憶體累積）
-function mergeTranscriptionIncremental(currentResult, newTranscription, segmentIndex, totalSegments) {
-  let mergedText = currentResult.text || '';
-  let totalDuration = currentResult.duration || 0;
-  let allSegments = currentResult.segments || [];
-  
-  // 添加片段標識（僅在多片段時）
-  if (totalSegments > 1) {
-    mergedText += `\n=== 片段 ${segmentIndex} ===\n`;
-  }
-  
-  if (newTranscription.segments && newTranscription.segments.length > 0) {
-    // 調整時間戳（加上前面片段的總時長）
-    const adjustedSegments = newTranscription.segments.map(segment => ({
-      ...segment,
-      start: segment.start + totalDuration,
-      end: segment.end + totalDuration
-    }));
-    
-    allSegments = allSegments.concat(adjustedSegments);
-    
-    // 生成文字
-    const segmentText = adjustedSegments
-      .map(segment => {
-        const startTime = formatTime(segment.start);
-        const endTime = formatTime(segment.end);
-        return `[${startTime} - ${endTime}] ${segment.text.trim()}`;
-      })
-      .join('\n\n');
-    mergedText += segmentText;
-  } else {
-    // 沒有 segments，使用 text
-    if (newTranscription.text) {
-      mergedText += newTranscription.text;
-    }
-  }
-  
-  mergedText += '\n\n';
-  totalDuration += newTranscription.duration || 0;
-  
-  return {
-    text: mergedText,
-    duration: totalDuration,
-    segments: allSegments,
-    totalSegments: segmentIndex
-  };
-}
-
 // 增量合併轉錄結果（使用固定偏移量，確保時間戳準確）
 function mergeTranscriptionIncrementalWithOffset(currentResult, newTranscription, segmentIndex, totalSegments, segmentOffset, segmentDuration) {
   let mergedText = currentResult.text || '';
@@ -3156,70 +4533,6 @@ function mergeTranscriptionIncrementalWithOffset(currentResult, newTranscription
   };
 }
 
-// 合併多個轉錄結果（保留用於向後兼容）- 使用固定偏移量修正時間戳
-function mergeTranscriptions(transcriptions) {
-  let mergedText = '';
-  let allSegments = [];
-  const SEGMENT_DURATION = 300; // 固定片段時長：5 分鐘
-  
-  transcriptions.forEach((transcription, index) => {
-    // 使用固定偏移量（基於片段索引）而不是累加的 duration
-    const segmentOffset = index * SEGMENT_DURATION;
-    
-    if (transcription.segments && transcription.segments.length > 0) {
-      // 調整時間戳：使用固定的片段偏移量
-      const adjustedSegments = transcription.segments.map(segment => {
-        const adjustedStart = Math.max(0, segment.start) + segmentOffset;
-        const adjustedEnd = Math.max(0, segment.end) + segmentOffset;
-        
-        return {
-          ...segment,
-          start: adjustedStart,
-          end: adjustedEnd
-        };
-      });
-      
-      allSegments = allSegments.concat(adjustedSegments);
-    }
-    
-    // 添加片段標識
-    if (transcriptions.length > 1) {
-      mergedText += `\n=== 片段 ${index + 1} (偏移: ${formatTime(segmentOffset)}) ===\n`;
-    }
-    
-    if (transcription.segments && transcription.segments.length > 0) {
-      const segmentText = transcription.segments
-        .map(segment => {
-          // 使用固定偏移量
-          const adjustedStart = Math.max(0, segment.start) + segmentOffset;
-          const adjustedEnd = Math.max(0, segment.end) + segmentOffset;
-          const startTime = formatTime(adjustedStart);
-          const endTime = formatTime(adjustedEnd);
-          return `[${startTime} - ${endTime}] ${segment.text.trim()}`;
-        })
-        .join('\n\n');
-      mergedText += segmentText;
-    } else {
-      mergedText += transcription.text || '';
-    }
-    
-    mergedText += '\n\n';
-  });
-  
-  // 計算總時長：最後一個片段的偏移量 + 最後一個片段的實際時長
-  const lastTranscription = transcriptions[transcriptions.length - 1];
-  const lastSegmentOffset = (transcriptions.length - 1) * SEGMENT_DURATION;
-  const lastSegmentDuration = lastTranscription?.duration || SEGMENT_DURATION;
-  const totalDuration = lastSegmentOffset + lastSegmentDuration;
-  
-  return {
-    text: mergedText.trim(),
-    duration: totalDuration,
-    segments: allSegments,
-    totalSegments: transcriptions.length
-  };
-}
-
 // 啟動服務器
 // 靜態文件服務（生產環境）- 必須在 app.listen() 之前設置
 if (process.env.NODE_ENV === 'production' || !process.env.NODE_ENV) {
@@ -3242,4 +4555,10 @@ app.listen(PORT, () => {
   console.log(`服務器運行在端口 ${PORT}`);
   console.log(`環境: ${process.env.NODE_ENV || 'development'}`);
   console.log(`OpenAI API Key: ${process.env.OPENAI_API_KEY ? '已設置' : '未設置'}`);
+
+  // 啟動訂閱輪詢，並繼續處理重啟前未完成的自動處理項目與下載
+  subscriptionPoller.start();
+  automationQueue.run();
+  downloadQueue.pump();
+  jobQueue.pump();
 }); 
\ No newline at end of file
@@ -17,6 +17,93 @@ const formatDuration = (duration: string | number): string => {
   return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 };
 
+// 檔案大小格式化函數
+const formatFileSize = (bytes: number): string => {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)}KB`;
+  return `${bytes}B`;
+};
+
+// 依 Content-Type（其次為網址副檔名）判斷音檔副檔名，與後端 audio-format.js 的對應一致
+const AUDIO_EXTENSION_PATTERNS: Array<[RegExp, string]> = [
+  [/opus/, '.opus'],
+  [/ogg/, '.ogg'],
+  [/^video\/mp4/, '.mp4'],
+  [/mp4|m4a/, '.m4a'],
+  [/aac/, '.aac'],
+  [/wav/, '.wav'],
+  [/flac/, '.flac'],
+  [/webm/, '.webm'],
+  [/mpeg|mp3/, '.mp3'],
+];
+// Whisper 只接受部分副檔名：Opus 改用 .ogg，其餘不接受的沿用 .mp3
+const TRANSCRIPTION_EXTENSIONS = ['.flac', '.m4a', '.mp3', '.mp4', '.ogg', '.wav', '.webm'];
+
+const getAudioExtension = (contentType: string, audioUrl = '', forTranscription = false): string => {
+  const type = contentType.toLowerCase();
+  const urlMatch = audioUrl.toLowerCase().split(/[?#]/)[0].match(/\.(mp3|m4a|mp4|aac|ogg|opus|wav|flac|webm)$/);
+  const typeMatch = /^(audio|video)\//.test(type) ? AUDIO_EXTENSION_PATTERNS.find(([pattern]) => pattern.test(type)) : undefined;
+  const extension = typeMatch ? typeMatch[1] : (urlMatch ? `.${urlMatch[1]}` : '.mp3');
+
+  if (!forTranscription || TRANSCRIPTION_EXTENSIONS.includes(extension)) return extension;
+  return extension === '.opus' ? '.ogg' : '.mp3';
+};
+
+// 檔名範本（audio、transcript、zip），與後端 filename-template.js 的規則一致
+type FilenameTemplateKind = 'audio' | 'transcript' | 'zip';
+type FilenameTemplates = Record<FilenameTemplateKind, string>;
+
+const DEFAULT_FILENAME_TEMPLATES: FilenameTemplates = {
+  audio: '{title}.{ext}',
+  transcript: '{title}_{source}.{ext}',
+  zip: '{index} - {title}.{ext}',
+};
+const FILENAME_TEMPLATE_LABELS: Record<FilenameTemplateKind, string> = {
+  audio: '音檔',
+  transcript: '逐字稿',
+  zip: 'ZIP 內音檔',
+};
+
+const sanitizeFilenameSegment = (name: string, fallback = 'file'): string => {
+  const cleaned = String(name || '')
+    .replace(/[<>:"/\\|?*]|\p{Cc}/gu, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/^[.\s]+|[.\s]+$/g, '')
+    .slice(0, 150)
+    .trim();
+  if (!cleaned || /^(con|prn|aux|nul|com\d|lpt\d)$/i.test(cleaned)) {
+    return cleaned ? `_${cleaned}` : fallback;
+  }
+  return cleaned;
+};
+
+// 套用範本後把各層路徑合併成單一檔名（瀏覽器存檔無法建立資料夾）
+const renderFilename = (template: string, episode: Episode, podcastTitle: string, extras: { source?: string; ext: string }): string => {
+  const date = episode.pubDate ? new Date(episode.pubDate) : null;
+  const validDate = date && !isNaN(date.getTime()) ? date : null;
+  const pad = (value: number) => String(value).padStart(2, '0');
+  const values: Record<string, string> = {
+    show: podcastTitle,
+    title: episode.title,
+    yyyy: validDate ? String(validDate.getUTCFullYear()) : '',
+    mm: validDate ? pad(validDate.getUTCMonth() + 1) : '',
+    dd: validDate ? pad(validDate.getUTCDate()) : '',
+    date: validDate ? validDate.toISOString().slice(0, 10) : '',
+    season: episode.season ? String(episode.season) : '',
+    episode: episode.episodeNumber ? String(episode.episodeNumber) : '',
+    index: '',
+    id: episode.id,
+    source: extras.source || '',
+  };
+
+  const rendered = template.trim().replace(/\.\{ext\}$/, '').replace(/\{(\w+)\}/g, (token, name) => (values[name] ?? '').replace(/[/\\]/g, '_'));
+  const segments = rendered.split(/[/\\]/)
+    .map(segment => segment.replace(/^[\s\-_]+|[\s\-_]+$/g, ''))
+    .filter(Boolean);
+  const fileName = sanitizeFilenameSegment(segments.pop() || '', sanitizeFilenameSegment(episode.title, 'file'));
+  return [...segments.map(segment => sanitizeFilenameSegment(segment, '_')), `${fileName}.${extras.ext}`].join(' - ');
+};
+
 // 音頻播放器組件
 interface AudioPlayerProps {
   episode: Episode;
@@ -31,7 +118,7 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({ episode, isPlaying, onToggleP
   const [volume, setVolume] = useState(1);
   const [isLoading, setIsLoading] = useState(false);
   const [hasError, setHasError] = useState(false);
-  const [blobUrl, setBlobUrl] = useState<string>('');
+  const [sourceUrl, setSourceUrl] = useState<string>('');
   const [retryCount, setRetryCount] = useState(0);
   const [errorMessage, setErrorMessage] = useState<string>('');
 
@@ -49,48 +136,18 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({ episode, isPlaying, onToggleP
   const audioUrl = episode.audioUrl;
   const isAudioValid = isValidAudioUrl(audioUrl);
 
-  // 使用後端代理載入音頻 (優先方法，與下載功能相同的API)
-  const loadAudioWithBackendProxy = async (): Promise<string> => {
-    console.log(`🎵 [後端代理] 開始載入音頻: ${episode.title}`);
-    console.log(`🎵 [後端代理] 音頻URL: ${audioUrl}`);
-    
-    try {
-      // 使用與下載相同的後端代理 API
-      const response = await fetch('/api/download', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          audioUrl: audioUrl,
-          title: episode.title
-        }),
-      });
-
-      console.log(`🎵 [後端代理] 響應狀態: ${response.status} ${response.statusText}`);
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`🚨 [後端代理] 詳細錯誤: ${errorText}`);
-        throw new Error(`後端代理錯誤 (${response.status}): ${response.statusText}`);
-      }
-
-      const audioBlob = await response.blob();
-      console.log(`✅ [後端代理] 音頻載入成功: ${(audioBlob.size / 1024 / 1024).toFixed(2)}MB`);
-      
-      // 驗證 Blob 是否為有效的音頻類型
-      if (audioBlob.size < 1024) {
-        throw new Error('後端返回的音頻文件太小，可能無效');
-      }
+  // 使用後端串流代理 (優先方法，與下載功能相同的API)
+  // 播放器直接以 GET 串流，後端轉送 Range 請求，不需等整個檔案下載完就能播放與跳轉
+  const getBackendStreamUrl = (): string => {
+    const streamUrl = `/api/download?url=${encodeURIComponent(audioUrl)}&title=${encodeURIComponent(episode.title)}`;
+    console.log(`🎵 [後端代理] 串流音頻: ${episode.title}`);
+    return streamUrl;
+  };
 
-      // 創建 Blob URL
-      const blobUrl = URL.createObjectURL(audioBlob);
-      console.log(`🔗 [後端代理] 創建 Blob URL: ${blobUrl.substring(0, 50)}...`);
-      return blobUrl;
-      
-    } catch (error) {
-      console.error('🚨 [後端代理] 載入失敗:', error);
-      throw error;
+  // 釋放前端代理建立的 Blob URL（後端串流網址不需要釋放）
+  const releaseSourceUrl = (url: string) => {
+    if (url.startsWith('blob:')) {
+      URL.revokeObjectURL(url);
     }
   };
 
@@ -148,43 +205,34 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({ episode, isPlaying, onToggleP
     setHasError(false);
     setErrorMessage('');
     
-    // 清理舊的 Blob URL
-    if (blobUrl) {
-      URL.revokeObjectURL(blobUrl);
-      setBlobUrl('');
+    // 清理舊的音頻來源
+    if (sourceUrl) {
+      releaseSourceUrl(sourceUrl);
+      setSourceUrl('');
     }
     
     try {
-      let newBlobUrl: string;
+      let newSourceUrl: string;
       
       console.log(`🎯 [音頻載入] 開始載入: ${episode.title}`);
       
-      // 1. 優先使用後端代理 (與下載功能相同，最可靠)
-      try {
-        console.log(`📡 [載入策略] 嘗試後端代理...`);
-        newBlobUrl = await loadAudioWithBackendProxy();
-        console.log(`✅ [載入策略] 後端代理成功`);
-      } catch (backendError) {
-        console.warn('⚠️ [載入策略] 後端代理失敗，嘗試前端代理:', backendError);
-        
-        // 2. 備用方案：使用前端代理
+      if (retryCount === 0) {
+        // 1. 優先使用後端串流代理 (與下載功能相同，最可靠)
+        console.log(`📡 [載入策略] 使用後端串流...`);
+        newSourceUrl = getBackendStreamUrl();
+      } else {
+        // 2. 重試時改用前端代理，仍失敗則回到後端串流
         try {
-          console.log(`🌐 [載入策略] 嘗試前端代理...`);
-          newBlobUrl = await loadAudioWithFrontendProxy();
+          console.log(`🌐 [載入策略] 重試，嘗試前端代理...`);
+          newSourceUrl = await loadAudioWithFrontendProxy();
           console.log(`✅ [載入策略] 前端代理成功`);
         } catch (frontendError) {
-          console.error('❌ [載入策略] 前端代理也失敗:', frontendError);
-          
-          // 記錄詳細錯誤信息
-          const backendMsg = backendError instanceof Error ? backendError.message : String(backendError);
-          const frontendMsg = frontendError instanceof Error ? frontendError.message : String(frontendError);
-          const detailedError = `音頻載入完全失敗:\n- 後端代理: ${backendMsg}\n- 前端代理: ${frontendMsg}`;
-          setErrorMessage(detailedError);
-          throw new Error(detailedError);
+          console.warn('⚠️ [載入策略] 前端代理失敗，改回後端串流:', frontendError);
+          newSourceUrl = getBackendStreamUrl();
         }
       }
       
-      setBlobUrl(newBlobUrl);
+      setSourceUrl(newSourceUrl);
       setIsLoading(false);
       console.log(`🎯 [音頻載入] 載入完成: ${episode.title}`);
       
@@ -213,8 +261,8 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({ episode, isPlaying, onToggleP
     
     // 清理函數
     return () => {
-      if (blobUrl) {
-        URL.revokeObjectURL(blobUrl);
+      if (sourceUrl) {
+        releaseSourceUrl(sourceUrl);
       }
     };
   }, [audioUrl, isAudioValid, retryCount]);
@@ -222,9 +270,9 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({ episode, isPlaying, onToggleP
   // 設置音頻事件監聽器
   useEffect(() => {
     const audio = audioRef.current;
-    if (!audio || !blobUrl) return;
+    if (!audio || !sourceUrl) return;
 
-    console.log(`🔗 [音頻設置] 設置音頻源: ${blobUrl.substring(0, 50)}...`);
+    console.log(`🔗 [音頻設置] 設置音頻源: ${sourceUrl.substring(0, 50)}...`);
     
     const updateTime = () => setCurrentTime(audio.currentTime);
     const updateDuration = () => setTotalDuration(audio.duration || 0);
@@ -262,7 +310,7 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({ episode, isPlaying, onToggleP
     audio.addEventListener('error', handleError);
 
     // 設置音頻源
-    audio.src = blobUrl;
+    audio.src = sourceUrl;
 
     return () => {
       audio.removeEventListener('timeupdate', updateTime);
@@ -272,12 +320,12 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({ episode, isPlaying, onToggleP
       audio.removeEventListener('canplay', handleCanPlay);
       audio.removeEventListener('error', handleError);
     };
-  }, [blobUrl]);
+  }, [sourceUrl]);
 
   // 播放控制
   useEffect(() => {
     const audio = audioRef.current;
-    if (!audio || !blobUrl || hasError) return;
+    if (!audio || !sourceUrl || hasError) return;
 
     if (isPlaying) {
       console.log(`▶️ [播放控制] 开始播放: ${episode.title}`);
@@ -320,7 +368,7 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({ episode, isPlaying, onToggleP
       console.log(`⏸️ [播放控制] 暂停播放: ${episode.title}`);
       audio.pause();
     }
-  }, [isPlaying, blobUrl, hasError]);
+  }, [isPlaying, sourceUrl, hasError]);
 
   const handleSeek = (e: React.ChangeEvent<HTMLInputElement>) => {
     const audio = audioRef.current;
@@ -346,7 +394,7 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({ episode, isPlaying, onToggleP
   const buttonTitle = hasError ? `音頻載入失敗 (重試 ${retryCount} 次) - 點擊重試\n${errorMessage}` : 
                      !isAudioValid ? '無效的音頻連結' :
                      isLoading ? '正在載入音頻...' :
-                     !blobUrl ? '準備載入...' :
+                     !sourceUrl ? '準備載入...' :
                      isPlaying ? '暫停' : '播放';
 
   // 新增：调试按钮状态
@@ -355,7 +403,7 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({ episode, isPlaying, onToggleP
     isAudioValid,
     isLoading,
     hasError,
-    blobUrl: !!blobUrl,
+    sourceUrl: !!sourceUrl,
     isPlaying,
     buttonTitle
   });
@@ -399,7 +447,7 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({ episode, isPlaying, onToggleP
         >
           {hasError ? '🔄' : 
            isLoading ? '⏳' : 
-           !blobUrl ? '⬇️' :
+           !sourceUrl ? '⬇️' :
            isPlaying ? '⏸️' : '▶️'}
         </button>
         
@@ -439,11 +487,21 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({ episode, isPlaying, onToggleP
 };
 
 interface Episode {
-  id: string;
+  id: string; // 穩定 ID：由 guid 產生，沒有 guid 時使用音檔 URL 與標題的雜湊
+  guid?: string;
   title: string;
   pubDate: string;
   duration: string;
   audioUrl: string;
+  // 新增：feed 提供的集數資訊（只在存在時出現）
+  description?: string; // 已在後端清理過的 show notes HTML
+  image?: string;
+  season?: number;
+  episodeNumber?: number;
+  episodeType?: string; // full | trailer | bonus
+  explicit?: boolean;
+  enclosureType?: string;
+  enclosureLength?: number;
   transcriptStatus?: 'none' | 'processing' | 'completed' | 'error';
   transcriptText?: string;
   transcriptUrl?: string;
@@ -479,8 +537,75 @@ interface Episode {
   investmentAnalysis?: string; // Markdown 格式的報告
   // 新增：大眾日報版本
   publicReport?: string; // Markdown 格式的報告
+  // 新增：逐字稿來源（發布者提供或 Whisper 轉錄）
+  transcriptSource?: 'publisher' | 'whisper';
+  // 新增：「兩者都產生」模式下保留的發布者逐字稿，供比對
+  publisherTranscript?: {
+    type: string;
+    url: string;
+    text: string;
+    formats?: Episode['transcriptFormats'];
+    segments?: Episode['transcriptSegments'];
+  };
+  // 新增：Podcasting 2.0（podcast: 命名空間）欄位
+  transcripts?: PodcastTranscript[];
+  chapters?: {
+    url: string;
+    type: string;
+  };
+  persons?: Array<{
+    name: string;
+    role: string;
+    group: string;
+    img?: string;
+    href?: string;
+  }>;
+  podcastSeason?: {
+    number: number;
+    name?: string;
+  };
+  podcastEpisode?: {
+    number: number;
+    display?: string;
+  };
+  soundbites?: Array<{
+    startTime: number;
+    duration: number;
+    title?: string;
+  }>;
+  alternateEnclosures?: Array<{
+    type: string;
+    length?: number;
+    bitrate?: number;
+    title?: string;
+    lang?: string;
+    default: boolean;
+    sources: Array<{
+      uri: string;
+      contentType?: string;
+    }>;
+  }>;
+}
+
+// 新增：發布者提供的逐字稿（podcast:transcript）
+interface PodcastTranscript {
+  url: string;
+  type: string;
+  language?: string;
+  rel?: string;
 }
 
+// 從發布者逐字稿中挑選最適合匯入的格式（有時間軸的優先）
+const pickPublisherTranscript = (transcripts?: PodcastTranscript[]): PodcastTranscript | undefined => {
+  if (!transcripts || transcripts.length === 0) return undefined;
+  const preference = ['json', 'vtt', 'srt', 'subrip', 'html'];
+  const rank = (transcript: PodcastTranscript) => {
+    const index = preference.findIndex(type => transcript.type.toLowerCase().includes(type));
+    return index === -1 ? preference.length : index;
+  };
+  return [...transcripts].sort((a, b) => rank(a) - rank(b))[0];
+};
+
 // 新增：轉錄設置接口
 interface TranscriptionSettings {
   outputFormats: string[];
@@ -488,6 +613,7 @@ interface TranscriptionSettings {
   enableSpeakerDiarization: boolean;
   keywords: string; // 新增：Whisper Prompt 關鍵字
   sourceLanguage: string; // 新增：音檔語言 'auto' | 'zh' | 'en' | 'ja' | 'ko' | ...
+  transcriptSource: 'publisher' | 'whisper' | 'both'; // 新增：逐字稿來源偏好
 }
 
 // 新增：行銷內容接口
@@ -510,6 +636,221 @@ interface GeneratedContent {
   socialPosts?: GeneratedSocialPosts;
 }
 
+// 新增：RSS 訂閱接口（由伺服器定期輪詢）
+type SubscriptionTaskStatus = 'pending' | 'running' | 'done' | 'error' | 'skipped';
+
+interface SubscriptionRules {
+  download: boolean;
+  transcribe: boolean;
+  generateContent: boolean;
+  transcriptSource: 'publisher' | 'whisper';
+}
+
+interface SubscriptionItem {
+  guid: string;
+  title: string;
+  pubDate: string;
+  audioUrl: string;
+  detectedAt: string;
+  status: 'detected' | 'queued' | 'processing' | 'completed' | 'error';
+  tasks: {
+    download: SubscriptionTaskStatus;
+    transcribe: SubscriptionTaskStatus;
+    generateContent: SubscriptionTaskStatus;
+  };
+  outputs: {
+    audio?: string;
+    transcript?: string;
+    content?: string;
+  };
+  error: string | null;
+}
+
+interface Subscription {
+  id: string;
+  feedUrl: string;
+  title: string;
+  enabled: boolean;
+  rules: SubscriptionRules;
+  pollIntervalMinutes: number | null;
+  recentItems: SubscriptionItem[];
+  knownEpisodes: number;
+  createdAt: string;
+  lastPolledAt: string | null;
+  lastError: string | null;
+}
+
+// 取得伺服器上的訂閱列表
+const fetchSubscriptionList = async (): Promise<Subscription[]> => {
+  const response = await fetch('/api/subscriptions');
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return data.subscriptions || [];
+};
+
+// 新增：伺服器端下載佇列項目
+interface DownloadItem {
+  id: string;
+  episodeId: string | null;
+  title: string;
+  audioUrl: string;
+  status: 'queued' | 'downloading' | 'processing' | 'paused' | 'completed' | 'error' | 'cancelled';
+  bytesDownloaded: number;
+  totalBytes: number | null;
+  speed: number;
+  contentType: string | null;
+  fileName: string | null;
+  error: string | null;
+  processError?: string | null;
+  createdAt: string;
+  completedAt: string | null;
+}
+
+const DOWNLOAD_STATUS_LABELS: Record<DownloadItem['status'], string> = {
+  queued: '排隊中',
+  downloading: '下載中',
+  processing: '寫入標籤中',
+  paused: '已暫停',
+  completed: '已完成',
+  error: '失敗',
+  cancelled: '已取消'
+};
+
+// 下載時寫入音檔標籤用的集數資訊（章節取自生成的 timeline）
+const getTagMetadata = (episode: Episode) => ({
+  pubDate: episode.pubDate,
+  season: episode.season,
+  episodeNumber: episode.episodeNumber,
+  description: episode.description,
+  image: episode.image,
+  timeline: episode.generatedContent?.timeline
+});
+
+// 取得伺服器上的下載佇列
+const fetchDownloadList = async (): Promise<DownloadItem[]> => {
+  const response = await fetch('/api/downloads');
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return data.items || [];
+};
+
+// 新增：音檔連結檢查結果（/api/check-links）
+interface LinkCheckResult {
+  url: string;
+  ok: boolean;
+  status: number | null;
+  finalUrl: string;
+  contentType: string | null;
+  contentLength: number | null;
+  acceptRanges: boolean;
+  signature: string | null;
+  method: 'HEAD' | 'GET' | null;
+  error: string | null;
+}
+
+// 由伺服器以 HEAD／Range 請求檢查音檔連結，不下載整個檔案
+const checkAudioLinks = async (urls: string[]): Promise<LinkCheckResult[]> => {
+  const response = await fetch('/api/check-links', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ urls })
+  });
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return data.results || [];
+};
+
+// 連結檢查結果的說明文字（格式與大小，或失敗原因）
+const describeLinkCheck = (result: LinkCheckResult): string => {
+  if (!result.ok) return result.error || '音頻鏈接無效';
+  const format = result.signature ? result.signature.toUpperCase() : result.contentType;
+  return [format, result.contentLength ? formatFileSize(result.contentLength) : null].filter(Boolean).join(' · ');
+};
+
+// 新增：背景轉錄工作（/api/jobs），結果存在伺服器上，連線中斷或重新整理頁面都不會遺失
+interface TranscriptionJob {
+  id: string;
+  type: string;
+  status: 'queued' | 'running' | 'completed' | 'error' | 'cancelled';
+  episodeId: string;
+  title: string;
+  error: string | null;
+  createdAt: string;
+  completedAt: string | null;
+}
+
+// 查詢轉錄工作狀態的間隔
+const TRANSCRIPTION_JOB_POLL_MS = 3000;
+
+// 新增：轉錄日誌與進度改由 /api/transcribe-events（Server-Sent Events）即時推送
+interface TranscriptionLog {
+  timestamp: string;
+  level: 'info' | 'warn' | 'error' | 'success';
+  message: string;
+  stage?: string;
+  memory?: string;
+}
+
+interface TranscriptionProgress {
+  stage: string;
+  percent: number;
+  segment: { current: number; total: number } | null;
+  elapsedSeconds: number;
+  etaSeconds: number | null;
+}
+
+const fetchTranscriptionJobs = async (): Promise<TranscriptionJob[]> => {
+  const response = await fetch('/api/jobs');
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return data.jobs || [];
+};
+
+// 輪詢工作直到結束，完成時回傳轉錄結果（與 /api/transcribe-from-url 的回應相同）
+const waitForTranscriptionJob = async (jobId: string): Promise<any> => {
+  while (true) {
+    await new Promise(resolve => setTimeout(resolve, TRANSCRIPTION_JOB_POLL_MS));
+
+    let response: Response;
+    let data: any = {};
+    try {
+      response = await fetch(`/api/jobs/${jobId}`);
+      data = await response.json();
+    } catch (error) {
+      // 伺服器重啟或網路暫時中斷時，工作仍保存在伺服器上，稍後再查詢
+      console.warn('查詢轉錄工作失敗，稍後重試:', error);
+      continue;
+    }
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `查詢轉錄工作失敗: ${response.status} ${response.statusText}`);
+    }
+    const { job } = data;
+    if (job.status === 'completed') return job.result;
+    if (job.status === 'error') throw new Error(job.error || '轉錄失敗');
+    if (job.status === 'cancelled') throw new Error('轉錄工作已取消');
+  }
+};
+
+// Whisper 轉錄結果對應到集數欄位
+const storedTranscriptFields = (transcript: any) => ({
+  transcriptStatus: 'completed' as const,
+  transcriptSource: transcript.source === 'publisher' ? 'publisher' as const : 'whisper' as const,
+  transcriptText: transcript.text,
+  transcriptFormats: transcript.formats,
+  transcriptMetadata: transcript.metadata,
+  transcriptSegments: transcript.segments || [],
+  transcriptUrl: transcript.url
+});
+
 // 新增：聊天消息接口
 interface ChatMessage {
   id: string;
@@ -551,21 +892,38 @@ function App() {
   const [rssUrl, setRssUrl] = useState('https://feeds.soundon.fm/podcasts/066b9fb0-0c9a-417f-a97b-57d04bcc6aca.xml');
   // 改為空陣列，避免用戶誤用示例數據
   const [episodes, setEpisodes] = useState<Episode[]>([]);
+  // 新增：目前載入的節目資訊（節目名稱與封面）
+  const [feedInfo, setFeedInfo] = useState<{ title: string; image?: string } | null>(null);
   const [selected, setSelected] = useState<string[]>([]);
-  const [downloading, setDownloading] = useState(false);
-  const [progress, setProgress] = useState(0);
-  const [downloadSpeed, setDownloadSpeed] = useState(0);
-  const [isPaused, setIsPaused] = useState(false);
+  // 新增：伺服器端下載佇列（下載狀態、進度與速度都由佇列項目推算）
+  const [downloadItems, setDownloadItems] = useState<DownloadItem[]>([]);
+  const savedDownloadIdsRef = useRef<Set<string> | null>(null);
+  // 新增：ZIP 打包時是否附上逐字稿
+  const [zipIncludeTranscripts, setZipIncludeTranscripts] = useState(true);
+  // 新增：下載時把集數資訊、封面與章節寫入 MP3／M4A
+  const [writeTags, setWriteTags] = useState(false);
+  // 新增：檔名範本設定
+  const [filenameTemplates, setFilenameTemplates] = useState<FilenameTemplates>(DEFAULT_FILENAME_TEMPLATES);
+  const [showFilenameTemplates, setShowFilenameTemplates] = useState(false);
+  const [savingFilenameTemplates, setSavingFilenameTemplates] = useState(false);
+  const activeDownloads = downloadItems.filter(item => ['queued', 'downloading', 'processing'].includes(item.status));
+  const unfinishedDownloads = downloadItems.filter(item => ['queued', 'downloading', 'processing', 'paused'].includes(item.status));
+  const downloading = activeDownloads.length > 0;
+  const isPaused = unfinishedDownloads.length > 0 && activeDownloads.length === 0;
+  const downloadSpeed = activeDownloads.reduce((sum, item) => sum + item.speed, 0);
+  const progress = (() => {
+    const sized = unfinishedDownloads.filter(item => item.totalBytes);
+    const totalBytes = sized.reduce((sum, item) => sum + (item.totalBytes || 0), 0);
+    const bytesDownloaded = sized.reduce((sum, item) => sum + item.bytesDownloaded, 0);
+    return totalBytes > 0 ? Math.min(100, Math.round((bytesDownloaded / totalBytes) * 100)) : 0;
+  })();
   const [transcribing, setTranscribing] = useState<Set<string>>(new Set());
   const [transcriptProgress, setTranscriptProgress] = useState<Map<string, number>>(new Map());
+  // 新增：轉錄階段、片段 i/n 與預估剩餘時間
+  const [transcriptProgressDetails, setTranscriptProgressDetails] = useState<Map<string, TranscriptionProgress>>(new Map());
   // 新增：轉錄日誌狀態
-  const [transcriptionLogs, setTranscriptionLogs] = useState<Map<string, Array<{
-    timestamp: string;
-    level: 'info' | 'warn' | 'error' | 'success';
-    message: string;
-    stage?: string;
-    memory?: string;
-  }>>>(new Map());
+  const [transcriptionLogs, setTranscriptionLogs] = useState<Map<string, TranscriptionLog[]>>(new Map());
+  const transcriptionEventSourcesRef = useRef<Map<string, EventSource>>(new Map());
   const [showLogs, setShowLogs] = useState<Map<string, boolean>>(new Map());
   
   // 新增：轉錄設置狀態
@@ -574,7 +932,8 @@ function App() {
     contentType: 'podcast',
     enableSpeakerDiarization: false,
     keywords: '', // 新增：關鍵字欄位
-    sourceLanguage: 'auto' // 新增：語言設置，預設為自動檢測
+    sourceLanguage: 'auto', // 新增：語言設置，預設為自動檢測
+    transcriptSource: 'publisher' // 新增：有發布者逐字稿時優先匯入
   });
   const [showTranscriptionSettings, setShowTranscriptionSettings] = useState(false);
   
@@ -584,6 +943,7 @@ function App() {
   // 新增：音頻測試狀態
   const [testingAudio, setTestingAudio] = useState(false);
   const [audioTestResults, setAudioTestResults] = useState<Map<string, 'testing' | 'valid' | 'invalid'>>(new Map());
+  const [audioCheckDetails, setAudioCheckDetails] = useState<Map<string, LinkCheckResult>>(new Map());
   
   // 新增：用户交互检测
   const [userInteracted, setUserInteracted] = useState(false);
@@ -599,6 +959,11 @@ function App() {
   const [chatInput, setChatInput] = useState('');
   const [selectedEpisodesForChat, setSelectedEpisodesForChat] = useState<string[]>([]);
   const [isSendingMessage, setIsSendingMessage] = useState(false);
+  // 新增：RSS 訂閱狀態
+  const [subscriptions, setSubscriptions] = useState<Subscription[]>([]);
+  const [showSubscriptions, setShowSubscriptions] = useState(false);
+  const [subscriptionBusy, setSubscriptionBusy] = useState<Set<string>>(new Set());
+  const opmlInputRef = useRef<HTMLInputElement | null>(null);
   
   const abortControllerRef = useRef<AbortController | null>(null);
 
@@ -636,6 +1001,81 @@ function App() {
     };
   }, [userInteracted]);
 
+  // 新增：載入訂閱列表
+  useEffect(() => {
+    fetchSubscriptionList()
+      .then(setSubscriptions)
+      .catch(error => console.warn('載入訂閱列表失敗:', error));
+  }, []);
+
+  // 新增：載入下載佇列；佇列有進行中的下載時每秒更新進度
+  useEffect(() => {
+    fetchDownloadList()
+      .then(setDownloadItems)
+      .catch(error => console.warn('載入下載佇列失敗:', error));
+  }, []);
+
+  // 新增：載入檔名範本設定
+  useEffect(() => {
+    fetch('/api/settings/filename-templates')
+      .then(response => response.json())
+      .then(data => {
+        if (data.success) setFilenameTemplates({ ...DEFAULT_FILENAME_TEMPLATES, ...data.templates });
+      })
+      .catch(error => console.warn('載入檔名範本失敗:', error));
+  }, []);
+
+  useEffect(() => {
+    if (!downloading) return;
+
+    const intervalId = setInterval(() => {
+      fetchDownloadList()
+        .then(setDownloadItems)
+        .catch(error => console.warn('更新下載進度失敗:', error));
+    }, 1000);
+    return () => clearInterval(intervalId);
+  }, [downloading]);
+
+  // 新增：這次開啟頁面後才完成的下載，自動存到使用者電腦
+  useEffect(() => {
+    const completedIds = downloadItems.filter(item => item.status === 'completed').map(item => item.id);
+    if (savedDownloadIdsRef.current === null) {
+      if (downloadItems.length > 0) savedDownloadIdsRef.current = new Set(completedIds);
+      return;
+    }
+    const savedIds = savedDownloadIdsRef.current;
+    completedIds
+      .filter(id => !savedIds.has(id))
+      .forEach(id => {
+        savedIds.add(id);
+        saveDownloadedFile(id);
+      });
+  }, [downloadItems]);
+
+  // 新增：有集數在自動處理時，定期更新訂閱狀態
+  useEffect(() => {
+    const hasActiveItems = subscriptions.some(subscription =>
+      subscription.recentItems.some(item => item.status === 'queued' || item.status === 'processing')
+    );
+    if (!showSubscriptions || !hasActiveItems) return;
+
+    const intervalId = setInterval(() => {
+      fetchSubscriptionList()
+        .then(setSubscriptions)
+        .catch(error => console.warn('更新訂閱狀態失敗:', error));
+    }, 10000);
+    return () => clearInterval(intervalId);
+  }, [showSubscriptions, subscriptions]);
+
+  // 新增：離開頁面時關閉所有轉錄事件連線
+  useEffect(() => {
+    const eventSources = transcriptionEventSourcesRef.current;
+    return () => {
+      eventSources.forEach(source => source.close());
+      eventSources.clear();
+    };
+  }, []);
+
   // 新增：更新轉錄設置
   const updateTranscriptionSettings = (key: keyof TranscriptionSettings, value: any) => {
     setTranscriptionSettings(prev => ({
@@ -664,163 +1104,57 @@ function App() {
     }
   };
 
-  // 新增：測試單個音頻鏈接 - 使用後端代理
+  // 新增：測試單個音頻鏈接（伺服器只讀取檔案開頭，不下載整個音檔）
   const testAudioUrl = async (episode: Episode): Promise<'valid' | 'invalid'> => {
     if (!episode.audioUrl) return 'invalid';
-    
-    console.log(`🔍 [音頻測試] 開始測試: ${episode.title}`);
-    console.log(`🔍 [音頻測試] 音頻URL: ${episode.audioUrl}`);
-    
-    try {
-      // 優先使用後端代理進行測試（與播放器相同的方法）
-      console.log(`🔍 [音頻測試] 使用後端代理測試...`);
-      
-      const response = await fetch('/api/download', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          audioUrl: episode.audioUrl,
-          title: `test_${episode.title}`
-        }),
-        signal: AbortSignal.timeout(15000), // 15秒超時
-      });
 
-      if (response.ok) {
-        const contentLength = response.headers.get('content-length');
-        const contentType = response.headers.get('content-type') || '';
-        
-        // 檢查是否為音頻文件
-        const isAudioType = contentType.includes('audio') || 
-                           contentType.includes('mp3') || 
-                           contentType.includes('mp4') ||
-                           contentType.includes('mpeg') ||
-                           contentType.includes('m4a') ||
-                           contentType.includes('wav') ||
-                           contentType.includes('ogg');
-        
-        if (isAudioType) {
-          const sizeMB = contentLength ? (parseInt(contentLength) / 1024 / 1024).toFixed(2) : '未知';
-          console.log(`✅ [音頻測試] 後端代理測試成功: ${episode.title} - ${sizeMB}MB - ${contentType}`);
-          return 'valid';
-        } else {
-          console.warn(`⚠️ [音頻測試] 響應成功但不是音頻: ${episode.title} - ${contentType}`);
-        }
-      } else {
-        console.warn(`⚠️ [音頻測試] 後端代理測試失敗: ${response.status} ${response.statusText}`);
-      }
+    try {
+      const [result] = await checkAudioLinks([episode.audioUrl]);
+      setAudioCheckDetails(prev => new Map(prev).set(episode.id, result));
+      console.log(`${result.ok ? '✅' : '❌'} [音頻測試] ${episode.title}: ${describeLinkCheck(result)}`);
+      return result.ok ? 'valid' : 'invalid';
     } catch (error) {
-      console.log(`❌ [音頻測試] 後端代理測試失敗: ${episode.title} - ${error}`);
-    }
-    
-    // 如果後端代理失敗，回退到前端代理測試（僅作為備用）
-    console.log(`🌐 [音頻測試] 回退到前端代理測試...`);
-    
-    const corsProxies = [
-      'https://corsproxy.io/?',
-      // 移除失效的代理：cors.bridged.cc, proxy.cors.sh, cors-anywhere.herokuapp.com
-    ];
-    
-    for (const proxy of corsProxies) {
-      try {
-        const testUrl = proxy + encodeURIComponent(episode.audioUrl);
-        
-        // 首先嘗試HEAD請求測試，避免下載整個文件
-        let response: Response;
-        try {
-          response = await fetch(testUrl, {
-            method: 'HEAD',
-            signal: AbortSignal.timeout(8000), // 8秒超時
-          });
-        } catch (headError) {
-          // 如果HEAD請求失敗，嘗試GET請求但只讀取少量數據
-          console.log(`🔍 [音頻測試] HEAD請求失敗，嘗試部分GET: ${episode.title}`);
-          response = await fetch(testUrl, {
-            method: 'GET',
-            headers: {
-              'Range': 'bytes=0-1023' // 只請求前1KB數據
-            },
-            signal: AbortSignal.timeout(8000),
-          });
-        }
-        
-        if (response.ok || response.status === 206) { // 206是部分內容成功
-          const contentType = response.headers.get('content-type') || '';
-          const contentLength = response.headers.get('content-length');
-          
-          // 檢查是否為音頻文件
-          const isAudioType = contentType.includes('audio') || 
-                             contentType.includes('mp3') || 
-                             contentType.includes('mp4') ||
-                             contentType.includes('mpeg') ||
-                             contentType.includes('m4a') ||
-                             contentType.includes('wav') ||
-                             contentType.includes('ogg');
-          
-          // 檢查文件大小（音頻文件通常比較大）
-          const hasReasonableSize = !contentLength || parseInt(contentLength) > 10000; // 至少10KB
-          
-          if (isAudioType && hasReasonableSize) {
-            console.log(`✅ [音頻測試] 前端代理測試成功: ${episode.title} (使用${proxy}) - ${contentType}`);
-            return 'valid';
-          } else {
-            console.log(`⚠️ [音頻測試] 響應成功但不是音頻: ${episode.title} - ${contentType}, ${contentLength} bytes`);
-          }
-        }
-      } catch (error) {
-        console.log(`❌ [音頻測試] 前端代理測試失敗: ${episode.title} (${proxy}) - ${error}`);
-        continue;
-      }
+      console.log(`❌ [音頻測試] 檢查失敗: ${episode.title} - ${error}`);
+      return 'invalid';
     }
-    
-    console.log(`❌ [音頻測試] 所有方法都失敗: ${episode.title}`);
-    return 'invalid';
   };
 
-  // 新增：批量測試音頻鏈接
+  // 新增：批量測試音頻鏈接（每次送一批給伺服器，由伺服器控制並行數）
   const handleTestAllAudio = async () => {
     setTestingAudio(true);
-    setAudioTestResults(new Map());
-    
+    setAudioCheckDetails(new Map());
+
     console.log(`開始測試 ${episodes.length} 個音頻鏈接...`);
-    
-    const results = new Map<string, 'testing' | 'valid' | 'invalid'>();
-    
-    // 並行測試所有音頻（限制並發數量）
-    const batchSize = 3; // 每次測試3個，避免請求過多
-    
+
+    const results = new Map<string, 'testing' | 'valid' | 'invalid'>(episodes.map(episode => [episode.id, 'testing']));
+    const details = new Map<string, LinkCheckResult>();
+    setAudioTestResults(new Map(results));
+
+    const batchSize = 50;
     for (let i = 0; i < episodes.length; i += batchSize) {
       const batch = episodes.slice(i, i + batchSize);
-      
-      // 設置為測試中狀態
+      const checkable = batch.filter(episode => episode.audioUrl);
+
+      try {
+        const batchResults = checkable.length > 0 ? await checkAudioLinks(checkable.map(episode => episode.audioUrl)) : [];
+        checkable.forEach((episode, index) => details.set(episode.id, batchResults[index]));
+      } catch (error) {
+        console.error('音頻鏈接測試失敗:', error);
+      }
+
       batch.forEach(episode => {
-        results.set(episode.id, 'testing');
+        results.set(episode.id, details.get(episode.id)?.ok ? 'valid' : 'invalid');
       });
       setAudioTestResults(new Map(results));
-      
-      // 並行測試這一批
-      const batchPromises = batch.map(async (episode) => {
-        const result = await testAudioUrl(episode);
-        results.set(episode.id, result);
-        setAudioTestResults(new Map(results)); // 實時更新結果
-        return { episode, result };
-      });
-      
-      await Promise.all(batchPromises);
-      
-      // 在批次間稍作延遲
-      if (i + batchSize < episodes.length) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
+      setAudioCheckDetails(new Map(details));
     }
-    
+
     setTestingAudio(false);
-    
+
     // 統計結果
     const validCount = Array.from(results.values()).filter(r => r === 'valid').length;
     const invalidCount = Array.from(results.values()).filter(r => r === 'invalid').length;
-    
+
     console.log(`音頻測試完成: ${validCount}個有效, ${invalidCount}個無效`);
     alert(`音頻鏈接測試完成！\n\n✅ 有效: ${validCount}個\n❌ 無效: ${invalidCount}個\n\n建議只選擇有效的音頻進行下載或轉錄。`);
   };
@@ -842,106 +1176,286 @@ function App() {
     alert(message);
   };
 
-  // 增強版轉錄功能
-  const handleTranscribe = async (episode: Episode) => {
-    if (!episode.audioUrl) {
-      alert('此集數沒有音檔連結');
-      return;
+  // 新增：匯入發布者提供的逐字稿（由後端下載並轉成與 Whisper 相同的結構）
+  const importPublisherTranscript = async (episode: Episode, transcript: PodcastTranscript) => {
+    console.log(`匯入發布者逐字稿: ${transcript.url} (${transcript.type})`);
+    const response = await fetch('/api/import-transcript', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        transcriptUrl: transcript.url,
+        transcriptType: transcript.type,
+        title: episode.title,
+        episodeId: episode.id,
+        outputFormats: transcriptionSettings.outputFormats,
+        contentType: transcriptionSettings.contentType
+      }),
+    });
+
+    let data: any = {};
+    try {
+      data = await response.json();
+    } catch (parseError) {
+      data = {};
     }
 
-    // 新增：如果 keywords 為空，自動預填標題
-    if (!transcriptionSettings.keywords || transcriptionSettings.keywords.trim() === '') {
-      setTranscriptionSettings(prev => ({
-        ...prev,
-        keywords: episode.title
-      }));
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `匯入逐字稿失敗: ${response.status} ${response.statusText}`);
     }
 
-    console.log(`開始增強轉錄: ${episode.title}`);
-    console.log(`音檔 URL: ${episode.audioUrl}`);
-    console.log('轉錄設置:', transcriptionSettings);
+    return data;
+  };
 
-    setTranscribing(prev => {
-      const newSet = new Set(prev);
-      newSet.add(episode.id);
-      return newSet;
+  // 新增：建立背景轉錄工作，立即取得工作 ID（同一集已在轉錄中時回傳既有工作）
+  const startTranscriptionJob = async (episode: Episode): Promise<string> => {
+    const response = await fetch('/api/jobs', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        type: 'transcribe',
+        audioUrl: episode.audioUrl,
+        title: episode.title,
+        episodeId: episode.id,
+        outputFormats: transcriptionSettings.outputFormats,
+        contentType: transcriptionSettings.contentType,
+        enableSpeakerDiarization: transcriptionSettings.enableSpeakerDiarization,
+        keywords: transcriptionSettings.keywords || '',
+        sourceLanguage: transcriptionSettings.sourceLanguage || 'auto'
+      }),
     });
-    setTranscriptProgress(prev => {
+
+    let data: any = {};
+    try {
+      data = await response.json();
+    } catch (parseError) {
+      data = {};
+    }
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `建立轉錄工作失敗: ${response.status} ${response.statusText}`);
+    }
+
+    return data.jobId;
+  };
+
+  // 新增：訂閱轉錄事件；伺服器先重播已發生的日誌與最新進度，之後即時推送，轉錄結束時送出 done
+  const subscribeTranscriptionEvents = (episodeId: string) => {
+    closeTranscriptionEvents(episodeId);
+    setTranscriptionLogs(prev => {
       const newMap = new Map(prev);
-      newMap.set(episode.id, 0);
+      newMap.set(episodeId, []);
       return newMap;
     });
-    
-    // 更新集數狀態
-    setEpisodes(prev => prev.map(ep => 
-      ep.id === episode.id 
-        ? { ...ep, transcriptStatus: 'processing' }
-        : ep
-    ));
 
-    try {
-      // 使用新的直接 URL 轉錄 API（支援大檔案，不經過前端上傳）
-      console.log('使用直接 URL 轉錄 API（支援大檔案）...');
+    const source = new EventSource(`/api/transcribe-events/${encodeURIComponent(episodeId)}`);
+    source.addEventListener('log', event => {
+      const log: TranscriptionLog = JSON.parse((event as MessageEvent).data);
+      setTranscriptionLogs(prev => {
+        const newMap = new Map(prev);
+        newMap.set(episodeId, [...(prev.get(episodeId) || []), log]);
+        return newMap;
+      });
+    });
+    source.addEventListener('progress', event => {
+      const progress: TranscriptionProgress = JSON.parse((event as MessageEvent).data);
       setTranscriptProgress(prev => {
         const newMap = new Map(prev);
-        newMap.set(episode.id, 10);
+        newMap.set(episodeId, progress.percent);
         return newMap;
       });
-      
-      // 開始輪詢日誌
-      const logPollingInterval = setInterval(async () => {
-        try {
-          const response = await fetch(`/api/transcribe-logs/${episode.id}`);
-          const data = await response.json();
-          if (data.success && data.logs) {
-            setTranscriptionLogs(prev => {
-              const newMap = new Map(prev);
-              newMap.set(episode.id, data.logs);
-              return newMap;
-            });
-          }
-        } catch (error) {
-          console.warn('獲取日誌失敗:', error);
-        }
-      }, 1000); // 每秒輪詢一次
-      
-      (window as any)[`logPolling_${episode.id}`] = logPollingInterval;
-      
-      const startTranscribe = Date.now();
-      
-      // 調用新的直接 URL 轉錄 API
-      const response = await fetch('/api/transcribe-from-url', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          audioUrl: episode.audioUrl,
-          title: episode.title,
-          episodeId: episode.id,
-          outputFormats: transcriptionSettings.outputFormats,
-          contentType: transcriptionSettings.contentType,
-          enableSpeakerDiarization: transcriptionSettings.enableSpeakerDiarization,
-          keywords: transcriptionSettings.keywords || '',
-          sourceLanguage: transcriptionSettings.sourceLanguage || 'auto'
-        }),
+      setTranscriptProgressDetails(prev => {
+        const newMap = new Map(prev);
+        newMap.set(episodeId, progress);
+        return newMap;
       });
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('直接 URL 轉錄 API 錯誤:', errorText);
-        
-        let errorData: any = {};
+    });
+    // 結束後關閉連線，否則 EventSource 會自動重新連線
+    source.addEventListener('done', () => closeTranscriptionEvents(episodeId));
+    transcriptionEventSourcesRef.current.set(episodeId, source);
+  };
+
+  const closeTranscriptionEvents = (episodeId: string) => {
+    const source = transcriptionEventSourcesRef.current.get(episodeId);
+    if (source) {
+      source.close();
+      transcriptionEventSourcesRef.current.delete(episodeId);
+    }
+  };
+
+  // 新增：重新載入 feed 時從伺服器的逐字稿庫取回已完成的轉錄
+  const restoreStoredTranscripts = async (loadedEpisodes: Episode[]) => {
+    let storedIds: Set<string>;
+    try {
+      const response = await fetch('/api/transcribe');
+      const data = await response.json();
+      storedIds = new Set((data.success ? data.transcripts : []).map((entry: { episodeId: string }) => entry.episodeId));
+    } catch (error) {
+      console.warn('載入逐字稿庫失敗:', error);
+      return;
+    }
+
+    const targets = loadedEpisodes.filter(episode =>
+      storedIds.has(episode.id) && episodes.find(ep => ep.id === episode.id)?.transcriptStatus !== 'completed'
+    );
+    for (const episode of targets) {
+      try {
+        const response = await fetch(`/api/transcribe/${encodeURIComponent(episode.id)}`);
+        const transcript = await response.json();
+        if (!response.ok || !transcript.success) continue;
+        setEpisodes(prev => prev.map(ep =>
+          ep.id === episode.id && ep.transcriptStatus !== 'completed'
+            ? { ...ep, ...storedTranscriptFields(transcript) }
+            : ep
+        ));
+      } catch (error) {
+        console.warn(`取回逐字稿失敗: ${episode.title}`, error);
+      }
+    }
+    if (targets.length > 0) {
+      console.log(`已從逐字稿庫取回 ${targets.length} 集的逐字稿`);
+    }
+  };
+
+  // 新增：重新載入 feed 時接回伺服器上排隊或轉錄中的工作（已完成的結果由逐字稿庫取回）
+  const resumeTranscriptionJobs = async (loadedEpisodes: Episode[]) => {
+    let jobs: TranscriptionJob[];
+    try {
+      jobs = await fetchTranscriptionJobs();
+    } catch (error) {
+      console.warn('載入轉錄工作失敗:', error);
+      return;
+    }
+
+    loadedEpisodes.forEach(episode => {
+      // 工作清單由新到舊排序，取這一集最新的工作
+      const job = jobs.find(entry => entry.type === 'transcribe' && entry.episodeId === episode.id);
+      const current = episodes.find(ep => ep.id === episode.id);
+      if (!job || !['queued', 'running'].includes(job.status)) return;
+      if (transcribing.has(episode.id) || current?.transcriptStatus === 'completed') return;
+      resumeTranscriptionJob(episode, job);
+    });
+  };
+
+  const resumeTranscriptionJob = async (episode: Episode, job: TranscriptionJob) => {
+    console.log(`接回轉錄工作: ${episode.title} (${job.id}, ${job.status})`);
+    setTranscribing(prev => new Set(prev).add(episode.id));
+    setEpisodes(prev => prev.map(ep =>
+      ep.id === episode.id ? { ...ep, transcriptStatus: 'processing' } : ep
+    ));
+    subscribeTranscriptionEvents(episode.id);
+
+    try {
+      const transcript = await waitForTranscriptionJob(job.id);
+      setEpisodes(prev => prev.map(ep =>
+        ep.id === episode.id ? { ...ep, ...storedTranscriptFields(transcript) } : ep
+      ));
+    } catch (error) {
+      console.error(`轉錄工作失敗: ${episode.title}`, error);
+      setEpisodes(prev => prev.map(ep =>
+        ep.id === episode.id ? { ...ep, transcriptStatus: 'error' } : ep
+      ));
+    } finally {
+      closeTranscriptionEvents(episode.id);
+      setTranscribing(prev => {
+        const newSet = new Set(prev);
+        newSet.delete(episode.id);
+        return newSet;
+      });
+    }
+  };
+
+  // 增強版轉錄功能
+  const handleTranscribe = async (episode: Episode) => {
+    const publisherTranscript = transcriptionSettings.transcriptSource !== 'whisper'
+      ? pickPublisherTranscript(episode.transcripts)
+      : undefined;
+
+    if (!episode.audioUrl && !publisherTranscript) {
+      alert('此集數沒有音檔連結');
+      return;
+    }
+
+    // 新增：如果 keywords 為空，自動預填標題
+    if (!transcriptionSettings.keywords || transcriptionSettings.keywords.trim() === '') {
+      setTranscriptionSettings(prev => ({
+        ...prev,
+        keywords: episode.title
+      }));
+    }
+
+    console.log(`開始增強轉錄: ${episode.title}`);
+    console.log(`音檔 URL: ${episode.audioUrl}`);
+    console.log('轉錄設置:', transcriptionSettings);
+
+    setTranscribing(prev => {
+      const newSet = new Set(prev);
+      newSet.add(episode.id);
+      return newSet;
+    });
+    setTranscriptProgress(prev => {
+      const newMap = new Map(prev);
+      newMap.set(episode.id, 0);
+      return newMap;
+    });
+    
+    // 更新集數狀態
+    setEpisodes(prev => prev.map(ep => 
+      ep.id === episode.id 
+        ? { ...ep, transcriptStatus: 'processing' }
+        : ep
+    ));
+
+    try {
+      // 有發布者逐字稿時先嘗試匯入，可省下 Whisper API 費用
+      let importedTranscript: any = null;
+      if (publisherTranscript) {
         try {
-          errorData = JSON.parse(errorText);
-        } catch (parseError) {
-          errorData = { error: errorText };
+          importedTranscript = await importPublisherTranscript(episode, publisherTranscript);
+        } catch (importError) {
+          if (!episode.audioUrl) throw importError;
+          console.warn('匯入發布者逐字稿失敗，改用 Whisper 轉錄:', importError);
         }
-        
-        throw new Error(errorData.error || `轉錄失敗: ${response.status} ${response.statusText}`);
       }
+
+      if (importedTranscript && (transcriptionSettings.transcriptSource === 'publisher' || !episode.audioUrl)) {
+        setTranscriptProgress(prev => {
+          const newMap = new Map(prev);
+          newMap.set(episode.id, 100);
+          return newMap;
+        });
+        setEpisodes(prev => prev.map(ep =>
+          ep.id === episode.id
+            ? {
+                ...ep,
+                transcriptStatus: 'completed',
+                transcriptSource: 'publisher',
+                transcriptText: importedTranscript.text,
+                transcriptFormats: importedTranscript.formats,
+                transcriptMetadata: importedTranscript.metadata,
+                transcriptSegments: importedTranscript.segments || [],
+                transcriptUrl: importedTranscript.url,
+                publisherTranscript: undefined
+              }
+            : ep
+        ));
+
+        alert(`"${episode.title}" 已匯入發布者提供的逐字稿（${String(importedTranscript.transcriptType).toUpperCase()}），未使用 Whisper 轉錄。\n\n📄 生成了 ${importedTranscript.metadata?.outputFormats?.length || 1} 種格式的轉錄檔`);
+        return;
+      }
+
+      // 使用新的直接 URL 轉錄 API（支援大檔案，不經過前端上傳）
+      console.log('使用直接 URL 轉錄 API（支援大檔案）...');
+      const startTranscribe = Date.now();
       
-      const transcript = await response.json();
+      // 建立背景轉錄工作後輪詢結果，不再讓單一 HTTP 請求維持到轉錄結束；日誌與進度由事件串流即時更新
+      const jobId = await startTranscriptionJob(episode);
+      console.log(`轉錄工作已建立: ${jobId}`);
+      subscribeTranscriptionEvents(episode.id);
+      const transcript = await waitForTranscriptionJob(jobId);
       const transcribeTime = Date.now() - startTranscribe;
       console.log(`增強轉錄完成，耗時: ${transcribeTime}ms`);
       
@@ -955,40 +1469,23 @@ function App() {
         ep.id === episode.id 
           ? { 
               ...ep, 
-              transcriptStatus: 'completed',
-              transcriptText: transcript.text,
-              transcriptFormats: transcript.formats,
-              transcriptMetadata: transcript.metadata,
-              transcriptSegments: transcript.segments || [], // 新增：儲存 segments
-              transcriptUrl: transcript.url 
+              ...storedTranscriptFields(transcript),
+              // 新增：比對模式下同時保留發布者逐字稿
+              publisherTranscript: importedTranscript
+                ? {
+                    type: importedTranscript.transcriptType,
+                    url: importedTranscript.url,
+                    text: importedTranscript.text,
+                    formats: importedTranscript.formats,
+                    segments: importedTranscript.segments || []
+                  }
+                : undefined
             }
           : ep
       ));
 
       console.log(`"${episode.title}" 增強轉錄完成！`);
       
-      // 停止輪詢日誌
-      const successIntervalId = (window as any)[`logPolling_${episode.id}`];
-      if (successIntervalId) {
-        clearInterval(successIntervalId);
-        delete (window as any)[`logPolling_${episode.id}`];
-      }
-      
-      // 最後一次獲取日誌
-      try {
-        const logResponse = await fetch(`/api/transcribe-logs/${episode.id}`);
-        const logData = await logResponse.json();
-        if (logData.success && logData.logs) {
-          setTranscriptionLogs(prev => {
-            const newMap = new Map(prev);
-            newMap.set(episode.id, logData.logs);
-            return newMap;
-          });
-        }
-      } catch (logError) {
-        console.error('獲取最終日誌失敗:', logError);
-      }
-      
       // 顯示完成訊息
       let successMessage = `"${episode.title}" 轉錄完成！`;
       
@@ -1006,6 +1503,10 @@ function App() {
       
       const formatCount = transcript.metadata?.outputFormats?.length || 1;
       successMessage += `\n\n📄 生成了 ${formatCount} 種格式的轉錄檔`;
+
+      if (importedTranscript) {
+        successMessage += `\n\n📰 比對：發布者逐字稿 ${importedTranscript.text?.length || 0} 字元 / Whisper ${transcript.text?.length || 0} 字元`;
+      }
       
       alert(successMessage);
     } catch (error) {
@@ -1037,32 +1538,18 @@ function App() {
         return newSet;
       });
       
-      // 停止輪詢日誌
-      const intervalId = (window as any)[`logPolling_${episode.id}`];
-      if (intervalId) {
-        clearInterval(intervalId);
-        delete (window as any)[`logPolling_${episode.id}`];
-      }
-      
-      // 最後一次獲取日誌
-      try {
-        const response = await fetch(`/api/transcribe-logs/${episode.id}`);
-        const data = await response.json();
-        if (data.success && data.logs) {
-          setTranscriptionLogs(prev => {
-            const newMap = new Map(prev);
-            newMap.set(episode.id, data.logs);
-            return newMap;
-          });
-        }
-      } catch (error) {
-        console.error('獲取最終日誌失敗:', error);
-      }
+      // 停止接收轉錄事件（已收到的日誌保留在畫面上）
+      closeTranscriptionEvents(episode.id);
       setTranscriptProgress(prev => {
         const newMap = new Map(prev);
         newMap.delete(episode.id);
         return newMap;
       });
+      setTranscriptProgressDetails(prev => {
+        const newMap = new Map(prev);
+        newMap.delete(episode.id);
+        return newMap;
+      });
     }
   };
 
@@ -1095,6 +1582,16 @@ function App() {
           durationSeconds: episode.transcriptSegments && episode.transcriptSegments.length > 0
             ? episode.transcriptSegments[episode.transcriptSegments.length - 1].end
             : undefined,
+          // 新增：feed 的 show notes 與季／集數，讓標題與簡介更貼近原節目
+          episodeMetadata: {
+            podcastTitle: feedInfo?.title,
+            pubDate: episode.pubDate,
+            description: episode.description,
+            season: episode.season,
+            episodeNumber: episode.episodeNumber,
+            episodeType: episode.episodeType,
+            explicit: episode.explicit,
+          },
           language: 'zh',
         }),
       });
@@ -1456,11 +1953,13 @@ function App() {
       ? audioBlob 
       : new Blob([audioBlob], { type: 'audio/mpeg' }); // 如果沒有 type 或是不明確的類型，設置為 audio/mpeg
     
-    console.log(`清理後的檔案名稱: ${sanitizedTitle}.mp3`);
+    // 副檔名依實際音檔類型決定（後端與 Whisper 依副檔名判斷格式）
+    const extension = getAudioExtension(typedBlob.type, episode.audioUrl, true);
+    console.log(`清理後的檔案名稱: ${sanitizedTitle}${extension}`);
     console.log(`使用的 Blob type: ${typedBlob.type}`);
     
     const formData = new FormData();
-    formData.append('audio', typedBlob, `${sanitizedTitle}.mp3`);
+    formData.append('audio', typedBlob, `${sanitizedTitle}${extension}`);
     formData.append('title', episode.title);
     formData.append('episodeId', episode.id);
     formData.append('outputFormats', transcriptionSettings.outputFormats.join(','));
@@ -1567,13 +2066,16 @@ function App() {
   };
 
   // 新增：下載特定格式的逐字稿
-  const handleDownloadTranscript = (episode: Episode, format: string = 'txt') => {
+  const handleDownloadTranscript = (episode: Episode, format: string = 'txt', source: 'current' | 'publisher' = 'current') => {
     let content = '';
     let extension = 'txt';
     let mimeType = 'text/plain;charset=utf-8';
+    const transcriptFormats = source === 'publisher' ? episode.publisherTranscript?.formats : episode.transcriptFormats;
+    const transcriptText = source === 'publisher' ? episode.publisherTranscript?.text : episode.transcriptText;
+    const fileSuffix = source === 'publisher' ? '發布者逐字稿' : '逐字稿';
 
-    if (episode.transcriptFormats && episode.transcriptFormats[format as keyof typeof episode.transcriptFormats]) {
-      content = episode.transcriptFormats[format as keyof typeof episode.transcriptFormats] || '';
+    if (transcriptFormats && transcriptFormats[format as keyof typeof transcriptFormats]) {
+      content = transcriptFormats[format as keyof typeof transcriptFormats] || '';
       extension = format;
       
       switch (format) {
@@ -1589,9 +2091,9 @@ function App() {
         default:
           mimeType = 'text/plain;charset=utf-8';
       }
-    } else if (episode.transcriptText) {
+    } else if (transcriptText) {
       // 回退到基本文字格式
-      content = episode.transcriptText;
+      content = transcriptText;
     } else {
       alert('此集數沒有逐字稿');
       return;
@@ -1601,7 +2103,7 @@ function App() {
     const url = window.URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `${episode.title}_逐字稿.${extension}`;
+    a.download = renderFilename(filenameTemplates.transcript, episode, feedInfo?.title || '', { source: fileSuffix, ext: extension });
     a.style.display = 'none';
     document.body.appendChild(a);
     a.click();
@@ -1660,232 +2162,56 @@ function App() {
 
   const parseRssFeed = async (url: string) => {
     try {
-      // 更新的CORS代理列表 - 移除不工作的代理
-      const corsProxies = [
-        'https://corsproxy.io/?',
-        // 移除失效的代理：cors.bridged.cc, proxy.cors.sh, cors-anywhere.herokuapp.com
-      ];
-
-      let response: Response | null = null;
-      let lastError: Error | null = null;
+      // 由後端抓取並解析 RSS feed，避免依賴第三方 CORS 代理
+      console.log(`透過後端載入 RSS feed: ${url}`);
+      const response = await fetch(`/api/feed?url=${encodeURIComponent(url)}`);
 
-      for (const proxy of corsProxies) {
-        try {
-          const requestUrl = proxy ? proxy + encodeURIComponent(url) : url;
-          console.log(`嘗試載入 RSS feed: ${proxy ? `使用代理 ${proxy}` : '直接請求'}`);
-          
-          response = await fetch(requestUrl, {
-            method: 'GET',
-            headers: {
-              'Accept': 'application/rss+xml, application/xml, text/xml, */*',
-              'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-            }
-          });
-          
-          if (response.ok) {
-            console.log(`RSS feed 載入成功: ${proxy ? `使用代理 ${proxy}` : '直接請求'}`);
-            break;
-          } else {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-          }
-        } catch (error) {
-          console.log(`RSS feed 載入失敗 (${proxy || '直接請求'}):`, error);
-          lastError = error as Error;
-          response = null;
-          continue;
-        }
+      let data: any = {};
+      try {
+        data = await response.json();
+      } catch (parseError) {
+        data = {};
       }
 
-      if (!response) {
-        throw lastError || new Error('所有載入方法都失敗');
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
       }
 
-      const text = await response.text();
-      console.log('RSS feed 原始內容 (前 1000 字元):', text.substring(0, 1000));
-      
-      // 清理和修復 XML 內容
-      let cleanedText = text;
-      
-      // 移除 BOM 和其他不可見字符
-      cleanedText = cleanedText.replace(/^\uFEFF/, '');
-      
-      // 修復常見的 XML 問題
-      cleanedText = cleanedText.replace(/&(?!amp;|lt;|gt;|quot;|apos;)/g, '&amp;');
-      
-      // 如果 XML 看起來不完整，嘗試修復
-      if (!cleanedText.includes('<?xml') && !cleanedText.includes('<rss')) {
-        console.log('檢測到不完整的 XML，嘗試修復...');
-        // 如果內容看起來像是從中間開始的，嘗試添加 XML 頭部
-        cleanedText = '<?xml version="1.0" encoding="UTF-8"?><rss version="2.0"><channel>' + cleanedText + '</channel></rss>';
-      }
-      
-      console.log('清理後的 XML 內容 (前 1000 字元):', cleanedText.substring(0, 1000));
-      
-      const parser = new DOMParser();
-      const xmlDoc = parser.parseFromString(cleanedText, 'text/xml');
-      
-      const parseError = xmlDoc.querySelector('parsererror');
-      if (parseError) {
-        console.error('XML 解析錯誤:', parseError.textContent);
-        console.log('嘗試使用 HTML 解析器...');
-        
-        // 如果 XML 解析失敗，嘗試使用 HTML 解析器
-        const htmlDoc = parser.parseFromString(cleanedText, 'text/html');
-        const items = htmlDoc.querySelectorAll('item');
-        
-        if (items.length === 0) {
-          throw new Error('RSS feed 格式錯誤，無法解析');
-        }
-        
-        console.log(`使用 HTML 解析器找到 ${items.length} 個 item 元素`);
-        return parseItemsFromDocument(htmlDoc, items);
-      }
+      const parsedEpisodes: Episode[] = (data.episodes || []).map((episode: Episode) => ({
+        ...episode,
+        transcriptStatus: 'none' as const,
+      }));
 
-      const items = xmlDoc.querySelectorAll('item');
-      console.log(`找到 ${items.length} 個 item 元素`);
-      
-      if (items.length === 0) {
-        throw new Error('RSS feed 中沒有找到任何集數');
+      // 集數 ID 來自 guid（或音檔 URL 與標題的雜湊），重新載入時保留同一集已有的轉錄與生成結果
+      setEpisodes(prev => parsedEpisodes.map(episode => {
+        const existing = prev.find(ep => ep.id === episode.id);
+        return existing
+          ? { ...existing, ...episode, transcriptStatus: existing.transcriptStatus || 'none' }
+          : episode;
+      }));
+      setFeedInfo(data.feed ? { title: data.feed.title, image: data.feed.image || undefined } : null);
+      const parsedIds = new Set(parsedEpisodes.map(episode => episode.id));
+      setSelected(prev => prev.filter(id => parsedIds.has(id)));
+      setSelectedEpisodesForChat(prev => prev.filter(id => parsedIds.has(id)));
+      console.log(`成功解析 ${parsedEpisodes.length} 個集數`);
+      restoreStoredTranscripts(parsedEpisodes);
+      resumeTranscriptionJobs(parsedEpisodes);
+
+      // 檢查有多少集數有音檔連結
+      const episodesWithAudio = parsedEpisodes.filter(ep => ep.audioUrl);
+      console.log(`其中 ${episodesWithAudio.length} 個集數有音檔連結`);
+
+      if (episodesWithAudio.length === 0) {
+        alert('警告：解析成功但沒有找到任何音檔連結。這可能是因為該 Podcast 平台使用了特殊的音檔保護機制。');
+      } else {
+        alert(`成功載入 ${parsedEpisodes.length} 個集數，其中 ${episodesWithAudio.length} 個有音檔連結！`);
       }
-
-      return parseItemsFromDocument(xmlDoc, items);
-      
     } catch (error) {
       console.error('解析 RSS feed 時發生錯誤:', error);
       alert(`解析 RSS feed 失敗：${error instanceof Error ? error.message : '未知錯誤'}\n\n請確認連結是否正確，或稍後再試。`);
     }
   };
 
-  // 從文檔中解析 item 元素
-  const parseItemsFromDocument = (doc: Document, items: NodeListOf<Element>) => {
-    const parsedEpisodes: Episode[] = Array.from(items).map((item, index) => {
-      // 提取標題 - 處理 CDATA
-      const titleElement = item.querySelector('title');
-      let title = titleElement?.textContent || `EP${index + 1}`;
-      
-      // 清理 CDATA 標記和其他特殊字符
-      title = title.replace(/^\s*<!\[CDATA\[/, '').replace(/\]\]>\s*$/, '').trim();
-      title = title.replace(/\s+/g, ' ').trim();
-      
-      // 提取發布日期
-      const pubDateElement = item.querySelector('pubDate');
-      let pubDate = pubDateElement?.textContent || '';
-      
-      // 提取時長 - 嘗試多種格式
-      let duration = '';
-      const durationSelectors = [
-        'itunes\\:duration',
-        'duration',
-        'enclosure[length]'
-      ];
-      
-      for (const selector of durationSelectors) {
-        const durationElement = item.querySelector(selector);
-        if (durationElement) {
-          duration = durationElement.textContent || durationElement.getAttribute('length') || '';
-          if (duration) break;
-        }
-      }
-      
-      if (!duration) duration = '00:00';
-      
-      // 提取音檔 URL - 嘗試多種方式
-      let audioUrl = '';
-      
-      // 方法 1: enclosure 標籤
-      const enclosureElement = item.querySelector('enclosure');
-      if (enclosureElement) {
-        audioUrl = enclosureElement.getAttribute('url') || '';
-      }
-      
-      // 方法 2: link 標籤
-      if (!audioUrl) {
-        const linkElement = item.querySelector('link');
-        if (linkElement) {
-          const linkUrl = linkElement.textContent || '';
-          if (linkUrl && (linkUrl.includes('.mp3') || linkUrl.includes('.m4a') || linkUrl.includes('player.soundon.fm'))) {
-            audioUrl = linkUrl;
-          }
-        }
-      }
-      
-      // 方法 3: guid 標籤 (SoundOn 特有)
-      if (!audioUrl) {
-        const guidElement = item.querySelector('guid');
-        if (guidElement) {
-          const guidUrl = guidElement.textContent || '';
-          if (guidUrl && guidUrl.includes('player.soundon.fm')) {
-            audioUrl = guidUrl;
-          }
-        }
-      }
-      
-      // 方法 4: 在描述中尋找音檔連結
-      if (!audioUrl) {
-        const descriptionElement = item.querySelector('description');
-        if (descriptionElement) {
-          const description = descriptionElement.textContent || '';
-          const audioUrlMatch = description.match(/https?:\/\/[^\s]+\.(mp3|m4a|wav|ogg)/i);
-          if (audioUrlMatch) {
-            audioUrl = audioUrlMatch[0];
-          }
-        }
-      }
-      
-      // SoundOn 特殊處理：轉換播放器 URL 為下載 URL
-      if (audioUrl && audioUrl.includes('player.soundon.fm')) {
-        console.log(`檢測到 SoundOn 播放器 URL: ${audioUrl}`);
-        // 嘗試從播放器 URL 提取實際音檔 URL
-        // SoundOn 的 URL 格式通常是: https://player.soundon.fm/p/{podcast_id}/episodes/{episode_id}
-        const soundonMatch = audioUrl.match(/player\.soundon\.fm\/p\/([^\/]+)\/episodes\/([^\/\?]+)/);
-        if (soundonMatch) {
-          const podcastId = soundonMatch[1];
-          const episodeId = soundonMatch[2];
-          // 構建可能的音檔 URL 格式
-          const possibleUrls = [
-            `https://rss.soundon.fm/rssf/${podcastId}/feedurl/${episodeId}/rssFileVip.mp3`,
-            `https://filesb.soundon.fm/file/filesb/${episodeId}.mp3`,
-            `https://files.soundon.fm/${episodeId}.mp3`,
-            audioUrl // 保留原始 URL 作為備用
-          ];
-          
-          // 使用第一個可能的 URL
-          audioUrl = possibleUrls[0];
-          console.log(`轉換後的 SoundOn 音檔 URL: ${audioUrl}`);
-        }
-      }
-      
-      console.log(`集數 ${index + 1}:`, {
-        title: title.substring(0, 50),
-        pubDate,
-        duration,
-        audioUrl: audioUrl.substring(0, 100)
-      });
-      
-      return {
-        id: String(index + 1),
-        title,
-        pubDate,
-        duration,
-        audioUrl,
-        transcriptStatus: 'none' as const,
-      };
-    });
-    
-    setEpisodes(parsedEpisodes);
-    console.log(`成功解析 ${parsedEpisodes.length} 個集數`);
-    
-    // 檢查有多少集數有音檔連結
-    const episodesWithAudio = parsedEpisodes.filter(ep => ep.audioUrl);
-    console.log(`其中 ${episodesWithAudio.length} 個集數有音檔連結`);
-    
-    if (episodesWithAudio.length === 0) {
-      alert('警告：解析成功但沒有找到任何音檔連結。這可能是因為該 Podcast 平台使用了特殊的音檔保護機制。');
-    } else {
-      alert(`成功載入 ${parsedEpisodes.length} 個集數，其中 ${episodesWithAudio.length} 個有音檔連結！`);
-    }
-  };
-
   const handleCopyLink = async (audioUrl: string, title: string) => {
     try {
       await navigator.clipboard.writeText(audioUrl);
@@ -1904,143 +2230,282 @@ function App() {
     parseRssFeed(rssUrl);
   };
 
-  const handleDownload = async () => {
-    if (isPaused) {
-      setIsPaused(false);
+  // 新增：訂閱相關操作的共用請求處理
+  const requestSubscriptionApi = async (key: string, url: string, init?: RequestInit) => {
+    setSubscriptionBusy(prev => new Set(prev).add(key));
+    try {
+      const response = await fetch(url, {
+        ...init,
+        headers: { 'Content-Type': 'application/json' },
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      setSubscriptions(await fetchSubscriptionList());
+      return data;
+    } finally {
+      setSubscriptionBusy(prev => {
+        const next = new Set(prev);
+        next.delete(key);
+        return next;
+      });
+    }
+  };
+
+  // 新增：訂閱目前輸入的 RSS feed
+  const handleSubscribe = async () => {
+    if (!rssUrl) {
+      alert('請輸入 RSS feed 連結');
       return;
     }
-    setDownloading(true);
-    setProgress(0);
-    
-    // 更新的CORS代理列表 - 與其他功能保持一致
-    const corsProxies = [
-      'https://corsproxy.io/?',
-      'https://cors.bridged.cc/',
-      'https://proxy.cors.sh/',
-      'https://cors-anywhere.herokuapp.com/',
-    ];
-    
-    for (let i = 0; i < selected.length; i++) {
-      const episode = episodes.find((ep) => ep.id === selected[i]);
-      if (!episode || !episode.audioUrl) {
-        console.warn(`跳過集數 ${episode?.title || selected[i]}：沒有音檔連結`);
-        continue;
-      }
-      
-      let downloadSuccess = false;
-      
-      // 首先嘗試直接下載
-      try {
-        console.log(`嘗試直接下載: ${episode.title}`);
-        await downloadFile(episode.audioUrl, episode);
-        downloadSuccess = true;
-        console.log(`直接下載成功: ${episode.title}`);
-      } catch (error) {
-        console.log(`直接下載失敗，嘗試使用代理: ${error}`);
+
+    try {
+      const data = await requestSubscriptionApi('new', '/api/subscriptions', {
+        method: 'POST',
+        body: JSON.stringify({ feedUrl: rssUrl }),
+      });
+      setShowSubscriptions(true);
+      alert(`已訂閱「${data.subscription.title || rssUrl}」\n\n現有 ${data.subscription.knownEpisodes} 個集數視為已讀，之後偵測到的新集數會依規則自動處理。`);
+    } catch (error) {
+      alert(`訂閱失敗：${error instanceof Error ? error.message : String(error)}`);
+    }
+  };
+
+  // 新增：更新訂閱規則或啟用狀態
+  const handleUpdateSubscription = async (subscription: Subscription, patch: { rules?: Partial<SubscriptionRules>; enabled?: boolean; pollIntervalMinutes?: number | null }) => {
+    try {
+      await requestSubscriptionApi(subscription.id, `/api/subscriptions/${subscription.id}`, {
+        method: 'PUT',
+        body: JSON.stringify(patch),
+      });
+    } catch (error) {
+      alert(`更新訂閱失敗：${error instanceof Error ? error.message : String(error)}`);
+    }
+  };
+
+  // 新增：立即檢查新集數
+  const handlePollSubscription = async (subscription: Subscription) => {
+    try {
+      const data = await requestSubscriptionApi(subscription.id, `/api/subscriptions/${subscription.id}/poll`, {
+        method: 'POST',
+      });
+      alert(data.newEpisodes > 0
+        ? `「${subscription.title}」有 ${data.newEpisodes} 個新集數`
+        : `「${subscription.title}」沒有新集數`);
+    } catch (error) {
+      alert(`檢查失敗：${error instanceof Error ? error.message : String(error)}`);
+    }
+  };
+
+  // 新增：取消訂閱
+  const handleDeleteSubscription = async (subscription: Subscription) => {
+    if (!window.confirm(`確定要取消訂閱「${subscription.title || subscription.feedUrl}」嗎？\n\n已下載或轉錄的檔案會保留在伺服器上。`)) {
+      return;
+    }
+    try {
+      await requestSubscriptionApi(subscription.id, `/api/subscriptions/${subscription.id}`, {
+        method: 'DELETE',
+      });
+    } catch (error) {
+      alert(`取消訂閱失敗：${error instanceof Error ? error.message : String(error)}`);
+    }
+  };
+
+  // 新增：匯入 OPML，批次建立訂閱
+  const handleImportOpml = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const opml = await file.text();
+      const data = await requestSubscriptionApi('opml', '/api/opml/import', {
+        method: 'POST',
+        body: JSON.stringify({ opml }),
+      });
+      setShowSubscriptions(true);
+
+      let message = `OPML 匯入完成\n\n✅ 新增 ${data.created.length} 個訂閱`;
+      if (data.existing.length > 0) {
+        message += `\n↩️ 已訂閱 ${data.existing.length} 個（略過）`;
       }
-      
-      // 如果直接下載失敗，嘗試使用代理
-      if (!downloadSuccess) {
-        for (const proxy of corsProxies) {
-          try {
-            console.log(`嘗試使用代理 ${proxy} 下載: ${episode.title}`);
-            const proxiedUrl = proxy + encodeURIComponent(episode.audioUrl);
-            await downloadFile(proxiedUrl, episode);
-            downloadSuccess = true;
-            console.log(`代理下載成功: ${episode.title}`);
-            break;
-          } catch (error) {
-            console.log(`代理 ${proxy} 下載失敗: ${error}`);
-            continue;
-          }
-        }
+      if (data.failures.length > 0) {
+        message += `\n❌ 無法解析 ${data.failures.length} 個：\n`;
+        message += data.failures
+          .map((failure: { text: string; reason: string }) => `  • ${failure.text}：${failure.reason}`)
+          .join('\n');
       }
-      
-      if (!downloadSuccess) {
-        console.error(`所有下載方法都失敗: ${episode.title}`);
-        const userChoice = window.confirm(
-          `無法下載 "${episode.title}"。\n\n` +
-          `是否要在新分頁中打開音檔連結，讓你手動下載？\n\n` +
-          `點擊「確定」打開連結，點擊「取消」跳過此集數。`
-        );
-        
-        if (userChoice) {
-          window.open(episode.audioUrl, '_blank');
-        }
+      alert(message);
+    } catch (error) {
+      alert(`OPML 匯入失敗：${error instanceof Error ? error.message : String(error)}`);
+    }
+  };
+
+  // 新增：載入訂閱的集數列表
+  const handleOpenSubscription = (subscription: Subscription) => {
+    setRssUrl(subscription.feedUrl);
+    parseRssFeed(subscription.feedUrl);
+  };
+
+  // 新增：把選取的集數加入伺服器端下載佇列
+  const handleDownload = async () => {
+    const selectedEpisodes = episodes.filter(ep => selected.includes(ep.id) && ep.audioUrl);
+    if (selectedEpisodes.length === 0) {
+      alert('選取的集數沒有可下載的音檔連結');
+      return;
+    }
+
+    try {
+      const response = await fetch('/api/downloads', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          podcastTitle: feedInfo?.title || '',
+          writeTags,
+          episodes: selectedEpisodes.map(ep => ({
+            episodeId: ep.id,
+            title: ep.title,
+            audioUrl: ep.audioUrl,
+            // 發布日期與季／集數也用於產生檔名
+            pubDate: ep.pubDate,
+            season: ep.season,
+            episodeNumber: ep.episodeNumber,
+            ...(writeTags ? getTagMetadata(ep) : {}),
+            image: writeTags ? ep.image || feedInfo?.image : undefined
+          }))
+        })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}`);
       }
-      
-      setProgress(Math.round(((i + 1) / selected.length) * 100));
-      
-      if (i < selected.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
+      console.log(`📥 已加入下載佇列: ${data.items.length} 集`);
+      // 佇列為空時還沒有基準，這裡先建立，避免把舊的已完成項目重新存檔
+      if (savedDownloadIdsRef.current === null) {
+        savedDownloadIdsRef.current = new Set(downloadItems.filter(item => item.status === 'completed').map(item => item.id));
       }
+      setDownloadItems(await fetchDownloadList());
+    } catch (error) {
+      console.error('加入下載佇列失敗:', error);
+      alert(`加入下載佇列失敗：${error instanceof Error ? error.message : String(error)}`);
     }
-    
-    setDownloading(false);
-    setProgress(0);
-    setDownloadSpeed(0);
-    setIsPaused(false);
-    alert('批量下載完成！');
   };
 
-  const downloadFile = async (url: string, episode: Episode) => {
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Accept': 'audio/*,*/*',
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+  // 新增：儲存檔名範本（空白欄位恢復預設）
+  const handleSaveFilenameTemplates = async () => {
+    setSavingFilenameTemplates(true);
+    try {
+      const response = await fetch('/api/settings/filename-templates', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(filenameTemplates)
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}`);
       }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      setFilenameTemplates({ ...DEFAULT_FILENAME_TEMPLATES, ...data.templates });
+      alert('檔名範本已儲存');
+    } catch (error) {
+      console.error('儲存檔名範本失敗:', error);
+      alert(`儲存檔名範本失敗：${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      setSavingFilenameTemplates(false);
     }
-    
-    const blob = await response.blob();
-    
-    const contentType = response.headers.get('content-type') || '';
-    let extension = '.mp3';
-    
-    if (contentType.includes('mp4') || contentType.includes('m4a')) {
-      extension = '.m4a';
-    } else if (contentType.includes('wav')) {
-      extension = '.wav';
-    } else if (contentType.includes('ogg')) {
-      extension = '.ogg';
-    } else if (contentType.includes('aac')) {
-      extension = '.aac';
+  };
+
+  // 新增：把選取的集數打包成單一 ZIP（以表單送出，讓瀏覽器直接串流存檔，不佔用頁面記憶體）
+  const handleDownloadZip = () => {
+    const selectedEpisodes = episodes.filter(ep => selected.includes(ep.id) && ep.audioUrl);
+    if (selectedEpisodes.length === 0) {
+      alert('選取的集數沒有可下載的音檔連結');
+      return;
     }
-    
-    if (extension === '.mp3') {
-      const urlLower = episode.audioUrl.toLowerCase();
-      if (urlLower.includes('.m4a')) extension = '.m4a';
-      else if (urlLower.includes('.wav')) extension = '.wav';
-      else if (urlLower.includes('.ogg')) extension = '.ogg';
-      else if (urlLower.includes('.aac')) extension = '.aac';
+
+    const payload = {
+      podcastTitle: feedInfo?.title || '',
+      includeTranscripts: zipIncludeTranscripts,
+      includeManifest: true,
+      writeTags,
+      episodes: selectedEpisodes.map(ep => ({
+        id: ep.id,
+        guid: ep.guid,
+        title: ep.title,
+        pubDate: ep.pubDate,
+        duration: ep.duration,
+        audioUrl: ep.audioUrl,
+        description: ep.description,
+        image: ep.image || feedInfo?.image,
+        season: ep.season,
+        episodeNumber: ep.episodeNumber,
+        episodeType: ep.episodeType,
+        explicit: ep.explicit,
+        transcriptUrl: ep.transcriptUrl,
+        timeline: writeTags ? ep.generatedContent?.timeline : undefined,
+        transcriptText: zipIncludeTranscripts ? ep.transcriptText : undefined,
+        transcriptFormats: zipIncludeTranscripts ? ep.transcriptFormats : undefined
+      }))
+    };
+
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.action = '/api/download-batch';
+    form.style.display = 'none';
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = 'payload';
+    input.value = JSON.stringify(payload);
+    form.appendChild(input);
+    document.body.appendChild(form);
+    form.submit();
+    setTimeout(() => document.body.removeChild(form), 100);
+    console.log(`📦 開始打包 ZIP: ${selectedEpisodes.length} 集`);
+  };
+
+  // 新增：下載佇列項目操作（pause、resume、cancel）
+  const handleDownloadAction = async (id: string, action: 'pause' | 'resume' | 'cancel') => {
+    try {
+      const response = await fetch(`/api/downloads/${id}/${action}`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      setDownloadItems(prev => prev.map(item => (item.id === id ? data.item : item)));
+    } catch (error) {
+      alert(`下載操作失敗：${error instanceof Error ? error.message : String(error)}`);
     }
-    
-    const cleanTitle = episode.title
-      .replace(/[<>:"/\\|?*]/g, '_')
-      .replace(/\s+/g, ' ')
-      .trim()
-      .substring(0, 100);
-    
-    const downloadUrl = window.URL.createObjectURL(blob);
+  };
+
+  const handleRemoveDownload = async (id: string) => {
+    try {
+      const response = await fetch(`/api/downloads/${id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      setDownloadItems(prev => prev.filter(item => item.id !== id));
+    } catch (error) {
+      alert(`移除下載失敗：${error instanceof Error ? error.message : String(error)}`);
+    }
+  };
+
+  // 新增：全部暫停／全部繼續
+  const handlePause = async () => {
+    const targets = isPaused
+      ? unfinishedDownloads.filter(item => item.status === 'paused')
+      : activeDownloads;
+    await Promise.all(targets.map(item => handleDownloadAction(item.id, isPaused ? 'resume' : 'pause')));
+  };
+
+  // 從伺服器取回已完成的檔案
+  const saveDownloadedFile = (id: string) => {
     const a = document.createElement('a');
-    a.href = downloadUrl;
-    a.download = `${cleanTitle}${extension}`;
+    a.href = `/api/downloads/${id}/file`;
     a.style.display = 'none';
     document.body.appendChild(a);
     a.click();
-    
-    setTimeout(() => {
-      window.URL.revokeObjectURL(downloadUrl);
-      document.body.removeChild(a);
-    }, 100);
-  };
-
-  const handlePause = () => {
-    setIsPaused(true);
+    setTimeout(() => document.body.removeChild(a), 100);
   };
 
   // 新增：切換日誌顯示
@@ -2161,10 +2626,121 @@ function App() {
     );
   };
 
+  // 渲染 feed 提供的集數資訊：封面、季／集數、類型、分級、音檔格式與 show notes
+  const renderEpisodeMetadata = (episode: Episode) => {
+    const image = episode.image || feedInfo?.image;
+    // Podcasting 2.0 已有季／集數時由 renderPodcastNamespaceInfo 顯示
+    const showNumbers = !episode.podcastSeason && !episode.podcastEpisode && (episode.season || episode.episodeNumber);
+    const episodeTypeLabels: Record<string, string> = { trailer: '預告', bonus: '番外' };
+    const hasTags = showNumbers || (episode.episodeType && episodeTypeLabels[episode.episodeType])
+      || episode.explicit || episode.enclosureType || episode.enclosureLength;
+
+    if (!image && !hasTags && !episode.description) return null;
+
+    return (
+      <div className="episode-metadata">
+        {image && <img className="episode-artwork" src={image} alt="" loading="lazy" />}
+        <div className="episode-metadata-body">
+          {hasTags && (
+            <div className="transcript-metadata">
+              {showNumbers && (
+                <span className="metadata-tag">
+                  {episode.season && `S${episode.season}`}
+                  {episode.episodeNumber && `E${episode.episodeNumber}`}
+                </span>
+              )}
+              {episode.episodeType && episodeTypeLabels[episode.episodeType] && (
+                <span className="metadata-tag">{episodeTypeLabels[episode.episodeType]}</span>
+              )}
+              {episode.explicit && (
+                <span className="metadata-tag" title="含成人內容">🅴 Explicit</span>
+              )}
+              {(episode.enclosureType || episode.enclosureLength) && (
+                <span className="metadata-tag">
+                  {[
+                    episode.enclosureType && (episode.enclosureType.split('/').pop() || '').toUpperCase(),
+                    episode.enclosureLength && formatFileSize(episode.enclosureLength),
+                  ].filter(Boolean).join(' · ')}
+                </span>
+              )}
+            </div>
+          )}
+          {episode.description && (
+            <details className="episode-show-notes">
+              <summary>節目說明</summary>
+              {/* description 已在後端以白名單清理，只保留基本排版標籤與 http(s) 連結 */}
+              <div dangerouslySetInnerHTML={{ __html: episode.description }} />
+            </details>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  // 渲染 Podcasting 2.0 資訊標籤
+  const renderPodcastNamespaceInfo = (episode: Episode) => {
+    const hasInfo = episode.podcastSeason || episode.podcastEpisode || episode.transcripts
+      || episode.chapters || episode.persons || episode.soundbites || episode.alternateEnclosures;
+    if (!hasInfo) return null;
+
+    // 逐字稿類型只顯示簡短名稱，例如 text/vtt -> VTT
+    const transcriptTypes = (episode.transcripts || [])
+      .map(transcript => (transcript.type.split('/').pop() || transcript.type).replace(/^x-/, '').toUpperCase())
+      .filter((type, index, types) => type && types.indexOf(type) === index);
+
+    return (
+      <div className="transcript-metadata podcast-namespace-info">
+        {(episode.podcastSeason || episode.podcastEpisode) && (
+          <span className="metadata-tag">
+            {episode.podcastSeason && `S${episode.podcastSeason.number}`}
+            {episode.podcastEpisode && (episode.podcastEpisode.display || `E${episode.podcastEpisode.number}`)}
+          </span>
+        )}
+        {episode.transcripts && (
+          <a
+            className="metadata-tag"
+            href={episode.transcripts[0].url}
+            target="_blank"
+            rel="noopener noreferrer"
+            title="發布者提供的逐字稿"
+          >
+            📝 逐字稿 {transcriptTypes.join('/')}
+          </a>
+        )}
+        {episode.chapters && (
+          <a
+            className="metadata-tag"
+            href={episode.chapters.url}
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            📑 章節
+          </a>
+        )}
+        {episode.persons && (
+          <span className="metadata-tag" title={episode.persons.map(person => `${person.name} (${person.role})`).join(', ')}>
+            👤 {episode.persons.map(person => person.name).join('、')}
+          </span>
+        )}
+        {episode.soundbites && (
+          <span className="metadata-tag" title={episode.soundbites.map(soundbite => `${formatDuration(Math.floor(soundbite.startTime))} ${soundbite.title || ''}`).join('\n')}>
+            🔊 精華片段 {episode.soundbites.length}
+          </span>
+        )}
+        {episode.alternateEnclosures && (
+          <span className="metadata-tag" title={episode.alternateEnclosures.map(enclosure => enclosure.title || enclosure.type).join(', ')}>
+            🎧 其他版本 {episode.alternateEnclosures.length}
+          </span>
+        )}
+      </div>
+    );
+  };
+
   // 渲染轉錄狀態圖示
   const renderTranscriptStatus = (episode: Episode) => {
     const isTranscribing = transcribing.has(episode.id);
     const progress = transcriptProgress.get(episode.id) || 0;
+    const details = transcriptProgressDetails.get(episode.id);
 
     // 根據進度顯示不同的狀態文字
     const getProgressText = (progress: number) => {
@@ -2191,14 +2767,17 @@ function App() {
               ></div>
             </div>
             <span className="transcript-status processing">
-              {getProgressText(progress)} ({progress}%)
+              {details
+                ? `${details.stage}${details.segment ? ` ${details.segment.current}/${details.segment.total}` : ''}`
+                : getProgressText(progress)} ({progress}%)
+              {details?.etaSeconds ? ` · 剩餘約 ${formatDuration(details.etaSeconds)}` : ''}
             </span>
           </div>
         );
       case 'completed':
         return (
           <span className="transcript-status completed">
-            ✅ 已完成
+            ✅ 已完成{episode.transcriptSource === 'publisher' && '（發布者逐字稿）'}
           </span>
         );
       case 'error':
@@ -2236,6 +2815,14 @@ function App() {
             <button onClick={handleLoadRss} className="load-button">
               載入集數
             </button>
+            <button
+              onClick={handleSubscribe}
+              disabled={subscriptionBusy.has('new')}
+              className="select-button"
+              title="由伺服器定期檢查此 RSS feed 的新集數"
+            >
+              {subscriptionBusy.has('new') ? '訂閱中...' : '📡 訂閱'}
+            </button>
           </div>
           <p className="hint">
             💡 提示：工具會自動嘗試多種方法下載音檔和生成逐字稿<br/>
@@ -2243,6 +2830,171 @@ function App() {
           </p>
         </div>
 
+        {/* 新增：RSS 訂閱面板 */}
+        <div className="transcription-settings-section subscriptions-section">
+          <div className="settings-header">
+            <h3>📡 訂閱節目（{subscriptions.length}）</h3>
+            <div className="subscription-actions">
+              <input
+                ref={opmlInputRef}
+                type="file"
+                accept=".opml,.xml,text/x-opml,text/xml,application/xml"
+                onChange={handleImportOpml}
+                style={{ display: 'none' }}
+              />
+              <button
+                onClick={() => opmlInputRef.current?.click()}
+                disabled={subscriptionBusy.has('opml')}
+                className="toggle-settings-button"
+              >
+                {subscriptionBusy.has('opml') ? '匯入中...' : '匯入 OPML'}
+              </button>
+              <a href="/api/opml/export" download className="toggle-settings-button">
+                匯出 OPML
+              </a>
+              <button
+                onClick={() => setShowSubscriptions(!showSubscriptions)}
+                className="toggle-settings-button"
+              >
+                {showSubscriptions ? '隱藏訂閱' : '顯示訂閱'}
+              </button>
+            </div>
+          </div>
+
+          {showSubscriptions && (
+            <div className="settings-panel">
+              {subscriptions.length === 0 && (
+                <div className="setting-description">
+                  尚未訂閱任何節目。輸入 RSS feed 連結後點擊「📡 訂閱」，或從其他 Podcast App 匯出 OPML 後匯入。伺服器會定期檢查新集數，並可依規則自動下載、轉錄與生成行銷內容。
+                </div>
+              )}
+
+              {subscriptions.map(subscription => (
+                <div key={subscription.id} className="subscription-card">
+                  <div className="subscription-header">
+                    <div>
+                      <div className="subscription-title">{subscription.title || subscription.feedUrl}</div>
+                      <div className="setting-description">
+                        {subscription.lastPolledAt
+                          ? `上次檢查：${new Date(subscription.lastPolledAt).toLocaleString()}`
+                          : '尚未檢查'}
+                        {subscription.lastError && ` ⚠️ ${subscription.lastError}`}
+                      </div>
+                    </div>
+                    <div className="subscription-actions">
+                      <button onClick={() => handleOpenSubscription(subscription)} className="toggle-settings-button">
+                        載入集數
+                      </button>
+                      <button
+                        onClick={() => handlePollSubscription(subscription)}
+                        disabled={subscriptionBusy.has(subscription.id)}
+                        className="toggle-settings-button"
+                      >
+                        立即檢查
+                      </button>
+                      <button onClick={() => handleDeleteSubscription(subscription)} className="toggle-settings-button">
+                        取消訂閱
+                      </button>
+                    </div>
+                  </div>
+
+                  <div className="format-options">
+                    <label className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={subscription.enabled}
+                        onChange={(e) => handleUpdateSubscription(subscription, { enabled: e.target.checked })}
+                      />
+                      <span>定期檢查</span>
+                    </label>
+                    {([
+                      ['download', '自動下載'],
+                      ['transcribe', '自動轉錄'],
+                      ['generateContent', '自動生成行銷內容'],
+                    ] as const).map(([rule, label]) => (
+                      <label key={rule} className="checkbox-label">
+                        <input
+                          type="checkbox"
+                          checked={subscription.rules[rule]}
+                          onChange={(e) => handleUpdateSubscription(subscription, { rules: { [rule]: e.target.checked } })}
+                        />
+                        <span>{label}</span>
+                      </label>
+                    ))}
+                    <select
+                      className="content-type-select"
+                      value={subscription.rules.transcriptSource}
+                      onChange={(e) => handleUpdateSubscription(subscription, { rules: { transcriptSource: e.target.value as SubscriptionRules['transcriptSource'] } })}
+                    >
+                      <option value="publisher">優先使用發布者逐字稿</option>
+                      <option value="whisper">一律使用 Whisper</option>
+                    </select>
+                  </div>
+
+                  {subscription.recentItems.length > 0 && (
+                    <ul className="subscription-items">
+                      {subscription.recentItems.slice(0, 5).map(item => (
+                        <li key={item.guid}>
+                          <span className={`metadata-tag subscription-status-${item.status}`}>
+                            {item.status === 'detected' ? '新集數' :
+                              item.status === 'queued' ? '排隊中' :
+                              item.status === 'processing' ? '處理中' :
+                              item.status === 'completed' ? '已完成' : '失敗'}
+                          </span>
+                          {' '}{item.title}
+                          {item.error && <span className="setting-description"> — {item.error}</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* 新增：檔名範本面板 */}
+        <div className="transcription-settings-section">
+          <div className="settings-header">
+            <h3>🏷️ 檔名範本</h3>
+            <button
+              onClick={() => setShowFilenameTemplates(!showFilenameTemplates)}
+              className="toggle-settings-button"
+            >
+              {showFilenameTemplates ? '隱藏設置' : '顯示設置'}
+            </button>
+          </div>
+
+          {showFilenameTemplates && (
+            <div className="settings-panel">
+              {(Object.keys(FILENAME_TEMPLATE_LABELS) as FilenameTemplateKind[]).map(kind => (
+                <div key={kind} className="setting-group">
+                  <label htmlFor={`filename-template-${kind}`}>{FILENAME_TEMPLATE_LABELS[kind]}：</label>
+                  <input
+                    id={`filename-template-${kind}`}
+                    type="text"
+                    className="rss-input"
+                    value={filenameTemplates[kind]}
+                    placeholder={DEFAULT_FILENAME_TEMPLATES[kind]}
+                    onChange={(e) => setFilenameTemplates(prev => ({ ...prev, [kind]: e.target.value }))}
+                  />
+                </div>
+              ))}
+              <small className="setting-description">
+                可用變數：{'{show}'} 節目名稱、{'{title}'} 標題、{'{yyyy}'}-{'{mm}'}-{'{dd}'} 發布日期、{'{season}'} 季、{'{episode}'} 集數、{'{index}'} ZIP 內序號、{'{source}'} 逐字稿來源、{'{ext}'} 副檔名。
+                以 / 建立資料夾（瀏覽器存檔時改以「 - 」合併），不合法字元會自動替換，檔名重複時加上序號。留白則恢復預設。
+              </small>
+              <button
+                onClick={handleSaveFilenameTemplates}
+                disabled={savingFilenameTemplates}
+                className="toggle-settings-button"
+              >
+                {savingFilenameTemplates ? '儲存中...' : '儲存範本'}
+              </button>
+            </div>
+          )}
+        </div>
+
         {/* 新增：轉錄設置面板 */}
         <div className="transcription-settings-section">
           <div className="settings-header">
@@ -2279,6 +3031,22 @@ function App() {
                 </div>
               </div>
 
+              <div className="setting-group">
+                <label>📰 逐字稿來源：</label>
+                <select
+                  className="content-type-select"
+                  value={transcriptionSettings.transcriptSource}
+                  onChange={(e) => updateTranscriptionSettings('transcriptSource', e.target.value)}
+                >
+                  <option value="publisher">優先使用發布者逐字稿（推薦）</option>
+                  <option value="whisper">一律使用 Whisper 轉錄</option>
+                  <option value="both">兩者都產生（比對用）</option>
+                </select>
+                <div className="setting-description">
+                  集數在 RSS 中附有 podcast:transcript（SRT、VTT、JSON、HTML）時，可直接匯入發布者的逐字稿，節省 Whisper API 費用。沒有附逐字稿的集數仍會使用 Whisper 轉錄。
+                </div>
+              </div>
+
               <div className="setting-group">
                 <label>📄 輸出格式：</label>
                 <div className="format-options">
@@ -2366,6 +3134,10 @@ function App() {
                   transcriptionSettings.contentType === 'interview' ? '訪談節目' : '講座/教學'
                 }</span>
                 <span>說話者分離: {transcriptionSettings.enableSpeakerDiarization ? '啟用' : '停用'}</span>
+                <span>來源: {
+                  transcriptionSettings.transcriptSource === 'publisher' ? '優先發布者' :
+                  transcriptionSettings.transcriptSource === 'whisper' ? 'Whisper' : '兩者比對'
+                }</span>
               </div>
             </div>
           )}
@@ -2389,11 +3161,36 @@ function App() {
               <div className="action-controls">
                 <button
                   onClick={handleDownload}
-                  disabled={selected.length === 0 || downloading}
+                  disabled={selected.length === 0}
                   className="download-button"
                 >
-                  {downloading ? '下載中...' : `📥 批量下載 (${selected.length})`}
+                  {`📥 批量下載 (${selected.length})`}
                 </button>
+
+                <button
+                  onClick={handleDownloadZip}
+                  disabled={selected.length === 0}
+                  className="download-button"
+                  title="把選取的集數打包成單一 ZIP 檔（含 manifest.json）"
+                >
+                  📦 打包 ZIP ({selected.length})
+                </button>
+                <label className="zip-option">
+                  <input
+                    type="checkbox"
+                    checked={zipIncludeTranscripts}
+                    onChange={(e) => setZipIncludeTranscripts(e.target.checked)}
+                  />
+                  含逐字稿
+                </label>
+                <label className="zip-option" title="下載的 MP3／M4A 寫入標題、節目、發布日期、集數、封面與章節">
+                  <input
+                    type="checkbox"
+                    checked={writeTags}
+                    onChange={(e) => setWriteTags(e.target.checked)}
+                  />
+                  寫入標籤與章節
+                </label>
                 
                 <button
                   onClick={handleBatchTranscribe}
@@ -2428,15 +3225,56 @@ function App() {
               </div>
             </div>
 
-            {downloading && (
+            {downloadItems.length > 0 && (
               <div className="progress-section">
-                <div className="progress-bar">
-                  <div 
-                    className="progress-fill" 
-                    style={{ width: `${progress}%` }}
-                  ></div>
-                </div>
-                <p>下載進度: {progress}%</p>
+                {unfinishedDownloads.length > 0 && (
+                  <>
+                    <div className="progress-bar">
+                      <div 
+                        className="progress-fill" 
+                        style={{ width: `${progress}%` }}
+                      ></div>
+                    </div>
+                    <p>
+                      下載進度: {progress}%
+                      {downloadSpeed > 0 && ` · ${formatFileSize(downloadSpeed)}/s`}
+                      <button onClick={handlePause} className="download-queue-button">
+                        {isPaused ? '▶️ 全部繼續' : '⏸️ 全部暫停'}
+                      </button>
+                    </p>
+                  </>
+                )}
+                <ul className="download-queue">
+                  {downloadItems.map(item => (
+                    <li key={item.id} className={`download-queue-item download-${item.status}`}>
+                      <span className="download-queue-title" title={item.audioUrl}>{item.title || item.audioUrl}</span>
+                      <span className="download-queue-status">
+                        {DOWNLOAD_STATUS_LABELS[item.status]}
+                        {item.status !== 'cancelled' && item.bytesDownloaded > 0 && (
+                          ` · ${formatFileSize(item.bytesDownloaded)}${item.totalBytes && item.status !== 'completed' ? ` / ${formatFileSize(item.totalBytes)}` : ''}`
+                        )}
+                        {item.status === 'downloading' && item.speed > 0 && ` · ${formatFileSize(item.speed)}/s`}
+                        {item.error && ` · ${item.error}`}
+                        {item.processError && ` · 標籤寫入失敗：${item.processError}`}
+                      </span>
+                      <span className="download-queue-actions">
+                        {(item.status === 'queued' || item.status === 'downloading') && (
+                          <button onClick={() => handleDownloadAction(item.id, 'pause')} className="download-queue-button">暫停</button>
+                        )}
+                        {(item.status === 'paused' || item.status === 'error') && (
+                          <button onClick={() => handleDownloadAction(item.id, 'resume')} className="download-queue-button">繼續</button>
+                        )}
+                        {['queued', 'downloading', 'paused', 'error'].includes(item.status) && (
+                          <button onClick={() => handleDownloadAction(item.id, 'cancel')} className="download-queue-button">取消</button>
+                        )}
+                        {item.status === 'completed' && (
+                          <a href={`/api/downloads/${item.id}/file`} className="download-queue-button">💾 儲存</a>
+                        )}
+                        <button onClick={() => handleRemoveDownload(item.id)} className="download-queue-button">移除</button>
+                      </span>
+                    </li>
+                  ))}
+                </ul>
               </div>
             )}
 
@@ -2464,7 +3302,11 @@ function App() {
                           onChange={() => handleSelect(episode.id)}
                         />
                       </td>
-                      <td className="episode-title">{episode.title}</td>
+                      <td className="episode-title">
+                        {episode.title}
+                        {renderEpisodeMetadata(episode)}
+                        {renderPodcastNamespaceInfo(episode)}
+                      </td>
                       <td>{episode.pubDate}</td>
                       <td>{formatDuration(episode.duration)}</td>
                       <td className="audio-url">
@@ -2496,12 +3338,12 @@ function App() {
                                 </span>
                               )}
                               {audioTestResults.get(episode.id) === 'valid' && (
-                                <span className="test-status valid" title="音頻鏈接有效">
+                                <span className="test-status valid" title={audioCheckDetails.has(episode.id) ? describeLinkCheck(audioCheckDetails.get(episode.id)!) : '音頻鏈接有效'}>
                                   ✅ 有效
                                 </span>
                               )}
                               {audioTestResults.get(episode.id) === 'invalid' && (
-                                <span className="test-status invalid" title="音頻鏈接無效">
+                                <span className="test-status invalid" title={audioCheckDetails.has(episode.id) ? describeLinkCheck(audioCheckDetails.get(episode.id)!) : '音頻鏈接無效'}>
                                   ❌ 無效
                                 </span>
                               )}
@@ -2557,7 +3399,7 @@ function App() {
                           <button
                             onClick={() => handleTranscribe(episode)}
                             disabled={
-                              !episode.audioUrl || 
+                              (!episode.audioUrl && !episode.transcripts) || 
                               transcribing.has(episode.id) ||
                               episode.transcriptStatus === 'processing'
                             }
@@ -2590,6 +3432,24 @@ function App() {
                             </div>
                           )}
 
+                          {/* 新增：比對模式下的發布者逐字稿下載 */}
+                          {episode.transcriptStatus === 'completed' && episode.publisherTranscript?.formats && (
+                            <div className="download-options">
+                              {Object.keys(episode.publisherTranscript.formats).map(format =>
+                                episode.publisherTranscript!.formats![format as keyof typeof episode.transcriptFormats] && (
+                                  <button
+                                    key={format}
+                                    onClick={() => handleDownloadTranscript(episode, format, 'publisher')}
+                                    className={`action-button download-transcript-button format-${format}`}
+                                    title={`下載發布者逐字稿 ${format.toUpperCase()} 格式（比對用）`}
+                                  >
+                                    📰 {format.toUpperCase()}
+                                  </button>
+                                )
+                              )}
+                            </div>
+                          )}
+
                           {/* 回退選項：如果沒有多格式，使用原始下載 */}
                           {episode.transcriptStatus === 'completed' && !episode.transcriptFormats && (
                             <button
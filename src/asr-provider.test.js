@@ -0,0 +1,165 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  AsrProvider,
+  OpenAIAsrProvider,
+  WhisperCppAsrProvider,
+  FasterWhisperAsrProvider
+} from '../asr-provider';
+
+describe('AsrProvider', () => {
+  let dir;
+  let audioPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'asr-provider-'));
+    audioPath = path.join(dir, 'episode.mp3');
+    fs.writeFileSync(audioPath, 'ID3');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('creates providers from environment variables', () => {
+    const createClient = jest.fn(options => ({ baseURL: options.baseURL }));
+
+    const openai = AsrProvider.fromEnv({}, { openai: null, createClient, tempDir: dir });
+    expect(openai).toMatchObject({ name: 'openai', model: 'whisper-1', maxFileBytes: 25 * 1024 * 1024, concurrency: 3 });
+    expect(openai.getConfigError()).toBe('OpenAI API 金鑰未設置');
+
+    const compatible = AsrProvider.fromEnv({
+      ASR_PROVIDER: 'openai-compatible',
+      ASR_BASE_URL: 'http://asr.local/v1',
+      ASR_MODEL: 'gpt-4o-transcribe',
+      ASR_MAX_FILE_MB: '100'
+    }, { openai: null, createClient, tempDir: dir });
+    expect(compatible.describe()).toMatchObject({
+      baseURL: 'http://asr.local/v1',
+      responseFormat: 'json',
+      maxFileBytes: 100 * 1024 * 1024
+    });
+    expect(createClient).toHaveBeenCalledWith(expect.objectContaining({ apiKey: 'not-needed' }));
+
+    const local = AsrProvider.fromEnv({ ASR_PROVIDER: 'whisper.cpp' }, { openai: null, createClient, tempDir: dir });
+    expect(local).toMatchObject({ maxFileBytes: 0, concurrency: 1, local: true });
+    expect(local.getConfigError()).toMatch(/ASR_MODEL/);
+    expect(() => AsrProvider.fromEnv({ ASR_PROVIDER: 'vosk' }, { tempDir: dir })).toThrow('不支援的 ASR_PROVIDER');
+  });
+
+  test('normalizes responses and assigns words to segments', () => {
+    const result = AsrProvider.normalizeResult({
+      language: 'english',
+      segments: [
+        { start: 0, end: 1.5, text: ' Hello there.', tokens: [1, 2] },
+        { start: 1.5, end: 3, text: ' Bye.' }
+      ],
+      words: [
+        { word: 'Hello', start: 0, end: 0.5 },
+        { word: 'there', start: 0.5, end: 1.2 },
+        { word: 'Bye', start: 1.6, end: 2 }
+      ]
+    });
+
+    expect(result).toMatchObject({ text: 'Hello there. Bye.', language: 'english', duration: 3 });
+    expect(result.segments[0]).toEqual({
+      id: 0,
+      start: 0,
+      end: 1.5,
+      text: 'Hello there.',
+      words: [{ word: 'Hello', start: 0, end: 0.5 }, { word: 'there', start: 0.5, end: 1.2 }]
+    });
+    expect(result.segments[1].words).toEqual([{ word: 'Bye', start: 1.6, end: 2 }]);
+  });
+
+  test('sends the configured model and only asks timestamps from models that support them', async () => {
+    const create = jest.fn(async (params) => {
+      // 讀完上傳的檔案串流，避免測試結束刪除暫存目錄後才開啟
+      await new Promise(resolve => params.file.resume().on('close', resolve));
+      return { text: '大家好' };
+    });
+    const client = { audio: { transcriptions: { create } } };
+
+    await new OpenAIAsrProvider({ client }).transcribe(audioPath, { prompt: '節目', language: 'zh' });
+    expect(create.mock.calls[0][0]).toMatchObject({
+      model: 'whisper-1',
+      response_format: 'verbose_json',
+      timestamp_granularities: ['word', 'segment'],
+      prompt: '節目',
+      language: 'zh'
+    });
+
+    const result = await new OpenAIAsrProvider({ client, model: 'gpt-4o-transcribe' }).transcribe(audioPath);
+    expect(create.mock.calls[1][0]).not.toHaveProperty('timestamp_granularities');
+    expect(create.mock.calls[1][0]).not.toHaveProperty('language');
+    expect(result).toMatchObject({ text: '大家好', segments: [], duration: null });
+  });
+
+  test('runs whisper.cpp on a 16kHz WAV copy and parses its JSON output', async () => {
+    const convertToWav = jest.fn(async (input, output) => fs.writeFileSync(output, 'RIFF'));
+    const run = jest.fn(async (command, args) => {
+      const outputBase = args[args.indexOf('-of') + 1];
+      fs.writeFileSync(`${outputBase}.json`, JSON.stringify({
+        result: { language: 'zh' },
+        transcription: [
+          {
+            offsets: { from: 0, to: 2500 },
+            text: '大家好',
+            tokens: [
+              { text: '[_BEG_]', offsets: { from: 0, to: 0 } },
+              { text: '大家', offsets: { from: 0, to: 1200 } },
+              { text: '好', offsets: { from: 1200, to: 2500 } }
+            ]
+          },
+          {
+            offsets: { from: 2500, to: 5000 },
+            text: ' Hello world.',
+            tokens: [
+              { text: ' Hel', offsets: { from: 2500, to: 2900 } },
+              { text: 'lo', offsets: { from: 2900, to: 3300 } },
+              { text: ' world', offsets: { from: 3400, to: 4200 } },
+              { text: '.', offsets: { from: 4200, to: 4300 } },
+              { text: '[_TT_250]', offsets: { from: 5000, to: 5000 } }
+            ]
+          }
+        ]
+      }));
+    });
+    const provider = new WhisperCppAsrProvider({ model: '/models/ggml-base.bin', tempDir: dir, run, convertToWav });
+
+    const result = await provider.transcribe(audioPath, { prompt: '節目' });
+    expect(run.mock.calls[0][0]).toBe('whisper-cli');
+    expect(run.mock.calls[0][1]).toEqual(expect.arrayContaining(['-m', '/models/ggml-base.bin', '-ojf', '-l', 'auto', '--prompt', '節目']));
+    expect(result).toMatchObject({ text: '大家好 Hello world.', language: 'zh', duration: 5 });
+    expect(result.segments[1]).toMatchObject({ start: 2.5, end: 5, text: 'Hello world.' });
+    expect(result.segments[0].words).toEqual([{ word: '大家', start: 0, end: 1.2 }, { word: '好', start: 1.2, end: 2.5 }]);
+    expect(result.words.slice(2)).toEqual([{ word: 'Hello', start: 2.5, end: 3.3 }, { word: 'world.', start: 3.4, end: 4.3 }]);
+    expect(fs.readdirSync(dir)).toEqual(['episode.mp3']);
+  });
+
+  test('reads faster-whisper output and does not retry a missing executable', async () => {
+    const run = jest.fn(async (command, args) => {
+      const outputDir = args[args.indexOf('--output_dir') + 1];
+      fs.writeFileSync(path.join(outputDir, 'episode.json'), JSON.stringify({
+        text: ' Hello.',
+        language: 'en',
+        segments: [{ id: 0, start: 0, end: 1, text: ' Hello.', words: [{ word: ' Hello.', start: 0, end: 0.8, probability: 0.9 }] }]
+      }));
+    });
+    const provider = new FasterWhisperAsrProvider({ tempDir: dir, run });
+
+    const result = await provider.transcribe(audioPath, { language: 'en' });
+    expect(run.mock.calls[0][1]).toEqual(expect.arrayContaining(['--model', 'small', '--language', 'en']));
+    expect(result.segments[0].words).toEqual([{ word: 'Hello.', start: 0, end: 0.8 }]);
+
+    const missing = new FasterWhisperAsrProvider({
+      tempDir: dir,
+      run: async () => { throw Object.assign(new Error('spawn whisper-ctranslate2 ENOENT'), { code: 'ENOENT' }); }
+    });
+    await expect(missing.transcribe(audioPath)).rejects.toMatchObject({
+      message: expect.stringContaining('找不到轉錄執行檔'),
+      retryable: false
+    });
+  });
+});
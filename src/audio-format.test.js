@@ -0,0 +1,51 @@
+import { AudioFormat } from '../audio-format';
+
+const bytes = (...parts) => Buffer.concat(parts.map(part => (typeof part === 'string' ? Buffer.from(part, 'latin1') : Buffer.from(part))));
+
+describe('AudioFormat', () => {
+  test('detects formats from magic bytes', () => {
+    expect(AudioFormat.detect(bytes('ID3', [4, 0, 0, 0]))).toBe('mp3');
+    expect(AudioFormat.detect(bytes([0xFF, 0xFB, 0x90, 0x00]))).toBe('mp3');
+    expect(AudioFormat.detect(bytes([0xFF, 0xF1, 0x50, 0x80]))).toBe('aac');
+    expect(AudioFormat.detect(bytes([0, 0, 0, 0x20], 'ftypM4A ', [0, 0, 0, 0]))).toBe('m4a');
+    expect(AudioFormat.detect(bytes([0, 0, 0, 0x20], 'ftypisom', [0, 0, 0, 0]))).toBe('mp4');
+    expect(AudioFormat.detect(bytes('OggS', Buffer.alloc(24), 'OpusHead'))).toBe('opus');
+    expect(AudioFormat.detect(bytes('OggS', Buffer.alloc(24), '\x01vorbis'))).toBe('ogg');
+    expect(AudioFormat.detect(bytes('RIFF', [0, 0, 0, 0], 'WAVE'))).toBe('wav');
+    expect(AudioFormat.detect(bytes('<html>'))).toBeNull();
+  });
+
+  test('prefers magic bytes over a generic upstream content type', () => {
+    const result = AudioFormat.resolve({
+      buffer: bytes([0, 0, 0, 0x20], 'ftypM4A ', [0, 0, 0, 0]),
+      contentType: 'application/octet-stream',
+      url: 'https://example.com/ep.mp3'
+    });
+
+    expect(result).toMatchObject({ format: 'm4a', mimeType: 'audio/mp4', extension: '.m4a', sniffed: true });
+  });
+
+  test('uses the declared type or URL extension for MP4 containers without an audio brand', () => {
+    const container = (brand) => bytes([0, 0, 0, 0x20], `ftyp${brand}`, [0, 0, 0, 0]);
+
+    expect(AudioFormat.resolve({ buffer: container('isom'), contentType: 'application/octet-stream', url: 'https://example.com/ep' }).format).toBe('m4a');
+    expect(AudioFormat.resolve({ buffer: container('dash'), contentType: 'audio/mp4' }).format).toBe('m4a');
+    expect(AudioFormat.resolve({ buffer: container('mp42'), contentType: 'application/octet-stream', url: 'https://example.com/ep.m4a' }).format).toBe('m4a');
+    expect(AudioFormat.resolve({ buffer: container('mp42'), contentType: 'video/mp4' }).format).toBe('mp4');
+    expect(AudioFormat.resolve({ buffer: container('isom'), url: 'https://example.com/ep.mp4' }).format).toBe('mp4');
+
+    // M4A/M4B/M4P 品牌一律視為音訊
+    expect(AudioFormat.resolve({ buffer: container('M4B '), contentType: 'video/mp4' }).format).toBe('m4a');
+  });
+
+  test('falls back to content type, then URL extension', () => {
+    expect(AudioFormat.resolve({ contentType: 'audio/ogg; codecs=opus' }).extension).toBe('.opus');
+    expect(AudioFormat.resolve({ contentType: 'application/octet-stream', url: 'https://example.com/ep.aac?x=1' }).extension).toBe('.aac');
+    expect(AudioFormat.resolve({}).extension).toBe('.mp3');
+  });
+
+  test('builds an RFC 5987 Content-Disposition for non-ASCII titles', () => {
+    expect(AudioFormat.contentDisposition('第 1 集 (intro)', '.m4a'))
+      .toBe(`attachment; filename="_ 1 _ (intro).m4a"; filename*=UTF-8''%E7%AC%AC%201%20%E9%9B%86%20%28intro%29.m4a`);
+  });
+});
@@ -0,0 +1,90 @@
+import { AudioSplitter } from '../audio-splitter';
+
+describe('AudioSplitter', () => {
+  test('parses duration and silences from ffmpeg output', () => {
+    const output = [
+      'Input #0, mp3, from \'episode.mp3\':',
+      '  Duration: 00:12:30.50, start: 0.000000, bitrate: 64 kb/s',
+      '[silencedetect @ 0x1] silence_start: -0.01',
+      '[silencedetect @ 0x1] silence_end: 0.8 | silence_duration: 0.81',
+      '[silencedetect @ 0x1] silence_start: 301.2',
+      '[silencedetect @ 0x1] silence_end: 302 | silence_duration: 0.8',
+      '[silencedetect @ 0x1] silence_start: 749.9'
+    ].join('\n');
+
+    const duration = AudioSplitter.parseDuration(output);
+    expect(duration).toBeCloseTo(750.5);
+    expect(AudioSplitter.parseSilences(output, duration)).toEqual([
+      { start: 0, end: 0.8 },
+      { start: 301.2, end: 302 },
+      { start: 749.9, end: 750.5 }
+    ]);
+    expect(AudioSplitter.parseDuration('no duration here')).toBeNull();
+  });
+
+  test('cuts at the silence closest to the target and falls back to the target length', () => {
+    const splitter = new AudioSplitter({ targetSeconds: 300, overlapSeconds: 4 });
+    const plan = splitter.planSegments({
+      duration: 900,
+      silences: [
+        { start: 280, end: 281 },
+        { start: 309, end: 311 },
+        { start: 700, end: 701 }
+      ]
+    });
+
+    expect(plan.map(segment => segment.cutStart)).toEqual([0, 310, 610]);
+    expect(plan.map(segment => segment.silenceCut)).toEqual([true, true, false]);
+    expect(plan[0]).toMatchObject({ start: 0, end: 312, cutEnd: 310 });
+    expect(plan[1]).toMatchObject({ start: 308, end: 612 });
+    expect(plan[2]).toMatchObject({ start: 608, end: 900, cutEnd: 900 });
+
+    expect(new AudioSplitter({ targetSeconds: 300 }).planSegments({ duration: 320 })).toHaveLength(1);
+  });
+
+  test('keeps overlapping words only in the segment that owns them', () => {
+    const boundary = { start: 0, cutStart: 0, cutEnd: 10 };
+    const next = { start: 8, cutStart: 10, cutEnd: 20 };
+
+    const first = AudioSplitter.trimTranscription({
+      text: '大家好 歡迎收聽',
+      segments: [
+        { start: 0, end: 3, text: '大家好', words: [{ word: '大家', start: 0, end: 1 }, { word: '好', start: 1, end: 2 }] },
+        {
+          start: 8,
+          end: 11,
+          text: '歡迎收聽',
+          words: [{ word: '歡迎', start: 8, end: 9.5 }, { word: '收聽', start: 9.8, end: 10.6 }]
+        }
+      ]
+    }, boundary);
+    const second = AudioSplitter.trimTranscription({
+      text: 'welcome 收聽 today',
+      segments: [{
+        start: 0,
+        end: 5,
+        text: '歡迎收聽 today',
+        words: [{ word: '歡迎', start: 0, end: 1.5 }, { word: '收聽', start: 1.8, end: 2.6 }, { word: 'today', start: 3, end: 4 }]
+      }]
+    }, next);
+
+    expect(first.text).toBe('大家好歡迎');
+    expect(first.segments[1]).toMatchObject({ start: 8, end: 9.5, text: '歡迎' });
+    expect(second.text).toBe('收聽today');
+    expect(second.segments[0]).toMatchObject({ start: 9.8, end: 12 });
+    expect([...first.words, ...second.words].map(word => word.word)).toEqual(['大家', '好', '歡迎', '收聽', 'today']);
+  });
+
+  test('falls back to segment midpoints without word timestamps', () => {
+    const trimmed = AudioSplitter.trimTranscription({
+      text: 'one two',
+      segments: [{ start: 0, end: 3, text: ' one' }, { start: 3, end: 4, text: ' two' }]
+    }, { start: 100, cutStart: 102, cutEnd: 200 });
+
+    expect(trimmed.segments).toEqual([{ start: 103, end: 104, text: ' two', words: [] }]);
+    expect(trimmed.text).toBe('two');
+
+    const plain = AudioSplitter.trimTranscription({ text: '只有文字', segments: [] }, { start: 0, cutStart: 0, cutEnd: 10 });
+    expect(plain.text).toBe('只有文字');
+  });
+});
@@ -0,0 +1,55 @@
+import { AudioTagger } from '../audio-tagger';
+
+describe('AudioTagger', () => {
+  test('parses timeline timestamps', () => {
+    expect(AudioTagger.parseTimestamp('05:30')).toBe(330);
+    expect(AudioTagger.parseTimestamp('1:02:03')).toBe(3723);
+    expect(AudioTagger.parseTimestamp('90')).toBe(90);
+    expect(AudioTagger.parseTimestamp('開場')).toBeNull();
+  });
+
+  test('builds sorted chapters that end at the next chapter or the file duration', () => {
+    const chapters = AudioTagger.buildChapters([
+      { time: '10:00', label: '主題二' },
+      { time: '00:00', label: '開場' },
+      { time: '00:00', label: '重複的時間點' },
+      { time: '', label: '沒有時間' },
+      { time: '99:00', label: '超過音檔長度' }
+    ], 1200);
+
+    expect(chapters).toEqual([
+      { start: 0, end: 600, title: '開場' },
+      { start: 600, end: 1200, title: '主題二' }
+    ]);
+  });
+
+  test('writes chapters as escaped ffmetadata', () => {
+    expect(AudioTagger.buildFfmetadata([{ start: 0, end: 61.5, title: 'Q&A = 問答; #1' }])).toBe(
+      ';FFMETADATA1\n[CHAPTER]\nTIMEBASE=1/1000\nSTART=0\nEND=61500\ntitle=Q&A \\= 問答\\; \\#1\n'
+    );
+  });
+
+  test('maps episode metadata to ID3v2.4 output options', () => {
+    const tags = AudioTagger.buildTags({
+      title: 'EP12 - 新年快樂',
+      podcastTitle: '測試節目',
+      pubDate: 'Mon, 01 Jan 2024 10:00:00 GMT',
+      episodeNumber: 12,
+      description: '本集內容'
+    });
+    expect(tags).toEqual({
+      genre: 'Podcast',
+      title: 'EP12 - 新年快樂',
+      album: '測試節目',
+      album_artist: '測試節目',
+      artist: '測試節目',
+      date: '2024-01-01',
+      track: '12',
+      comment: '本集內容'
+    });
+
+    const options = AudioTagger.buildOutputOptions({ format: 'mp3', tags, hasChapters: true, hasArtwork: true });
+    expect(options).toEqual(expect.arrayContaining(['-map_chapters', '1', '-disposition:v:0', 'attached_pic', 'title=EP12 - 新年快樂', '-id3v2_version', '4']));
+    expect(AudioTagger.buildOutputOptions({ format: 'm4a', tags, hasChapters: false, hasArtwork: false }).slice(-2)).toEqual(['-f', 'ipod']);
+  });
+});
@@ -0,0 +1,156 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough, Readable } from 'stream';
+import { DownloadQueue } from '../download-queue';
+
+const AUDIO = Buffer.concat([Buffer.from('ID3'), Buffer.alloc(2045, 1)]);
+
+// 模擬上游回應：支援 Range，end 之後標記 complete
+const createResponse = (range) => {
+  const offset = range ? Number(range.match(/bytes=(\d+)-/)[1]) : 0;
+  const response = Readable.from([AUDIO.slice(offset)]);
+  response.statusCode = offset > 0 ? 206 : 200;
+  response.statusMessage = 'OK';
+  response.headers = {
+    'content-type': 'application/octet-stream',
+    'content-length': String(AUDIO.length - offset),
+    ...(offset > 0 ? { 'content-range': `bytes ${offset}-${AUDIO.length - 1}/${AUDIO.length}` } : {})
+  };
+  response.complete = false;
+  response.on('end', () => { response.complete = true; });
+  return response;
+};
+
+const waitFor = async (predicate) => {
+  for (let i = 0; i < 100 && !predicate(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('DownloadQueue', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'download-queue-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('resumes a partial file with a Range request and names it by sniffed format', async () => {
+    const openStream = jest.fn((url, { range }, callback) => callback(null, createResponse(range)));
+    const queue = new DownloadQueue({ downloadDir: dir, stateFile: path.join(dir, 'downloads.json'), openStream, concurrency: 0 });
+
+    const item = queue.add({ title: '第 1 集', audioUrl: 'https://example.com/ep1' });
+    fs.writeFileSync(queue.getPartPath(item), AUDIO.slice(0, 1000));
+    queue.setConcurrency(1);
+    await waitFor(() => item.status === 'completed');
+
+    expect(openStream).toHaveBeenCalledWith('https://example.com/ep1', { range: 'bytes=1000-' }, expect.any(Function));
+    expect(item).toMatchObject({ status: 'completed', bytesDownloaded: AUDIO.length, totalBytes: AUDIO.length, contentType: 'audio/mpeg' });
+    expect(item.fileName).toBe(`第 1 集_${item.id}.mp3`);
+    expect(fs.readFileSync(queue.getFilePath(item)).equals(AUDIO)).toBe(true);
+  });
+
+  test('waits for the paused write stream to close before resuming from its size', async () => {
+    const first = new PassThrough();
+    Object.assign(first, {
+      statusCode: 200,
+      statusMessage: 'OK',
+      headers: { 'content-length': String(AUDIO.length) },
+      complete: false
+    });
+    const openStream = jest.fn((url, { range }, callback) => callback(null, range ? createResponse(range) : first));
+    const queue = new DownloadQueue({ downloadDir: dir, stateFile: path.join(dir, 'downloads.json'), openStream });
+
+    const item = queue.add({ title: 'EP', audioUrl: 'https://example.com/ep4' });
+    first.write(AUDIO.slice(0, 1000));
+    await waitFor(() => item.bytesDownloaded === 1000);
+
+    // 暫停後立刻繼續：舊串流還沒關閉前不會開始新的請求
+    queue.pause(item.id);
+    queue.resume(item.id);
+    expect(item.status).toBe('queued');
+    expect(openStream).toHaveBeenCalledTimes(1);
+
+    await waitFor(() => item.status === 'completed');
+    expect(openStream).toHaveBeenLastCalledWith('https://example.com/ep4', { range: 'bytes=1000-' }, expect.any(Function));
+    expect(fs.readFileSync(queue.getFilePath(item)).equals(AUDIO)).toBe(true);
+  });
+
+  test('keeps the partial file when the upstream response errors and resumes from it', async () => {
+    const first = new PassThrough();
+    Object.assign(first, {
+      statusCode: 200,
+      statusMessage: 'OK',
+      headers: { 'content-length': String(AUDIO.length) },
+      complete: false
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const openStream = jest.fn((url, { range }, callback) => callback(null, range ? createResponse(range) : first));
+    const queue = new DownloadQueue({ downloadDir: dir, stateFile: path.join(dir, 'downloads.json'), openStream });
+
+    const item = queue.add({ title: 'EP', audioUrl: 'https://example.com/ep5' });
+    first.write(AUDIO.slice(0, 1000));
+    await waitFor(() => item.bytesDownloaded === 1000);
+
+    first.destroy(new Error('read ECONNRESET'));
+    await waitFor(() => item.status === 'error');
+    expect(item.error).toBe('read ECONNRESET');
+
+    queue.resume(item.id);
+    await waitFor(() => item.status === 'completed');
+    expect(openStream).toHaveBeenLastCalledWith('https://example.com/ep5', { range: 'bytes=1000-' }, expect.any(Function));
+    expect(fs.readFileSync(queue.getFilePath(item)).equals(AUDIO)).toBe(true);
+  });
+
+  test('restarts from the beginning when the resumed range does not start at the requested offset', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    // 來源忽略要求的位置，從更前面開始回傳
+    const openStream = jest.fn((url, { range }, callback) => callback(null, createResponse(range && 'bytes=500-')));
+    const queue = new DownloadQueue({ downloadDir: dir, stateFile: path.join(dir, 'downloads.json'), openStream, concurrency: 0 });
+
+    const item = queue.add({ title: 'EP', audioUrl: 'https://example.com/ep6' });
+    fs.writeFileSync(queue.getPartPath(item), AUDIO.slice(0, 1000));
+    queue.setConcurrency(1);
+    await waitFor(() => item.status === 'completed');
+
+    expect(openStream).toHaveBeenCalledTimes(2);
+    expect(openStream).toHaveBeenLastCalledWith('https://example.com/ep6', { range: undefined }, expect.any(Function));
+    expect(fs.readFileSync(queue.getFilePath(item)).equals(AUDIO)).toBe(true);
+  });
+
+  test('runs the file processor for items with metadata before marking them completed', async () => {
+    const openStream = jest.fn((url, { range }, callback) => callback(null, createResponse(range)));
+    let finishProcessing;
+    const processFile = jest.fn(() => new Promise(resolve => { finishProcessing = resolve; }));
+    const queue = new DownloadQueue({ downloadDir: dir, stateFile: path.join(dir, 'downloads.json'), openStream, processFile });
+
+    const item = queue.add({ title: 'EP', audioUrl: 'https://example.com/ep3', metadata: { podcastTitle: 'Show' } });
+    await waitFor(() => item.status === 'processing');
+    expect(processFile).toHaveBeenCalledWith(item, queue.getFilePath(item));
+    expect(queue.cancel(item.id).status).toBe('processing');
+
+    finishProcessing();
+    await waitFor(() => item.status === 'completed');
+    expect(item.processError).toBeNull();
+  });
+
+  test('dedupes by audio URL and requeues paused items', () => {
+    const queue = new DownloadQueue({ downloadDir: dir, stateFile: path.join(dir, 'downloads.json'), openStream: jest.fn(), concurrency: 0 });
+
+    const item = queue.add({ title: 'EP', audioUrl: 'https://example.com/ep2' });
+    expect(queue.pause(item.id).status).toBe('paused');
+    expect(queue.add({ title: 'EP', audioUrl: 'https://example.com/ep2' })).toBe(item);
+    expect(item.status).toBe('queued');
+    expect(queue.list()).toHaveLength(1);
+
+    // 狀態寫回磁碟，重新載入後仍在佇列中
+    const reloaded = new DownloadQueue({ downloadDir: dir, stateFile: path.join(dir, 'downloads.json'), openStream: jest.fn(), concurrency: 0 });
+    expect(reloaded.get(item.id)).toMatchObject({ status: 'queued', audioUrl: 'https://example.com/ep2' });
+  });
+});
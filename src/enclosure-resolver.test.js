@@ -0,0 +1,63 @@
+import { EnclosureResolver } from '../enclosure-resolver';
+
+const PLAYER_URL = 'https://player.soundon.fm/p/pod-1/episodes/ep-1';
+
+describe('EnclosureResolver', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('picks the first SoundOn candidate that returns audio and caches it per episode', async () => {
+    const probe = jest.fn(async (url) => (url.includes('filesb.soundon.fm')
+      ? { ok: true, status: 206, contentType: 'audio/mpeg' }
+      : { ok: true, status: 200, contentType: 'text/html' }));
+    const resolver = new EnclosureResolver({ probe });
+
+    const first = await resolver.resolve(PLAYER_URL);
+    expect(first).toMatchObject({ url: 'https://filesb.soundon.fm/file/filesb/ep-1.mp3', resolver: 'soundon', verified: true, cached: false });
+    expect(probe).toHaveBeenCalledTimes(2);
+
+    const second = await resolver.resolve('https://rss.soundon.fm/rssf/pod-1/feedurl/ep-1/rssFileVip.mp3');
+    expect(second).toMatchObject({ url: first.url, cached: true });
+    expect(probe).toHaveBeenCalledTimes(2);
+  });
+
+  test('caches the redirect target and falls back to the candidate once it may have expired', async () => {
+    let now = Date.parse('2026-01-01T00:00:00Z');
+    const candidate = 'https://rss.soundon.fm/rssf/pod-1/feedurl/ep-1/rssFileVip.mp3';
+    const signed = 'https://cdn.soundon.fm/ep-1.mp3?signature=abc';
+    const probe = jest.fn(async () => ({ ok: true, status: 200, contentType: 'audio/mpeg', finalUrl: signed }));
+    const resolver = new EnclosureResolver({ probe, finalUrlTtlMs: 60 * 1000, now: () => now });
+
+    await expect(resolver.resolve(PLAYER_URL)).resolves.toMatchObject({ url: signed, candidateUrl: candidate, cached: false });
+    await expect(resolver.resolve(PLAYER_URL)).resolves.toMatchObject({ url: signed, cached: true });
+
+    now += 2 * 60 * 1000;
+    await expect(resolver.resolve(PLAYER_URL)).resolves.toMatchObject({ url: candidate, candidateUrl: candidate, cached: true });
+    expect(probe).toHaveBeenCalledTimes(1);
+  });
+
+  test('returns other hosts unchanged without probing', async () => {
+    const probe = jest.fn();
+    const resolver = new EnclosureResolver({ probe });
+
+    await expect(resolver.resolve('https://example.com/ep.mp3')).resolves.toMatchObject({ url: 'https://example.com/ep.mp3', resolver: null });
+    expect(probe).not.toHaveBeenCalled();
+  });
+
+  test('supports additional host resolvers', async () => {
+    const resolver = new EnclosureResolver({ probe: async () => ({ ok: true, status: 200, contentType: 'audio/mp4' }) });
+    resolver.register({
+      name: 'example',
+      match: (url) => (url.startsWith('https://host.example/') ? { episodeKey: url.split('/').pop() } : null),
+      getCandidates: ({ episodeKey }) => [`https://cdn.host.example/${episodeKey}.m4a`]
+    });
+
+    await expect(resolver.resolve('https://host.example/42')).resolves.toMatchObject({ url: 'https://cdn.host.example/42.m4a', verified: true });
+  });
+});
@@ -0,0 +1,139 @@
+import { FeedParser } from '../feed-service';
+
+const FEED_URL = 'https://example.com/podcast/feed.xml';
+
+describe('FeedParser', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('detects RSS, Atom and JSON Feed formats', () => {
+    expect(FeedParser.detectFormat('<?xml version="1.0"?><rss version="2.0"></rss>')).toBe('rss');
+    expect(FeedParser.detectFormat('<?xml version="1.0"?>\n<!-- comment -->\n<feed xmlns="http://www.w3.org/2005/Atom"></feed>')).toBe('atom');
+    expect(FeedParser.detectFormat('  {"version": "https://jsonfeed.org/version/1.1"}')).toBe('json');
+  });
+
+  test('parses RSS items with CDATA titles and relative enclosure URLs', () => {
+    const rss = `<?xml version="1.0" encoding="UTF-8"?>
+      <rss version="2.0">
+        <channel>
+          <title><![CDATA[My <Show>]]></title>
+          <item>
+            <title><![CDATA[EP1 & <Intro>]]></title>
+            <guid>ep-1</guid>
+            <enclosure url="../media/ep1.mp3" type="audio/mpeg" length="1234"/>
+          </item>
+        </channel>
+      </rss>`;
+
+    const { feed, episodes } = FeedParser.parse(rss, FEED_URL);
+
+    expect(feed.title).toBe('My <Show>');
+    expect(feed.format).toBe('rss');
+    expect(episodes).toHaveLength(1);
+    expect(episodes[0].title).toBe('EP1 & <Intro>');
+    expect(episodes[0].audioUrl).toBe('https://example.com/media/ep1.mp3');
+  });
+
+  test('parses Atom entries with <link rel="enclosure">', () => {
+    const atom = `<?xml version="1.0" encoding="utf-8"?>
+      <feed xmlns="http://www.w3.org/2005/Atom" xml:base="https://cdn.example.com/audio/">
+        <title type="html"><![CDATA[Atom <Show>]]></title>
+        <link rel="alternate" href="https://example.com/"/>
+        <entry>
+          <id>urn:uuid:1</id>
+          <title type="html"><![CDATA[Atom EP1 & Friends]]></title>
+          <published>2024-01-02T03:04:05Z</published>
+          <link rel="alternate" href="https://example.com/ep1"/>
+          <link rel="enclosure" type="audio/mpeg" length="2048" href="ep1.mp3"/>
+        </entry>
+      </feed>`;
+
+    const { feed, episodes } = FeedParser.parse(atom, FEED_URL);
+
+    expect(feed.format).toBe('atom');
+    expect(feed.title).toBe('Atom <Show>');
+    expect(feed.link).toBe('https://example.com/');
+    expect(episodes[0]).toMatchObject({
+      guid: 'urn:uuid:1',
+      title: 'Atom EP1 & Friends',
+      pubDate: '2024-01-02T03:04:05Z',
+      audioUrl: 'https://cdn.example.com/audio/ep1.mp3'
+    });
+  });
+
+  test('parses JSON Feed 1.1 attachments', () => {
+    const jsonFeed = JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: 'JSON Show',
+      home_page_url: 'https://example.com/',
+      feed_url: 'https://example.com/feed.json',
+      items: [
+        {
+          id: '42',
+          title: 'JSON EP',
+          date_published: '2024-02-03T00:00:00Z',
+          attachments: [
+            { url: '/files/ep42.m4a', mime_type: 'audio/x-m4a', duration_in_seconds: 1800.4 }
+          ]
+        }
+      ]
+    });
+
+    const { feed, episodes } = FeedParser.parse(jsonFeed, FEED_URL);
+
+    expect(feed.format).toBe('json');
+    expect(feed.title).toBe('JSON Show');
+    expect(episodes[0]).toMatchObject({
+      guid: '42',
+      title: 'JSON EP',
+      duration: '1800',
+      audioUrl: 'https://example.com/files/ep42.m4a'
+    });
+  });
+
+  test('extracts show notes, artwork and iTunes metadata', () => {
+    const rss = `<rss xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+        <channel>
+          <itunes:image href="/cover.jpg"/>
+          <item>
+            <title>EP5</title>
+            <description>fallback</description>
+            <content:encoded><![CDATA[<p onclick="x()">Notes <a href="javascript:alert(1)">bad</a> <a href="https://example.com/">ok</a></p><script>alert(1)</script>]]></content:encoded>
+            <itunes:image href="ep5.jpg"/>
+            <itunes:season>2</itunes:season>
+            <itunes:episode>5</itunes:episode>
+            <itunes:episodeType>bonus</itunes:episodeType>
+            <itunes:explicit>yes</itunes:explicit>
+            <enclosure url="ep5.mp3" type="audio/mpeg" length="4096"/>
+          </item>
+        </channel>
+      </rss>`;
+
+    const { feed, episodes } = FeedParser.parse(rss, FEED_URL);
+
+    expect(feed.image).toBe('https://example.com/cover.jpg');
+    expect(episodes[0]).toMatchObject({
+      description: '<p>Notes <a>bad</a> <a href="https://example.com/" target="_blank" rel="noopener noreferrer">ok</a></p>',
+      image: 'https://example.com/podcast/ep5.jpg',
+      season: 2,
+      episodeNumber: 5,
+      episodeType: 'bonus',
+      explicit: true,
+      enclosureType: 'audio/mpeg',
+      enclosureLength: 4096
+    });
+  });
+
+  test('keeps episode IDs stable when a new item is added', () => {
+    const item = (guid) => `<item><title>${guid}</title><guid>${guid}</guid><enclosure url="https://example.com/${guid}.mp3"/></item>`;
+    const before = FeedParser.parse(`<rss><channel>${item('a')}${item('b')}</channel></rss>`, FEED_URL);
+    const after = FeedParser.parse(`<rss><channel>${item('c')}${item('a')}${item('b')}</channel></rss>`, FEED_URL);
+
+    expect(after.episodes.slice(1).map(ep => ep.id)).toEqual(before.episodes.map(ep => ep.id));
+  });
+});
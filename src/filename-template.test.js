@@ -0,0 +1,59 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FilenameTemplate, FilenameTemplateStore } from '../filename-template';
+
+describe('FilenameTemplate', () => {
+  test('sanitizes path separators, reserved names and empty names', () => {
+    expect(FilenameTemplate.sanitizeSegment('../EP1: intro/outro?')).toBe('_EP1_ intro_outro_');
+    expect(FilenameTemplate.sanitizeSegment('..')).toBe('file');
+    expect(FilenameTemplate.sanitizeSegment('CON')).toBe('_CON');
+  });
+
+  test('renders folders and date parts, dropping separators left by empty variables', () => {
+    const values = FilenameTemplate.buildValues({
+      title: 'EP12: 新年快樂?',
+      podcastTitle: '測試/節目',
+      pubDate: 'Mon, 01 Jan 2024 10:00:00 GMT',
+      episodeNumber: 12,
+      ext: '.mp3'
+    });
+    expect(FilenameTemplate.render('{show}/{yyyy}-{mm}-{dd} E{episode} {title}.{ext}', values))
+      .toBe('測試_節目/2024-01-01 E12 EP12_ 新年快樂_.mp3');
+
+    const undated = FilenameTemplate.buildValues({ title: '沒有日期', ext: 'm4a' });
+    expect(FilenameTemplate.render('{yyyy}-{mm}-{dd} - {title}', undated)).toBe('沒有日期.m4a');
+    expect(FilenameTemplate.render('{season}/', undated)).toBe('沒有日期.m4a');
+    expect(FilenameTemplate.flatten('節目/2024/集數.mp3')).toBe('節目 - 2024 - 集數.mp3');
+  });
+
+  test('appends a counter until the path is free', () => {
+    const taken = new Set(['節目/EP.mp3', '節目/EP (2).mp3']);
+    expect(FilenameTemplate.uniquePath('節目/EP.mp3', name => taken.has(name))).toBe('節目/EP (3).mp3');
+    expect(FilenameTemplate.uniquePath('v1.0/README', name => name === 'v1.0/README')).toBe('v1.0/README (2)');
+  });
+
+  test('rejects unknown variables and absolute paths', () => {
+    expect(FilenameTemplate.validate('{show}/{title}')).toBeNull();
+    expect(FilenameTemplate.validate('{artist} - {title}')).toMatch('{artist}');
+    expect(FilenameTemplate.validate('/tmp/{title}')).toBeTruthy();
+  });
+});
+
+describe('FilenameTemplateStore', () => {
+  test('persists valid updates and resets empty templates to the default', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filename-template-'));
+    try {
+      const filePath = path.join(dir, 'filename-templates.json');
+      const store = new FilenameTemplateStore(filePath);
+      store.update({ audio: '{show}/{title}.{ext}', zip: '' });
+      expect(() => store.update({ audio: '{title}', transcript: '{bad}' })).toThrow('transcript');
+
+      const reloaded = new FilenameTemplateStore(filePath);
+      expect(reloaded.get('audio')).toBe('{show}/{title}.{ext}');
+      expect(reloaded.get('zip')).toBe('{index} - {title}.{ext}');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
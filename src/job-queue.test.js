@@ -0,0 +1,121 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JobQueue } from '../job-queue';
+
+const waitFor = async (predicate) => {
+  for (let i = 0; i < 100 && !predicate(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+// 可由測試控制何時完成的工作
+const createDeferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+describe('JobQueue', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('returns a job right away and stores the result on disk', async () => {
+    const deferred = createDeferred();
+    const transcribe = jest.fn(() => deferred.promise);
+    const queue = new JobQueue({ jobsDir: dir, runners: { transcribe } });
+
+    const job = queue.add('transcribe', { audioUrl: 'https://x/ep1.mp3' });
+    expect(job.status).toBe('running');
+    expect(transcribe).toHaveBeenCalledWith({ audioUrl: 'https://x/ep1.mp3' }, job);
+
+    deferred.resolve({ success: true, text: 'hello' });
+    await waitFor(() => job.status === 'completed');
+
+    const reloaded = new JobQueue({ jobsDir: dir, runners: { transcribe } });
+    expect(reloaded.get(job.id)).toMatchObject({ status: 'completed', result: { text: 'hello' } });
+  });
+
+  test('runs one job at a time and reuses a pending job with the same key', async () => {
+    const first = createDeferred();
+    const transcribe = jest.fn()
+      .mockImplementationOnce(() => first.promise)
+      .mockImplementationOnce(async () => ({ text: 'second' }));
+    const queue = new JobQueue({ jobsDir: dir, runners: { transcribe } });
+
+    const a = queue.add('transcribe', { episodeId: 'a' }, { key: 'transcribe:a' });
+    const b = queue.add('transcribe', { episodeId: 'b' }, { key: 'transcribe:b' });
+    expect(queue.add('transcribe', { episodeId: 'a' }, { key: 'transcribe:a' })).toBe(a);
+    expect(b.status).toBe('queued');
+
+    first.resolve({ text: 'first' });
+    await waitFor(() => b.status === 'completed');
+    expect(transcribe).toHaveBeenCalledTimes(2);
+    expect(queue.add('transcribe', { episodeId: 'a' }, { key: 'transcribe:a' })).not.toBe(a);
+  });
+
+  test('records the error message and response details of failed jobs', async () => {
+    const error = new Error('音檔格式驗證失敗: bad');
+    error.statusCode = 400;
+    error.details = { error: '音檔格式驗證失敗: bad', suggestions: ['請確保檔案是有效的音檔格式'] };
+    const queue = new JobQueue({ jobsDir: dir, runners: { transcribe: async () => { throw error; } } });
+
+    const job = queue.add('transcribe', {});
+    await waitFor(() => job.status === 'error');
+    expect(job).toMatchObject({ error: '音檔格式驗證失敗: bad', errorDetails: error.details });
+    expect(() => queue.add('unknown', {})).toThrow('不支援的工作類型');
+  });
+
+  test('marks a job as failed instead of crashing when its state cannot be saved', async () => {
+    const transcribe = jest.fn(async () => ({ text: 'ok' }));
+    const queue = new JobQueue({ jobsDir: dir, runners: { transcribe }, concurrency: 0 });
+    const broken = queue.add('transcribe', { episodeId: 'a' });
+    const next = queue.add('transcribe', { episodeId: 'b' });
+
+    jest.spyOn(queue, 'save').mockImplementationOnce(() => { throw new Error('ENOSPC: no space left on device'); });
+    queue.concurrency = 1;
+    queue.pump();
+
+    await waitFor(() => next.status === 'completed');
+    expect(broken).toMatchObject({ status: 'error', error: '無法保存工作狀態: ENOSPC: no space left on device' });
+    expect(transcribe).toHaveBeenCalledTimes(1);
+    expect(queue.running.size).toBe(0);
+  });
+
+  test('requeues interrupted jobs after a restart and prunes old finished jobs', () => {
+    const old = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+    fs.writeFileSync(path.join(dir, 'running.json'), JSON.stringify({ id: 'running', type: 'transcribe', status: 'running', params: {}, createdAt: old, startedAt: old }));
+    fs.writeFileSync(path.join(dir, 'old.json'), JSON.stringify({ id: 'old', type: 'transcribe', status: 'completed', params: {}, createdAt: old, completedAt: old }));
+
+    const queue = new JobQueue({ jobsDir: dir, runners: { transcribe: jest.fn() }, retentionDays: 7 });
+    expect(queue.get('running')).toMatchObject({ status: 'queued', startedAt: null });
+    expect(queue.get('old')).toBeUndefined();
+    expect(fs.existsSync(path.join(dir, 'old.json'))).toBe(false);
+  });
+
+  test('cancels queued jobs but not running ones', () => {
+    const queue = new JobQueue({ jobsDir: dir, runners: { transcribe: () => new Promise(() => {}) } });
+    const running = queue.add('transcribe', {});
+    const queued = queue.add('transcribe', {});
+
+    expect(queue.cancel(running.id).status).toBe('running');
+    expect(queue.remove(running.id)).toBe(false);
+    expect(queue.cancel(queued.id).status).toBe('cancelled');
+    expect(queue.remove(queued.id)).toBe(true);
+    expect(queue.list()).toEqual([running]);
+  });
+});
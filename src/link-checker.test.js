@@ -0,0 +1,103 @@
+import { Readable } from 'stream';
+import { LinkChecker, RANGE_BYTES } from '../link-checker';
+
+const MP3 = Buffer.concat([Buffer.from('ID3'), Buffer.alloc(9997, 1)]);
+
+// 模擬上游：HEAD 只回標頭；Range GET 回傳 206 與請求範圍內的內容
+const createResponse = (status, headers, body = Buffer.alloc(0)) => {
+  const response = Readable.from(body.length > 0 ? [body] : []);
+  response.statusCode = status;
+  response.headers = headers;
+  return response;
+};
+
+describe('LinkChecker', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reads only the first bytes to detect the signature and total size', async () => {
+    const request = jest.fn((url, options, callback) => {
+      if (options.method === 'HEAD') {
+        callback(null, createResponse(200, { 'content-type': 'application/octet-stream', 'content-length': String(MP3.length), 'accept-ranges': 'bytes' }), 'https://cdn.example.com/ep1.mp3');
+        return;
+      }
+      expect(options.headers.Range).toBe(`bytes=0-${RANGE_BYTES - 1}`);
+      callback(null, createResponse(206, { 'content-range': `bytes 0-${RANGE_BYTES - 1}/${MP3.length}` }, MP3.slice(0, RANGE_BYTES)), 'https://cdn.example.com/ep1.mp3');
+    });
+    const checker = new LinkChecker({ request });
+
+    await expect(checker.check('https://example.com/ep1')).resolves.toMatchObject({
+      ok: true,
+      status: 200,
+      method: 'HEAD',
+      finalUrl: 'https://cdn.example.com/ep1.mp3',
+      contentLength: MP3.length,
+      acceptRanges: true,
+      signature: 'mp3',
+      error: null
+    });
+  });
+
+  test('does not send a GET when HEAD succeeds with an audio Content-Type', async () => {
+    const request = jest.fn((url, options, callback) => {
+      callback(null, createResponse(200, { 'content-type': 'audio/mpeg', 'content-length': String(MP3.length) }), url);
+    });
+    const checker = new LinkChecker({ request });
+
+    await expect(checker.check('https://example.com/ep3.mp3')).resolves.toMatchObject({
+      ok: true,
+      status: 200,
+      method: 'HEAD',
+      contentType: 'audio/mpeg',
+      contentLength: MP3.length,
+      signature: null,
+      error: null
+    });
+    expect(request).toHaveBeenCalledTimes(1);
+    expect(request.mock.calls[0][1].method).toBe('HEAD');
+  });
+
+  test('falls back to a Range request when HEAD is rejected and flags non-audio pages', async () => {
+    const request = jest.fn((url, options, callback) => {
+      if (options.method === 'HEAD') {
+        callback(null, createResponse(405, {}), url);
+      } else if (url.endsWith('page')) {
+        callback(null, createResponse(200, { 'content-type': 'text/html' }, Buffer.from('<html></html>')), url);
+      } else {
+        callback(null, createResponse(206, { 'content-type': 'audio/mpeg', 'content-range': 'bytes 0-4095/*' }, MP3.slice(0, RANGE_BYTES)), url);
+      }
+    });
+    const checker = new LinkChecker({ request });
+
+    const [audio, page, again] = await checker.checkAll(['https://example.com/ep2', 'https://example.com/page', 'https://example.com/ep2']);
+    expect(audio).toMatchObject({ ok: true, status: 206, method: 'GET', signature: 'mp3', contentLength: null });
+    expect(page).toMatchObject({ ok: false, status: 200, error: '不是音檔（text/html）' });
+    expect(again).toBe(audio);
+    expect(request).toHaveBeenCalledTimes(4);
+  });
+
+  test('reports request errors such as blocked URLs', async () => {
+    const request = jest.fn((url, options, callback) => callback(new Error('不允許連線到內部網路位址: 127.0.0.1')));
+    const result = await new LinkChecker({ request }).check('http://127.0.0.1/ep.mp3');
+    expect(result).toMatchObject({ ok: false, status: null, error: '不允許連線到內部網路位址: 127.0.0.1' });
+  });
+
+  test('limits how many items run at once', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const results = await LinkChecker.mapWithConcurrency([1, 2, 3, 4, 5], 2, async (value) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return value * 2;
+    });
+    expect(results).toEqual([2, 4, 6, 8, 10]);
+    expect(maxRunning).toBe(2);
+  });
+});
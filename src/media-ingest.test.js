@@ -0,0 +1,86 @@
+import { MediaIngest } from '../media-ingest';
+
+const MASTER = `#EXTM3U
+#EXT-X-STREAM-INF:BANDWIDTH=2400000,CODECS="avc1.64001f,mp4a.40.2"
+720p/index.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=800000,CODECS="avc1.42e01e,mp4a.40.2"
+360p/index.m3u8
+`;
+
+const MEDIA = `#EXTM3U
+#EXT-X-TARGETDURATION:10
+#EXT-X-KEY:METHOD=AES-128,URI="https://keys.example.com/k1",IV=0x1
+#EXT-X-MAP:URI="init.mp4"
+#EXTINF:10.0,
+seg1.m4s?token=a
+#EXTINF:10.0,
+/media/seg2
+#EXT-X-ENDLIST
+`;
+
+describe('MediaIngest', () => {
+  test('detects HLS playlists and video containers', () => {
+    expect(MediaIngest.isHlsPlaylist({ buffer: Buffer.from('\uFEFF#EXTM3U\n'), url: 'https://x/ep.mp3' })).toBe(true);
+    expect(MediaIngest.isHlsPlaylist({ buffer: Buffer.from('ID3\u0004'), contentType: 'application/vnd.apple.mpegurl' })).toBe(false);
+    expect(MediaIngest.isHlsPlaylist({ contentType: 'application/x-mpegURL' })).toBe(true);
+    expect(MediaIngest.isHlsPlaylist({ url: 'https://x/live/master.m3u8?sig=1' })).toBe(true);
+
+    expect(MediaIngest.isVideo({ contentType: 'video/mp4' })).toBe(true);
+    expect(MediaIngest.isVideo({ contentType: 'audio/mp4' })).toBe(false);
+    expect(MediaIngest.isVideo({ contentType: 'application/octet-stream', url: 'https://x/ep.mp4' })).toBe(false);
+  });
+
+  test('probes MP4 containers without an audio brand for a video stream', async () => {
+    const ftyp = (brand) => Buffer.concat([Buffer.from([0, 0, 0, 0x20]), Buffer.from(`ftyp${brand}`)]);
+    const probeVideo = jest.fn(async () => false);
+    const ingest = new MediaIngest({ request: jest.fn(), probeVideo });
+
+    await expect(ingest.isVideoFile({ filePath: '/tmp/ep', leadingBytes: ftyp('isom'), contentType: 'video/mp4' })).resolves.toBe(true);
+    await expect(ingest.isVideoFile({ filePath: '/tmp/ep', leadingBytes: ftyp('M4A '), contentType: 'application/octet-stream' })).resolves.toBe(false);
+    expect(probeVideo).not.toHaveBeenCalled();
+
+    // 只有音軌的 MP4 維持原檔，不進入轉換
+    await expect(ingest.ingest({ url: 'https://x/ep.mp4', filePath: '/tmp/ep', leadingBytes: ftyp('isom'), contentType: 'application/octet-stream' })).resolves.toBeNull();
+    expect(probeVideo).toHaveBeenCalledWith('/tmp/ep');
+
+    probeVideo.mockResolvedValueOnce(true);
+    await expect(ingest.isVideoFile({ filePath: '/tmp/ep', leadingBytes: ftyp('mp42') })).resolves.toBe(true);
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    probeVideo.mockRejectedValueOnce(new Error('spawn ffprobe ENOENT'));
+    await expect(ingest.isVideoFile({ filePath: '/tmp/ep', leadingBytes: ftyp('mp42') })).resolves.toBe(false);
+    console.warn.mockRestore();
+  });
+
+  test('picks the audio rendition or the lowest bandwidth variant of a master playlist', () => {
+    const master = MediaIngest.parsePlaylist(MASTER, 'https://cdn.example.com/show/ep1/master.m3u8');
+    expect(master.isMaster).toBe(true);
+    expect(MediaIngest.pickMediaPlaylist(master)).toBe('https://cdn.example.com/show/ep1/360p/index.m3u8');
+
+    const withAudio = MediaIngest.parsePlaylist(
+      `${MASTER}#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="English",DEFAULT=YES,URI="audio/en.m3u8"\n`,
+      'https://cdn.example.com/show/ep1/master.m3u8'
+    );
+    expect(MediaIngest.pickMediaPlaylist(withAudio)).toBe('https://cdn.example.com/show/ep1/audio/en.m3u8');
+  });
+
+  test('rewrites segments, keys and init segments to local files', () => {
+    const { text, downloads } = MediaIngest.localizePlaylist(MEDIA, 'https://cdn.example.com/show/ep1/index.m3u8');
+
+    expect(downloads).toEqual([
+      { url: 'https://keys.example.com/k1', fileName: 'key_00001.key' },
+      { url: 'https://cdn.example.com/show/ep1/init.mp4', fileName: 'init_00002.mp4' },
+      { url: 'https://cdn.example.com/show/ep1/seg1.m4s?token=a', fileName: 'segment_00003.m4s' },
+      { url: 'https://cdn.example.com/media/seg2', fileName: 'segment_00004.ts' }
+    ]);
+    expect(text).toContain('#EXT-X-KEY:METHOD=AES-128,URI="key_00001.key",IV=0x1');
+    expect(text).toContain('#EXT-X-MAP:URI="init_00002.mp4"');
+    expect(text).not.toContain('https://');
+  });
+
+  test('rejects live, byte-range and sample-encrypted playlists', () => {
+    expect(() => MediaIngest.localizePlaylist(MEDIA.replace('#EXT-X-ENDLIST', ''), 'https://x/')).toThrow('直播');
+    expect(() => MediaIngest.localizePlaylist(MEDIA.replace('#EXTINF:10.0,\nseg1', '#EXT-X-BYTERANGE:100@0\n#EXTINF:10.0,\nseg1'), 'https://x/')).toThrow('BYTERANGE');
+    expect(() => MediaIngest.localizePlaylist(MEDIA.replace('AES-128', 'SAMPLE-AES'), 'https://x/')).toThrow('SAMPLE-AES');
+  });
+});
@@ -0,0 +1,172 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough, Readable } from 'stream';
+import { MediaLibrary } from '../media-library';
+
+const audio = (fill, size = 2048) => Buffer.concat([Buffer.from('ID3'), Buffer.alloc(size - 3, fill)]);
+
+// 模擬上游回應：依網址回傳指定內容，end 之後標記 complete
+const createOpenStream = (files) => jest.fn((url, options, callback) => {
+  const response = Readable.from([files[url]]);
+  Object.assign(response, { statusCode: 200, statusMessage: 'OK', headers: { 'content-type': 'audio/mpeg' }, complete: false });
+  response.on('end', () => { response.complete = true; });
+  callback(null, response);
+});
+
+describe('MediaLibrary', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-library-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createLibrary = (openStream, maxBytes = 0, ingest = null) => new MediaLibrary({
+    libraryDir: path.join(dir, 'library'),
+    indexFile: path.join(dir, 'library.json'),
+    openStream,
+    maxBytes,
+    ingest
+  });
+
+  test('fetches each URL once and shares files with identical content', async () => {
+    const openStream = createOpenStream({ 'https://a.example/ep.mp3': audio(1), 'https://b.example/ep.mp3': audio(1) });
+    const library = createLibrary(openStream);
+
+    const [first, concurrent] = await Promise.all([
+      library.fetch('https://a.example/ep.mp3'),
+      library.fetch('https://a.example/ep.mp3')
+    ]);
+    expect(concurrent).toBe(first);
+    await library.fetch('https://a.example/ep.mp3');
+    expect(openStream).toHaveBeenCalledTimes(1);
+
+    const mirror = await library.fetch('https://b.example/ep.mp3');
+    expect(mirror.hash).toBe(first.hash);
+    expect(mirror.urls).toEqual(['https://a.example/ep.mp3', 'https://b.example/ep.mp3']);
+    expect(fs.readdirSync(path.join(dir, 'library'))).toEqual([`${first.hash}.mp3`]);
+
+    // 索引寫回磁碟，重新載入後不需要再下載
+    expect(createLibrary(jest.fn()).lookup('https://b.example/ep.mp3')).toMatchObject({ hash: first.hash, size: 2048 });
+  });
+
+  test('serves readers from the file that is still downloading', async () => {
+    const content = audio(7, 4096);
+    const upstream = new PassThrough();
+    Object.assign(upstream, { statusCode: 200, statusMessage: 'OK', headers: { 'content-type': 'audio/mpeg', 'content-length': '4096' }, complete: false });
+    upstream.on('end', () => { upstream.complete = true; });
+    const openStream = jest.fn((url, options, callback) => callback(null, upstream));
+    const library = createLibrary(openStream);
+    const readAll = stream => new Promise((resolve, reject) => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk)).on('end', () => resolve(Buffer.concat(chunks))).on('error', reject);
+    });
+
+    const fetching = library.fetch('https://x/ep.mp3');
+    upstream.write(content.subarray(0, 1000));
+    const download = await library.waitForDownload('https://x/ep.mp3');
+    while (download.bytesWritten < 1000) await new Promise(resolve => setTimeout(resolve, 5));
+
+    const full = library.createDownloadResponse(download);
+    const partial = library.createDownloadResponse(download, 'bytes=500-1499');
+    expect(full).toMatchObject({ statusCode: 200, headers: { 'content-length': '4096', 'accept-ranges': 'bytes' } });
+    expect(partial).toMatchObject({ statusCode: 206, headers: { 'content-length': '1000', 'content-range': 'bytes 500-1499/4096' } });
+    // 範圍起點還沒下載到時交給上游
+    expect(library.createDownloadResponse(download, 'bytes=3000-')).toBeNull();
+
+    const reading = Promise.all([readAll(full), readAll(partial)]);
+    upstream.end(content.subarray(1000));
+    const [fullBody, partialBody] = await reading;
+    expect(fullBody.equals(content)).toBe(true);
+    expect(partialBody.equals(content.subarray(500, 1500))).toBe(true);
+
+    await fetching;
+    expect(openStream).toHaveBeenCalledTimes(1);
+    await expect(library.waitForDownload('https://x/ep.mp3')).resolves.toBeNull();
+  });
+
+  test('evicts the least recently used files when over the size limit', async () => {
+    const openStream = createOpenStream({ 'https://x/1': audio(1), 'https://x/2': audio(2), 'https://x/3': audio(3) });
+    const library = createLibrary(openStream, 5000);
+
+    await library.fetch('https://x/1');
+    await library.fetch('https://x/2');
+    library.lookup('https://x/1').lastAccessedAt = '2030-01-01T00:00:00.000Z';
+    library.lookup('https://x/2').lastAccessedAt = '2020-01-01T00:00:00.000Z';
+    await library.fetch('https://x/3');
+
+    expect(library.lookup('https://x/2')).toBeNull();
+    expect(library.lookup('https://x/1')).not.toBeNull();
+    expect(library.lookup('https://x/3')).not.toBeNull();
+    expect(library.getTotalBytes()).toBe(4096);
+  });
+
+  test('batches index writes for repeated hits', async () => {
+    const library = new MediaLibrary({
+      libraryDir: path.join(dir, 'library'),
+      indexFile: path.join(dir, 'library.json'),
+      openStream: createOpenStream({ 'https://x/1': audio(1) }),
+      maxBytes: 0,
+      accessSaveDelayMs: 20
+    });
+    await library.fetch('https://x/1');
+
+    const save = jest.spyOn(library, 'save');
+    await library.fetch('https://x/1');
+    await library.fetch('https://x/1');
+    expect(save).not.toHaveBeenCalled();
+    expect(library.lookup('https://x/1').accessCount).toBe(3);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(createLibrary(jest.fn()).lookup('https://x/1').accessCount).toBe(3);
+  });
+
+  test('keeps files in use until they are released', async () => {
+    const openStream = createOpenStream({ 'https://x/1': audio(1), 'https://x/2': audio(2), 'https://x/3': audio(3) });
+    const library = createLibrary(openStream, 5000);
+
+    const { entry: first, filePath, release } = await library.acquire('https://x/1');
+    expect(filePath).toBe(library.getPath(first));
+    await library.fetch('https://x/2');
+    first.lastAccessedAt = '2020-01-01T00:00:00.000Z';
+    await library.fetch('https://x/3');
+
+    // 最舊的檔案使用中，改為淘汰次舊的；使用中的檔案也不能刪除
+    expect(library.lookup('https://x/1')).not.toBeNull();
+    expect(library.lookup('https://x/2')).toBeNull();
+    expect(library.remove(first.hash)).toBe(false);
+    expect(fs.existsSync(filePath)).toBe(true);
+
+    // 釋放後重新檢查容量
+    library.maxBytes = 2048;
+    release();
+    release();
+    expect(library.isPinned(first.hash)).toBe(false);
+    expect(library.lookup('https://x/1')).toBeNull();
+    expect(library.lookup('https://x/3')).not.toBeNull();
+    expect(library.getTotalBytes()).toBe(2048);
+  });
+
+  test('stores the converted file when the ingest step transforms a download', async () => {
+    const playlist = Buffer.from('#EXTM3U\n#EXTINF:10,\nsegment.ts\n#EXT-X-ENDLIST\n');
+    const m4a = Buffer.concat([Buffer.from([0, 0, 0, 0x20]), Buffer.from('ftypM4A '), Buffer.alloc(4000, 1)]);
+    const ingest = jest.fn(async ({ filePath }) => {
+      fs.writeFileSync(`${filePath}.m4a`, m4a);
+      return { filePath: `${filePath}.m4a`, contentType: 'audio/mp4', convertedFrom: 'hls' };
+    });
+    const library = createLibrary(createOpenStream({ 'https://x/ep.m3u8': playlist }), 0, ingest);
+
+    const entry = await library.fetch('https://x/ep.m3u8');
+    expect(ingest).toHaveBeenCalledWith(expect.objectContaining({ url: 'https://x/ep.m3u8', contentType: 'audio/mpeg' }));
+    expect(entry).toMatchObject({ format: 'm4a', size: m4a.length, convertedFrom: 'hls' });
+    expect(fs.readFileSync(library.getPath(entry)).equals(m4a)).toBe(true);
+    expect(fs.readdirSync(path.join(dir, 'library'))).toEqual([entry.fileName]);
+  });
+});
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TranscriptStore } from '../transcript-store';
+
+const RESULT = {
+  title: '第 1 集：開場',
+  text: '[00:00 - 00:02] 大家好\n\n[00:02 - 00:05] 歡迎收聽',
+  language: 'zh',
+  duration: 5,
+  segments: [
+    { id: 0, start: 0, end: 2.5, text: '大家好' },
+    { id: 1, start: 2.5, end: 5, text: '歡迎收聽' }
+  ],
+  formats: { txt: '[00:00 - 00:02] 大家好\n\n[00:02 - 00:05] 歡迎收聽' },
+  metadata: { processed: false, totalSegments: 1, outputFormats: ['txt'] },
+  corrections: [{ original: '歡迎收廳', corrected: '歡迎收聽', type: '錯字' }]
+};
+
+describe('TranscriptStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcript-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('saves results under a hashed file name and lists summaries', () => {
+    const store = new TranscriptStore(dir);
+    store.save('guid:https://example.com/ep/1?x=1', { ...RESULT, audioUrl: 'https://example.com/ep1.mp3' });
+
+    const reloaded = new TranscriptStore(dir);
+    expect(reloaded.list()).toEqual([expect.objectContaining({
+      episodeId: 'guid:https://example.com/ep/1?x=1',
+      source: 'whisper',
+      segmentCount: 2,
+      formats: ['txt'],
+      correctionCount: 1
+    })]);
+    expect(reloaded.list()[0].fileName).toMatch(/^[0-9a-f]{32}\.json$/);
+    expect(reloaded.get('guid:https://example.com/ep/1?x=1')).toMatchObject({
+      audioUrl: 'https://example.com/ep1.mp3',
+      corrections: RESULT.corrections,
+      segments: RESULT.segments
+    });
+  });
+
+  test('keeps the source and transcript URL of imported publisher transcripts', () => {
+    const store = new TranscriptStore(dir);
+    store.save('ep2', { ...RESULT, source: 'publisher', transcriptUrl: 'https://example.com/ep2.vtt' });
+
+    expect(store.list()[0]).toMatchObject({ episodeId: 'ep2', source: 'publisher' });
+    expect(store.get('ep2')).toMatchObject({ source: 'publisher', transcriptUrl: 'https://example.com/ep2.vtt', audioUrl: null });
+  });
+
+  test('overwrites an episode but keeps its creation time', () => {
+    const store = new TranscriptStore(dir);
+    const first = store.save('ep1', RESULT);
+    const second = store.save('ep1', { ...RESULT, text: '新的內容' });
+
+    expect(second.createdAt).toBe(first.createdAt);
+    expect(store.list()).toHaveLength(1);
+    expect(store.get('ep1').text).toBe('新的內容');
+  });
+
+  test('returns stored formats and generates missing ones from segments', () => {
+    const store = new TranscriptStore(dir);
+    const record = store.save('ep1', RESULT);
+
+    expect(TranscriptStore.render(record, 'txt').content).toBe(RESULT.formats.txt);
+    const { content, mimeType } = TranscriptStore.render(record, 'srt');
+    expect(mimeType).toMatch(/subrip/);
+    expect(content).toContain('00:00:02,500 --> 00:00:05,000\n歡迎收聽');
+    expect(TranscriptStore.render(record, 'vtt').content.startsWith('WEBVTT')).toBe(true);
+    expect(TranscriptStore.isSupportedFormat('docx')).toBe(false);
+  });
+
+  test('removes the file and the index entry', () => {
+    const store = new TranscriptStore(dir);
+    store.save('ep1', RESULT);
+    const fileName = store.list()[0].fileName;
+
+    expect(store.remove('ep1')).toBe(true);
+    expect(store.remove('ep1')).toBe(false);
+    expect(fs.existsSync(path.join(dir, fileName))).toBe(false);
+    expect(new TranscriptStore(dir).get('ep1')).toBeNull();
+  });
+});
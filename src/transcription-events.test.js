@@ -0,0 +1,60 @@
+import { TranscriptionEvents } from '../transcription-events';
+
+describe('TranscriptionEvents', () => {
+  let now;
+  let events;
+
+  beforeEach(() => {
+    now = 0;
+    events = new TranscriptionEvents({ now: () => now });
+  });
+
+  test('replays history to late subscribers and skips events they already have', () => {
+    events.start('ep1');
+    events.log('ep1', { level: 'info', message: '開始', stage: '初始化' });
+    events.log('ep1', { level: 'info', message: '下載完成', stage: '下載' });
+
+    const replayed = [];
+    const unsubscribe = events.subscribe('ep1', event => replayed.push(event), 1);
+    events.log('ep1', { level: 'success', message: '完成', stage: '完成' });
+    unsubscribe();
+    events.log('ep1', { level: 'info', message: '不會收到' });
+
+    expect(replayed.map(event => event.data.message)).toEqual(['下載完成', '完成']);
+    expect(events.getLogs('ep1')).toHaveLength(4);
+  });
+
+  test('keeps only the latest progress, never goes backwards and estimates the remaining time', () => {
+    events.start('ep1');
+    now = 10000;
+    events.progress('ep1', { stage: '轉錄', percent: 25, segment: { current: 1, total: 4 } });
+    events.progress('ep1', { stage: '轉錄', percent: 20 });
+
+    expect(events.getProgress('ep1')).toMatchObject({ stage: '轉錄', percent: 25, elapsedSeconds: 10, etaSeconds: 30 });
+
+    const replayed = [];
+    events.subscribe('ep1', event => replayed.push(event));
+    expect(replayed.filter(event => event.type === 'progress')).toHaveLength(1);
+  });
+
+  test('ends with a done event and starts a new run with a clean history', () => {
+    events.start('ep1');
+    events.log('ep1', { level: 'info', message: '第一次' });
+    events.finish('ep1', { status: 'error', error: '轉錄失敗' });
+
+    const received = [];
+    events.subscribe('ep1', event => received.push(event));
+    expect(received[received.length - 1]).toMatchObject({ type: 'done', data: { status: 'error', error: '轉錄失敗' } });
+
+    events.start('ep1');
+    events.finish('ep1');
+    expect(events.getLogs('ep1')).toEqual([]);
+    expect(events.getProgress('ep1')).toMatchObject({ stage: '完成', percent: 100, etaSeconds: null });
+    expect(received.map(event => event.type).slice(-2)).toEqual(['progress', 'done']);
+  });
+
+  test('formats events for Server-Sent Events', () => {
+    expect(TranscriptionEvents.formatSse({ id: 3, type: 'log', data: { message: '你好' } }))
+      .toBe('id: 3\nevent: log\ndata: {"message":"你好"}\n\n');
+  });
+});
@@ -0,0 +1,81 @@
+import { Readable } from 'stream';
+import { UrlGuard } from '../url-guard';
+
+const createResponse = (chunks, headers = {}) => {
+  const response = Readable.from(chunks);
+  response.statusCode = 200;
+  response.headers = headers;
+  response.complete = false;
+  response.setTimeout = jest.fn();
+  return response;
+};
+
+describe('UrlGuard', () => {
+  test('recognises private, loopback, link-local and mapped addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:7f00:1']
+      .forEach(address => expect(UrlGuard.isPrivateAddress(address)).toBe(true));
+    ['8.8.8.8', '172.32.0.1', '2606:4700::1111', 'example.com']
+      .forEach(address => expect(UrlGuard.isPrivateAddress(address)).toBe(false));
+  });
+
+  test('rejects non-http protocols, literal internal IPs and hosts outside the allowlist', () => {
+    const guard = new UrlGuard({ allowedHosts: ['soundon.fm', '*.example.com'] });
+
+    expect(guard.checkUrl('https://rss.soundon.fm/ep.mp3').hostname).toBe('rss.soundon.fm');
+    expect(guard.checkUrl('https://cdn.example.com/ep.mp3').hostname).toBe('cdn.example.com');
+    expect(() => guard.checkUrl('file:///etc/passwd')).toThrow(expect.objectContaining({ isBlockedUrl: true, statusCode: 400 }));
+    expect(() => guard.checkUrl('https://evil-soundon.fm/ep.mp3')).toThrow(expect.objectContaining({ statusCode: 403 }));
+
+    const open = new UrlGuard();
+    expect(() => open.checkUrl('http://2130706433/')).toThrow('127.0.0.1');
+    expect(() => open.checkUrl('http://[::ffff:127.0.0.1]:8080/')).toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(new UrlGuard({ allowPrivateNetworks: true }).checkUrl('http://127.0.0.1/').hostname).toBe('127.0.0.1');
+  });
+
+  test('blocks host names that resolve to internal addresses', async () => {
+    const guard = new UrlGuard();
+    const error = await new Promise(resolve => guard.lookup('localhost', {}, resolve));
+    expect(error).toMatchObject({ isBlockedUrl: true, statusCode: 403 });
+
+    const addresses = await new Promise((resolve, reject) => new UrlGuard({ allowPrivateNetworks: true })
+      .lookup('localhost', { all: true }, (lookupError, result) => (lookupError ? reject(lookupError) : resolve(result))));
+    expect(addresses.length).toBeGreaterThan(0);
+  });
+
+  test('limits response size by Content-Length or while streaming', async () => {
+    const guard = new UrlGuard({ maxBytes: 10 });
+    expect(() => guard.limitResponse(createResponse([], { 'content-length': '11' }))).toThrow(expect.objectContaining({ statusCode: 413 }));
+
+    const small = createResponse([Buffer.alloc(4)], { 'content-length': '4' });
+    expect(guard.limitResponse(small)).toBe(small);
+
+    const limited = guard.limitResponse(createResponse([Buffer.alloc(6), Buffer.alloc(6)]));
+    expect(limited.statusCode).toBe(200);
+    await expect(new Promise((resolve, reject) => {
+      limited.on('error', reject);
+      limited.on('end', resolve);
+      limited.resume();
+    })).rejects.toMatchObject({ statusCode: 413 });
+  });
+
+  test('does not throw when a consumer without an error listener reads past the limit or loses the connection', async () => {
+    const guard = new UrlGuard({ maxBytes: 10 });
+    const consume = (stream) => new Promise(resolve => {
+      stream.on('close', resolve);
+      stream.resume();
+    });
+
+    const overLimit = guard.limitResponse(createResponse([Buffer.alloc(6), Buffer.alloc(6), Buffer.alloc(6)]));
+    await consume(overLimit);
+    expect(overLimit.complete).toBe(false);
+
+    const upstream = createResponse([]);
+    upstream._read = () => {};
+    const aborted = guard.limitResponse(upstream);
+    const closed = consume(aborted);
+    upstream.push(Buffer.alloc(4));
+    upstream.destroy(new Error('aborted'));
+    await closed;
+    expect(aborted.destroyed).toBe(true);
+  });
+});
@@ -0,0 +1,37 @@
+import { PassThrough, Readable } from 'stream';
+import { ZipArchive } from '../zip-archive';
+
+const collect = (stream) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  return () => Buffer.concat(chunks);
+};
+
+describe('ZipArchive', () => {
+  test('computes CRC-32 incrementally', () => {
+    expect(ZipArchive.crc32(Buffer.from('hello world'))).toBe(0x0D4A1185);
+    expect(ZipArchive.crc32(Buffer.from(' world'), ZipArchive.crc32(Buffer.from('hello')))).toBe(0x0D4A1185);
+  });
+
+  test('writes stored entries with data descriptors and a central directory', async () => {
+    const output = new PassThrough();
+    const read = collect(output);
+    const archive = new ZipArchive(output);
+
+    await archive.addBuffer('第 1 集.txt', '你好');
+    await archive.addStream('audio.mp3', Readable.from([Buffer.from('ID3'), Buffer.alloc(10)]));
+    await expect(archive.addBuffer('audio.mp3', 'dup')).resolves.toMatchObject({ name: 'audio (2).mp3' });
+    await archive.finalize();
+
+    const zip = read();
+    const end = zip.slice(zip.length - 22);
+    expect(end.readUInt32LE(0)).toBe(0x06054B50);
+    expect(end.readUInt16LE(10)).toBe(3);
+
+    const centralDirectory = zip.slice(end.readUInt32LE(16));
+    expect(centralDirectory.readUInt32LE(0)).toBe(0x02014B50);
+    expect(centralDirectory.readUInt16LE(8) & 0x0800).toBe(0x0800);
+    expect(centralDirectory.readUInt32LE(16)).toBe(ZipArchive.crc32(Buffer.from('你好')));
+    expect(centralDirectory.slice(46, 46 + centralDirectory.readUInt16LE(28)).toString('utf8')).toBe('第 1 集.txt');
+  });
+});
@@ -0,0 +1,380 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * RSS 訂閱服務模塊
+ * 儲存訂閱清單、定期輪詢 feed 偵測新集數（以 guid 判斷），並依規則排入自動處理佇列
+ */
+
+// 訂閱預設規則：新集數預設只記錄，不自動處理
+const DEFAULT_RULES = {
+  download: false,
+  transcribe: false,
+  generateContent: false,
+  transcriptSource: 'publisher'
+};
+
+// 自動處理的步驟順序（後面的步驟依賴前面的結果）
+const AUTOMATION_TASKS = ['download', 'transcribe', 'generateContent'];
+
+// 每個訂閱保留的最近集數紀錄數量
+const MAX_RECENT_ITEMS = 50;
+
+/**
+ * 取得集數的唯一識別：優先使用 guid，沒有時使用穩定的集數 ID（音檔 URL 與標題的雜湊）
+ */
+function getEpisodeKey(episode) {
+  return episode.guid || episode.id;
+}
+
+/**
+ * 取出生成行銷內容時要參考的集數資訊（show notes、季／集數等）
+ */
+function pickContentMetadata(episode) {
+  const metadata = {};
+  ['description', 'season', 'episodeNumber', 'episodeType', 'explicit'].forEach(key => {
+    if (episode[key] !== undefined) metadata[key] = episode[key];
+  });
+  return metadata;
+}
+
+// 訂閱清單儲存（JSON 檔案）
+class SubscriptionStore {
+
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.subscriptions = this.load();
+  }
+
+  /**
+   * 從磁碟載入訂閱清單
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        return Array.isArray(data.subscriptions) ? data.subscriptions : [];
+      }
+    } catch (error) {
+      console.warn(`⚠️ 讀取訂閱清單失敗，將使用空清單: ${error.message}`);
+    }
+    return [];
+  }
+
+  /**
+   * 寫回磁碟（先寫暫存檔再改名，避免寫到一半損毀）
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ subscriptions: this.subscriptions }, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  list() {
+    return this.subscriptions;
+  }
+
+  get(id) {
+    return this.subscriptions.find(subscription => subscription.id === id);
+  }
+
+  findByUrl(feedUrl) {
+    return this.subscriptions.find(subscription => subscription.feedUrl === feedUrl);
+  }
+
+  /**
+   * 新增訂閱；seenGuids 為 null 表示尚未建立基準，第一次輪詢時現有集數都視為已讀
+   */
+  create({ feedUrl, title = '', rules = {}, pollIntervalMinutes = null, seenGuids = null }) {
+    const subscription = {
+      id: crypto.randomBytes(6).toString('hex'),
+      feedUrl,
+      title,
+      enabled: true,
+      rules: { ...DEFAULT_RULES, ...rules },
+      pollIntervalMinutes,
+      seenGuids,
+      recentItems: [],
+      createdAt: new Date().toISOString(),
+      lastPolledAt: null,
+      lastError: null
+    };
+    this.subscriptions.push(subscription);
+    this.save();
+    return subscription;
+  }
+
+  update(id, patch) {
+    const subscription = this.get(id);
+    if (!subscription) return null;
+
+    Object.assign(subscription, patch);
+    if (patch.rules) {
+      subscription.rules = { ...DEFAULT_RULES, ...patch.rules };
+    }
+    this.save();
+    return subscription;
+  }
+
+  remove(id) {
+    const index = this.subscriptions.findIndex(subscription => subscription.id === id);
+    if (index === -1) return false;
+    this.subscriptions.splice(index, 1);
+    this.save();
+    return true;
+  }
+
+  /**
+   * 新增集數紀錄到訂閱的最近集數列表（最新的在前）
+   */
+  addItem(id, item) {
+    const subscription = this.get(id);
+    if (!subscription) return null;
+    subscription.recentItems = [item, ...(subscription.recentItems || [])].slice(0, MAX_RECENT_ITEMS);
+    this.save();
+    return item;
+  }
+
+  getItem(id, guid) {
+    const subscription = this.get(id);
+    return subscription ? (subscription.recentItems || []).find(item => item.guid === guid) : undefined;
+  }
+
+  updateItem(id, guid, patch) {
+    const item = this.getItem(id, guid);
+    if (!item) return null;
+    Object.assign(item, patch);
+    this.save();
+    return item;
+  }
+}
+
+// 新集數自動處理佇列（依序處理，避免同時進行多個轉錄）
+class AutomationQueue {
+
+  /**
+   * @param {SubscriptionStore} store
+   * @param {Object} runners - { download, transcribe, generateContent }，每個都是 async (subscription, item, context) => output
+   */
+  constructor(store, runners) {
+    this.store = store;
+    this.runners = runners;
+    this.pending = [];
+    this.running = false;
+
+    // 伺服器重啟後，繼續處理尚未完成的集數
+    store.list().forEach(subscription => {
+      (subscription.recentItems || []).forEach(item => {
+        const unfinished = AUTOMATION_TASKS.filter(task => ['pending', 'running'].includes(item.tasks?.[task]));
+        if (unfinished.length > 0) {
+          unfinished.forEach(task => { item.tasks[task] = 'pending'; });
+          item.status = 'queued';
+          this.pending.push({ subscriptionId: subscription.id, guid: item.guid });
+        }
+      });
+    });
+    if (this.pending.length > 0) {
+      console.log(`📡 恢復 ${this.pending.length} 個未完成的訂閱自動處理項目`);
+      store.save();
+    }
+  }
+
+  /**
+   * 記錄新集數，並依訂閱規則排入佇列
+   */
+  enqueue(subscription, episodes) {
+    const { rules } = subscription;
+
+    episodes.forEach(episode => {
+      const tasks = {};
+      AUTOMATION_TASKS.forEach(task => {
+        tasks[task] = rules[task] ? 'pending' : 'skipped';
+      });
+      // 產生行銷內容需要逐字稿，下載不是轉錄的前提（轉錄 API 會自行下載）
+      if (rules.generateContent && !rules.transcribe) {
+        tasks.transcribe = 'pending';
+      }
+
+      const hasWork = AUTOMATION_TASKS.some(task => tasks[task] === 'pending');
+      this.store.addItem(subscription.id, {
+        guid: getEpisodeKey(episode),
+        episodeId: episode.id,
+        title: episode.title,
+        pubDate: episode.pubDate,
+        audioUrl: episode.audioUrl,
+        transcripts: episode.transcripts,
+        metadata: pickContentMetadata(episode),
+        detectedAt: new Date().toISOString(),
+        status: hasWork ? 'queued' : 'detected',
+        tasks,
+        outputs: {},
+        error: null
+      });
+
+      if (hasWork) {
+        this.pending.push({ subscriptionId: subscription.id, guid: getEpisodeKey(episode) });
+      }
+    });
+
+    this.run();
+  }
+
+  async run() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      while (this.pending.length > 0) {
+        const { subscriptionId, guid } = this.pending.shift();
+        await this.process(subscriptionId, guid);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async process(subscriptionId, guid) {
+    const subscription = this.store.get(subscriptionId);
+    const item = this.store.getItem(subscriptionId, guid);
+    if (!subscription || !item) return;
+
+    console.log(`📡 訂閱自動處理開始: ${subscription.title || subscription.feedUrl} - ${item.title}`);
+    this.store.updateItem(subscriptionId, guid, { status: 'processing' });
+
+    const context = {};
+    for (const task of AUTOMATION_TASKS) {
+      if (item.tasks[task] !== 'pending') continue;
+
+      this.store.updateItem(subscriptionId, guid, { tasks: { ...item.tasks, [task]: 'running' } });
+      try {
+        const output = await this.runners[task](subscription, item, context) || {};
+        Object.assign(context, output);
+        this.store.updateItem(subscriptionId, guid, {
+          tasks: { ...item.tasks, [task]: 'done' },
+          outputs: { ...item.outputs, ...(output.files || {}) }
+        });
+      } catch (error) {
+        console.error(`❌ 訂閱自動處理失敗 (${task}): ${item.title}`, error);
+        const tasks = { ...item.tasks, [task]: 'error' };
+        // 後續步驟無法進行
+        AUTOMATION_TASKS.forEach(nextTask => {
+          if (tasks[nextTask] === 'pending') tasks[nextTask] = 'skipped';
+        });
+        this.store.updateItem(subscriptionId, guid, { tasks, status: 'error', error: `${task}: ${error.message}` });
+        return;
+      }
+    }
+
+    this.store.updateItem(subscriptionId, guid, { status: 'completed' });
+    console.log(`✅ 訂閱自動處理完成: ${item.title}`);
+  }
+}
+
+// 訂閱輪詢器：定期檢查到期的訂閱
+class SubscriptionPoller {
+
+  /**
+   * @param {SubscriptionStore} store
+   * @param {Object} options
+   * @param {Function} options.loadFeed - async (feedUrl) => { feed, episodes }
+   * @param {Function} options.onNewEpisodes - (subscription, episodes) => void
+   * @param {number} options.defaultIntervalMinutes - 訂閱未設定時的輪詢間隔
+   * @param {number} options.tickMs - 檢查到期訂閱的頻率
+   */
+  constructor(store, { loadFeed, onNewEpisodes, defaultIntervalMinutes = 60, tickMs = 60 * 1000 }) {
+    this.store = store;
+    this.loadFeed = loadFeed;
+    this.onNewEpisodes = onNewEpisodes;
+    this.defaultIntervalMinutes = defaultIntervalMinutes;
+    this.tickMs = tickMs;
+    this.timer = null;
+    this.inFlight = new Set();
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.pollDue(), this.tickMs);
+    console.log(`📡 訂閱輪詢已啟動（預設每 ${this.defaultIntervalMinutes} 分鐘檢查一次）`);
+    this.pollDue();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  isDue(subscription, now = Date.now()) {
+    if (!subscription.enabled) return false;
+    if (!subscription.lastPolledAt) return true;
+    const intervalMinutes = subscription.pollIntervalMinutes || this.defaultIntervalMinutes;
+    return now - new Date(subscription.lastPolledAt).getTime() >= intervalMinutes * 60 * 1000;
+  }
+
+  async pollDue() {
+    const dueSubscriptions = this.store.list().filter(subscription => this.isDue(subscription));
+    for (const subscription of dueSubscriptions) {
+      try {
+        await this.poll(subscription.id);
+      } catch (error) {
+        console.warn(`⚠️ 訂閱輪詢失敗: ${subscription.feedUrl} - ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 輪詢單一訂閱，回傳新偵測到的集數
+   */
+  async poll(id) {
+    const subscription = this.store.get(id);
+    if (!subscription) {
+      throw new Error('找不到此訂閱');
+    }
+    if (this.inFlight.has(id)) {
+      return [];
+    }
+
+    this.inFlight.add(id);
+    try {
+      const { feed, episodes } = await this.loadFeed(subscription.feedUrl);
+      const isBaseline = !Array.isArray(subscription.seenGuids);
+      const seenGuids = new Set(subscription.seenGuids || []);
+      const newEpisodes = isBaseline
+        ? []
+        : episodes.filter(episode => !seenGuids.has(getEpisodeKey(episode)));
+
+      // 只保留 feed 中目前存在的 guid，避免清單無限成長
+      this.store.update(id, {
+        title: feed.title || subscription.title,
+        seenGuids: episodes.map(getEpisodeKey),
+        lastPolledAt: new Date().toISOString(),
+        lastError: null
+      });
+
+      if (newEpisodes.length > 0) {
+        console.log(`📡 ${feed.title || subscription.feedUrl} 有 ${newEpisodes.length} 個新集數`);
+        this.onNewEpisodes(this.store.get(id), newEpisodes);
+      }
+      return newEpisodes;
+    } catch (error) {
+      this.store.update(id, {
+        lastPolledAt: new Date().toISOString(),
+        lastError: error.message
+      });
+      throw error;
+    } finally {
+      this.inFlight.delete(id);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  getEpisodeKey,
+  SubscriptionStore,
+  AutomationQueue,
+  SubscriptionPoller
+};
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { TranscriptionFormatter } = require('./transcription-service');
+
+/**
+ * 逐字稿儲存模塊
+ * 轉錄完成的結果（文字、segments、各種格式、metadata 與錯字修正紀錄）依集數 ID 存成 JSON 檔，
+ * 另以 index.json 保存摘要供列表使用；請求的格式當初沒有產生時，依保存的 segments 即時產生
+ */
+
+// 可取得的逐字稿格式
+const TRANSCRIPT_FORMATS = {
+  txt: { mimeType: 'text/plain; charset=utf-8', generate: transcript => TranscriptionFormatter.generatePlainText(transcript) },
+  srt: { mimeType: 'application/x-subrip; charset=utf-8', generate: transcript => TranscriptionFormatter.generateSRT(transcript) },
+  vtt: { mimeType: 'text/vtt; charset=utf-8', generate: transcript => TranscriptionFormatter.generateVTT(transcript) },
+  json: { mimeType: 'application/json; charset=utf-8', generate: transcript => TranscriptionFormatter.generateJSON(transcript) }
+};
+
+class TranscriptStore {
+
+  /**
+   * @param {string} dir - 逐字稿存放目錄
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.indexFile = path.join(dir, 'index.json');
+    this.entries = this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.indexFile)) {
+        const data = JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+        return Array.isArray(data.transcripts) ? data.transcripts : [];
+      }
+    } catch (error) {
+      console.warn(`⚠️ 讀取逐字稿索引失敗，將使用空索引: ${error.message}`);
+    }
+    return [];
+  }
+
+  /**
+   * 先寫暫存檔再改名，避免寫到一半損毀
+   */
+  static writeJson(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  saveIndex() {
+    TranscriptStore.writeJson(this.indexFile, { transcripts: this.entries });
+  }
+
+  /**
+   * 集數 ID 可能包含任何字元（來自 guid），檔名使用雜湊
+   */
+  static getFileName(episodeId) {
+    return `${crypto.createHash('sha256').update(String(episodeId)).digest('hex').slice(0, 32)}.json`;
+  }
+
+  static isSupportedFormat(format) {
+    return Object.prototype.hasOwnProperty.call(TRANSCRIPT_FORMATS, format);
+  }
+
+  /**
+   * 列出已保存的逐字稿摘要（最近更新的在前）
+   */
+  list() {
+    return [...this.entries].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  has(episodeId) {
+    return this.entries.some(entry => entry.episodeId === episodeId);
+  }
+
+  get(episodeId) {
+    const entry = this.entries.find(item => item.episodeId === episodeId);
+    if (!entry) return null;
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.dir, entry.fileName), 'utf8'));
+    } catch (error) {
+      console.warn(`⚠️ 讀取逐字稿失敗: ${episodeId} - ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 保存轉錄結果；同一集再次轉錄時覆蓋舊的結果，保留第一次建立的時間
+   */
+  save(episodeId, {
+    title = '',
+    source = 'whisper',
+    audioUrl = null,
+    transcriptUrl = null,
+    language = null,
+    duration = null,
+    text = '',
+    segments = [],
+    formats = {},
+    metadata = {},
+    corrections = []
+  }) {
+    const existing = this.entries.find(item => item.episodeId === episodeId);
+    const now = new Date().toISOString();
+    const fileName = TranscriptStore.getFileName(episodeId);
+    const record = {
+      episodeId,
+      title,
+      source,
+      audioUrl,
+      transcriptUrl,
+      language,
+      duration,
+      text,
+      segments,
+      formats,
+      metadata,
+      corrections,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+    TranscriptStore.writeJson(path.join(this.dir, fileName), record);
+
+    const entry = {
+      episodeId,
+      title,
+      source,
+      language,
+      duration,
+      textLength: text.length,
+      segmentCount: segments.length,
+      formats: Object.keys(formats),
+      correctionCount: corrections.length,
+      fileName,
+      createdAt: record.createdAt,
+      updatedAt: now
+    };
+    this.entries = [...this.entries.filter(item => item.episodeId !== episodeId), entry];
+    this.saveIndex();
+    return record;
+  }
+
+  remove(episodeId) {
+    const entry = this.entries.find(item => item.episodeId === episodeId);
+    if (!entry) return false;
+    this.entries = this.entries.filter(item => item.episodeId !== episodeId);
+    this.saveIndex();
+    try {
+      fs.unlinkSync(path.join(this.dir, entry.fileName));
+    } catch (error) {
+      console.warn(`⚠️ 刪除逐字稿檔案失敗: ${entry.fileName} - ${error.message}`);
+    }
+    return true;
+  }
+
+  /**
+   * 取得指定格式的內容；轉錄時沒有產生的格式依保存的 segments 產生
+   * @returns {{ content: string, mimeType: string }}
+   */
+  static render(record, format) {
+    const { mimeType, generate } = TRANSCRIPT_FORMATS[format];
+    const stored = record.formats?.[format];
+    return {
+      content: typeof stored === 'string' ? stored : generate(record),
+      mimeType
+    };
+  }
+}
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  TranscriptStore
+};
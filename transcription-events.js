@@ -0,0 +1,155 @@
+/**
+ * 轉錄進度事件模塊
+ * 每一集一個事件頻道：轉錄日誌、結構化進度（階段、片段 i/n、百分比、預估剩餘時間）與完成事件依序編號保存，
+ * 新的訂閱者（Server-Sent Events）先收到已發生的事件再即時接收後續事件；轉錄結束後保留一段時間再清除
+ */
+
+// 每個頻道保留的事件數上限（進度事件只保留最新一筆）
+const MAX_EVENTS = 500;
+
+// 轉錄結束後保留事件的時間
+const DEFAULT_RETENTION_MS = 5 * 60 * 1000;
+
+class TranscriptionEvents {
+
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEvents - 每個頻道保留的事件數
+   * @param {number} options.retentionMs - 轉錄結束後保留事件的時間（毫秒）
+   * @param {Function} options.now - 取得目前時間（毫秒），測試時可替換
+   */
+  constructor({ maxEvents = MAX_EVENTS, retentionMs = DEFAULT_RETENTION_MS, now = () => Date.now() } = {}) {
+    this.maxEvents = maxEvents;
+    this.retentionMs = retentionMs;
+    this.now = now;
+    this.channels = new Map();
+  }
+
+  getChannel(episodeId) {
+    if (!this.channels.has(episodeId)) {
+      this.channels.set(episodeId, {
+        events: [],
+        nextId: 1,
+        listeners: new Set(),
+        startedAt: this.now(),
+        progress: null,
+        finished: false,
+        cleanupTimer: null
+      });
+    }
+    return this.channels.get(episodeId);
+  }
+
+  /**
+   * 開始一次轉錄：上一次轉錄已結束時清除舊事件（事件編號繼續遞增，重新連線的訂閱者不會收到重複事件）
+   */
+  start(episodeId) {
+    const channel = this.getChannel(episodeId);
+    clearTimeout(channel.cleanupTimer);
+    if (channel.finished) {
+      channel.events = [];
+      channel.progress = null;
+    }
+    Object.assign(channel, { finished: false, startedAt: this.now(), cleanupTimer: null });
+  }
+
+  log(episodeId, { level, message, stage, memory }) {
+    this.emit(episodeId, 'log', { timestamp: new Date(this.now()).toISOString(), level, message, stage, memory });
+  }
+
+  /**
+   * 回報進度；百分比不會倒退，預估剩餘時間依這次轉錄已經過的時間推算
+   * @param {Object} progress - { stage, percent, segment: { current, total } }
+   */
+  progress(episodeId, { stage, percent, segment = null }) {
+    const channel = this.getChannel(episodeId);
+    const clamped = Math.min(100, Math.max(channel.progress?.percent || 0, Math.round(percent)));
+    const elapsedMs = this.now() - channel.startedAt;
+    const etaSeconds = clamped > 0 && clamped < 100
+      ? Math.round((elapsedMs / clamped) * (100 - clamped) / 1000)
+      : null;
+
+    channel.progress = {
+      timestamp: new Date(this.now()).toISOString(),
+      stage,
+      percent: clamped,
+      segment,
+      elapsedSeconds: Math.round(elapsedMs / 1000),
+      etaSeconds
+    };
+    // 歷史中只保留最新的進度，新的訂閱者不需要重播每一次進度變化
+    channel.events = channel.events.filter(event => event.type !== 'progress');
+    this.emit(episodeId, 'progress', channel.progress);
+  }
+
+  /**
+   * 轉錄結束（status：completed 或 error），保留 retentionMs 後清除頻道
+   */
+  finish(episodeId, { status = 'completed', error = null } = {}) {
+    const channel = this.getChannel(episodeId);
+    if (status === 'completed') {
+      this.progress(episodeId, { stage: '完成', percent: 100 });
+    }
+    this.emit(episodeId, 'done', { timestamp: new Date(this.now()).toISOString(), status, error });
+    channel.finished = true;
+
+    clearTimeout(channel.cleanupTimer);
+    channel.cleanupTimer = setTimeout(() => {
+      if (this.channels.get(episodeId) === channel) {
+        this.channels.delete(episodeId);
+        console.log(`已清理 ${episodeId} 的日誌`);
+      }
+    }, this.retentionMs);
+    if (channel.cleanupTimer.unref) channel.cleanupTimer.unref();
+  }
+
+  emit(episodeId, type, data) {
+    const channel = this.getChannel(episodeId);
+    const event = { id: channel.nextId++, type, data };
+    channel.events.push(event);
+    if (channel.events.length > this.maxEvents) {
+      channel.events.shift();
+    }
+    channel.listeners.forEach(listener => listener(event));
+  }
+
+  getLogs(episodeId) {
+    const channel = this.channels.get(episodeId);
+    return channel ? channel.events.filter(event => event.type === 'log').map(event => event.data) : [];
+  }
+
+  getProgress(episodeId) {
+    return this.channels.get(episodeId)?.progress || null;
+  }
+
+  /**
+   * 訂閱頻道：先重播編號大於 lastEventId 的事件，再即時接收後續事件；頻道還不存在時等待轉錄開始
+   * @returns {Function} 取消訂閱
+   */
+  subscribe(episodeId, listener, lastEventId = 0) {
+    const channel = this.getChannel(episodeId);
+    channel.events
+      .filter(event => event.id > lastEventId)
+      .forEach(event => listener(event));
+    channel.listeners.add(listener);
+
+    return () => {
+      channel.listeners.delete(listener);
+      // 只有訂閱者、沒有任何事件的頻道（例如訂閱了不存在的集數）不需要保留
+      if (channel.listeners.size === 0 && channel.events.length === 0 && this.channels.get(episodeId) === channel) {
+        this.channels.delete(episodeId);
+      }
+    };
+  }
+
+  /**
+   * Server-Sent Events 格式（id 讓瀏覽器重新連線時帶上 Last-Event-ID）
+   */
+  static formatSse(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+  }
+}
+
+module.exports = {
+  TranscriptionEvents
+};
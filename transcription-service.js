@@ -4,7 +4,7 @@ const { v4: uuidv4 } = require('uuid');
 
 /**
  * 增強轉錄服務模塊
- * 支援多種輸出格式、說話者分離等功能
+ * 支援多種輸出格式、說話者分離、匯入發布者逐字稿等功能
  */
 
 // 轉錄格式處理器
@@ -293,6 +293,206 @@ class SpeakerDiarization {
   }
 }
 
+// 發布者逐字稿匯入器（podcast:transcript）
+class TranscriptImporter {
+
+  /**
+   * 判斷逐字稿格式：優先使用 MIME 類型，其次副檔名，最後依內容判斷
+   */
+  static detectFormat(type = '', url = '', content = '') {
+    const mimeType = String(type).toLowerCase();
+    if (mimeType.includes('subrip') || mimeType.includes('srt')) return 'srt';
+    if (mimeType.includes('vtt')) return 'vtt';
+    if (mimeType.includes('json')) return 'json';
+    if (mimeType.includes('html')) return 'html';
+
+    const extension = (String(url).split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+    if (extension && ['srt', 'vtt', 'json', 'html'].includes(extension.toLowerCase())) {
+      return extension.toLowerCase();
+    }
+
+    const trimmed = String(content).replace(/^\uFEFF/, '').trim();
+    if (/^WEBVTT/.test(trimmed)) return 'vtt';
+    if (/^[{[]/.test(trimmed)) return 'json';
+    if (/\d{2}:\d{2}:\d{2},\d{3}\s*-->/.test(trimmed)) return 'srt';
+    if (/^</.test(trimmed)) return 'html';
+    return 'txt';
+  }
+
+  /**
+   * 從 podcast:transcript 列表挑選最適合匯入的格式（有時間軸的優先）
+   */
+  static pickTranscript(transcripts) {
+    if (!Array.isArray(transcripts) || transcripts.length === 0) return undefined;
+    const preference = ['json', 'vtt', 'srt', 'subrip', 'html'];
+    const rank = (transcript) => {
+      const index = preference.findIndex(type => String(transcript.type || '').toLowerCase().includes(type));
+      return index === -1 ? preference.length : index;
+    };
+    return [...transcripts].sort((a, b) => rank(a) - rank(b))[0];
+  }
+
+  /**
+   * 將逐字稿內容轉為與 Whisper verbose_json 相同的結構
+   */
+  static parse(content, format) {
+    const text = String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+    let segments;
+    switch (format) {
+      case 'srt':
+      case 'vtt':
+        segments = this.parseCues(text);
+        break;
+      case 'json':
+        segments = this.parseJSON(text);
+        break;
+      case 'html':
+        segments = this.parseHTML(text);
+        break;
+      default:
+        segments = [];
+    }
+
+    if (segments.length === 0) {
+      const plainText = format === 'html' ? this.stripTags(text) : text.trim();
+      if (!plainText) {
+        throw new Error('逐字稿內容為空或格式無法解析');
+      }
+      return { text: plainText, segments: [] };
+    }
+
+    return {
+      text: segments.map(segment => segment.text).join(' '),
+      segments: segments.map((segment, index) => ({ id: index, ...segment })),
+      duration: segments[segments.length - 1].end
+    };
+  }
+
+  /**
+   * 解析 SRT / VTT 字幕區塊（兩者的時間軸格式相近）
+   */
+  static parseCues(text) {
+    const segments = [];
+
+    text.split(/\n{2,}/).forEach(block => {
+      const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+      const timeIndex = lines.findIndex(line => line.includes('-->'));
+      if (timeIndex === -1) return;
+
+      const [startText, endText] = lines[timeIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+      const start = this.parseTimestamp(startText);
+      const end = this.parseTimestamp(endText);
+      if (isNaN(start) || isNaN(end)) return;
+
+      const cueLines = lines.slice(timeIndex + 1);
+      // VTT 說話者標籤：<v 主持人>內容</v>
+      const speakerMatch = cueLines.join(' ').match(/<v(?:\.[^\s>]+)?\s+([^>]+)>/);
+      const cueText = this.stripTags(cueLines.join(' '));
+      if (!cueText) return;
+
+      segments.push({
+        start,
+        end,
+        text: cueText,
+        ...(speakerMatch ? { speaker: speakerMatch[1].trim() } : {})
+      });
+    });
+
+    return segments;
+  }
+
+  /**
+   * 解析 Podcast Index JSON 逐字稿（也相容 Whisper 的 start/end/text 結構）
+   */
+  static parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`JSON 逐字稿格式錯誤: ${error.message}`);
+    }
+
+    const rawSegments = Array.isArray(data) ? data : (data.segments || []);
+    return rawSegments
+      .map(segment => {
+        const start = Number(segment.startTime ?? segment.start);
+        const end = Number(segment.endTime ?? segment.end ?? start);
+        const segmentText = String(segment.body ?? segment.text ?? '').trim();
+        return {
+          start,
+          end,
+          text: segmentText,
+          ...(segment.speaker ? { speaker: String(segment.speaker) } : {})
+        };
+      })
+      .filter(segment => !isNaN(segment.start) && segment.text);
+  }
+
+  /**
+   * 解析 HTML 逐字稿：以 <time> 標籤作為段落起點，沒有時間標籤時只取純文字
+   */
+  static parseHTML(text) {
+    const body = text.replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '');
+    const timeRegex = /<time[^>]*>([^<]+)<\/time>/gi;
+    const markers = [];
+    let match;
+    while ((match = timeRegex.exec(body)) !== null) {
+      const start = this.parseTimestamp(match[1].trim());
+      if (!isNaN(start)) {
+        markers.push({ start, index: match.index, contentStart: match.index + match[0].length });
+      }
+    }
+
+    const segments = [];
+    markers.forEach((marker, i) => {
+      const next = markers[i + 1];
+      const chunk = body.slice(marker.contentStart, next ? next.index : body.length);
+      // 說話者通常寫在下一個 <time> 前的 <cite> 中，需從本段文字中移除
+      const segmentText = this.stripTags(chunk.replace(/<cite[^>]*>[\s\S]*?<\/cite>/gi, ''));
+      const speakerMatch = body.slice(i > 0 ? markers[i - 1].contentStart : 0, marker.index)
+        .match(/<cite[^>]*>([\s\S]*?)<\/cite>\s*$/i);
+      if (!segmentText) return;
+
+      segments.push({
+        start: marker.start,
+        end: next ? next.start : marker.start,
+        text: segmentText,
+        ...(speakerMatch ? { speaker: this.stripTags(speakerMatch[1]).replace(/:$/, '') } : {})
+      });
+    });
+
+    return segments;
+  }
+
+  /**
+   * 解析時間字串（HH:MM:SS,mmm、MM:SS.mmm 或秒數）
+   */
+  static parseTimestamp(value) {
+    if (!value) return NaN;
+    const parts = String(value).replace(',', '.').split(':').map(Number);
+    if (parts.some(part => isNaN(part))) return NaN;
+    return parts.reduce((total, part) => total * 60 + part, 0);
+  }
+
+  /**
+   * 移除 HTML 標籤並解碼常見實體
+   */
+  static stripTags(html) {
+    return String(html)
+      .replace(/<br\s*\/?>/gi, ' ')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, "'")
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+}
+
 // 轉錄結果處理器
 class TranscriptionProcessor {
   
@@ -349,5 +549,6 @@ module.exports = {
   TranscriptionFormatter,
   TranscriptionOptimizer,
   SpeakerDiarization,
+  TranscriptImporter,
   TranscriptionProcessor
 }; 
\ No newline at end of file
@@ -0,0 +1,184 @@
+const dns = require('dns');
+const net = require('net');
+const { Transform } = require('stream');
+
+/**
+ * 對外請求防護模塊（SSRF）
+ * 伺服器會替用戶端抓取任意網址（音檔、RSS feed、逐字稿、封面），每一次請求與每一個重定向都要經過這裡：
+ * 只允許 http/https、可限制允許的網域，DNS 解析後拒絕私有、loopback、link-local 等內部位址，並限制回應大小
+ */
+
+// 不可連線的位址範圍（私有網路、loopback、link-local、CGNAT、保留與多播位址）
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([address, prefix, type]) => blockList.addSubnet(address, prefix, type));
+
+// IPv4-mapped IPv6（::ffff:0:0/96）一律拒絕；放在另一個清單，因為 BlockList 會把這個範圍套用到所有 IPv4 位址
+const mappedList = new net.BlockList();
+mappedList.addSubnet('::ffff:0:0', 96, 'ipv6');
+
+// 被擋下的請求帶有 isBlockedUrl 與對應的 HTTP 狀態碼，路由直接回傳 4xx
+function createBlockedError(message, statusCode = 403) {
+  const error = new Error(message);
+  error.isBlockedUrl = true;
+  error.statusCode = statusCode;
+  return error;
+}
+
+class UrlGuard {
+
+  /**
+   * @param {Object} options
+   * @param {Array<string>} options.allowedHosts - 允許的網域（含子網域），空陣列表示不限制
+   * @param {boolean} options.allowPrivateNetworks - 是否允許連到內部位址（只建議本機開發使用）
+   * @param {number} options.maxBytes - 單一回應的大小上限，0 表示不限制
+   */
+  constructor({ allowedHosts = [], allowPrivateNetworks = false, maxBytes = 0 } = {}) {
+    this.allowedHosts = allowedHosts.map(host => host.trim().toLowerCase().replace(/^\*?\./, '')).filter(Boolean);
+    this.allowPrivateNetworks = allowPrivateNetworks;
+    this.maxBytes = maxBytes;
+    this.lookup = this.lookup.bind(this);
+  }
+
+  /**
+   * 解析逗號分隔的網域清單（環境變數）
+   */
+  static parseHostList(value) {
+    return String(value || '').split(',').map(host => host.trim()).filter(Boolean);
+  }
+
+  /**
+   * IP 是否屬於內部位址
+   */
+  static isPrivateAddress(address) {
+    const type = net.isIP(address);
+    if (type === 0) return false;
+    if (type === 4) return blockList.check(address, 'ipv4');
+    return mappedList.check(address, 'ipv6') || blockList.check(address, 'ipv6');
+  }
+
+  isHostAllowed(hostname) {
+    if (this.allowedHosts.length === 0) return true;
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    return this.allowedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+  }
+
+  /**
+   * 檢查網址的協定、網域與直接寫在網址中的 IP（這類主機不會經過 DNS 查詢），通過時回傳解析後的 URL
+   */
+  checkUrl(url) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      throw createBlockedError(`無效的 URL: ${url}`, 400);
+    }
+
+    if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+      throw createBlockedError(`只允許 http 或 https 網址: ${parsedUrl.protocol}`, 400);
+    }
+
+    const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+    if (!this.isHostAllowed(hostname)) {
+      throw createBlockedError(`不在允許清單中的網域: ${hostname}`);
+    }
+    if (!this.allowPrivateNetworks && UrlGuard.isPrivateAddress(hostname)) {
+      throw createBlockedError(`不允許連線到內部網路位址: ${hostname}`);
+    }
+    return parsedUrl;
+  }
+
+  /**
+   * 給 http(s).request 的 lookup 選項使用：在實際連線前檢查 DNS 解析結果，避免網域指向內部位址（含 DNS rebinding）
+   */
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+
+      const blocked = !this.allowPrivateNetworks && addresses.find(({ address }) => UrlGuard.isPrivateAddress(address));
+      if (blocked) {
+        callback(createBlockedError(`不允許連線到內部網路位址: ${hostname} (${blocked.address})`));
+        return;
+      }
+
+      if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    });
+  }
+
+  /**
+   * 限制回應大小：Content-Length 超過上限時直接拒絕；沒有 Content-Length 時邊讀邊計算，超過就中斷
+   * 回傳的串流保留 statusCode、headers 等屬性，呼叫端可以當成原本的回應使用；
+   * 與原本的回應相同，呼叫端沒有監聽 'error' 時錯誤不會拋出（以 'close' 與 complete 判斷是否讀完）
+   */
+  limitResponse(response) {
+    if (!this.maxBytes) return response;
+
+    const tooLarge = () => createBlockedError(`回應超過大小上限 ${Math.round(this.maxBytes / 1024 / 1024)}MB`, 413);
+    const contentLength = parseInt(response.headers['content-length'], 10);
+    if (contentLength > this.maxBytes) {
+      response.resume();
+      throw tooLarge();
+    }
+    if (contentLength >= 0) return response;
+
+    let received = 0;
+    let failed = false;
+    const limited = new Transform({
+      transform: (chunk, encoding, callback) => {
+        received += chunk.length;
+        callback(received > this.maxBytes ? tooLarge() : null, chunk);
+      }
+    });
+    Object.assign(limited, {
+      statusCode: response.statusCode,
+      statusMessage: response.statusMessage,
+      headers: response.headers,
+      setTimeout: (msecs, callback) => {
+        response.setTimeout(msecs, callback);
+        return limited;
+      }
+    });
+    Object.defineProperty(limited, 'complete', { get: () => !failed && response.complete });
+
+    // 上游中斷（aborted）或超過上限時轉成串流錯誤；這裡一律先接住並標記失敗，呼叫端沒有監聽 'error' 時不會成為未捕捉的例外
+    limited.on('error', () => {
+      failed = true;
+    });
+
+    response.on('error', error => limited.destroy(error));
+    limited.on('close', () => response.destroy());
+    response.pipe(limited);
+    return limited;
+  }
+}
+
+module.exports = {
+  UrlGuard,
+  createBlockedError
+};
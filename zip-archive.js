@@ -0,0 +1,247 @@
+const { FilenameTemplate } = require('./filename-template');
+
+/**
+ * ZIP 壓縮檔串流模塊
+ * 邊產生邊寫出 ZIP（不壓縮，音檔本身已壓縮），不需要事先知道檔案大小，也不會把整個壓縮檔放進記憶體；
+ * 壓縮檔總大小或項目數超過 ZIP 上限時自動加上 ZIP64 記錄（單一檔案仍限制在 4GB 以內）
+ */
+
+const UINT32_MAX = 0xFFFFFFFF;
+const UINT16_MAX = 0xFFFF;
+
+// 一般用途旗標：bit 3 表示大小與 CRC 寫在資料之後，bit 11 表示檔名為 UTF-8
+const GENERAL_PURPOSE_FLAGS = 0x0808;
+const VERSION_NEEDED = 20;
+const VERSION_NEEDED_ZIP64 = 45;
+
+// CRC-32 查表
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// 寫入 64 位元無號整數（ZIP64 欄位；數值不超過 Number.MAX_SAFE_INTEGER）
+function writeUInt64LE(buffer, value, offset) {
+  buffer.writeUInt32LE(value % 0x100000000, offset);
+  buffer.writeUInt32LE(Math.floor(value / 0x100000000), offset + 4);
+}
+
+// 串流寫入的 ZIP 壓縮檔
+class ZipArchive {
+
+  /**
+   * @param {import('stream').Writable} output - 輸出串流（例如 Express 的 res）
+   */
+  constructor(output) {
+    this.output = output;
+    this.entries = [];
+    this.names = new Set();
+    this.offset = 0;
+    this.finalized = false;
+  }
+
+  /**
+   * 累加計算 CRC-32
+   */
+  static crc32(buffer, previous = 0) {
+    let crc = previous ^ UINT32_MAX;
+    for (let i = 0; i < buffer.length; i++) {
+      crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ UINT32_MAX) >>> 0;
+  }
+
+  /**
+   * DOS 格式的修改時間與日期
+   */
+  static toDosDateTime(date = new Date()) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  /**
+   * 壓縮檔內重複的檔名自動加上序號（例如 `標題 (2).mp3`）
+   */
+  uniqueName(name) {
+    const candidate = FilenameTemplate.uniquePath(name, entryName => this.names.has(entryName.toLowerCase()));
+    this.names.add(candidate.toLowerCase());
+    return candidate;
+  }
+
+  /**
+   * 寫出資料；輸出串流緩衝已滿時等待 drain，輸出已關閉時丟出錯誤
+   */
+  async write(buffer) {
+    if (this.output.destroyed) {
+      throw new Error('輸出串流已關閉');
+    }
+    this.offset += buffer.length;
+    if (!this.output.write(buffer)) {
+      await new Promise((resolve, reject) => {
+        const cleanup = () => {
+          this.output.removeListener('drain', onDrain);
+          this.output.removeListener('close', onClose);
+        };
+        const onDrain = () => { cleanup(); resolve(); };
+        const onClose = () => { cleanup(); reject(new Error('輸出串流已關閉')); };
+        this.output.on('drain', onDrain);
+        this.output.on('close', onClose);
+      });
+    }
+  }
+
+  /**
+   * 加入一般資料（逐字稿、manifest 等）
+   */
+  async addBuffer(name, data, options = {}) {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    return this.addStream(name, [buffer], options);
+  }
+
+  /**
+   * 加入串流資料（可為任何 async iterable，例如 http 回應或 fs.createReadStream）
+   * @returns {Promise<{ name, size }>} 實際寫入的檔名與大小
+   */
+  async addStream(name, source, { date } = {}) {
+    if (this.finalized) {
+      throw new Error('壓縮檔已結束，不能再加入檔案');
+    }
+
+    const entry = {
+      name: this.uniqueName(name),
+      offset: this.offset,
+      crc: 0,
+      size: 0,
+      ...ZipArchive.toDosDateTime(date)
+    };
+    const nameBuffer = Buffer.from(entry.name, 'utf8');
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034B50, 0);
+    header.writeUInt16LE(VERSION_NEEDED, 4);
+    header.writeUInt16LE(GENERAL_PURPOSE_FLAGS, 6);
+    header.writeUInt16LE(0, 8); // 不壓縮（stored）
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    await this.write(Buffer.concat([header, nameBuffer]));
+
+    // 中途失敗時仍寫出資料描述並記錄已寫入的部分，壓縮檔結構保持完整
+    let streamError = null;
+    try {
+      for await (const chunk of source) {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        if (entry.size + buffer.length > UINT32_MAX) {
+          throw new Error('單一檔案超過 4GB，無法加入壓縮檔');
+        }
+        entry.crc = ZipArchive.crc32(buffer, entry.crc);
+        entry.size += buffer.length;
+        await this.write(buffer);
+      }
+    } catch (error) {
+      streamError = error;
+    }
+
+    if (this.output.destroyed) {
+      throw streamError || new Error('輸出串流已關閉');
+    }
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074B50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.size, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.write(descriptor);
+    this.entries.push(entry);
+
+    if (streamError) {
+      streamError.partialEntry = { name: entry.name, size: entry.size };
+      throw streamError;
+    }
+    return { name: entry.name, size: entry.size };
+  }
+
+  /**
+   * 寫出中央目錄與結尾記錄（需要時加上 ZIP64 記錄）
+   */
+  async finalize() {
+    if (this.finalized) return;
+    this.finalized = true;
+
+    const centralDirectoryOffset = this.offset;
+    for (const entry of this.entries) {
+      const nameBuffer = Buffer.from(entry.name, 'utf8');
+      const needsZip64 = entry.offset >= UINT32_MAX;
+
+      let extra = Buffer.alloc(0);
+      if (needsZip64) {
+        extra = Buffer.alloc(12);
+        extra.writeUInt16LE(0x0001, 0);
+        extra.writeUInt16LE(8, 2);
+        writeUInt64LE(extra, entry.offset, 4);
+      }
+
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014B50, 0);
+      record.writeUInt16LE(needsZip64 ? VERSION_NEEDED_ZIP64 : VERSION_NEEDED, 4);
+      record.writeUInt16LE(needsZip64 ? VERSION_NEEDED_ZIP64 : VERSION_NEEDED, 6);
+      record.writeUInt16LE(GENERAL_PURPOSE_FLAGS, 8);
+      record.writeUInt16LE(0, 10);
+      record.writeUInt16LE(entry.time, 12);
+      record.writeUInt16LE(entry.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.size, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(nameBuffer.length, 28);
+      record.writeUInt16LE(extra.length, 30);
+      record.writeUInt32LE(needsZip64 ? UINT32_MAX : entry.offset, 42);
+      await this.write(Buffer.concat([record, nameBuffer, extra]));
+    }
+
+    const centralDirectorySize = this.offset - centralDirectoryOffset;
+    const needsZip64 = this.entries.length >= UINT16_MAX
+      || centralDirectoryOffset >= UINT32_MAX
+      || centralDirectorySize >= UINT32_MAX;
+
+    if (needsZip64) {
+      const zip64EndOffset = this.offset;
+      const zip64End = Buffer.alloc(56);
+      zip64End.writeUInt32LE(0x06064B50, 0);
+      writeUInt64LE(zip64End, 44, 4);
+      zip64End.writeUInt16LE(VERSION_NEEDED_ZIP64, 12);
+      zip64End.writeUInt16LE(VERSION_NEEDED_ZIP64, 14);
+      writeUInt64LE(zip64End, this.entries.length, 24);
+      writeUInt64LE(zip64End, this.entries.length, 32);
+      writeUInt64LE(zip64End, centralDirectorySize, 40);
+      writeUInt64LE(zip64End, centralDirectoryOffset, 48);
+
+      const locator = Buffer.alloc(20);
+      locator.writeUInt32LE(0x07064B50, 0);
+      writeUInt64LE(locator, zip64EndOffset, 8);
+      locator.writeUInt32LE(1, 16);
+      await this.write(Buffer.concat([zip64End, locator]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(Math.min(this.entries.length, UINT16_MAX), 8);
+    end.writeUInt16LE(Math.min(this.entries.length, UINT16_MAX), 10);
+    end.writeUInt32LE(Math.min(centralDirectorySize, UINT32_MAX), 12);
+    end.writeUInt32LE(Math.min(centralDirectoryOffset, UINT32_MAX), 16);
+    await this.write(end);
+  }
+}
+
+module.exports = {
+  ZipArchive
+};